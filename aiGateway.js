@@ -0,0 +1,358 @@
+// aiGateway.js - Single provider layer for all AI requests (background service worker only)
+
+class AIGateway {
+  /**
+   * @param {StorageManager} storage - Used to read provider settings
+   * @param {KeyVault} keyVault - Source of API keys when the vault is enabled
+   * @param {AIProviderRegistry} providers - Provider adapters
+   */
+  constructor(
+    storage = new StorageManager(),
+    keyVault = new KeyVault(),
+    providers = new AIProviderRegistry()
+  ) {
+    this.storage = storage;
+    this.keyVault = keyVault;
+    this.providers = providers;
+    this.timeout = 60000; // 60 seconds - reasoning models can be slow
+  }
+
+  /**
+   * Send a chat completion to the configured provider
+   * @param {Object} request - { messages, temperature, maxTokens, json, schema, provider }
+   *   provider defaults to the aiProvider setting; json asks for a JSON object,
+   *   schema (JSON Schema) for structured output where the provider supports it
+   * @param {Object} overrides - Unsaved provider config (url, model, ...) for popup tests
+   * @returns {Promise<Object>} { content, usage, provider, model, structured, truncated }
+   *   structured is true when the provider enforced request.schema; truncated
+   *   when the answer stopped at maxTokens
+   */
+  async chat(request, overrides = {}) {
+    const config = await this.getProviderConfig(request.provider, overrides);
+    const apiKey = config.secretName ? await this.resolveApiKey(config) : null;
+    const { url, init } = this.providers.buildRequest(config, request, apiKey);
+
+    console.log(`AIGateway: ${config.label} request to ${url} (model ${config.model})`);
+    const startTime = Date.now();
+    const data = await this.fetchJSON(url, init, config);
+    console.log(`AIGateway: Response received in ${Date.now() - startTime}ms`);
+
+    const { content, usage, truncated } = this.providers.get(config.id).parseResponse(data);
+    if (!content) {
+      throw new Error("No valid response from AI");
+    }
+    return {
+      content,
+      usage,
+      provider: config.id,
+      model: config.model,
+      structured: this.isStructured(config, request),
+      truncated: !!truncated,
+    };
+  }
+
+  /**
+   * Send a chat completion and pass the answer on as it is generated
+   * Providers without a streaming format get a normal request whose whole
+   * answer is passed to onDelta once.
+   * @param {Object} request - Same as chat()
+   * @param {Function} onDelta - Called with each new piece of text
+   * @param {Object} overrides - Unsaved provider config
+   * @param {AbortSignal} signal - Cancels the request (e.g. the caller went away)
+   * @returns {Promise<Object>} { content, usage, provider, model, structured, truncated }
+   */
+  async streamChat(request, onDelta, overrides = {}, signal = null) {
+    const config = await this.getProviderConfig(request.provider, overrides);
+    const adapter = this.providers.get(config.id);
+    if (!adapter.streamFormat) {
+      const result = await this.chat(request, overrides);
+      onDelta(result.content);
+      return result;
+    }
+
+    const apiKey = config.secretName ? await this.resolveApiKey(config) : null;
+    const { url, init } = this.providers.buildRequest(
+      config,
+      { ...request, stream: true },
+      apiKey
+    );
+
+    const controller = new AbortController();
+    signal?.addEventListener("abort", () => controller.abort());
+
+    console.log(`AIGateway: ${config.label} streaming request to ${url} (model ${config.model})`);
+    const startTime = Date.now();
+    const response = await this.fetchResponse(url, init, config, controller);
+
+    let content = "";
+    let usage = null;
+    let truncated = false;
+    await this.readStream(response, adapter.streamFormat, controller, data => {
+      if (data.error) {
+        throw new Error(`${config.label} Error: ${data.error.message || data.error}`);
+      }
+      const chunk = adapter.parseStreamChunk(data);
+      if (chunk.usage) usage = { ...usage, ...chunk.usage };
+      if (chunk.truncated) truncated = true;
+      if (chunk.content) {
+        content += chunk.content;
+        onDelta(chunk.content);
+      }
+    });
+    console.log(`AIGateway: Stream finished in ${Date.now() - startTime}ms`);
+
+    if (!content.trim()) {
+      throw new Error("No valid response from AI");
+    }
+    return {
+      content: content.trim(),
+      usage,
+      provider: config.id,
+      model: config.model,
+      structured: this.isStructured(config, request),
+      truncated,
+    };
+  }
+
+  /**
+   * Whether the provider enforces the request's JSON schema (see buildRequest)
+   */
+  isStructured(config, request) {
+    return !!request.schema && !!this.providers.get(config.id).structuredOutput;
+  }
+
+  /**
+   * Describe the active provider without exposing its key
+   * @param {string} providerId - Provider to describe (defaults to the setting)
+   * @returns {Promise<Object>} { provider, label, url, model, local, requiresKey, hasApiKey, keyError }
+   *   keyError says why the key can't be used (missing, vault locked)
+   */
+  async getStatus(providerId) {
+    const config = await this.getProviderConfig(providerId);
+    let keyError = null;
+    if (config.secretName) {
+      keyError = await this.resolveApiKey(config).then(
+        () => null,
+        error => error.message
+      );
+    }
+    return {
+      provider: config.id,
+      label: config.label,
+      url: config.url,
+      model: config.model,
+      local: config.local,
+      requiresKey: !!config.secretName && !config.keyOptional,
+      hasApiKey: !keyError,
+      keyError,
+    };
+  }
+
+  /**
+   * Check that a provider is reachable
+   * Providers that can list their models (Ollama, OpenAI-compatible servers)
+   * are checked for the configured model; others get a one-line chat request.
+   * @param {string} providerId - Provider to test (defaults to the setting)
+   * @param {Object} overrides - Unsaved provider config to test with
+   * @returns {Promise<Object>} { provider, model, models?, content? }
+   */
+  async testConnection(providerId, overrides = {}) {
+    const config = await this.getProviderConfig(providerId, overrides);
+    const adapter = this.providers.get(config.id);
+
+    if (!adapter.listModels) {
+      const result = await this.chat(
+        {
+          provider: config.id,
+          messages: [{ role: "user", content: "Say OK" }],
+          maxTokens: 5,
+        },
+        overrides
+      );
+      return { provider: config.id, model: config.model, content: result.content };
+    }
+
+    const { url, parse } = adapter.listModels(config);
+    const headers = { "Content-Type": "application/json" };
+    const apiKey = config.secretName ? await this.resolveApiKey(config) : null;
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const models = parse(await this.fetchJSON(url, { method: "GET", headers }, config));
+    if (!models.includes(config.model)) {
+      throw new Error(
+        `Model '${config.model}' not found. Available models: ${models.join(", ")}`
+      );
+    }
+    return { provider: config.id, model: config.model, models };
+  }
+
+  /**
+   * Resolve a provider's config from settings.providerConfigs
+   * @param {string} providerId - Provider id (defaults to the aiProvider setting)
+   * @param {Object} overrides - Config values that replace the stored ones
+   * @returns {Promise<Object>} Provider config with secretName and vaultEnabled
+   */
+  async getProviderConfig(providerId, overrides = {}) {
+    const settings = await this.storage.loadSettings();
+    const id = providerId || settings.aiProvider || "openai";
+    const adapter = this.providers.get(id);
+
+    return {
+      ...this.providers.getConfig(id, settings, overrides),
+      secretName: adapter.secretName,
+      keyOptional: !!adapter.keyOptional,
+      local: !!adapter.local,
+      vaultEnabled: !!settings.vaultEnabled,
+    };
+  }
+
+  /**
+   * Fetch with a timeout and turn HTTP errors into readable messages
+   */
+  async fetchJSON(url, init, config) {
+    const response = await this.fetchResponse(url, init, config);
+    return response.json();
+  }
+
+  /**
+   * Fetch with a timeout until the response headers arrive
+   * @param {AbortController} controller - Aborted on timeout; pass one to cancel the request later
+   * @returns {Promise<Response>} Successful response
+   */
+  async fetchResponse(url, init, config, controller = new AbortController()) {
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new Error("Request timeout - AI service took too long to respond");
+      }
+      if (config.local) {
+        throw new Error(
+          `${config.label} connection failed: ${error.message}. Make sure the server is running at ${url}`
+        );
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "Unknown error");
+      console.error(`AIGateway: ${config.label} error ${response.status}:`, errorText);
+
+      let message;
+      try {
+        message = JSON.parse(errorText).error?.message;
+      } catch {
+        message = errorText;
+      }
+      const prefix = config.local ? `${config.label} Error` : "API Error";
+      throw new Error(`${prefix} ${response.status}: ${message || response.statusText}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Read a streamed response body event by event
+   * The request is aborted when no data arrives for this.timeout.
+   * @param {Response} response - Streaming response
+   * @param {string} format - "sse" (data: lines) or "ndjson" (one object per line)
+   * @param {AbortController} controller - Controller of the request
+   * @param {Function} onEvent - Called with each parsed event; may throw to stop
+   */
+  async readStream(response, format, controller, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const handleLine = line => {
+      let payload = line.trim();
+      if (format === "sse") {
+        // Skip "event:" and ": keep-alive" lines
+        if (!payload.startsWith("data:")) return;
+        payload = payload.slice("data:".length).trim();
+        if (payload === "[DONE]") return;
+      }
+      if (!payload) return;
+
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch {
+        console.warn("AIGateway: Skipping malformed stream line:", payload);
+        return;
+      }
+      onEvent(data);
+    };
+
+    try {
+      while (true) {
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        let chunk;
+        try {
+          chunk = await reader.read();
+        } finally {
+          clearTimeout(timeoutId);
+        }
+        if (chunk.done) break;
+
+        buffer += decoder.decode(chunk.value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer + decoder.decode());
+    } catch (error) {
+      controller.abort();
+      if (error.name === "AbortError") {
+        throw new Error("Request timeout - AI service stopped responding");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a provider's API key, from the vault when it is enabled
+   * @param {Object} config - From getProviderConfig()
+   * @returns {Promise<string|null>} API key (null if optional and not set)
+   */
+  async resolveApiKey(config) {
+    if (!config.vaultEnabled) {
+      const settings = await this.storage.loadSettings();
+      if (!settings[config.secretName] && config.keyOptional) {
+        return null;
+      }
+      if (!settings[config.secretName]) {
+        throw new Error(
+          `${config.label} API key not found. Please configure it in the extension popup.`
+        );
+      }
+      return settings[config.secretName];
+    }
+
+    const apiKey = await this.keyVault.getSecret(config.secretName);
+    if (!apiKey) {
+      const { unlocked } = await this.keyVault.getStatus();
+      if (unlocked && config.keyOptional) {
+        return null;
+      }
+      throw new Error(
+        unlocked
+          ? "API key not found in the vault. Please save it in the extension popup."
+          : "API keys are locked. Unlock the vault in the extension popup."
+      );
+    }
+    return apiKey;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AIGateway;
+} else {
+  self.AIGateway = AIGateway;
+}
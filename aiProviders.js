@@ -0,0 +1,506 @@
+// aiProviders.js - Registry of AI provider adapters used by aiGateway.js and the popup
+//
+// Each adapter declares:
+//   id, label      - Setting value and display name
+//   auth           - "bearer" (Authorization: Bearer), a header name that carries
+//                    the raw key (e.g. "x-api-key"), or "none"
+//   secretName     - Settings key holding the API key; keyOptional if it may be empty
+//   local          - Runs on the user's machine (connection errors name the server)
+//   defaults       - Default config values (url, model, ...)
+//   fields         - Config inputs shown in the popup, stored in settings.providerConfigs[id]
+//   models         - Suggested model names
+//   jsonMode       - Whether the API can be told to return a JSON object
+//   structuredOutput - Whether buildRequest can enforce request.schema (a JSON Schema)
+//   hint           - Optional tip shown under the popup config
+//   buildRequest(config, request) -> { url, headers, body }
+//                    request: { messages, temperature, maxTokens, json, schema, stream }
+//   parseResponse(data)          -> { content, usage, truncated }
+//                    truncated: the answer stopped at maxTokens
+//   streamFormat   - Optional "sse" or "ndjson"; without it responses are never streamed
+//   parseStreamChunk(data)       -> { content, usage, truncated } for one streamed event;
+//                    content is the new text only
+//   listModels(config)           -> optional { url, parse(data) } for connection tests
+
+// Shared by the OpenAI-style /chat/completions APIs
+const openAIChatRequest = (
+  config,
+  { messages, temperature, maxTokens, json, schema, stream },
+  extra = {}
+) => ({
+  url: config.url,
+  headers: {},
+  body: {
+    model: config.model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    ...openAIResponseFormat(json, schema),
+    ...(stream ? { stream: true } : {}),
+    ...extra,
+  },
+});
+
+const openAIResponseFormat = (json, schema) => {
+  if (schema) {
+    return {
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: "form_values", strict: true, schema },
+      },
+    };
+  }
+  return json ? { response_format: { type: "json_object" } } : {};
+};
+
+const openAIChatResponse = data => ({
+  content: data.choices?.[0]?.message?.content?.trim() || "",
+  usage: data.usage || null,
+  truncated: data.choices?.[0]?.finish_reason === "length",
+});
+
+// Server-sent "data: {...}" chunks; reasoning_content (R1 thinking) is not part of the answer
+const openAIStreamChunk = data => ({
+  content: data.choices?.[0]?.delta?.content || "",
+  usage: data.usage || null,
+  truncated: data.choices?.[0]?.finish_reason === "length",
+});
+
+const geminiText = data =>
+  (data.candidates?.[0]?.content?.parts || []).map(part => part.text || "").join("");
+
+const geminiTruncated = data => data.candidates?.[0]?.finishReason === "MAX_TOKENS";
+
+const geminiUsage = data =>
+  data.usageMetadata
+    ? {
+        prompt_tokens: data.usageMetadata.promptTokenCount,
+        completion_tokens: data.usageMetadata.candidatesTokenCount,
+      }
+    : null;
+
+// Gemini takes an OpenAPI-style schema: upper-case types, no additionalProperties
+const toGeminiSchema = schema => ({
+  type: schema.type.toUpperCase(),
+  ...(schema.enum ? { enum: schema.enum } : {}),
+  ...(schema.items ? { items: toGeminiSchema(schema.items) } : {}),
+  ...(schema.properties
+    ? {
+        properties: Object.fromEntries(
+          Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        ),
+        required: schema.required || [],
+      }
+    : {}),
+});
+
+// System messages go in a separate field for Anthropic and Gemini
+const splitSystemMessages = messages => ({
+  system: messages
+    .filter(message => message.role === "system")
+    .map(message => message.content)
+    .join("\n\n"),
+  conversation: messages.filter(message => message.role !== "system"),
+});
+
+const BUILT_IN_AI_PROVIDERS = [
+  {
+    id: "openai",
+    label: "OpenAI",
+    auth: "bearer",
+    secretName: "openaiApiKey",
+    defaults: { url: "https://api.openai.com/v1/chat/completions", model: "gpt-4o-mini" },
+    fields: [{ key: "model", label: "Model" }],
+    models: ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini", "gpt-4.1"],
+    jsonMode: true,
+    structuredOutput: true,
+    buildRequest: openAIChatRequest,
+    parseResponse: openAIChatResponse,
+    streamFormat: "sse",
+    parseStreamChunk: openAIStreamChunk,
+  },
+  {
+    id: "deepseek",
+    label: "DeepSeek",
+    auth: "bearer",
+    secretName: "deepseekApiKey",
+    defaults: { url: "https://api.deepseek.com/v1/chat/completions", model: "deepseek-chat" },
+    fields: [{ key: "model", label: "Model" }],
+    models: ["deepseek-chat", "deepseek-reasoner"],
+    hint: 'Recommendation: Use "deepseek-chat" for faster form filling',
+    // DeepSeek doesn't take response_format
+    jsonMode: false,
+    structuredOutput: false,
+    buildRequest: (config, request) =>
+      openAIChatRequest(
+        config,
+        { ...request, json: false, schema: null },
+        // Keep R1 thinking short
+        config.model.includes("r1") ? { reasoning_effort: "low" } : {}
+      ),
+    parseResponse: openAIChatResponse,
+    streamFormat: "sse",
+    parseStreamChunk: openAIStreamChunk,
+  },
+  {
+    id: "anthropic",
+    label: "Anthropic",
+    auth: "x-api-key",
+    secretName: "anthropicApiKey",
+    defaults: {
+      url: "https://api.anthropic.com/v1/messages",
+      model: "claude-3-5-haiku-latest",
+      apiVersion: "2023-06-01",
+    },
+    fields: [{ key: "model", label: "Model" }],
+    models: ["claude-3-5-haiku-latest", "claude-3-7-sonnet-latest"],
+    jsonMode: false,
+    // The schema becomes the input of a tool the model is made to call
+    structuredOutput: true,
+    buildRequest: (config, { messages, temperature, maxTokens, schema, stream }) => {
+      const { system, conversation } = splitSystemMessages(messages);
+      const tool = schema
+        ? {
+            tools: [
+              {
+                name: "form_values",
+                description: "Submit the value for each form field",
+                input_schema: schema,
+              },
+            ],
+            tool_choice: { type: "tool", name: "form_values" },
+          }
+        : {};
+      return {
+        url: config.url,
+        headers: {
+          "anthropic-version": config.apiVersion,
+          "anthropic-dangerous-direct-browser-access": "true",
+        },
+        body: {
+          model: config.model,
+          max_tokens: maxTokens,
+          temperature,
+          ...(system ? { system } : {}),
+          messages: conversation,
+          ...tool,
+          ...(stream ? { stream: true } : {}),
+        },
+      };
+    },
+    parseResponse: data => ({
+      content: (data.content || [])
+        .map(block => {
+          if (block.type === "tool_use") return JSON.stringify(block.input);
+          return block.type === "text" ? block.text : "";
+        })
+        .join("")
+        .trim(),
+      usage: data.usage
+        ? {
+            prompt_tokens: data.usage.input_tokens,
+            completion_tokens: data.usage.output_tokens,
+          }
+        : null,
+      truncated: data.stop_reason === "max_tokens",
+    }),
+    streamFormat: "sse",
+    // Text arrives as text_delta, forced tool input as input_json_delta
+    parseStreamChunk: data => ({
+      content:
+        data.type === "content_block_delta"
+          ? data.delta?.text || data.delta?.partial_json || ""
+          : "",
+      usage:
+        data.type === "message_delta" && data.usage
+          ? { completion_tokens: data.usage.output_tokens }
+          : null,
+      truncated: data.type === "message_delta" && data.delta?.stop_reason === "max_tokens",
+    }),
+  },
+  {
+    id: "gemini",
+    label: "Google Gemini",
+    auth: "x-goog-api-key",
+    secretName: "geminiApiKey",
+    defaults: {
+      url: "https://generativelanguage.googleapis.com/v1beta",
+      model: "gemini-2.0-flash",
+    },
+    fields: [{ key: "model", label: "Model" }],
+    models: ["gemini-2.0-flash", "gemini-1.5-flash", "gemini-1.5-pro"],
+    jsonMode: true,
+    structuredOutput: true,
+    buildRequest: (config, { messages, temperature, maxTokens, json, schema, stream }) => {
+      const { system, conversation } = splitSystemMessages(messages);
+      const method = stream ? "streamGenerateContent?alt=sse" : "generateContent";
+      return {
+        url: `${config.url.replace(/\/$/, "")}/models/${config.model}:${method}`,
+        headers: {},
+        body: {
+          ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+          contents: conversation.map(message => ({
+            role: message.role === "assistant" ? "model" : "user",
+            parts: [{ text: message.content }],
+          })),
+          generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens,
+            ...(json || schema ? { responseMimeType: "application/json" } : {}),
+            ...(schema ? { responseSchema: toGeminiSchema(schema) } : {}),
+          },
+        },
+      };
+    },
+    parseResponse: data => ({
+      content: geminiText(data).trim(),
+      usage: geminiUsage(data),
+      truncated: geminiTruncated(data),
+    }),
+    streamFormat: "sse",
+    parseStreamChunk: data => ({
+      content: geminiText(data),
+      usage: geminiUsage(data),
+      truncated: geminiTruncated(data),
+    }),
+  },
+  {
+    id: "azure",
+    label: "Azure OpenAI",
+    auth: "api-key",
+    secretName: "azureApiKey",
+    // 2024-10-21 is the first GA version with json_schema structured outputs
+    defaults: { url: "", model: "", apiVersion: "2024-10-21" },
+    fields: [
+      { key: "url", label: "Resource endpoint (https://NAME.openai.azure.com)" },
+      { key: "model", label: "Deployment name" },
+      { key: "apiVersion", label: "API version" },
+    ],
+    models: [],
+    jsonMode: true,
+    structuredOutput: true,
+    // The deployment picks the model, so it goes in the URL instead of the body
+    buildRequest: (config, request) => {
+      const { body } = openAIChatRequest(config, request);
+      delete body.model;
+      return {
+        url: `${config.url.replace(/\/$/, "")}/openai/deployments/${encodeURIComponent(
+          config.model
+        )}/chat/completions?api-version=${encodeURIComponent(config.apiVersion)}`,
+        headers: {},
+        body,
+      };
+    },
+    parseResponse: openAIChatResponse,
+    streamFormat: "sse",
+    parseStreamChunk: openAIStreamChunk,
+  },
+  {
+    id: "openrouter",
+    label: "OpenRouter",
+    auth: "bearer",
+    secretName: "openrouterApiKey",
+    defaults: {
+      url: "https://openrouter.ai/api/v1/chat/completions",
+      model: "openai/gpt-4o-mini",
+    },
+    fields: [{ key: "model", label: "Model" }],
+    models: ["openai/gpt-4o-mini", "anthropic/claude-3.5-haiku", "deepseek/deepseek-chat"],
+    jsonMode: true,
+    structuredOutput: true,
+    buildRequest: (config, request) => ({
+      ...openAIChatRequest(config, request),
+      headers: { "X-Title": "Job Application Assistant" },
+    }),
+    parseResponse: openAIChatResponse,
+    streamFormat: "sse",
+    parseStreamChunk: openAIStreamChunk,
+  },
+  {
+    id: "local",
+    label: "Local LLM (Ollama)",
+    auth: "none",
+    secretName: null,
+    local: true,
+    defaults: { url: "http://localhost:11434/api/chat", model: "llama3.1:8b" },
+    fields: [
+      { key: "url", label: "Local LLM URL" },
+      { key: "model", label: "Model name" },
+    ],
+    models: [],
+    jsonMode: true,
+    // Ollama 0.5+ accepts a JSON schema as the format
+    structuredOutput: true,
+    buildRequest: (config, { messages, temperature, maxTokens, json, schema, stream }) => ({
+      url: config.url,
+      headers: {},
+      body: {
+        model: config.model,
+        messages,
+        stream: !!stream,
+        ...(schema ? { format: schema } : json ? { format: "json" } : {}),
+        options: { temperature, num_predict: maxTokens },
+      },
+    }),
+    parseResponse: data => ({
+      content: data.message?.content?.trim() || "",
+      usage: {
+        prompt_tokens: data.prompt_eval_count || 0,
+        completion_tokens: data.eval_count || 0,
+      },
+      truncated: data.done_reason === "length",
+    }),
+    // One JSON object per line; the last one (done: true) carries the counts
+    streamFormat: "ndjson",
+    parseStreamChunk: data => ({
+      content: data.message?.content || "",
+      usage: data.done
+        ? {
+            prompt_tokens: data.prompt_eval_count || 0,
+            completion_tokens: data.eval_count || 0,
+          }
+        : null,
+      truncated: data.done_reason === "length",
+    }),
+    listModels: config => ({
+      url: config.url.replace("/api/chat", "/api/tags"),
+      parse: data => (data.models || []).map(model => model.name),
+    }),
+  },
+  {
+    // LM Studio, vLLM, llama.cpp server and other /v1/chat/completions servers
+    id: "compatible",
+    label: "OpenAI-compatible server",
+    auth: "bearer",
+    secretName: "compatibleApiKey",
+    keyOptional: true,
+    local: true,
+    defaults: { url: "http://localhost:1234/v1/chat/completions", model: "" },
+    fields: [
+      { key: "url", label: "Chat completions URL" },
+      { key: "model", label: "Model name" },
+    ],
+    models: [],
+    // LM Studio and vLLM take json_schema but not all servers take json_object
+    jsonMode: false,
+    structuredOutput: true,
+    buildRequest: openAIChatRequest,
+    parseResponse: openAIChatResponse,
+    streamFormat: "sse",
+    parseStreamChunk: openAIStreamChunk,
+    listModels: config => ({
+      url: config.url.replace(/\/chat\/completions$/, "/models"),
+      parse: data => (data.data || []).map(model => model.id),
+    }),
+  },
+];
+
+class AIProviderRegistry {
+  constructor(adapters = BUILT_IN_AI_PROVIDERS) {
+    this.adapters = new Map();
+    adapters.forEach(adapter => this.register(adapter));
+  }
+
+  /**
+   * Add or replace a provider adapter
+   * @param {Object} adapter - Adapter (see the top of this file)
+   */
+  register(adapter) {
+    if (
+      !adapter?.id ||
+      typeof adapter.buildRequest !== "function" ||
+      typeof adapter.parseResponse !== "function"
+    ) {
+      throw new Error("AI provider adapters need an id, buildRequest and parseResponse");
+    }
+    this.adapters.set(adapter.id, adapter);
+  }
+
+  /**
+   * @param {string} id - Provider id
+   * @returns {Object} Adapter
+   */
+  get(id) {
+    const adapter = this.adapters.get(id);
+    if (!adapter) {
+      throw new Error(`Unknown AI provider: ${id}`);
+    }
+    return adapter;
+  }
+
+  has(id) {
+    return this.adapters.has(id);
+  }
+
+  list() {
+    return [...this.adapters.values()];
+  }
+
+  /**
+   * Resolve a provider's config from settings
+   * @param {string} id - Provider id
+   * @param {Object} settings - Stored settings (providerConfigs)
+   * @param {Object} overrides - Unsaved values that replace the stored ones
+   * @returns {Object} { id, label, url, model, ... }
+   */
+  getConfig(id, settings = {}, overrides = {}) {
+    const adapter = this.get(id);
+    const stored = settings.providerConfigs?.[id] || {};
+    const config = { ...adapter.defaults };
+    [stored, overrides].forEach(values => {
+      Object.entries(values).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== "") config[key] = value;
+      });
+    });
+    return { ...config, id, label: adapter.label };
+  }
+
+  /**
+   * Build fetch options for a chat request, adding the auth header
+   * @param {Object} config - From getConfig()
+   * @param {Object} request - { messages, temperature, maxTokens, json, schema, stream }
+   *   stream is ignored for adapters without a streamFormat
+   * @param {string|null} apiKey - Key, or null for providers without one
+   * @returns {Object} { url, init }
+   */
+  buildRequest(config, request, apiKey) {
+    const adapter = this.get(config.id);
+    if (!config.url || !config.model) {
+      throw new Error(
+        `${adapter.label} is not configured. Set its URL and model in the extension popup.`
+      );
+    }
+
+    const schema = adapter.structuredOutput ? request.schema || null : null;
+    const { url, headers, body } = adapter.buildRequest(config, {
+      messages: request.messages || [],
+      temperature: request.temperature ?? 0.1,
+      maxTokens: request.maxTokens ?? 4000,
+      json: !!(request.json || request.schema) && adapter.jsonMode,
+      schema,
+      stream: !!request.stream && !!adapter.streamFormat,
+    });
+
+    const authHeaders = {};
+    if (apiKey && adapter.auth === "bearer") {
+      authHeaders.Authorization = `Bearer ${apiKey}`;
+    } else if (apiKey && adapter.auth !== "none") {
+      authHeaders[adapter.auth] = apiKey;
+    }
+
+    return {
+      url,
+      init: {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers, ...authHeaders },
+        body: JSON.stringify(body),
+      },
+    };
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AIProviderRegistry;
+} else {
+  self.AIProviderRegistry = AIProviderRegistry;
+}
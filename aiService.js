@@ -2,70 +2,42 @@
 
 class AIService {
   constructor() {
-    this.apiKey = null;
-    this.baseURL = "https://api.openai.com/v1/chat/completions";
-    this.model = "gpt-4o-mini"; // Cost-effective model
     this.maxRetries = 3;
-    this.timeout = 15000; // 15 seconds - faster fail for debugging
-
-    // AI Provider settings
-    this.aiProvider = "openai"; // "openai", "deepseek", or "local"
-    
-    // DeepSeek settings
-    this.deepseekURL = "https://api.deepseek.com/v1/chat/completions";
-    this.deepseekModel = "deepseek-chat";
-
-    // Local LLM settings
-    this.localURL = "http://localhost:11434/api/chat"; // Ollama default
-    this.localModel = "llama3.1:8b"; // Default local model
+    // A response cut off at maxTokens is asked for again with a higher limit
+    this.maxTokens = 4000;
+    this.maxTokensLimit = 8000;
+
+    // Provider details come from the background script, which makes every
+    // request; API keys never reach the page
+    this.aiProvider = "openai"; // Provider id from aiProviders.js
+    this.model = "";
+    this.hasApiKey = false;
+
+    this.responseSchema = new ResponseSchema();
+    this.formBatcher = new FormBatcher(this.responseSchema);
+    this.maxParallelBatches = 3;
   }
 
   /**
-   * Initialize with settings from storage
+   * Load the active provider from the background script and check it is usable
    */
   async initialize() {
     try {
-      // Use StorageManager to get settings (matches how they're saved)
-      const storageManager = new StorageManager();
-      const settings = await storageManager.loadSettings();
-
-      // Load AI provider settings
-      this.aiProvider = settings.aiProvider || "openai";
-      
-      // Load DeepSeek settings
-      this.deepseekURL = settings.deepseekURL || "https://api.deepseek.com/v1/chat/completions";
-      this.deepseekModel = settings.deepseekModel || "deepseek-chat";
-      
-      // Load local LLM settings
-      this.localURL = settings.localURL || "http://localhost:11434/api/chat";
-      this.localModel = settings.localModel || "llama3.1:8b";
+      const status = await this.sendMessage({ action: "aiStatus" });
+      this.aiProvider = status.provider;
+      this.model = status.model;
+      this.hasApiKey = status.hasApiKey;
 
       console.log(`AIService: Using ${this.aiProvider.toUpperCase()} mode`);
 
-      if (this.aiProvider === "local") {
-        // Test local LLM connection
-        await this.testLocalConnection();
-        console.log(`AIService: Initialized with local LLM (${this.localModel})`);
-      } else if (this.aiProvider === "deepseek") {
-        // Use DeepSeek
-        this.apiKey = settings.deepseekApiKey;
-        if (!this.apiKey) {
-          throw new Error(
-            "DeepSeek API key not found. Please configure it in the extension popup."
-          );
-        }
-        this.baseURL = this.deepseekURL;
-        this.model = this.deepseekModel;
-        console.log("AIService: Initialized with DeepSeek API");
+      if (status.local) {
+        // Fail fast when the local server isn't running
+        await this.testLocalConnection(status);
+        console.log(`AIService: Initialized with ${status.label} (${this.model})`);
+      } else if (!status.hasApiKey) {
+        throw new Error(status.keyError);
       } else {
-        // Use OpenAI (default)
-        this.apiKey = settings.openaiApiKey;
-        if (!this.apiKey) {
-          throw new Error(
-            "OpenAI API key not found. Please configure it in the extension popup."
-          );
-        }
-        console.log("AIService: Initialized with OpenAI API");
+        console.log(`AIService: Initialized with ${status.label} API`);
       }
 
       return true;
@@ -77,62 +49,56 @@ class AIService {
 
   /**
    * Main method to analyze form and generate field values
+   * Large forms are split into batches by section, each with its own
+   * request and schema; the validated values are merged.
    * @param {Object} pageData - Extracted page data from pageAnalyzer
    * @param {Object} cvData - CV data from storage
+   * @param {Object} options - Optional overrides (standardAnswers for the CV profile,
+   *   jobContext from jobPostingAnalyzer to tailor answers to the role,
+   *   parallel to send batches concurrently, stream to receive values as they are
+   *   generated, onFieldValue(fieldId, value) called once per valid streamed value)
    * @returns {Object} AI response with field values
    */
-  async analyzeFormAndGenerateValues(pageData, cvData) {
+  async analyzeFormAndGenerateValues(pageData, cvData, options = {}) {
     try {
-      // Ensure service is initialized
-      if (this.aiProvider === "local") {
-        await this.testLocalConnection();
-      } else if (!this.apiKey) {
-        await this.initialize();
-      }
+      // Pick up the current provider settings
+      await this.initialize();
 
       console.log(
         `AIService: Analyzing form with ${pageData.fields.length} fields using ${this.aiProvider.toUpperCase()}`
       );
 
-      // Load standard answers
-      const standardAnswers = await this.loadStandardAnswers();
-
-      // Create optimized prompt
-      const prompt = this.createFormAnalysisPrompt(pageData, cvData, standardAnswers);
-
-      // Log the complete prompt structure being sent
-      console.log("=".repeat(80));
-      console.log("🤖 DEEPSEEK API REQUEST - RAW PROMPT:");
-      console.log("=".repeat(80));
-      console.log("System Prompt:", prompt[0].content);
-      console.log("-".repeat(40));
-      console.log("User Prompt:", prompt[1].content);
-      console.log("=".repeat(80));
+      // Load standard answers (profile-specific answers take precedence)
+      const standardAnswers = this.withCurrentDate(
+        options.standardAnswers || (await this.loadStandardAnswers())
+      );
 
-      // Send request to OpenAI
-      const response = await this.sendAIRequest(prompt);
+      const hints = this.formBatcher.collectHints(cvData, standardAnswers);
+      const batches = this.formBatcher.createBatches(pageData.fields, hints);
+      const concurrency = options.parallel ? this.maxParallelBatches : 1;
 
-      // Log the raw AI response
-      console.log("=".repeat(80));
-      console.log("🤖 DEEPSEEK API RESPONSE - RAW DATA:");
-      console.log("=".repeat(80));
-      console.log("Raw Response Length:", response.length, "characters");
-      console.log("Raw Response Content:");
-      console.log(response);
-      console.log("=".repeat(80));
+      const results = await this.runBatches(batches, concurrency, (batch, index) =>
+        this.analyzeBatch(batch, cvData, standardAnswers, `${index + 1}/${batches.length}`, options)
+      );
 
-      // Parse and validate response
-      const parsedResponse = this.parseAIResponse(response);
+      const failures = results.filter(result => result.error);
+      if (batches.length > 0 && failures.length === batches.length) {
+        throw failures[0].error;
+      }
+      if (failures.length > 0) {
+        console.warn(
+          `AIService: ${failures.length} of ${batches.length} batch(es) failed:`,
+          failures.map(result => result.error.message)
+        );
+      }
 
+      const parsedResponse = Object.assign({}, ...results.map(result => result.values || {}));
       console.log(
-        `AIService: Generated values for ${
-          Object.keys(parsedResponse).length
-        } fields`
+        `AIService: Generated values for ${Object.keys(parsedResponse).length} fields in ${
+          batches.length
+        } batch(es)`
       );
 
-      // Log the AI response for debugging
-      this.logAIResponse(response, parsedResponse);
-
       return parsedResponse;
     } catch (error) {
       console.error("AIService: Form analysis failed:", error);
@@ -141,63 +107,213 @@ class AIService {
   }
 
   /**
-   * Load standard answers from JSON file
-   * @returns {Object} Standard answers data
+   * Send one batch of fields and validate the response
+   * @param {Object} batch - Batch from formBatcher
+   * @param {Object} cvData - CV data
+   * @param {Object} standardAnswers - Standard answers with currentDate
+   * @param {string} label - Batch position for logs ("2/3")
+   * @param {Object} options - jobContext, stream and onFieldValue from analyzeFormAndGenerateValues()
+   * @returns {Object} Valid field values
    */
-  async loadStandardAnswers() {
-    try {
-      const response = await fetch(chrome.runtime.getURL("standard-answers.json"));
-      const standardAnswers = await response.json();
-      console.log("AIService: Loaded standard answers:", standardAnswers);
-      return standardAnswers;
-    } catch (error) {
-      console.warn("AIService: Could not load standard answers:", error);
-      // Return basic fallback data
-      return {
-        personal: {
-          middleName: "",
-          gender: "Male",
-          address: { street: "8044 sycamore hill ln", city: "Raleigh", state: "NC", zipCode: "27612" }
-        },
-        workAuthorization: { authorized: true, needsSponsorship: false },
-        background: { hasDisability: false, isVeteran: false },
-        currentDate: { year: 2025, month: 8, day: 8, formatted: "08/08/2025" }
-      };
+  async analyzeBatch(batch, cvData, standardAnswers, label, options = {}) {
+    // Create optimized prompt and the schema the response must follow
+    const prompt = this.createFormAnalysisPrompt(
+      batch.compactFields,
+      cvData,
+      standardAnswers,
+      options.jobContext
+    );
+    const schema = this.responseSchema.build(batch.fields);
+
+    // Log the complete prompt structure being sent
+    console.log("=".repeat(80));
+    console.log(`🤖 DEEPSEEK API REQUEST ${label} - RAW PROMPT:`);
+    console.log("=".repeat(80));
+    console.log("Sections:", batch.sections.filter(Boolean).join(", ") || "(none)");
+    console.log("System Prompt:", prompt[0].content);
+    console.log("-".repeat(40));
+    console.log("User Prompt:", prompt[1].content);
+    console.log("=".repeat(80));
+
+    // Streamed values are checked one by one and passed on once each,
+    // so a retry doesn't report a field twice
+    const streamed = new Set();
+    const onValue = options.stream
+      ? (key, value) => {
+          if (streamed.has(key) || !options.onFieldValue) return;
+          const { values } = this.responseSchema.validate({ [key]: value }, schema);
+          if (key in values) {
+            streamed.add(key);
+            options.onFieldValue(key, values[key]);
+          }
+        }
+      : null;
+
+    // Send request (providers with structured output enforce the schema)
+    const { content: response, structured } = await this.sendAIRequest(prompt, schema, onValue);
+
+    // Log the raw AI response
+    console.log("=".repeat(80));
+    console.log(`🤖 DEEPSEEK API RESPONSE ${label} - RAW DATA:`);
+    console.log("=".repeat(80));
+    console.log("Raw Response Length:", response.length, "characters");
+    console.log("Raw Response Content:");
+    console.log(response);
+    console.log("=".repeat(80));
+
+    // Parse, then keep only values that match the schema
+    const { values, errors, missing } = this.responseSchema.validate(
+      this.parseAIResponse(response, structured),
+      schema
+    );
+    if (errors.length > 0) {
+      console.warn(`AIService: Batch ${label} dropped ${errors.length} invalid value(s):`, errors);
     }
+
+    console.log(
+      `AIService: Batch ${label} generated values for ${
+        Object.keys(values).length
+      } fields (${missing.length} without a value)`
+    );
+
+    // Log the AI response for debugging
+    this.logAIResponse(response, values);
+
+    return values;
+  }
+
+  /**
+   * Rewrite saved answers that only loosely match their question so they fit
+   * the question, company and job (one request for all of them)
+   * @param {Array} looseMatches - From answerBank.mapFields() ({ fieldId, question, answer })
+   * @param {Array} fields - The fields those matches are for
+   * @param {Object} companyInfo - { companyName, jobTitle, jobDescription }, or the
+   *   summary from jobPostingAnalyzer (its requirements are sent too)
+   * @returns {Object} Adapted answers {fieldId: text}
+   */
+  async adaptSavedAnswers(looseMatches, fields, companyInfo = {}) {
+    await this.initialize();
+
+    const schema = this.responseSchema.build(fields);
+    const questions = looseMatches.map(match => ({
+      id: match.fieldId,
+      question: fields.find(field => field.id === match.fieldId)?.label || "",
+      savedQuestion: match.question,
+      savedAnswer: match.answer,
+    }));
+
+    const messages = [
+      {
+        role: "system",
+        content: `Adapt a job applicant's saved answers to new application questions. Rules:
+1. Keep the applicant's facts, voice and length; never invent experience
+2. Answer the new question, which may differ from the saved one
+3. Mention the company or role only where it fits naturally
+4. Return ONLY valid JSON: {"id": "adapted answer"}, no markdown`,
+      },
+      {
+        role: "user",
+        content: `Company: ${companyInfo.companyName || "unknown"}
+Role: ${companyInfo.jobTitle || "unknown"}
+Job description: ${String(companyInfo.jobDescription || "").slice(0, 1500)}
+Key requirements: ${JSON.stringify(companyInfo.requirements || [])}
+
+Questions with the closest saved answers:
+${JSON.stringify(questions)}`,
+      },
+    ];
+
+    const { content, structured } = await this.sendAIRequest(messages, schema);
+    const { values, errors } = this.responseSchema.validate(
+      this.parseAIResponse(content, structured),
+      schema
+    );
+    if (errors.length > 0) {
+      console.warn(`AIService: Dropped ${errors.length} invalid adapted answer(s):`, errors);
+    }
+    console.log(`AIService: Adapted ${Object.keys(values).length} saved answer(s)`);
+    return values;
+  }
+
+  /**
+   * Run batches with at most `concurrency` requests in flight
+   * @param {Array} batches - Batches from formBatcher
+   * @param {number} concurrency - Parallel requests (1 = one after another)
+   * @param {Function} task - (batch, index) => Promise<values>
+   * @returns {Promise<Array>} One { values } or { error } per batch, in order;
+   *   batches skipped after a fatal error get that error
+   */
+  async runBatches(batches, concurrency, task) {
+    const results = new Array(batches.length);
+    let next = 0;
+    let fatalError = null;
+
+    const worker = async () => {
+      while (next < batches.length && !fatalError) {
+        const index = next++;
+        try {
+          results[index] = { values: await task(batches[index], index) };
+        } catch (error) {
+          console.error(`AIService: Batch ${index + 1}/${batches.length} failed:`, error);
+          results[index] = { error };
+          // The remaining batches would fail the same way
+          if (this.isFatalError(error)) fatalError = error;
+        }
+      }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, batches.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return Array.from(results, result => result || { error: fatalError });
+  }
+
+  /**
+   * Load standard answers from extension storage
+   * @param {string|null} profileId - Profile whose answers to use (active if null)
+   * @returns {Object} Standard answers data
+   */
+  async loadStandardAnswers(profileId = null) {
+    const storageManager = new StorageManager();
+    const standardAnswers = await storageManager.loadStandardAnswers(profileId);
+    console.log("AIService: Loaded standard answers:", standardAnswers);
+    return standardAnswers;
+  }
+
+  /**
+   * Add today's date to standard answers (computed per fill, never stored)
+   * @param {Object} standardAnswers - Standard answers data
+   * @returns {Object} Standard answers with currentDate
+   */
+  withCurrentDate(standardAnswers) {
+    return {
+      ...standardAnswers,
+      currentDate: window.CVDataStructure.getCurrentDateInfo(),
+    };
   }
 
   /**
    * Create optimized prompt for form analysis
-   * @param {Object} pageData - Page data
+   * @param {Array} compactFields - Fields from formBatcher.compactField()
    * @param {Object} cvData - CV data
    * @param {Object} standardAnswers - Standard answers for common questions
+   * @param {Object|null} jobContext - Posting summary from jobPostingAnalyzer
    * @returns {Array} Messages array for OpenAI API
    */
-  createFormAnalysisPrompt(pageData, cvData, standardAnswers) {
+  createFormAnalysisPrompt(compactFields, cvData, standardAnswers, jobContext = null) {
 
     const systemPrompt = `Fill job forms with CV data. Be creative and helpful - don't leave fields empty! Rules:
 1. Return ONLY valid JSON: {"field_id": "value"}
 2. Text fields: string values (be creative with reasonable defaults)
-3. Dropdowns: exact option from list (choose most relevant)
-4. Checkboxes/radio: true/false (choose logically appropriate values)
+3. Dropdowns and radio groups: exact option text from the list (choose most relevant); fields with "multiple": a list of every option text that applies
+4. Checkboxes: true/false (choose logically appropriate values)
 5. Numbers: numeric only (use reasonable defaults like years of experience)
 6. For unknown fields: Make intelligent guesses based on field names and common job application patterns
 7. Use your knowledge to fill gaps (e.g., LinkedIn URL format, GitHub username, cover letter content)
 8. Never use empty strings "" - always provide meaningful values
 9. No explanations, no markdown
-10. IMPORTANT: Respond immediately without thinking or reasoning`;
-
-    // Optimize field data to reduce token usage
-    const compactFields = pageData.fields.map(field => {
-      const compact = {
-        id: field.id,
-        type: field.type,
-        label: field.label || field.placeholder || "unknown"
-      };
-      if (field.required) compact.req = true;
-      if (field.options && field.options.length > 0) compact.opts = field.options.slice(0, 10); // Limit options
-      return compact;
-    });
+10. IMPORTANT: Respond immediately without thinking or reasoning
+11. Free-text answers (cover letter, motivation, experience questions): tailor them to the job posting - connect my real experience to its requirements, never claim experience I don't have
+12. Skill fields: prefer my skills that the job asks for (matchingSkills)`;
 
     // Enhanced CV data - provide more context for creative filling
     const compactCV = {
@@ -209,7 +325,8 @@ class AIService {
       linkedin: cvData.personal?.linkedin || "",
       workAuth: cvData.personal?.workAuthorization || "",
       summary: cvData.professional?.summary || "",
-      skills: cvData.professional?.skills?.slice(0, 10) || [], // Top 10 skills
+      // Top 10 skills, the ones the job asks for first
+      skills: this.prioritizeSkills(cvData.professional?.skills, jobContext).slice(0, 10),
       experience: cvData.professional?.experience?.slice(0, 3)?.map(exp => ({
         company: exp.company,
         position: exp.position,
@@ -230,8 +347,8 @@ ${JSON.stringify(compactCV)}
 
 Standard answers for common questions:
 ${JSON.stringify(standardAnswers)}
-
-Fill form with my CV data and standard answers. Be creative and comprehensive - fill ALL fields with meaningful values. Use the standard answers for demographics, work authorization, disability, veteran status, address, etc. Always use current date (2025) not old dates. Return only JSON.`;
+${this.formatJobContext(jobContext)}
+Fill form with my CV data and standard answers. Be creative and comprehensive - fill ALL fields with meaningful values. Use the standard answers for demographics, work authorization, disability, veteran status, address, etc. For any date fields use currentDate from the standard answers, never old dates. Return only JSON.`;
 
     return [
       { role: "system", content: systemPrompt },
@@ -240,42 +357,105 @@ Fill form with my CV data and standard answers. Be creative and comprehensive -
   }
 
   /**
-   * Send request to AI (OpenAI or Local LLM) with retry logic
+   * The job posting section of the form prompt
+   * The full description is only sent when no requirements could be picked
+   * out of it, to keep batched prompts small.
+   * @param {Object|null} jobContext - Posting summary from jobPostingAnalyzer
+   * @returns {string} Prompt section, or "" without a posting
+   */
+  formatJobContext(jobContext) {
+    if (!jobContext || jobContext.source === "none") return "";
+
+    const hasSections = jobContext.requirements.length + jobContext.responsibilities.length > 0;
+    const posting = {
+      company: jobContext.companyName,
+      title: jobContext.jobTitle,
+      location: jobContext.location,
+      requirements: jobContext.requirements,
+      responsibilities: jobContext.responsibilities,
+      niceToHave: jobContext.niceToHave,
+      matchingSkills: jobContext.matchingSkills,
+      description: jobContext.jobDescription.slice(0, hasSections ? 500 : 1500),
+    };
+    return `
+Job posting I'm applying to:
+${JSON.stringify(posting)}
+`;
+  }
+
+  /**
+   * CV skills with the ones the job asks for first
+   * @param {Array} skills - CV skills
+   * @param {Object|null} jobContext - Posting summary from jobPostingAnalyzer
+   * @returns {Array} Skills
+   */
+  prioritizeSkills(skills, jobContext) {
+    const matching = jobContext?.matchingSkills || [];
+    return [...new Set([...matching, ...(skills || [])])];
+  }
+
+  /**
+   * Send request to the configured AI provider with retry logic
    * @param {Array} messages - Messages for the AI
-   * @returns {Object} AI response
+   * @param {Object|null} schema - JSON schema for the response, if any
+   * @param {Function|null} onValue - Stream the response and call this with each
+   *   (key, value) pair as soon as it is complete; may repeat keys after a retry
+   * @returns {Object} { content, structured }; structured is true when the
+   *   provider enforced the schema (the content is then complete JSON). A
+   *   response still cut off at maxTokensLimit comes back unstructured, so
+   *   the values that were complete are parsed from it.
    */
-  async sendAIRequest(messages) {
+  async sendAIRequest(messages, schema = null, onValue = null) {
     let lastError;
+    let maxTokens = this.maxTokens;
 
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
         console.log(
-          `AIService: Sending request (attempt ${attempt}/${this.maxRetries}) to ${this.aiProvider.toUpperCase()}`
+          `AIService: Sending ${onValue ? "streaming " : ""}request (attempt ${attempt}/${
+            this.maxRetries
+          }) to ${this.aiProvider.toUpperCase()}`
         );
 
-        const response = this.aiProvider === "local"
-          ? await this.makeLocalAPICall(messages)
-          : await this.makeOpenAICall(messages); // Direct API call to avoid timeout issues
+        const message = {
+          action: "aiChat",
+          messages,
+          temperature: 0.1, // Low temperature for consistent responses
+          maxTokens,
+          json: true,
+          schema,
+        };
+
+        let response;
+        if (onValue) {
+          const parser = new StreamingJSONParser();
+          response = await this.streamMessage(message, delta =>
+            parser.push(delta).forEach(([key, value]) => onValue(key, value))
+          );
+        } else {
+          response = await this.sendMessage(message);
+        }
 
-        const content = this.aiProvider === "local"
-          ? response.message?.content
-          : response.choices?.[0]?.message?.content;
+        if (!this.isCutOff(response)) {
+          return { content: response.content, structured: !!response.structured };
+        }
 
-        if (content) {
-          return content;
-        } else {
-          throw new Error("No valid response from AI");
+        // The same request would be cut off the same way
+        if (maxTokens < this.maxTokensLimit && attempt < this.maxRetries) {
+          maxTokens = Math.min(maxTokens * 2, this.maxTokensLimit);
+          console.warn(`AIService: Response was cut off, asking again with maxTokens ${maxTokens}`);
+          continue;
         }
+        console.warn(
+          `AIService: Response was cut off (${response.content.length} characters), keeping the complete values`
+        );
+        return { content: response.content, structured: false };
       } catch (error) {
         lastError = error;
         console.warn(`AIService: Attempt ${attempt} failed:`, error.message);
 
         // Don't retry on certain errors
-        if (
-          error.message.includes("API key") ||
-          error.message.includes("quota") ||
-          error.message.includes("connection")
-        ) {
+        if (this.isFatalError(error)) {
           throw error;
         }
 
@@ -292,296 +472,122 @@ Fill form with my CV data and standard answers. Be creative and comprehensive -
   }
 
   /**
-   * Make API call via background script to avoid CORS
-   * @param {Array} messages - Messages for the API
-   * @returns {Object} Raw API response
+   * Whether a response stopped at the token limit; one the provider held to
+   * the schema that isn't complete JSON was cut off too
+   * @param {Object} response - { content, structured, truncated } from the background script
+   * @returns {boolean} True if cut off
    */
-  async makeOpenAICallViaBackground(messages) {
-    const requestBody = {
-      model: this.model,
-      messages: messages,
-      temperature: 0.1,
-      max_tokens: 4000,
-    };
-
-    // Configure based on provider
-    if (this.aiProvider === "deepseek") {
-      if (this.model.includes("r1")) {
-        requestBody.reasoning_effort = "low";
-      }
-    } else {
-      requestBody.response_format = { type: "json_object" };
+  isCutOff(response) {
+    if (response.truncated) return true;
+    if (!response.structured) return false;
+    try {
+      JSON.parse(response.content);
+      return false;
+    } catch (error) {
+      return true;
     }
-
-    console.log(`AIService: Making ${this.aiProvider.toUpperCase()} request via background script`);
-    console.log(`AIService: URL: ${this.baseURL}`);
-    console.log(`AIService: Model: ${this.model}`);
-    
-    // Log complete request body being sent to DeepSeek
-    console.log("=".repeat(80));
-    console.log("📤 COMPLETE REQUEST BODY TO DEEPSEEK:");
-    console.log("=".repeat(80));
-    console.log(JSON.stringify(requestBody, null, 2));
-    console.log("=".repeat(80));
-
-    return new Promise((resolve, reject) => {
-      console.log("AIService: Sending message to background...");
-      
-      // Add timeout for background script response
-      const timeout = setTimeout(() => {
-        reject(new Error("Background script timeout - no response after 30 seconds"));
-      }, 30000);
-
-      chrome.runtime.sendMessage(
-        {
-          action: "makeOpenAICall",
-          url: this.baseURL,
-          options: {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(requestBody),
-          },
-          apiKey: this.apiKey,
-        },
-        response => {
-          clearTimeout(timeout);
-          console.log("AIService: Got response from background:", response);
-          
-          if (chrome.runtime.lastError) {
-            console.error("AIService: Chrome runtime error:", chrome.runtime.lastError);
-            reject(new Error(chrome.runtime.lastError.message));
-            return;
-          }
-
-          if (response?.error) {
-            reject(new Error(response.error));
-            return;
-          }
-
-          if (response?.success) {
-            // Log the complete API response from DeepSeek
-            console.log("=".repeat(80));
-            console.log("📨 COMPLETE DEEPSEEK API RESPONSE:");
-            console.log("=".repeat(80));
-            console.log(JSON.stringify(response.data, null, 2));
-            console.log("=".repeat(80));
-            resolve(response.data);
-          } else {
-            reject(new Error("Unexpected response format"));
-          }
-        }
-      );
-    });
   }
 
   /**
-   * Make actual API call to OpenAI/DeepSeek directly (CORS issues)
-   * @param {Array} messages - Messages for the API
-   * @returns {Object} Raw API response
+   * Errors that retrying (or sending the next batch) won't fix
+   * @param {Error} error - Request error
+   * @returns {boolean} True for missing keys, locked vault, quota and connection errors
    */
-  async makeOpenAICall(messages) {
-    const requestBody = {
-      model: this.model,
-      messages: messages,
-      temperature: 0.1, // Low temperature for consistent responses
-      max_tokens: 4000, // Increased for longer forms
-    };
+  isFatalError(error) {
+    return ["API key", "locked", "quota", "connection"].some(text =>
+      error.message.includes(text)
+    );
+  }
 
-    // Configure based on provider
-    if (this.aiProvider === "deepseek") {
-      // DeepSeek-specific settings to disable thinking and speed up responses
-      if (this.model.includes("r1")) {
-        // For R1 models, we can try to disable thinking
-        requestBody.reasoning_effort = "low"; // Minimize thinking time
-      }
-      // Don't use response_format for DeepSeek
-    } else {
-      // OpenAI settings
-      requestBody.response_format = { type: "json_object" };
+  /**
+   * Send a message to the background script's AI provider layer
+   * @param {Object} message - Message with an ai* action
+   * @returns {Object} Response (without the success flag)
+   */
+  async sendMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response) {
+      throw new Error("No response from background script");
     }
-
-    console.log(`AIService: Making ${this.aiProvider.toUpperCase()} request to:`, this.baseURL);
-    console.log(`AIService: Using model:`, this.model);
-    console.log(`AIService: Request body size:`, JSON.stringify(requestBody).length, 'characters');
-
-    const options = {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(requestBody),
-    };
-
-    // Make direct API call (reverting to working approach)
-    console.log(`AIService: Making direct ${this.aiProvider.toUpperCase()} request to:`, this.baseURL);
-    console.log(`AIService: Using model:`, this.model);
-    console.log(`AIService: Request body size:`, JSON.stringify(requestBody).length, 'characters');
-
-    try {
-      const startTime = Date.now();
-      
-      // Add timeout to prevent freezing
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
-      
-      const response = await fetch(this.baseURL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.apiKey}`,
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-
-      const responseTime = Date.now() - startTime;
-      console.log(`AIService: Response received in ${responseTime}ms`);
-      console.log(`AIService: Response status: ${response.status}`);
-      console.log(`AIService: Response headers:`, Object.fromEntries(response.headers));
-
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => "Unknown error");
-        console.error(`AIService: API Error ${response.status}:`, errorText);
-        
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch {
-          errorData = { error: { message: errorText } };
-        }
-        
-        throw new Error(
-          `API Error ${response.status}: ${
-            errorData.error?.message || response.statusText
-          }`
-        );
-      }
-
-      console.log(`AIService: Parsing JSON response...`);
-      const jsonData = await response.json();
-      console.log(`AIService: ✅ SUCCESS! Got response from DeepSeek:`, jsonData);
-      console.log(`AIService: Response parsing completed, returning data...`);
-      return jsonData;
-    } catch (error) {
-      if (error.name === "AbortError") {
-        throw new Error(
-          "Request timeout - AI service took too long to respond"
-        );
-      }
-      throw error;
+    if (!response.success) {
+      throw new Error(response.error || "Unexpected response format");
     }
+    return response;
   }
 
   /**
-   * Make API call to local LLM (Ollama) via background script
-   * @param {Array} messages - Messages for the API
-   * @returns {Object} Raw API response
+   * Send an aiChat request over an "aiStream" port and receive the answer in pieces
+   * @param {Object} message - aiChat message
+   * @param {Function} onDelta - Called with each new piece of text
+   * @returns {Promise<Object>} Final { content, usage, provider, model }
    */
-  async makeLocalAPICall(messages) {
-    const requestBody = {
-      model: this.localModel,
-      messages: messages,
-      stream: false,
-      options: {
-        temperature: 0.1,
-        num_predict: 2000,
-      },
-    };
-
-    const options = {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(requestBody),
-    };
-
-    // Use background script to make the API call (to avoid CORS)
+  streamMessage(message, onDelta) {
     return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage(
-        {
-          action: "makeLocalAPICall",
-          url: this.localURL,
-          options: options,
-        },
-        response => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-            return;
-          }
-
-          if (response.error) {
-            reject(new Error(response.error));
-            return;
-          }
+      const port = chrome.runtime.connect({ name: "aiStream" });
+      let settled = false;
+
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        port.disconnect();
+        callback(value);
+      };
 
-          if (response.success) {
-            resolve(response.data);
-          } else {
-            reject(new Error("Unexpected response format"));
+      port.onMessage.addListener(response => {
+        if (response.type === "delta") {
+          try {
+            onDelta(response.content);
+          } catch (error) {
+            console.warn("AIService: Stream handler failed:", error);
           }
+        } else if (response.type === "done") {
+          finish(resolve, response);
+        } else {
+          finish(reject, new Error(response.error || "Unexpected response format"));
         }
+      });
+      // The service worker was stopped or the extension reloaded mid-stream
+      port.onDisconnect.addListener(() =>
+        finish(reject, new Error("AI stream closed by background script"))
       );
+
+      port.postMessage(message);
     });
   }
 
   /**
-   * Test connection to local LLM via background script
+   * Test connection to a local LLM server via background script
+   * @param {Object} status - Provider status from the background script
    * @returns {boolean} Connection successful
    */
-  async testLocalConnection() {
-    // Use background script to test connection (to avoid CORS)
-    return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage(
-        {
-          action: "testLocalConnection",
-          url: this.localURL,
-        },
-        response => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-            return;
-          }
-
-          if (response.error) {
-            reject(new Error(`Local LLM connection failed: ${response.error}`));
-            return;
-          }
-
-          if (response.success) {
-            const models = response.data.models || [];
-            const modelExists = models.some(m => m.name === this.localModel);
-
-            if (!modelExists) {
-              const availableModels = models.map(m => m.name).join(", ");
-              reject(
-                new Error(
-                  `Model '${this.localModel}' not found. Available models: ${availableModels}`
-                )
-              );
-              return;
-            }
-
-            console.log(
-              `✅ Local LLM connection successful. Model '${this.localModel}' is available.`
-            );
-            resolve(true);
-          } else {
-            reject(new Error("Unexpected response format"));
-          }
-        }
-      );
-    });
+  async testLocalConnection(status) {
+    try {
+      await this.sendMessage({ action: "aiTestConnection" });
+    } catch (error) {
+      throw new Error(`${status.label} connection failed: ${error.message}`);
+    }
+    console.log(
+      `✅ ${status.label} connection successful. Model '${this.model}' is available.`
+    );
+    return true;
   }
 
   /**
    * Parse and validate AI response
+   * Responses the provider held to the schema are parsed as they are; the
+   * repairs for cut-off or loosely formatted JSON are only for providers
+   * without structured output.
    * @param {string} aiResponse - Raw AI response
+   * @param {boolean} structured - Whether the provider enforced the schema
    * @returns {Object} Parsed field values
    */
-  parseAIResponse(aiResponse) {
+  parseAIResponse(aiResponse, structured = false) {
+    if (structured) {
+      const values = this.keepScalarValues(JSON.parse(aiResponse));
+      console.log(`AIService: Parsed ${Object.keys(values).length} fields from structured response`);
+      return values;
+    }
+
     try {
       // Clean response (remove any markdown formatting)
       let cleanResponse = aiResponse.trim();
@@ -615,24 +621,7 @@ Fill form with my CV data and standard answers. Be creative and comprehensive -
       // Parse JSON
       const parsed = JSON.parse(cleanResponse);
 
-      // Validate response
-      if (typeof parsed !== "object" || parsed === null) {
-        throw new Error("Response is not a valid object");
-      }
-
-      // Filter out any non-string/non-boolean/non-number values
-      const validated = {};
-      for (const [key, value] of Object.entries(parsed)) {
-        if (
-          typeof value === "string" ||
-          typeof value === "boolean" ||
-          typeof value === "number"
-        ) {
-          validated[key] = value;
-        } else if (value === null || value === undefined) {
-          validated[key] = "";
-        }
-      }
+      const validated = this.keepScalarValues(parsed);
 
       console.log(`AIService: Successfully parsed ${Object.keys(validated).length} fields from response`);
       return validated;
@@ -658,6 +647,34 @@ Fill form with my CV data and standard answers. Be creative and comprehensive -
     }
   }
 
+  /**
+   * Filter out any non-string/non-boolean/non-number values (lists of
+   * strings are kept for multi-selects)
+   * @param {Object} parsed - Parsed response
+   * @returns {Object} Field values (null becomes "")
+   */
+  keepScalarValues(parsed) {
+    if (typeof parsed !== "object" || parsed === null || Array.isArray(parsed)) {
+      throw new Error("Response is not a valid object");
+    }
+
+    const validated = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      if (
+        typeof value === "string" ||
+        typeof value === "boolean" ||
+        typeof value === "number"
+      ) {
+        validated[key] = value;
+      } else if (value === null || value === undefined) {
+        validated[key] = "";
+      } else if (Array.isArray(value) && value.every(item => typeof item === "string")) {
+        validated[key] = value;
+      }
+    }
+    return validated;
+  }
+
   /**
    * Parse partial/truncated JSON by extracting field-value pairs
    * @param {string} response - Raw response that may contain partial JSON
@@ -747,37 +764,13 @@ ${logEntry.rawResponse}
     }
   }
 
-  /**
-   * Validate API key format
-   * @param {string} apiKey - API key to validate
-   * @returns {boolean} True if valid format
-   */
-  validateApiKey(apiKey) {
-    return (
-      typeof apiKey === "string" &&
-      apiKey.startsWith("sk-") &&
-      apiKey.length > 20
-    );
-  }
-
   /**
    * Test API connection
    * @returns {boolean} True if connection successful
    */
   async testConnection() {
     try {
-      if (!this.apiKey) {
-        await this.initialize();
-      }
-
-      const testMessages = [
-        {
-          role: "user",
-          content: 'Test connection. Respond with: {"status": "ok"}',
-        },
-      ];
-
-      await this.makeAPICall(testMessages);
+      await this.sendMessage({ action: "aiTestConnection" });
       return true;
     } catch (error) {
       console.error("AIService: Connection test failed:", error);
@@ -785,20 +778,6 @@ ${logEntry.rawResponse}
     }
   }
 
-  /**
-   * Update API key
-   * @param {string} newApiKey - New API key
-   */
-  async updateApiKey(newApiKey) {
-    if (!this.validateApiKey(newApiKey)) {
-      throw new Error("Invalid API key format");
-    }
-
-    this.apiKey = newApiKey;
-    await chrome.storage.local.set({ openaiApiKey: newApiKey });
-    console.log("AIService: API key updated successfully");
-  }
-
   /**
    * Sleep utility for retry delays
    * @param {number} ms - Milliseconds to sleep
@@ -813,10 +792,10 @@ ${logEntry.rawResponse}
    */
   getConfig() {
     return {
+      provider: this.aiProvider,
       model: this.model,
-      hasApiKey: !!this.apiKey,
+      hasApiKey: this.hasApiKey,
       maxRetries: this.maxRetries,
-      timeout: this.timeout,
     };
   }
 
@@ -830,8 +809,12 @@ ${logEntry.rawResponse}
     console.log("Configuration:", this.getConfig());
 
     try {
-      const prompt = this.createFormAnalysisPrompt(pageData, cvData);
-      console.log("Generated prompt:", prompt);
+      const standardAnswers = this.withCurrentDate(await this.loadStandardAnswers());
+      const hints = this.formBatcher.collectHints(cvData, standardAnswers);
+      this.formBatcher.createBatches(pageData.fields, hints).forEach(batch => {
+        const prompt = this.createFormAnalysisPrompt(batch.compactFields, cvData, standardAnswers);
+        console.log("Generated prompt:", prompt);
+      });
 
       const result = await this.analyzeFormAndGenerateValues(pageData, cvData);
       console.log("AI Response:", result);
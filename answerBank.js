@@ -0,0 +1,235 @@
+// answerBank.js - Match free-text screening questions to saved answers (TF-IDF, no network)
+
+// Words that say how to answer, not what the question is about
+const ANSWER_BANK_STOP_WORDS = new Set([
+  "a", "about", "an", "and", "any", "anything", "are", "as", "at", "be", "biggest",
+  "briefly", "by", "can", "could", "describe", "did", "do", "does", "else", "explain",
+  "for", "from", "give", "greatest", "have", "here", "how", "i", "if", "in", "is", "it",
+  "know", "like", "me", "most", "my", "of", "on", "or", "our", "please", "provide",
+  "share", "should", "tell", "that", "the", "this", "to", "us", "we", "what", "when",
+  "where", "which", "who", "will", "with", "would", "you", "your",
+]);
+
+// Different ways of asking the same thing, folded onto one word (after stemming)
+const ANSWER_BANK_SYNONYMS = [
+  ["interest", "want", "excit", "motivat", "motivation", "passion", "passionat", "attract", "appeal", "join"],
+  ["salary", "salari", "compensation", "compensat", "pay", "wage", "rate"],
+  ["start", "availability", "availabl", "notic", "begin", "earliest"],
+  ["sourc", "hear", "heard", "find", "found", "learn", "refer", "referr", "referral"],
+  ["expect", "expectation"],
+  ["challeng", "difficult", "hard", "obstacl", "problem", "struggl"],
+  ["relocat", "relocation", "mov"],
+  ["remot", "hybrid", "onsit", "offic"],
+  ["strength", "strong", "best"],
+  ["weaknes", "weak", "improv"],
+];
+
+class AnswerBank {
+  constructor() {
+    // A label this close to a saved question is filled with its answer as is;
+    // looser matches are only offered for adaptation to the job
+    this.STRONG_MATCH = 0.6;
+    this.LOOSE_MATCH = 0.3;
+    // Context around a field is noisier than its label
+    this.CONTEXT_WEIGHT = 0.8;
+
+    this.synonyms = new Map();
+    ANSWER_BANK_SYNONYMS.forEach(([canonical, ...words]) =>
+      words.forEach(word => this.synonyms.set(word, canonical))
+    );
+  }
+
+  /**
+   * Saved question/answer pairs: the CV's questions and the standard
+   * answers' commonAnswers (keys like "whyInterested" read as questions)
+   * @param {Object} cvData - CV data
+   * @param {Object} standardAnswers - Standard answers
+   * @returns {Array} [{ question, answer, source }]
+   */
+  buildEntries(cvData, standardAnswers) {
+    const entries = [];
+    const add = (questions, source) =>
+      Object.entries(questions || {}).forEach(([question, answer]) => {
+        if (typeof answer === "string" && answer.trim()) {
+          entries.push({ question, answer: answer.trim(), source });
+        }
+      });
+
+    add(cvData?.professional?.questions, "cv");
+    add(standardAnswers?.commonAnswers, "standardAnswers");
+    return entries;
+  }
+
+  /**
+   * Find saved answers for the free-text questions among the fields
+   * @param {Array} fields - Fields from pageAnalyzer
+   * @param {Object} cvData - CV data
+   * @param {Object} standardAnswers - Standard answers
+   * @param {Object} companyInfo - { companyName, jobTitle } for answer placeholders
+   * @returns {Object} { values: {fieldId: answer}, methods: {fieldId: "answer_bank"},
+   *   matches: [{ fieldId, question, answer, score }], looseMatches (not in values),
+   *   remainingFields (every field without a strong match) }
+   */
+  mapFields(fields, cvData, standardAnswers = {}, companyInfo = {}) {
+    const entries = this.buildEntries(cvData, standardAnswers);
+    const values = {};
+    const methods = {};
+    const matches = [];
+    const looseMatches = [];
+
+    if (entries.length > 0) {
+      const index = this.buildIndex(entries);
+
+      fields.filter(field => this.isQuestionField(field)).forEach(field => {
+        if (field.id in values) return;
+
+        const match = this.findAnswer(field, index);
+        if (!match) return;
+
+        const result = {
+          fieldId: field.id,
+          question: match.entry.question,
+          answer: this.fillPlaceholders(match.entry.answer, companyInfo),
+          score: Number(match.score.toFixed(2)),
+        };
+        if (match.score >= this.STRONG_MATCH) {
+          values[field.id] = result.answer;
+          methods[field.id] = "answer_bank";
+          matches.push(result);
+        } else {
+          looseMatches.push(result);
+        }
+      });
+    }
+
+    const remainingFields = fields.filter(field => !(field.id in values));
+    console.log(
+      `AnswerBank: ${matches.length} saved answer(s) matched, ${looseMatches.length} loose`,
+      [...matches, ...looseMatches].map(
+        match => `${match.fieldId} → "${match.question}" (${match.score})`
+      )
+    );
+    return { values, methods, matches, looseMatches, remainingFields };
+  }
+
+  /**
+   * Free-text fields that ask a question (textareas, or text inputs whose
+   * label reads like a question)
+   */
+  isQuestionField(field) {
+    if (field.type === "textarea" || field.type === "textbox") return true;
+    if (field.type !== "text") return false;
+    const label = String(field.label || "");
+    return label.includes("?") || label.split(/\s+/).length >= 6;
+  }
+
+  /**
+   * Best saved answer for a field by its label, or - for generic labels like
+   * "Your answer" that match nothing - by the label with the text around it
+   * @param {Object} field - Field data
+   * @param {Object} index - From buildIndex()
+   * @returns {Object|null} { entry, score } above the loose threshold
+   */
+  findAnswer(field, index) {
+    const labelTerms = this.terms([field.label, field.placeholder].filter(Boolean).join(" "));
+    const labelVector = this.vectorize(labelTerms, index.idf, 2);
+    const byLabel = this.bestMatch(labelVector, index, 1);
+    if (byLabel) return byLabel;
+
+    const context = field.context || {};
+    const contextTerms = this.terms([context.parentText, context.siblingText].join(" "));
+    const fullVector = this.vectorize(contextTerms, index.idf, 1, labelVector);
+    return this.bestMatch(fullVector, index, this.CONTEXT_WEIGHT);
+  }
+
+  // Most similar saved question, scaled by weight, if above the loose threshold
+  bestMatch(vector, index, weight) {
+    let best = null;
+    index.documents.forEach(doc => {
+      const score = this.cosine(vector, doc.vector) * weight;
+      if (score >= this.LOOSE_MATCH && (!best || score > best.score)) {
+        best = { entry: doc.entry, score };
+      }
+    });
+    return best;
+  }
+
+  /**
+   * TF-IDF vectors for the saved questions
+   * @param {Array} entries - From buildEntries()
+   * @returns {Object} { idf: term -> weight (with a default for unseen terms), documents }
+   */
+  buildIndex(entries) {
+    // Placeholders in a saved question ("work at {{companyName}}") match nothing
+    const termLists = entries.map(entry =>
+      this.terms(entry.question.replace(/\{\{[^}]*\}\}/g, " "))
+    );
+    const documentFrequency = new Map();
+    termLists.forEach(terms =>
+      new Set(terms).forEach(term =>
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+      )
+    );
+
+    const count = entries.length;
+    const idf = term => Math.log((count + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+    return {
+      idf,
+      documents: entries.map((entry, i) => ({
+        entry,
+        vector: this.vectorize(termLists[i], idf),
+      })),
+    };
+  }
+
+  /**
+   * Weighted term vector
+   * @param {Array} terms - Terms from terms()
+   * @param {Function} idf - Term -> inverse document frequency
+   * @param {number} weight - Multiplier for these terms
+   * @param {Map} base - Vector to add to (copied)
+   * @returns {Map} term -> weight
+   */
+  vectorize(terms, idf, weight = 1, base = new Map()) {
+    const vector = new Map(base);
+    terms.forEach(term => vector.set(term, (vector.get(term) || 0) + weight * idf(term)));
+    return vector;
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    a.forEach((weight, term) => {
+      if (b.has(term)) dot += weight * b.get(term);
+    });
+    const norm = vector => Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator > 0 ? dot / denominator : 0;
+  }
+
+  /**
+   * Text -> stemmed terms without stop words, synonyms folded together
+   * "Why do you want to work here?" -> ["why", "interest", "work"]
+   */
+  terms(text) {
+    return String(text || "")
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !ANSWER_BANK_STOP_WORDS.has(word))
+      .map(word => this.stem(word))
+      .map(word => this.synonyms.get(word) || word);
+  }
+
+  // Strip common suffixes so "projects"/"project" and "excited"/"exciting" meet
+  stem(word) {
+    const stemmed = word.replace(/(ingly|edly|ing|ed|ly|es|s|e)$/, "");
+    return stemmed.length >= 3 ? stemmed : word;
+  }
+
+  // Saved answers may say {{companyName}} and {{jobTitle}}
+  fillPlaceholders(answer, companyInfo) {
+    return answer
+      .replace(/\{\{\s*companyName\s*\}\}/g, companyInfo.companyName || "your company")
+      .replace(/\{\{\s*jobTitle\s*\}\}/g, companyInfo.jobTitle || "this role");
+  }
+}
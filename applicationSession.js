@@ -0,0 +1,165 @@
+// applicationSession.js - Carry one application across the pages of a multi-page ATS wizard
+
+class ApplicationSession {
+  /**
+   * @param {PageAnalyzer} pageAnalyzer - Finds the page's form controls
+   */
+  constructor(pageAnalyzer) {
+    this.pageAnalyzer = pageAnalyzer;
+    // The session lives in the background script's session storage; every
+    // step's page reloads this script, so it is fetched again per page.
+    // It is started by the first fill of an application.
+    this.session = null;
+    this.step = null;
+    this.page = null; // This page as of the last visit
+    // Progress bars: Workday's, then lists marking the current step
+    this.WORKDAY_PROGRESS = '[data-automation-id="progressBar"]';
+    this.WORKDAY_ACTIVE_STEP = '[data-automation-id="progressBarActiveStep"]';
+    this.STEP_TEXT = /\bstep\s+(\d+)\s*(?:of|\/)\s*(\d+)\b/i;
+    this.STEP_TEXT_SELECTORS =
+      'h1, h2, h3, h4, legend, [class*="step" i], [class*="progress" i], [id*="progress" i]';
+  }
+
+  /**
+   * The session as of the last visit or update
+   * @returns {Object|null} Session (see getDefaultApplicationSession), or null
+   */
+  get() {
+    return this.session;
+  }
+
+  /**
+   * Join the tab's session with this page if it is a page of the same
+   * application (another application's page ends the session)
+   * @returns {Promise<Object|null>} Session; null without one, or if the
+   *   background script can't be reached (the fill then works page by page)
+   */
+  async visit() {
+    this.page = this.describePage();
+    return this.send({ action: "sessionVisit", page: this.page });
+  }
+
+  /**
+   * Add a fill of this page to the session, starting one if the page isn't
+   * part of the tab's session
+   * @param {Object} fillResult - Summary from smartFiller.fillForm()
+   * @param {Object} used - profileId and jobContext the fill used
+   * @returns {Promise<Object|null>} Session
+   */
+  async recordFill(fillResult, used) {
+    return this.send({
+      action: "sessionUpdate",
+      updates: {
+        // Follow-up fills belong to the step of the fill they follow
+        page: this.page || this.describePage(),
+        filled: fillResult.filled,
+        answers: fillResult.filledFields.map(field => ({
+          id: field.id,
+          label: field.label,
+          value: field.value,
+        })),
+        profileId: used.profileId,
+        // A page without a posting doesn't replace the one found earlier
+        jobContext: used.jobContext?.source !== "none" ? used.jobContext : undefined,
+      },
+    });
+  }
+
+  /**
+   * Whether this page's step was filled before in this application and still
+   * holds answers (the user came back to it); a reloaded form is empty again
+   */
+  isStepFilled() {
+    return this.step?.filled > 0 && this.hasAnswers();
+  }
+
+  // Typed answers only: checkboxes and radio buttons may be checked by default
+  hasAnswers() {
+    return this.getVisibleFields().some(
+      element =>
+        element.matches("input, textarea") &&
+        !["checkbox", "radio"].includes(element.type) &&
+        String(this.pageAnalyzer.getCurrentValue(element)).trim() !== ""
+    );
+  }
+
+  describePage() {
+    return {
+      url: window.location.href,
+      title: document.title,
+      form: this.getFormSignature(),
+      ...this.detectStep(),
+    };
+  }
+
+  /**
+   * Short hash of the page's visible form controls, telling the steps of a
+   * wizard that keeps its URL apart
+   * @returns {string} Signature
+   */
+  getFormSignature() {
+    const names = this.getVisibleFields().map(
+      element => `${element.localName}:${element.name || element.id || element.type || ""}`
+    );
+    const text = [...new Set(names)].sort().join(",");
+
+    // FNV-1a, as in fieldMemory.js
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  getVisibleFields() {
+    return this.pageAnalyzer
+      .findFieldElements()
+      .map(({ element }) => element)
+      .filter(element => this.pageAnalyzer.isVisible(element));
+  }
+
+  /**
+   * Which step of how many this page is, if it says
+   * @returns {Object} { current, total }, 0 for what the page doesn't show
+   */
+  detectStep() {
+    const workday = document.querySelector(this.WORKDAY_PROGRESS);
+    if (workday) {
+      const steps = Array.from(workday.querySelectorAll("li"));
+      const active = steps.findIndex(step => step.matches(this.WORKDAY_ACTIVE_STEP));
+      if (active >= 0) return { current: active + 1, total: steps.length };
+    }
+
+    const current = document.querySelector('li[aria-current="step"]');
+    if (current) {
+      const steps = Array.from(current.parentElement.children).filter(
+        element => element.localName === "li"
+      );
+      return { current: steps.indexOf(current) + 1, total: steps.length };
+    }
+
+    for (const element of document.querySelectorAll(this.STEP_TEXT_SELECTORS)) {
+      const match = element.textContent.match(this.STEP_TEXT);
+      if (match && Number(match[1]) <= Number(match[2])) {
+        return { current: Number(match[1]), total: Number(match[2]) };
+      }
+    }
+    return { current: 0, total: 0 };
+  }
+
+  async send(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response?.success) {
+        throw new Error(response?.error || "No response from background script");
+      }
+      this.session = response.session;
+      this.step = response.step;
+      return this.session;
+    } catch (error) {
+      console.warn("ApplicationSession: Could not reach the session:", error.message);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,148 @@
+// autocompleteMapper.js - Resolve HTML autocomplete tokens to CV and standard answer values
+
+// Autofill field names (the last token of the attribute) and the values that
+// fill them, best first. Resolvers get { cv, answers, name } like the rules in
+// ruleMapper.js; field names not listed here (cc-*, username, one-time-code,
+// new-password...) are never filled.
+const AUTOCOMPLETE_FIELDS = {
+  name: ({ cv }) => [cv.personal?.name],
+  "given-name": ({ name }) => [name.first],
+  "additional-name": ({ answers }) => [answers.personal?.middleName],
+  "family-name": ({ name }) => [name.last],
+  email: ({ cv }) => [cv.personal?.email],
+  tel: ({ cv }) => [cv.personal?.phone],
+  "tel-national": ({ cv }) => [nationalNumber(cv.personal?.phone)],
+  "tel-country-code": ({ cv }) => [countryCode(cv.personal?.phone)],
+  "street-address": ({ answers }) => [answers.personal?.address?.street],
+  "address-line1": ({ answers }) => [answers.personal?.address?.street],
+  "address-level2": ({ answers }) => [answers.personal?.address?.city],
+  "address-level1": ({ answers }) => {
+    const state = answers.personal?.address?.state;
+    return [state, US_STATE_NAMES[String(state || "").toUpperCase()]];
+  },
+  "postal-code": ({ answers }) => [answers.personal?.address?.zipCode],
+  country: ({ answers }) => [answers.personal?.address?.country],
+  "country-name": ({ answers }) => [answers.personal?.address?.country],
+  organization: ({ cv }) => [cv.professional?.experience?.[0]?.company],
+  "organization-title": ({ cv }) => [
+    cv.professional?.title,
+    cv.professional?.experience?.[0]?.title,
+  ],
+  // The only URL in the CV
+  url: ({ cv }) => [cv.personal?.linkedin],
+  sex: ({ answers }) => [answers.personal?.gender],
+  bday: ({ answers }) => {
+    const date = birthDate(answers);
+    return date ? [`${date.year}-${date.month}-${date.day}`] : [];
+  },
+  "bday-day": ({ answers }) => {
+    const date = birthDate(answers);
+    return date ? [date.day, String(Number(date.day))] : [];
+  },
+  "bday-month": ({ answers }) => {
+    const date = birthDate(answers);
+    return date ? [date.month, String(Number(date.month)), date.monthName] : [];
+  },
+  "bday-year": ({ answers }) => {
+    const date = birthDate(answers);
+    return date ? [date.year] : [];
+  },
+};
+
+// Tokens that may come before the field name, in this order
+const AUTOCOMPLETE_ADDRESS_TYPES = ["shipping", "billing"];
+const AUTOCOMPLETE_CONTACT_TYPES = ["home", "work", "mobile", "fax", "pager"];
+const AUTOCOMPLETE_CONTACT_FIELDS = ["tel", "tel-national", "tel-country-code", "email"];
+
+// "+1 (919) 555-0100" -> "(919) 555-0100"
+function nationalNumber(phone) {
+  return String(phone || "").replace(/^\s*\+\d{1,3}[\s.-]*/, "");
+}
+
+// "+44 20 7946 0958" -> "+44"; numbers written without one have no country code
+function countryCode(phone) {
+  const match = String(phone || "").match(/^\s*(\+\d{1,3})[\s.-]/);
+  return match ? match[1] : null;
+}
+
+// standardAnswers.personal.dateOfBirth ("YYYY-MM-DD") split into parts
+function birthDate(answers) {
+  const match = String(answers.personal?.dateOfBirth || "").match(
+    /^(\d{4})-(\d{2})-(\d{2})$/
+  );
+  if (!match) return null;
+  const [, year, month, day] = match;
+  const monthName = new Date(Date.UTC(2000, Number(month) - 1, 1)).toLocaleString(
+    "en-US",
+    { month: "long", timeZone: "UTC" }
+  );
+  return { year, month, day, monthName };
+}
+
+class AutocompleteMapper {
+  constructor(fields = AUTOCOMPLETE_FIELDS) {
+    this.fields = fields;
+  }
+
+  /**
+   * Parse an autocomplete attribute into its WHATWG parts:
+   * [section-*] [shipping|billing] [home|work|mobile|fax|pager] field-name [webauthn]
+   * @param {string} attribute - Attribute value, e.g. "section-work shipping address-line1"
+   * @returns {Object|null} { section, addressType, contactType, fieldName }, or null
+   *   for "on"/"off", unknown field names and malformed values
+   */
+  parse(attribute) {
+    const tokens = String(attribute || "")
+      .toLowerCase()
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+    if (tokens[tokens.length - 1] === "webauthn") tokens.pop();
+
+    const fieldName = tokens.pop();
+    if (!fieldName || !this.fields[fieldName]) return null;
+
+    let contactType = null;
+    if (
+      AUTOCOMPLETE_CONTACT_TYPES.includes(tokens[tokens.length - 1]) &&
+      AUTOCOMPLETE_CONTACT_FIELDS.includes(fieldName)
+    ) {
+      contactType = tokens.pop();
+    }
+
+    let addressType = null;
+    if (AUTOCOMPLETE_ADDRESS_TYPES.includes(tokens[tokens.length - 1])) {
+      addressType = tokens.pop();
+    }
+
+    let section = null;
+    if (tokens[tokens.length - 1]?.startsWith("section-")) {
+      section = tokens.pop().slice("section-".length);
+    }
+
+    // Anything left over makes the attribute invalid, and browsers ignore it
+    if (tokens.length > 0) return null;
+
+    return { section, addressType, contactType, fieldName };
+  }
+
+  /**
+   * Candidate values for a field from its autocomplete attribute
+   * Shipping, billing and named sections all get the one address the user
+   * has; fax and pager numbers are never the user's phone.
+   * @param {Object} field - Field data from pageAnalyzer
+   * @param {Object} data - { cv, answers, name }
+   * @returns {Object|null} { token, fieldName, candidates } or null if the field has no usable token
+   */
+  resolve(field, data) {
+    const token = this.parse(field.attributes?.autocomplete);
+    if (!token) return null;
+    if (token.contactType === "fax" || token.contactType === "pager") return null;
+
+    return {
+      token,
+      fieldName: token.fieldName,
+      candidates: this.fields[token.fieldName](data),
+    };
+  }
+}
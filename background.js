@@ -1,8 +1,32 @@
 // Background Script - One-time CV parsing and initialization
+importScripts(
+  "dataStructure.js",
+  "storage.js",
+  "cryptoUtils.js",
+  "keyVault.js",
+  "aiProviders.js",
+  "aiGateway.js"
+);
+
+// Decrypted API keys never leave the service worker; keep session storage
+// out of reach of content scripts
+const keyVault = new KeyVault();
+// Every AI request (form analysis, cover letters, popup tests) goes through here
+const aiGateway = new AIGateway(new StorageManager(), keyVault, new AIProviderRegistry());
+chrome.storage.session.setAccessLevel({ accessLevel: "TRUSTED_CONTEXTS" });
+// Multi-page application sessions (storage.js), one per tab
+const applicationSessions = new StorageManager();
+chrome.tabs.onRemoved.addListener(tabId => applicationSessions.deleteApplicationSession(tabId));
+
 chrome.runtime.onInstalled.addListener(async details => {
   if (details.reason === "install") {
     console.log("Extension installed - initializing CV data");
     await initializeCVData();
+  } else if (details.reason === "update") {
+    console.log(
+      `Extension updated from ${details.previousVersion} - migrating stored data`
+    );
+    await new StorageManager().runMigrations();
   }
 });
 
@@ -20,29 +44,14 @@ async function initializeCVData() {
 
     // Parse actual CV data
     const cvData = await parseCVFromHTML();
-
-    const defaultSettings = {
-      openaiApiKey: "",
-      autoFillEnabled: true,
-      coverLetterEnabled: false,
-      aiProvider: "deepseek",
-      deepseekApiKey: "",
-      deepseekModel: "deepseek-chat",
-      deepseekURL: "https://api.deepseek.com/v1/chat/completions",
-      useLocalLLM: false,
-      localURL: "http://localhost:11434/api/chat",
-      localModel: "deepseek-r1:latest",
-    };
-
-    const defaultTemplates = {
-      coverLetterTemplates: [],
-    };
+    const storage = new StorageManager();
 
     // Save parsed CV data to storage
     await chrome.storage.local.set({
-      jobHelperCVData: cvData,
-      jobHelperSettings: defaultSettings,
-      jobHelperTemplates: defaultTemplates,
+      jobHelperCVData: storage.migrateCVData(cvData),
+      jobHelperSettings: CVDataStructure.getDefaultSettings(),
+      jobHelperTemplates: CVDataStructure.getDefaultTemplates(),
+      jobHelperSchemaVersion: storage.SCHEMA_VERSION,
       jobHelperInitialized: true,
     });
 
@@ -51,27 +60,11 @@ async function initializeCVData() {
     console.error("Error initializing CV data:", error);
 
     // Fallback to defaults if parsing fails
-    const defaultCVData = {
-      personal: { name: "", email: "", phone: "", linkedin: "", location: "" },
-      professional: {
-        title: "",
-        summary: "",
-        skills: [],
-        skillsCategories: {},
-        experience: [],
-        education: [],
-        projects: [],
-      },
-    };
-
     await chrome.storage.local.set({
-      jobHelperCVData: defaultCVData,
-      jobHelperSettings: {
-        openaiApiKey: "",
-        autoFillEnabled: true,
-        coverLetterEnabled: false,
-      },
-      jobHelperTemplates: { coverLetterTemplates: [] },
+      jobHelperCVData: CVDataStructure.getDefaultCVData(),
+      jobHelperSettings: CVDataStructure.getDefaultSettings(),
+      jobHelperTemplates: CVDataStructure.getDefaultTemplates(),
+      jobHelperSchemaVersion: new StorageManager().SCHEMA_VERSION,
       jobHelperInitialized: true,
     });
   }
@@ -155,6 +148,28 @@ chrome.runtime.onInstalled.addListener(() => {
   console.log("Background: Service worker installed/updated");
 });
 
+// Keyboard shortcuts
+chrome.commands.onCommand.addListener(async command => {
+  if (command === "revert-last-fill") {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    if (!tab) return;
+
+    chrome.tabs.sendMessage(tab.id, { action: "revertLastFill" }, response => {
+      if (chrome.runtime.lastError) {
+        console.warn(
+          "Background: Could not revert fill:",
+          chrome.runtime.lastError.message
+        );
+        return;
+      }
+      console.log("Background: Revert result:", response);
+    });
+  }
+});
+
 // Handle messages from popup or content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log("🔥 Background: RECEIVED MESSAGE!");
@@ -178,166 +193,215 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep message channel open for async response
   }
 
-  if (request.action === "makeLocalAPICall") {
-    makeLocalAPICall(request.url, request.options)
-      .then(sendResponse)
-      .catch(error => sendResponse({ error: error.message }));
+  // Vault actions are only accepted from extension pages (popup/options)
+  if (request.action?.startsWith("vault")) {
+    if (request.action !== "vaultStatus" && sender.tab) {
+      sendResponse({ success: false, error: "Not allowed from web pages" });
+      return;
+    }
+    handleVaultAction(request)
+      .then(status => sendResponse({ success: true, ...status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+
+  // AI requests from content scripts and the popup; unsaved provider config
+  // (overrides) is only accepted from extension pages
+  if (request.action?.startsWith("ai")) {
+    const overrides = sender.tab ? {} : request.overrides || {};
+    handleAIAction(request, overrides)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error(`Background: ${request.action} failed:`, error.message);
+        sendResponse({ success: false, error: error.message });
+      });
     return true; // Keep message channel open for async response
   }
 
-  if (request.action === "testLocalConnection") {
-    testLocalConnection(request.url)
-      .then(sendResponse)
-      .catch(error => sendResponse({ error: error.message }));
+  // One fill across a tab's cross-origin frames; only content scripts ask
+  if (request.action?.startsWith("frames")) {
+    if (!sender.tab) {
+      sendResponse({ success: false, error: "Only available to web pages" });
+      return;
+    }
+    handleFrameAction(request, sender)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error(`Background: ${request.action} failed:`, error.message);
+        sendResponse({ success: false, error: error.message });
+      });
     return true; // Keep message channel open for async response
   }
 
-  // Handle DeepSeek and OpenAI API calls
-  if (request.action === "makeOpenAICall") {
-    console.log("Background: Received makeOpenAICall request");
-    console.log("Background: URL:", request.url);
-    console.log("Background: API Key length:", request.apiKey?.length || 0);
-    
-    // Simplified approach - just try the call without fancy error handling
-    (async () => {
-      try {
-        console.log("Background: Making simple fetch call...");
-        const response = await fetch(request.url, {
-          method: "POST", 
-          headers: {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${request.apiKey}`
-          },
-          body: request.options.body
-        });
-        
-        if (response.ok) {
-          const data = await response.json();
-          console.log("Background: ✅ SUCCESS!");
-          sendResponse({ success: true, data: data });
-        } else {
-          const errorText = await response.text();
-          console.log("Background: ❌ API Error:", response.status, errorText);
-          sendResponse({ error: `API Error ${response.status}: ${errorText}` });
-        }
-      } catch (error) {
-        console.log("Background: ❌ Network Error:", error.message);
-        sendResponse({ error: error.message });
-      }
-    })();
-    
+  // The application session of the content script's own tab (the popup
+  // reads session storage itself)
+  if (request.action?.startsWith("session")) {
+    if (!sender.tab) {
+      sendResponse({ success: false, error: "Only available to web pages" });
+      return;
+    }
+    handleSessionAction(request, sender.tab.id)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error(`Background: ${request.action} failed:`, error.message);
+        sendResponse({ success: false, error: error.message });
+      });
     return true; // Keep message channel open for async response
   }
 });
 
-/**
- * Make API call to local LLM from background script
- * @param {string} url - API endpoint URL
- * @param {Object} options - Fetch options
- * @returns {Object} API response
- */
-async function makeLocalAPICall(url, options) {
-  try {
-    console.log("Background: Making local API call to", url);
-    console.log("Background: Request options:", options);
+// Streamed AI requests: one "aiStream" port per request. The caller posts an
+// aiChat message and gets { type: "delta" } messages followed by a single
+// { type: "done" } or { type: "error" }. Closing the port cancels the request.
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== "aiStream") return;
 
-    const response = await fetch(url, options);
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
 
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => "Unknown error");
-      console.error(`Background: API Error ${response.status}:`, errorText);
-      throw new Error(`Local LLM Error ${response.status}: ${errorText}`);
-    }
+  port.onMessage.addListener(request => {
+    const overrides = port.sender?.tab ? {} : request.overrides || {};
+    const post = message => {
+      if (!controller.signal.aborted) port.postMessage(message);
+    };
 
-    const data = await response.json();
-    console.log("Background: Local API call successful");
-    return { success: true, data };
-  } catch (error) {
-    console.error("Background: Local API call failed:", error);
-    throw error;
+    aiGateway
+      .streamChat(
+        {
+          provider: request.provider,
+          messages: request.messages,
+          temperature: request.temperature,
+          maxTokens: request.maxTokens,
+          json: request.json,
+          schema: request.schema,
+        },
+        content => post({ type: "delta", content }),
+        overrides,
+        controller.signal
+      )
+      .then(result => post({ type: "done", ...result }))
+      .catch(error => {
+        console.error("Background: aiStream failed:", error.message);
+        post({ type: "error", error: error.message });
+      });
+  });
+});
+
+/**
+ * Run a vault action from the popup or options page
+ * @param {Object} request - Message with action and passphrase/name/value
+ * @returns {Object} Vault status
+ */
+async function handleVaultAction(request) {
+  switch (request.action) {
+    case "vaultStatus":
+      return keyVault.getStatus();
+    case "vaultEnable":
+      return keyVault.enable(request.passphrase);
+    case "vaultUnlock":
+      return keyVault.unlock(request.passphrase);
+    case "vaultLock":
+      return keyVault.lock();
+    case "vaultDisable":
+      return keyVault.disable(request.passphrase);
+    case "vaultSetSecret":
+      await keyVault.setSecret(request.name, request.value);
+      return keyVault.getStatus();
+    default:
+      throw new Error(`Unknown vault action: ${request.action}`);
   }
 }
 
 /**
- * Test connection to local LLM from background script
- * @param {string} baseUrl - Base URL for the local LLM
- * @returns {Object} Connection test result
+ * Relay a frame action between the top frame's content script and the
+ * content scripts in the tab's other frames (frameBridge.js)
+ * @param {Object} request - Message with action (and frameId, mapping, fillId to fill)
+ * @param {Object} sender - The top frame's content script
+ * @returns {Object} Action result
  */
-async function testLocalConnection(baseUrl) {
-  try {
-    console.log("Background: Testing local LLM connection to", baseUrl);
-
-    const testURL = baseUrl.replace("/api/chat", "/api/tags");
-    const response = await fetch(testURL, {
-      method: "GET",
-      headers: { "Content-Type": "application/json" },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Local LLM not responding (${response.status})`);
+async function handleFrameAction(request, sender) {
+  const tabId = sender.tab.id;
+  switch (request.action) {
+    case "framesCollectFields": {
+      // Frame ids come from a no-op injection into every frame
+      const injections = await chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        func: () => true,
+      });
+      const frameIds = injections
+        .map(injection => injection.frameId)
+        .filter(frameId => frameId !== sender.frameId);
+
+      // Frames the top frame reaches itself, or without the content script, don't answer
+      const frames = await Promise.all(
+        frameIds.map(frameId =>
+          chrome.tabs
+            .sendMessage(tabId, { action: "collectFrameFields" }, { frameId })
+            .then(response => (response?.fields?.length ? { frameId, fields: response.fields } : null))
+            .catch(() => null)
+        )
+      );
+      return { frames: frames.filter(Boolean) };
     }
-
-    const data = await response.json();
-    console.log("Background: Local LLM connection successful");
-    return { success: true, data };
-  } catch (error) {
-    console.error("Background: Local LLM connection failed:", error);
-    throw error;
+    case "framesFillField":
+      return chrome.tabs.sendMessage(
+        tabId,
+        { action: "fillFrameField", mapping: request.mapping, fillId: request.fillId },
+        { frameId: request.frameId }
+      );
+    default:
+      throw new Error(`Unknown frame action: ${request.action}`);
   }
 }
 
 /**
- * Make API call to OpenAI/DeepSeek from background script
- * @param {string} url - API endpoint URL
- * @param {Object} options - Fetch options  
- * @param {string} apiKey - API key for authorization
- * @returns {Object} API response
+ * Join or update a tab's application session (applicationSession.js); a fill
+ * of a page outside the tab's session starts a new one
+ * @param {Object} request - Message with action and page (and updates to update)
+ * @param {number} tabId - The content script's tab
+ * @returns {Object} { session, step }; both null if the page is in no session
  */
-async function makeOpenAICall(url, options, apiKey) {
-  try {
-    console.log("Background: Making OpenAI/DeepSeek API call to", url);
-    
-    // Add authorization header
-    const requestOptions = {
-      ...options,
-      headers: {
-        ...options.headers,
-        "Authorization": `Bearer ${apiKey}`
-      }
-    };
-
-    console.log("Background: Making fetch request...");
-    
-    // Try without DevTools interference - completely ignore DevTools blocking
-    let response;
-    try {
-      response = await fetch(url, requestOptions);
-      console.log("Background: Fetch succeeded! Status:", response.status);
-    } catch (fetchError) {
-      console.log("Background: Fetch failed, but let's try to continue:", fetchError.message);
-      // Even if DevTools says it's blocked, sometimes the request actually works
-      throw fetchError;
-    }
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => "Unknown error");
-      console.error(`Background: API Error ${response.status}:`, errorText);
-      
-      let errorData;
-      try {
-        errorData = JSON.parse(errorText);
-      } catch {
-        errorData = { error: { message: errorText } };
-      }
-      
-      throw new Error(`API Error ${response.status}: ${errorData.error?.message || response.statusText}`);
+async function handleSessionAction(request, tabId) {
+  switch (request.action) {
+    case "sessionVisit":
+      return applicationSessions.visitApplicationSession(tabId, request.page);
+    case "sessionUpdate": {
+      // Content scripts update the session after a fill, which starts one
+      const result = await applicationSessions.updateApplicationSession(tabId, request.updates, {
+        start: true,
+      });
+      return result || { session: null, step: null };
     }
+    default:
+      throw new Error(`Unknown session action: ${request.action}`);
+  }
+}
 
-    const data = await response.json();
-    console.log("Background: OpenAI/DeepSeek API call successful");
-    return { success: true, data };
-  } catch (error) {
-    console.error("Background: OpenAI/DeepSeek API call failed:", error);
-    throw error;
+/**
+ * Run an AI action through the provider layer
+ * @param {Object} request - Message with action, provider and chat options
+ * @param {Object} overrides - Unsaved provider config (popup tests)
+ * @returns {Object} Action result
+ */
+async function handleAIAction(request, overrides) {
+  switch (request.action) {
+    case "aiChat":
+      return aiGateway.chat(
+        {
+          provider: request.provider,
+          messages: request.messages,
+          temperature: request.temperature,
+          maxTokens: request.maxTokens,
+          json: request.json,
+          schema: request.schema,
+        },
+        overrides
+      );
+    case "aiStatus":
+      return aiGateway.getStatus(request.provider);
+    case "aiTestConnection":
+      return aiGateway.testConnection(request.provider, overrides);
+    default:
+      throw new Error(`Unknown AI action: ${request.action}`);
   }
 }
@@ -0,0 +1,376 @@
+// backupManager.js - Export and restore all extension data as a versioned JSON backup
+
+class BackupManager {
+  /**
+   * @param {StorageManager} storage - Storage manager (for storage keys)
+   * @param {CryptoUtils} cryptoUtils - Used to encrypt API keys in backups
+   */
+  constructor(storage, cryptoUtils = new CryptoUtils()) {
+    this.storage = storage;
+    this.cryptoUtils = cryptoUtils;
+    this.BACKUP_FORMAT = "job-helper-backup";
+    this.BACKUP_VERSION = 2;
+    // Kept by KeyVault (background script); the vault is backed up still
+    // encrypted with its passphrase, and a restored vault starts locked
+    this.VAULT_KEY = "jobHelperVault";
+    this.VAULT_SESSION_KEY = "jobHelperVaultSession";
+
+    // Each migration upgrades a backup from version N to N + 1
+    this.migrations = {
+      // v1: the raw StorageManager.getAllData() dump, without format/version
+      1: backup => {
+        const { cvData, settings, templates, history, profiles, standardAnswers } = backup;
+        return {
+          format: this.BACKUP_FORMAT,
+          version: 2,
+          exportedAt: backup.exportedAt || null,
+          apiKeys: this.getSecretKeys(settings).some(key => settings[key])
+            ? "included"
+            : "excluded",
+          data: { cvData, settings, templates, history, profiles, standardAnswers },
+        };
+      },
+    };
+  }
+
+  /**
+   * Build a backup of everything in storage
+   * @param {Object} options - { apiKeys: "include" | "exclude" | "encrypt", passphrase }
+   * @returns {Promise<Object>} Backup object
+   */
+  async createBackup({ apiKeys = "exclude", passphrase = "" } = {}) {
+    const keys = this.storage.STORAGE_KEYS;
+    const stored = await chrome.storage.local.get([...Object.values(keys), this.VAULT_KEY]);
+
+    const settings = { ...(stored[keys.SETTINGS] || {}) };
+    const secrets = {};
+    this.getSecretKeys(settings).forEach(key => {
+      if (settings[key]) secrets[key] = settings[key];
+      if (apiKeys !== "include") delete settings[key];
+    });
+
+    const backup = {
+      format: this.BACKUP_FORMAT,
+      version: this.BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      apiKeys: { include: "included", exclude: "excluded", encrypt: "encrypted" }[apiKeys],
+      data: {
+        cvData: stored[keys.CV_DATA] || null,
+        settings,
+        templates: stored[keys.TEMPLATES] || null,
+        history: stored[keys.HISTORY] || [],
+        profiles: stored[keys.PROFILES] || null,
+        standardAnswers: stored[keys.STANDARD_ANSWERS]?.answers || null,
+        fieldMemory: stored[keys.FIELD_MEMORY]?.entries || [],
+      },
+    };
+
+    // With the vault on, the settings hold no keys: the vault itself is the backup
+    const vault = stored[this.VAULT_KEY];
+    if (vault && apiKeys !== "exclude") {
+      backup.data.keyVault = vault;
+    }
+
+    if (apiKeys === "encrypt") {
+      backup.encryptedApiKeys = await this.cryptoUtils.encrypt(
+        JSON.stringify(secrets),
+        passphrase
+      );
+    }
+
+    return backup;
+  }
+
+  /**
+   * Parse a backup file's text, upgrading older versions
+   * @param {string} text - File contents
+   * @returns {Object} Backup at the current version
+   */
+  parseBackup(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Backup is not valid JSON: ${error.message}`);
+    }
+
+    backup = this.migrateBackup(backup);
+    const errors = this.validateBackup(backup);
+    if (errors.length > 0) {
+      throw new Error(`Invalid backup: ${errors.join("; ")}`);
+    }
+    return backup;
+  }
+
+  /**
+   * Upgrade a backup to the current version
+   * @param {Object} backup - Backup of any known version
+   * @returns {Object} Migrated backup
+   */
+  migrateBackup(backup) {
+    if (!backup || typeof backup !== "object") {
+      throw new Error("Backup is empty");
+    }
+
+    // Unversioned files are getAllData() dumps
+    let migrated = backup.format ? backup : { ...backup, version: 1 };
+    if (migrated.version > this.BACKUP_VERSION) {
+      throw new Error(
+        `Backup version ${migrated.version} was created by a newer version of the extension`
+      );
+    }
+
+    while (migrated.version < this.BACKUP_VERSION) {
+      const migrate = this.migrations[migrated.version];
+      if (!migrate) {
+        throw new Error(`Unsupported backup version: ${migrated.version}`);
+      }
+      migrated = migrate(migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Check a (migrated) backup against the expected shape
+   * @param {Object} backup - Backup object
+   * @returns {Array<string>} Error messages (empty if valid)
+   */
+  validateBackup(backup) {
+    const errors = [];
+    const isObject = value => value && typeof value === "object" && !Array.isArray(value);
+
+    if (backup.format !== this.BACKUP_FORMAT) {
+      errors.push("unknown file format");
+    }
+    if (!isObject(backup.data)) {
+      errors.push("missing data section");
+      return errors;
+    }
+
+    const { cvData, settings, templates, history, profiles, standardAnswers, fieldMemory } =
+      backup.data;
+    if (cvData && (!isObject(cvData.personal) || !isObject(cvData.professional))) {
+      errors.push("CV data must have personal and professional sections");
+    }
+    if (settings && !isObject(settings)) {
+      errors.push("settings must be an object");
+    }
+    if (templates && !Array.isArray(templates.coverLetterTemplates)) {
+      errors.push("templates must contain a coverLetterTemplates list");
+    }
+    if (history && (!Array.isArray(history) || history.some(entry => !isObject(entry)))) {
+      errors.push("history must be a list of entries");
+    }
+    if (
+      profiles &&
+      (!Array.isArray(profiles.profiles) || profiles.profiles.some(profile => !profile?.id))
+    ) {
+      errors.push("profiles must be a list with an id for each profile");
+    }
+    if (standardAnswers && !isObject(standardAnswers)) {
+      errors.push("standard answers must be an object");
+    }
+    if (
+      fieldMemory &&
+      (!Array.isArray(fieldMemory) || fieldMemory.some(entry => !entry?.fingerprint))
+    ) {
+      errors.push("remembered answers must be a list with a fingerprint for each entry");
+    }
+    const { keyVault } = backup.data;
+    if (keyVault && (!isObject(keyVault.wrappedKey) || !isObject(keyVault.secrets))) {
+      errors.push("the API key vault is incomplete");
+    }
+    if (backup.apiKeys === "encrypted" && !isObject(backup.encryptedApiKeys)) {
+      errors.push("encrypted API keys are missing");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Describe a backup's contents for the restore preview
+   * @param {Object} backup - Parsed backup
+   * @returns {Array<string>} Lines such as "3 profiles"
+   */
+  summarizeBackup(backup) {
+    const { cvData, settings, templates, history, profiles, standardAnswers, fieldMemory } =
+      backup.data;
+    const lines = [];
+    if (cvData) lines.push(`CV for ${cvData.personal?.name || "unnamed"}`);
+    if (profiles?.profiles) lines.push(`${profiles.profiles.length} profile(s)`);
+    if (history?.length) lines.push(`${history.length} application(s) in history`);
+    if (templates?.coverLetterTemplates?.length) {
+      lines.push(`${templates.coverLetterTemplates.length} cover letter template(s)`);
+    }
+    if (standardAnswers) lines.push("standard answers");
+    if (fieldMemory?.length) lines.push(`${fieldMemory.length} remembered answer(s)`);
+    if (settings) lines.push(`settings (API keys ${backup.apiKeys || "excluded"})`);
+    if (backup.data.keyVault) lines.push("API key vault (unlock it with its passphrase)");
+    return lines;
+  }
+
+  /**
+   * Restore a backup
+   * @param {Object} backup - Parsed backup from parseBackup()
+   * @param {Object} options - { mode: "merge" | "replace", passphrase }
+   *   merge keeps existing values and only adds what is missing;
+   *   replace overwrites stored data with the backup.
+   */
+  async restoreBackup(backup, { mode = "merge", passphrase = "" } = {}) {
+    const keys = this.storage.STORAGE_KEYS;
+    const current = await chrome.storage.local.get([...Object.values(keys), this.VAULT_KEY]);
+    const data = { ...backup.data };
+
+    // API keys that aren't in the backup are never wiped
+    let settings = data.settings ? { ...data.settings } : null;
+    if (settings) {
+      if (backup.apiKeys === "encrypted") {
+        const secrets = JSON.parse(
+          await this.cryptoUtils.decrypt(backup.encryptedApiKeys, passphrase)
+        );
+        Object.assign(settings, secrets);
+      }
+      const currentSettings = current[keys.SETTINGS] || {};
+      this.getSecretKeys(currentSettings).forEach(key => {
+        if (!settings[key]) settings[key] = currentSettings[key];
+      });
+    }
+
+    // Older backups may predate current settings/CV fields
+    if (settings) settings = this.storage.migrateSettings(settings);
+    if (data.cvData) data.cvData = this.storage.migrateCVData(data.cvData);
+    if (data.profiles) data.profiles = this.storage.migrateProfiles(data.profiles);
+
+    const updates = {};
+    if (mode === "replace") {
+      if (data.cvData) updates[keys.CV_DATA] = data.cvData;
+      if (settings) updates[keys.SETTINGS] = settings;
+      if (data.templates) updates[keys.TEMPLATES] = data.templates;
+      if (data.history) updates[keys.HISTORY] = data.history;
+      if (data.profiles) updates[keys.PROFILES] = data.profiles;
+    } else {
+      if (data.cvData) {
+        updates[keys.CV_DATA] = this.mergeMissing(current[keys.CV_DATA], data.cvData);
+      }
+      if (settings) {
+        updates[keys.SETTINGS] = this.mergeMissing(current[keys.SETTINGS], settings);
+      }
+      if (data.templates) {
+        const existing = current[keys.TEMPLATES] || window.CVDataStructure.getDefaultTemplates();
+        updates[keys.TEMPLATES] = {
+          ...existing,
+          coverLetterTemplates: this.mergeById(
+            existing.coverLetterTemplates || [],
+            data.templates.coverLetterTemplates
+          ),
+        };
+      }
+      if (data.history) {
+        updates[keys.HISTORY] = this.mergeHistory(current[keys.HISTORY] || [], data.history);
+      }
+      if (data.profiles) {
+        const existing = current[keys.PROFILES] || window.CVDataStructure.getDefaultProfiles();
+        updates[keys.PROFILES] = {
+          ...existing,
+          profiles: this.mergeById(existing.profiles, data.profiles.profiles),
+        };
+      }
+    }
+
+    if (data.standardAnswers) {
+      const existing = current[keys.STANDARD_ANSWERS]?.answers;
+      updates[keys.STANDARD_ANSWERS] = {
+        version: this.storage.STANDARD_ANSWERS_VERSION,
+        answers:
+          mode === "replace"
+            ? data.standardAnswers
+            : this.mergeMissing(existing, data.standardAnswers),
+      };
+    }
+    if (data.fieldMemory) {
+      updates[keys.FIELD_MEMORY] = {
+        version: this.storage.FIELD_MEMORY_VERSION,
+        entries:
+          mode === "replace"
+            ? data.fieldMemory
+            : this.mergeById(current[keys.FIELD_MEMORY]?.entries || [], data.fieldMemory),
+      };
+    }
+    if (data.cvData) {
+      updates[keys.INITIALIZED] = true;
+    }
+
+    // A backed-up vault replaces the current one only in replace mode
+    const replaceVault = data.keyVault && (mode === "replace" || !current[this.VAULT_KEY]);
+    if (replaceVault) {
+      updates[this.VAULT_KEY] = data.keyVault;
+    }
+
+    // vaultEnabled follows whether a vault is actually there after the restore
+    const hasVault = !!(replaceVault || current[this.VAULT_KEY]);
+    const restoredSettings = updates[keys.SETTINGS] || current[keys.SETTINGS];
+    if (restoredSettings && !!restoredSettings.vaultEnabled !== hasVault) {
+      updates[keys.SETTINGS] = { ...restoredSettings, vaultEnabled: hasVault };
+    }
+
+    await chrome.storage.local.set(updates);
+    if (replaceVault) {
+      // The unlocked keys belong to the vault that was replaced
+      await chrome.storage.session.remove(this.VAULT_SESSION_KEY);
+    }
+    console.log(`Backup restored (${mode}):`, Object.keys(updates));
+    return { mode, restored: Object.keys(updates) };
+  }
+
+  // Setting names holding API keys (openaiApiKey, deepseekApiKey, ...)
+  getSecretKeys(settings) {
+    return Object.keys(settings || {}).filter(key => /apikey$/i.test(key));
+  }
+
+  // Deep merge that keeps existing non-empty values
+  mergeMissing(existing, incoming) {
+    const isEmpty = value =>
+      value === undefined ||
+      value === null ||
+      value === "" ||
+      (Array.isArray(value) && value.length === 0);
+
+    if (isEmpty(existing)) return incoming;
+    if (
+      existing && typeof existing === "object" && !Array.isArray(existing) &&
+      incoming && typeof incoming === "object" && !Array.isArray(incoming)
+    ) {
+      const merged = { ...existing };
+      Object.entries(incoming).forEach(([key, value]) => {
+        merged[key] = this.mergeMissing(existing[key], value);
+      });
+      return merged;
+    }
+    return existing;
+  }
+
+  // Add incoming items whose id isn't already present
+  mergeById(existing, incoming = []) {
+    const ids = new Set(existing.map(item => item.id));
+    return [...existing, ...incoming.filter(item => !item.id || !ids.has(item.id))];
+  }
+
+  // Combine history lists, skipping postings that are already tracked
+  mergeHistory(existing, incoming) {
+    const normalize = window.CVDataStructure.normalizeJobURL;
+    const ids = new Set(existing.map(entry => entry.id));
+    const urls = new Set(existing.map(entry => normalize(entry.url)));
+
+    const added = incoming.filter(entry => !ids.has(entry.id) && !urls.has(normalize(entry.url)));
+    return [...existing, ...added]
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, this.storage.MAX_HISTORY_ENTRIES);
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BackupManager;
+} else {
+  window.BackupManager = BackupManager;
+}
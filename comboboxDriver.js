@@ -0,0 +1,455 @@
+// comboboxDriver.js - Pick values in custom dropdowns (React-Select, Downshift, MUI, Workday)
+
+class ComboboxDriver {
+  constructor() {
+    // Searchable dropdowns (schools, locations) load their options from the server
+    this.OPTION_TIMEOUT = 3000;
+    this.POLL_INTERVAL = 100;
+    this.EMPTY_SETTLE = 500;
+    this.OPTION_SELECTOR =
+      '[role="option"], [id*="-option-"], [data-automation-id="promptOption"]';
+    this.LOADING_SELECTOR =
+      '[class*="loading" i], [aria-busy="true"], [data-automation-id="loadingSpinner"]';
+    this.LOADING_TEXT = /^(loading|searching)\b/i;
+    // Multi-select tag pickers: ARIA, React-Select, Workday
+    this.MULTI_SELECT_SELECTOR = [
+      '[aria-multiselectable="true"]',
+      '[class*="value-container--is-multi"]',
+      '[data-uxi-widget-type="multiselect"]',
+      '[data-automation-id="multiselectInputContainer"]',
+    ].join(", ");
+    // Workday prompts search once Enter is pressed
+    this.WORKDAY_PROMPT = '[data-uxi-widget-type="selectinput"]';
+    // What a closed combobox shows as chosen (React-Select, MUI, Workday)
+    this.SINGLE_VALUE_SELECTOR = '[class*="single-value"], [class*="singleValue"]';
+    this.TAG_SELECTOR = [
+      '[class*="multi-value__label"]',
+      '[class*="MultiValueLabel"]',
+      ".MuiChip-label",
+      '[data-automation-id="selectedItem"]',
+    ].join(", ");
+    this.TAG_REMOVE_SELECTOR = [
+      '[class*="multi-value__remove"]',
+      '[class*="MultiValueRemove"]',
+      ".MuiChip-deleteIcon",
+      '[data-automation-id="DELETE_charm"]',
+    ].join(", ");
+    this.CLEAR_SELECTOR = [
+      '[class*="clear-indicator"]',
+      '[class*="ClearIndicator"]',
+      ".MuiAutocomplete-clearIndicator",
+      'button[aria-label="Clear" i]',
+    ].join(", ");
+    this.FIELD_SELECTOR =
+      'input:not([type="hidden"]), select, textarea, [role="combobox"], [aria-haspopup="listbox"]';
+  }
+
+  /**
+   * Pick a value in a custom combobox: open it, type the value (if it can be
+   * typed into), wait for the options and click the one matching best.
+   * A combobox that takes free text keeps the typed value if nothing matches.
+   * @param {HTMLElement} element - The combobox: its input, wrapper or button
+   * @param {string|Array} value - Option text; several (array or comma-separated)
+   *   for a multi-select tag picker
+   * @returns {Promise<boolean>} True if the value was picked or kept
+   */
+  async fill(element, value) {
+    const input = this.getInput(element);
+    const target = input || element;
+
+    // Menus already open belong to other widgets
+    const shownBefore = new Set(this.getShownListboxes(element));
+    await this.open(element, input);
+    const multiple = this.isMultiSelect(element, input, shownBefore);
+    const values = multiple ? this.splitValues(value) : [String(value ?? "").trim()];
+
+    let picked = 0;
+    for (const item of values.filter(Boolean)) {
+      if (await this.pick(element, input, item, shownBefore)) {
+        picked++;
+      } else {
+        console.warn(`ComboboxDriver: No option matching "${item}"`);
+      }
+    }
+
+    let keptText = false;
+    if (picked === 0 && input && !multiple) {
+      this.type(input, values[0]);
+      await this.sleep(this.POLL_INTERVAL);
+    }
+    this.close(element, target);
+    if (picked === 0 && input && !multiple) {
+      // Select-only comboboxes clear the text when closed
+      await this.sleep(this.POLL_INTERVAL);
+      keptText = input.value.trim() === values[0];
+    }
+    return picked > 0 || keptText;
+  }
+
+  /**
+   * What the combobox has chosen, to put it back on revert
+   * @param {HTMLElement} element - The combobox
+   * @returns {Object} { text, tags }: the chosen (or typed) text and the
+   *   tags of a multi-select
+   */
+  readSelection(element) {
+    const control = this.getControl(element);
+    const input =
+      element.tagName === "INPUT" ? element : element.querySelector('input:not([type="hidden"])');
+    const single = control.querySelector(this.SINGLE_VALUE_SELECTOR);
+    const text = single ? single.textContent : input ? input.value : element.textContent;
+    return {
+      text: String(text || "").trim(),
+      tags: Array.from(control.querySelectorAll(this.TAG_SELECTOR), tag => tag.textContent.trim()),
+    };
+  }
+
+  /**
+   * Put a combobox back the way readSelection() found it: remove the tags a
+   * fill added, clear it or pick the option it had before
+   * @param {HTMLElement} element - The combobox
+   * @param {Object} before - From readSelection()
+   * @returns {Promise<boolean>} True if it was changed back, false if it
+   *   hadn't changed; throws if it couldn't be changed back
+   */
+  async restore(element, before) {
+    if (this.isSameSelection(this.readSelection(element), before)) return false;
+    const control = this.getControl(element);
+
+    // Newest first: tag pickers also remove the last tag on Backspace
+    const tags = Array.from(control.querySelectorAll(this.TAG_SELECTOR)).reverse();
+    for (const tag of tags) {
+      if (before.tags.includes(tag.textContent.trim())) continue;
+      const remove = tag.parentElement?.querySelector(this.TAG_REMOVE_SELECTOR);
+      if (!remove) break;
+      this.click(remove);
+      await this.sleep(this.POLL_INTERVAL);
+    }
+    const current = this.readSelection(element);
+    const missing = before.tags.filter(tag => !current.tags.includes(tag));
+    if (missing.length > 0) await this.fill(element, missing);
+
+    if (this.readSelection(element).text !== before.text) {
+      if (before.text) {
+        await this.fill(element, before.text);
+      } else {
+        await this.clear(element, control);
+      }
+    }
+
+    if (!this.isSameSelection(this.readSelection(element), before)) {
+      throw new Error("The dropdown's previous selection could not be restored");
+    }
+    return true;
+  }
+
+  async clear(element, control) {
+    const clearButton = control.querySelector(this.CLEAR_SELECTOR);
+    if (clearButton) {
+      this.click(clearButton);
+      await this.sleep(this.POLL_INTERVAL);
+    }
+
+    const input = this.getInput(element);
+    if (input?.value) {
+      this.type(input, "");
+      await this.sleep(this.POLL_INTERVAL);
+      this.close(element, input);
+    }
+  }
+
+  isSameSelection(a, b) {
+    return a.text === b.text && a.tags.join("\n") === b.tags.join("\n");
+  }
+
+  /**
+   * The combobox's own box: the largest ancestor (a few levels up) holding no
+   * other form control, which is where its chosen value and tags are shown
+   * @returns {HTMLElement} Control
+   */
+  getControl(element) {
+    let control = element;
+    for (let depth = 0; depth < 4 && control.parentElement; depth++) {
+      const parent = control.parentElement;
+      const others = Array.from(parent.querySelectorAll(this.FIELD_SELECTOR)).filter(
+        node => !element.contains(node) && !node.contains(element)
+      );
+      if (others.length > 0) break;
+      control = parent;
+    }
+    return control;
+  }
+
+  /**
+   * Pick one value: try the full text, then its first part ("Berlin, Germany"
+   * -> "Berlin") for searches that only match the start of a name
+   * @param {Set} shownBefore - Listboxes shown before the combobox was opened
+   * @returns {Promise<boolean>} True if an option was picked
+   */
+  async pick(element, input, value, shownBefore) {
+    const queries = input ? [...new Set([value, value.split(/[,(]/)[0].trim()])] : [null];
+
+    for (const query of queries) {
+      await this.open(element, input);
+      if (query) {
+        this.type(input, query);
+        if (input.closest(this.WORKDAY_PROMPT)) this.pressKey(input, "Enter");
+      }
+
+      const options = await this.waitForOptions(element, input, shownBefore);
+      const option = this.matchOption(options, value);
+      if (!option) continue;
+
+      // Clicking an option a multi-select already has would remove it
+      if (option.getAttribute("aria-selected") !== "true") {
+        this.click(option);
+        await this.sleep(this.POLL_INTERVAL);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * The text input of a combobox, if it can be typed into
+   * @returns {HTMLInputElement|null} Input
+   */
+  getInput(element) {
+    const input =
+      element.tagName === "INPUT" ? element : element.querySelector('input:not([type="hidden"])');
+    return input && !input.readOnly && !input.disabled ? input : null;
+  }
+
+  async open(element, input) {
+    const target = input || element;
+    target.focus();
+    if (this.isExpanded(element, input)) return;
+
+    this.click(target);
+    await this.sleep(this.POLL_INTERVAL);
+    if (!this.isExpanded(element, input)) {
+      // React-Select and Downshift also open on ArrowDown
+      this.pressKey(target, "ArrowDown");
+      await this.sleep(this.POLL_INTERVAL);
+    }
+  }
+
+  close(element, target) {
+    if (this.isExpanded(element, target)) this.pressKey(target, "Escape");
+    target.blur();
+  }
+
+  isExpanded(element, input) {
+    return [element, input].some(node => node?.getAttribute("aria-expanded") === "true");
+  }
+
+  isMultiSelect(element, input, shownBefore) {
+    const listbox = this.findListbox(element, input, shownBefore);
+    return listbox?.getAttribute("aria-multiselectable") === "true" || this.isTagPicker(element);
+  }
+
+  /**
+   * Whether a (closed) combobox takes several values: it is marked as a
+   * multi-select, its rendered listbox is, or it already shows tags
+   * @param {HTMLElement} element - The combobox
+   * @returns {boolean} True for tag pickers
+   */
+  isTagPicker(element) {
+    const input =
+      element.tagName === "INPUT" ? element : element.querySelector('input:not([type="hidden"])');
+    if ([element, input].some(node => node?.closest(this.MULTI_SELECT_SELECTOR))) return true;
+
+    const root = element.getRootNode();
+    const listboxIds = (element.getAttribute("aria-controls") || "").split(/\s+/);
+    const multiselectable = listboxIds.some(
+      id => id && root.getElementById?.(id)?.getAttribute("aria-multiselectable") === "true"
+    );
+    return multiselectable || !!this.getControl(element).querySelector(this.TAG_SELECTOR);
+  }
+
+  splitValues(value) {
+    const values = Array.isArray(value) ? value : String(value ?? "").split(/[,;\n]/);
+    return values.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  /**
+   * Type into the input the way a user would, so the page's own state
+   * (React's value tracker) sees the change and searches
+   */
+  type(input, text) {
+    const view = input.ownerDocument.defaultView || window;
+    const setter = Object.getOwnPropertyDescriptor(view.HTMLInputElement.prototype, "value")?.set;
+    if (setter) {
+      setter.call(input, text);
+    } else {
+      input.value = text;
+    }
+    input.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+  }
+
+  /**
+   * The combobox's listbox: the one it points to, else the last one shown
+   * that wasn't before it was opened (menus are often rendered at the end of
+   * the body, and another widget's menu may still be open)
+   * @param {Set} shownBefore - Listboxes shown before the combobox was opened
+   * @returns {HTMLElement|null} Listbox
+   */
+  findListbox(element, input, shownBefore) {
+    const root = element.getRootNode();
+    const ids = [element, input]
+      .filter(Boolean)
+      .flatMap(node => [node.getAttribute("aria-controls"), node.getAttribute("aria-owns")])
+      .filter(Boolean)
+      .flatMap(value => value.split(/\s+/));
+
+    for (const id of ids) {
+      const listbox = root.getElementById?.(id) || element.ownerDocument.getElementById(id);
+      if (listbox) return listbox;
+    }
+
+    const opened = this.getShownListboxes(element).filter(listbox => !shownBefore.has(listbox));
+    return opened[opened.length - 1] || null;
+  }
+
+  getShownListboxes(element) {
+    return [...new Set([element.getRootNode(), element.ownerDocument])]
+      .flatMap(scope => Array.from(scope.querySelectorAll('[role="listbox"]')))
+      .filter(listbox => listbox !== element && this.isShown(listbox));
+  }
+
+  /**
+   * Wait until the options have loaded and stopped changing; a listbox that
+   * stays empty once loading is done has no match
+   * @param {Set} shownBefore - Listboxes shown before the combobox was opened
+   * @returns {Promise<Array>} Option elements (none if none came)
+   */
+  async waitForOptions(element, input, shownBefore) {
+    const deadline = Date.now() + this.OPTION_TIMEOUT;
+    let previousCount = -1;
+    let stableSince = Date.now();
+    let options = [];
+
+    while (Date.now() < deadline) {
+      await this.sleep(this.POLL_INTERVAL);
+      const listbox = this.findListbox(element, input, shownBefore);
+      options = this.getOptions(listbox);
+      if (options.length !== previousCount || this.isLoading(listbox)) {
+        previousCount = options.length;
+        stableSince = Date.now();
+        continue;
+      }
+      if (options.length > 0) return options;
+      if (listbox && Date.now() - stableSince >= this.EMPTY_SETTLE) return options;
+    }
+    return options;
+  }
+
+  getOptions(listbox) {
+    if (!listbox) return [];
+    return Array.from(listbox.querySelectorAll(this.OPTION_SELECTOR)).filter(
+      option =>
+        option.getAttribute("aria-disabled") !== "true" &&
+        this.isShown(option) &&
+        !this.LOADING_TEXT.test(option.textContent.trim())
+    );
+  }
+
+  isLoading(listbox) {
+    const menu = listbox?.parentElement;
+    if (!menu) return false;
+    return (
+      !!menu.querySelector(this.LOADING_SELECTOR) ||
+      Array.from(listbox.querySelectorAll(this.OPTION_SELECTOR)).some(option =>
+        this.LOADING_TEXT.test(option.textContent.trim())
+      )
+    );
+  }
+
+  isShown(element) {
+    return element.offsetParent !== null || element.getClientRects().length > 0;
+  }
+
+  /**
+   * The option matching a value best: same text, starting with it, containing
+   * it (or contained in it) as whole words, then sharing most words with it
+   * @param {Array} options - Option elements
+   * @param {string} value - Value to pick
+   * @returns {HTMLElement|null} Option
+   */
+  matchOption(options, value) {
+    const target = this.normalize(value);
+    if (!target) return null;
+
+    const candidates = options
+      .map(option => ({ option, text: this.normalize(option.textContent) }))
+      .filter(candidate => candidate.text);
+    const contains = (text, part) => ` ${text} `.includes(` ${part} `);
+
+    const match =
+      candidates.find(candidate => candidate.text === target) ||
+      candidates.find(candidate => candidate.text.startsWith(`${target} `)) ||
+      candidates.find(
+        candidate => contains(candidate.text, target) || contains(target, candidate.text)
+      ) ||
+      this.findMostWordsShared(candidates, target);
+    return match?.option || null;
+  }
+
+  findMostWordsShared(candidates, target) {
+    const targetWords = new Set(target.split(" "));
+    let best = null;
+    let bestScore = 0.5; // At least half of the value's words
+
+    candidates.forEach(candidate => {
+      const words = candidate.text.split(" ");
+      const shared = words.filter(word => targetWords.has(word)).length;
+      const score = shared / Math.max(targetWords.size, words.length);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  normalize(text) {
+    return String(text ?? "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  click(element) {
+    ["pointerdown", "mousedown", "mouseup", "click"].forEach(type =>
+      this.dispatchMouse(element, type)
+    );
+  }
+
+  dispatchMouse(element, type) {
+    const view = element.ownerDocument.defaultView || window;
+    const EventClass =
+      type.startsWith("pointer") && view.PointerEvent ? view.PointerEvent : view.MouseEvent;
+    element.dispatchEvent(
+      new EventClass(type, { bubbles: true, cancelable: true, composed: true, button: 0 })
+    );
+  }
+
+  pressKey(element, key) {
+    const view = element.ownerDocument.defaultView || window;
+    ["keydown", "keyup"].forEach(type =>
+      element.dispatchEvent(
+        new view.KeyboardEvent(type, {
+          key,
+          code: key,
+          bubbles: true,
+          cancelable: true,
+          composed: true,
+        })
+      )
+    );
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
@@ -46,24 +46,26 @@ class CompanyExtractor {
 
   // Extract company information from the current page
   extractCompanyInfo() {
+    // A JobPosting in the page's structured data beats scraped text
+    const structured = this.extractStructuredPosting();
     const companyInfo = {
-      companyName: this.extractCompanyName(),
-      jobTitle: this.extractJobTitle(),
+      companyName: structured?.companyName || this.extractCompanyName(),
+      jobTitle: structured?.title || this.extractJobTitle(),
       jobDescription: this.extractJobDescription(),
-      location: this.extractLocation(),
+      location: structured?.location || this.extractLocation(),
       url: window.location.href,
     };
 
     return companyInfo;
   }
 
-  // Extract company name
-  extractCompanyName() {
+  // Extract company name (root: the page, or a fetched posting page)
+  extractCompanyName(root = document) {
     // Try meta tags first
     let companyName =
-      this.extractFromMetaTags("og:site_name") ||
-      this.extractFromMetaTags("twitter:site") ||
-      this.extractFromMetaTags("application-name");
+      this.extractFromMetaTags("og:site_name", root) ||
+      this.extractFromMetaTags("twitter:site", root) ||
+      this.extractFromMetaTags("application-name", root);
 
     if (companyName) {
       return companyName.replace("@", ""); // Remove @ from social media handles
@@ -71,14 +73,14 @@ class CompanyExtractor {
 
     // Try common selectors
     for (const selector of this.companySelectors) {
-      const element = document.querySelector(selector);
+      const element = root.querySelector(selector);
       if (element && element.textContent.trim()) {
         return element.textContent.trim();
       }
     }
 
     // Try to get from page title
-    const title = document.title;
+    const title = root.title;
     if (title) {
       // Common patterns: "Job Title at Company Name" or "Company Name - Job Title"
       const patterns = [
@@ -99,12 +101,12 @@ class CompanyExtractor {
     return this.extractDomainName();
   }
 
-  // Extract job title
-  extractJobTitle() {
+  // Extract job title (root: the page, or a fetched posting page)
+  extractJobTitle(root = document) {
     // Try meta tags
     let jobTitle =
-      this.extractFromMetaTags("og:title") ||
-      this.extractFromMetaTags("twitter:title");
+      this.extractFromMetaTags("og:title", root) ||
+      this.extractFromMetaTags("twitter:title", root);
 
     if (jobTitle) {
       return jobTitle;
@@ -112,7 +114,7 @@ class CompanyExtractor {
 
     // Try common selectors
     for (const selector of this.jobTitleSelectors) {
-      const element = document.querySelector(selector);
+      const element = root.querySelector(selector);
       if (element && element.textContent.trim()) {
         const text = element.textContent.trim();
         // Filter out generic terms
@@ -123,7 +125,7 @@ class CompanyExtractor {
     }
 
     // Try page title
-    const title = document.title;
+    const title = root.title;
     if (title) {
       // Common patterns: "Job Title at Company Name" or "Company Name - Job Title"
       const patterns = [
@@ -144,18 +146,21 @@ class CompanyExtractor {
     return "Unknown Position";
   }
 
-  // Extract job description
-  extractJobDescription() {
-    // Try common selectors
-    for (const selector of this.descriptionSelectors) {
-      const element = document.querySelector(selector);
-      if (element && element.textContent.trim()) {
-        return element.textContent.trim().substring(0, 2000); // Limit length
-      }
+  // Extract job description (root: the page, or a fetched posting page)
+  extractJobDescription(root = document) {
+    // Structured data is the cleanest source
+    const structured = this.extractStructuredPosting(root);
+    if (structured?.description) {
+      return structured.description.substring(0, 2000); // Limit length
+    }
+
+    const element = this.findDescriptionElement(root);
+    if (element) {
+      return this.getText(element).substring(0, 2000);
     }
 
     // Try meta description
-    const metaDescription = this.extractFromMetaTags("description");
+    const metaDescription = this.extractFromMetaTags("description", root);
     if (metaDescription) {
       return metaDescription.substring(0, 2000);
     }
@@ -163,8 +168,68 @@ class CompanyExtractor {
     return "No description available";
   }
 
+  // Element holding the job description - the one with the most text, since
+  // "description" classes also match short snippets
+  findDescriptionElement(root = document) {
+    let best = null;
+    for (const selector of this.descriptionSelectors) {
+      root.querySelectorAll(selector).forEach(element => {
+        const length = element.textContent.trim().length;
+        if (length > 0 && (!best || length > best.textContent.trim().length)) {
+          best = element;
+        }
+      });
+    }
+    return best;
+  }
+
+  // schema.org JobPosting from JSON-LD (Greenhouse, Lever, Workday, Ashby... embed one)
+  // Returns { title, companyName, location, description, descriptionHTML } or null
+  extractStructuredPosting(root = document) {
+    const scripts = root.querySelectorAll('script[type="application/ld+json"]');
+    for (const script of scripts) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        continue;
+      }
+
+      const items = Array.isArray(data) ? data : [data, ...(data?.["@graph"] || [])];
+      const posting = items.find(item => item && item["@type"] === "JobPosting");
+      if (!posting) continue;
+
+      const descriptionHTML = String(posting.description || "");
+      const parsed = new DOMParser().parseFromString(descriptionHTML, "text/html");
+      const place = [posting.jobLocation].flat()[0]?.address;
+      return {
+        title: posting.title || "",
+        companyName: posting.hiringOrganization?.name || "",
+        location: [place?.addressLocality, place?.addressRegion, place?.addressCountry]
+          .map(part => (typeof part === "object" ? part?.name : part))
+          .filter(part => typeof part === "string" && part)
+          .join(", "),
+        description: this.getText(parsed.body),
+        descriptionHTML,
+      };
+    }
+    return null;
+  }
+
+  // Text of an element with its list items and paragraphs kept apart
+  // (textContent runs "<li>Python</li><li>AWS</li>" together as "PythonAWS")
+  getText(element) {
+    const parts = [];
+    const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const tag = walker.currentNode.parentNode.nodeName;
+      if (tag !== "SCRIPT" && tag !== "STYLE") parts.push(walker.currentNode.nodeValue);
+    }
+    return parts.join(" ").replace(/\s+/g, " ").trim();
+  }
+
   // Extract location
-  extractLocation() {
+  extractLocation(root = document) {
     // Common selectors for location
     const locationSelectors = [
       "[data-location]",
@@ -175,7 +240,7 @@ class CompanyExtractor {
     ];
 
     for (const selector of locationSelectors) {
-      const element = document.querySelector(selector);
+      const element = root.querySelector(selector);
       if (element && element.textContent.trim()) {
         return element.textContent.trim();
       }
@@ -185,9 +250,9 @@ class CompanyExtractor {
   }
 
   // Extract information from meta tags
-  extractFromMetaTags(name) {
+  extractFromMetaTags(name, root = document) {
     const selector = `meta[name="${name}"], meta[property="${name}"]`;
-    const element = document.querySelector(selector);
+    const element = root.querySelector(selector);
     return element ? element.getAttribute("content") : null;
   }
 
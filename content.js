@@ -2,58 +2,83 @@
 
 // Global variables for new AI workflow components
 let storageManager,
+  elementRegistry,
   pageAnalyzer,
   aiService,
   responseProcessor,
   smartFiller,
-  companyExtractor;
-
-// Global variables for legacy components (backup)
-let fieldDetector, fieldMapper;
+  companyExtractor,
+  fillPreview,
+  fillProgress,
+  ruleMapper,
+  fieldMemory,
+  answerBank,
+  jobPostingAnalyzer,
+  applicationSession,
+  formWatcher;
 
 // Initialize when script loads
 (async () => {
   try {
+    // With all_frames the script also runs in every frame; those only read
+    // and fill their own fields for the top frame's fill (frameBridge.js)
+    if (window !== window.top) {
+      elementRegistry = new ElementRegistry();
+      pageAnalyzer = new PageAnalyzer(elementRegistry);
+      smartFiller = new SmartFiller(elementRegistry);
+      new FrameBridge().serveFrame(pageAnalyzer, smartFiller);
+      return;
+    }
+
     // Initialize new AI workflow components
     storageManager = new StorageManager();
-    pageAnalyzer = new PageAnalyzer();
+    // Shared, so fills reach the exact elements the page analysis found
+    elementRegistry = new ElementRegistry();
+    pageAnalyzer = new PageAnalyzer(elementRegistry);
     aiService = new AIService();
     responseProcessor = new ResponseProcessor();
-    smartFiller = new SmartFiller();
+    smartFiller = new SmartFiller(elementRegistry);
     companyExtractor = new CompanyExtractor();
-
-    // Initialize legacy components as backup
-    fieldDetector = new FieldDetector();
-    fieldMapper = new FieldMapper();
+    fillPreview = new FillPreview();
+    fillProgress = new FillProgress();
+    ruleMapper = new RuleMapper();
+    fieldMemory = new FieldMemory(storageManager);
+    answerBank = new AnswerBank();
+    jobPostingAnalyzer = new JobPostingAnalyzer(companyExtractor);
+    formWatcher = new FormWatcher(pageAnalyzer);
+    applicationSession = new ApplicationSession(pageAnalyzer);
 
     console.log("✅ AI-driven auto-fill system initialized");
 
+    // Multi-page applications load this script again on every step: wait
+    // for the step's form to render, then join the application's session
+    // (if this page is part of one)
+    if (!(await waitForFormFields())) {
+      console.log("No form fields on this page");
+      return;
+    }
+    await applicationSession.visit();
+
     // Check if auto-fill is enabled
     const settings = await storageManager.loadSettings();
     if (settings.autoFillEnabled) {
-      // Auto-fill on page load (with a small delay to ensure page is ready)
-      setTimeout(() => {
+      // A step filled before is one the user came back to; leave it as they left it
+      if (applicationSession.isStepFilled()) {
+        console.log("This step was already filled in this application - not filling again");
+      } else {
         aiAutoFillForm();
-      }, 1500); // Slightly longer delay for AI processing
+      }
     }
   } catch (error) {
     console.error("❌ Failed to initialize AI auto-fill system:", error);
-    // Fallback to legacy system
-    initializeLegacySystem();
   }
 })();
 
-// Initialize legacy system as fallback
-async function initializeLegacySystem() {
-  console.log("🔄 Falling back to legacy auto-fill system");
-  storageManager = new StorageManager();
-  fieldDetector = new FieldDetector();
-  fieldMapper = new FieldMapper();
-  companyExtractor = new CompanyExtractor();
-}
-
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Messages to the tab reach every frame; the top frame answers
+  if (window !== window.top) return;
+
   if (request.action === "triggerAutoFill") {
     aiAutoFillForm(true) // Force run = true for manual triggers
       .then(result =>
@@ -64,19 +89,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         })
       )
       .catch(error => {
-        console.error("AI auto-fill failed, trying legacy:", error);
-        // Fallback to legacy auto-fill
-        legacyAutoFillForm()
-          .then(result =>
-            sendResponse({
-              success: true,
-              message: "Legacy auto-fill completed",
-              ...result,
-            })
-          )
-          .catch(legacyError =>
-            sendResponse({ success: false, error: legacyError.message })
-          );
+        console.error("Auto-fill failed:", error);
+        sendResponse({ success: false, error: error.message });
       });
     return true; // Keep message channel open for async response
   } else if (request.action === "insertCoverLetter") {
@@ -86,6 +100,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       )
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep message channel open for async response
+  } else if (request.action === "revertLastFill") {
+    // Fields the revert hides and shows again are the user's to answer
+    formWatcher.stop();
+    smartFiller.revertLastFill().then(sendResponse);
+    return true; // Keep message channel open for async response
   } else if (request.action === "extractCompanyInfo") {
     const companyInfo = extractCompanyInfo();
     sendResponse({ success: true, companyInfo: companyInfo });
@@ -94,12 +113,30 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 // Main AI-driven auto-fill function
-async function aiAutoFillForm(forceRun = false) {
+// options.newElements: fill only the fields of these elements, as a follow-up
+// to the last fill (fields that appeared after it, see formWatcher.js)
+async function aiAutoFillForm(forceRun = false, options = {}) {
   try {
-    console.log("🚀 Starting AI-driven auto-fill...");
+    const followUp = !!options.newElements;
+    console.log(
+      followUp ? "🔁 Filling fields that appeared after the fill..." : "🚀 Starting AI-driven auto-fill..."
+    );
+    if (!followUp) {
+      formWatcher.stop();
+    }
 
-    // Step 1: Load CV data and settings
-    const cvData = await storageManager.loadCVData();
+    // Step 1: Pick the CV profile for this page (the one the application
+    // started with, on its later pages), then load CV data and settings
+    const session = followUp ? applicationSession.get() : await applicationSession.visit();
+    const profile =
+      (session?.profileId && (await storageManager.getProfile(session.profileId))) ||
+      (await storageManager.matchProfile(
+        window.location.href,
+        companyExtractor.extractJobTitle()
+      ));
+    console.log(`👤 Using CV profile: ${profile?.name || "Default"}`);
+
+    const cvData = await storageManager.loadCVData(profile?.id);
     const settings = await storageManager.loadSettings();
 
     // Check if auto-fill is enabled (unless forced by manual trigger)
@@ -114,9 +151,15 @@ async function aiAutoFillForm(forceRun = false) {
       return { success: false, message: "Invalid CV data" };
     }
 
-    // Step 2: Extract page data
+    // Step 2: Extract page data (shadow roots and frames included); a
+    // follow-up fill keeps only the new fields (on this frame's own page)
     console.log("📊 Analyzing page structure...");
-    const pageData = pageAnalyzer.extractPageData();
+    const fullPageData = followUp
+      ? pageAnalyzer.extractPageData()
+      : await pageAnalyzer.extractPageDataWithFrames();
+    const pageData = followUp
+      ? filterPageData(fullPageData, options.newElements)
+      : fullPageData;
 
     if (pageData.totalFields === 0) {
       console.log("No form fields detected on page");
@@ -125,96 +168,269 @@ async function aiAutoFillForm(forceRun = false) {
 
     console.log(`✅ Found ${pageData.totalFields} form fields`);
 
-    // Step 3: AI analysis and mapping
-    console.log("🤖 Sending data to AI for analysis...");
-    console.log("🤖 AI Service config check:", {
-      hasAIService: !!aiService,
-      aiServiceType: typeof aiService,
-      aiServiceConstructor: aiService?.constructor?.name
-    });
-    
-    let aiResponse;
-    try {
-      console.log("🤖 Calling aiService.analyzeFormAndGenerateValues...");
-      aiResponse = await aiService.analyzeFormAndGenerateValues(
-        pageData,
-        cvData
+    // The job posting (fetched from the same site when the form only links
+    // to it, or found on an earlier page of the application) tailors saved
+    // and AI answers to the role; it is read while the known values fill
+    const jobContextPromise = session?.jobContext
+      ? Promise.resolve(session.jobContext)
+      : jobPostingAnalyzer.analyze(cvData, {
+          followLinks: settings.fillStrategy !== "rulesOnly",
+        });
+
+    // Step 3: Answers the user typed on this site or ATS before win over
+    // everything else; edits made from now on are remembered for next time
+    let memoryResult = { values: {}, methods: {}, matches: [], remainingFields: pageData.fields };
+    if (settings.fieldMemoryEnabled) {
+      fieldMemory.watch(fullPageData.fields);
+      memoryResult = await fieldMemory.lookup(pageData.fields);
+      console.log(`🧠 Remembered answers for ${memoryResult.matches.length} fields`);
+    }
+
+    // Step 3b: Fill the fields the rules recognise (autocomplete attributes,
+    // then name, contact, address, work authorization and EEO questions)
+    // straight from the CV and standard answers
+    const standardAnswers = await storageManager.loadStandardAnswers(profile?.id);
+    const ruleResult = ruleMapper.mapFields(
+      memoryResult.remainingFields,
+      cvData,
+      standardAnswers
+    );
+    console.log(`📏 Rules matched ${ruleResult.matches.length} fields`);
+
+    const knownValues = { ...memoryResult.values, ...ruleResult.values };
+    const knownMethods = { ...memoryResult.methods, ...ruleResult.methods };
+
+    // Unless the user reviews everything first, fields are filled as soon as
+    // their value is known: remembered and rule answers now, saved answers
+    // once the job posting is read, AI values as they stream in
+    const fillEarly = !settings.previewBeforeFill;
+    const fillKnownValues = values => {
+      if (!fillEarly) return;
+      Object.entries(values).forEach(([fieldId, value]) =>
+        smartFiller.fillProgressively(
+          responseProcessor.mapFieldValue(fieldId, value, pageData, knownMethods[fieldId])
+        )
+      );
+    };
+
+    // A follow-up fill is undone together with the fill before it
+    const fillOptions = { extendLastFill: followUp };
+    if (fillEarly) {
+      smartFiller.startProgressiveFill(fillOptions);
+    }
+    fillKnownValues(knownValues);
+
+    // Step 3c: Wait for the job posting
+    const jobContext = await jobContextPromise;
+
+    // Step 3d: Free-text questions answered from the saved Q&A bank (CV
+    // questions and common answers); loose matches can be adapted by AI below
+    const bankResult = answerBank.mapFields(
+      ruleResult.remainingFields,
+      cvData,
+      standardAnswers,
+      jobContext
+    );
+    console.log(
+      `📚 Saved answers matched ${bankResult.matches.length} questions (${bankResult.looseMatches.length} more loosely)`
+    );
+
+    // Step 3e: A cover letter generated earlier in the application goes
+    // into the form's cover letter field
+    const coverLetterValues = {};
+    const coverLetterField =
+      session?.coverLetter &&
+      bankResult.remainingFields.find(
+        field => field.type === "textarea" && /cover.?letter/i.test(field.label)
       );
-      console.log("🤖 AI service returned:", aiResponse);
-    } catch (error) {
-      console.error("❌ AI analysis failed:", error.message);
-      console.error("❌ AI analysis error details:", error);
-      console.error("❌ AI analysis stack:", error.stack);
-      
-      // Try fallback to legacy system
-      console.log("🔄 Falling back to legacy auto-fill system...");
-      console.log("🔄 Reason for fallback: AI system failed with error:", error.message);
+    if (coverLetterField) {
+      coverLetterValues[coverLetterField.id] = session.coverLetter;
+      console.log("✉️ Reusing the cover letter generated for this application");
+    }
+
+    Object.assign(knownValues, bankResult.values, coverLetterValues);
+    Object.assign(knownMethods, bankResult.methods);
+    Object.keys(coverLetterValues).forEach(fieldId => {
+      knownMethods[fieldId] = "cover_letter";
+    });
+    fillKnownValues({ ...bankResult.values, ...coverLetterValues });
+
+    const useAI =
+      settings.fillStrategy !== "rulesOnly" && bankResult.remainingFields.length > 0;
+    const streaming = useAI && !!settings.streamAIResponses;
+
+    // Step 4: Tailor loosely matching saved answers to this company and job;
+    // if that fails they are generated with the other fields instead
+    let aiFields = bankResult.remainingFields.filter(
+      field => !(field.id in coverLetterValues)
+    );
+    let adaptedAnswers = {};
+    if (useAI && settings.adaptSavedAnswers && bankResult.looseMatches.length > 0) {
+      const looseIds = new Set(bankResult.looseMatches.map(match => match.fieldId));
       try {
-        const legacyResult = await legacyAutoFillForm();
-        console.log("✅ Legacy system result:", legacyResult);
-        return {
-          success: true,
-          message: `Legacy auto-fill completed: ${legacyResult.mappedCount} fields filled`,
-          mappedCount: legacyResult.mappedCount,
-          isLegacy: true
-        };
-      } catch (legacyError) {
-        console.error("❌ Legacy fallback also failed:", legacyError);
-        console.error("❌ Legacy fallback error details:", legacyError);
-        return { 
-          success: false, 
-          message: `AI failed: ${error.message}. Legacy fallback also failed: ${legacyError.message}` 
-        };
+        console.log(`✍️ Adapting ${looseIds.size} saved answers to this job...`);
+        adaptedAnswers = await aiService.adaptSavedAnswers(
+          bankResult.looseMatches,
+          aiFields.filter(field => looseIds.has(field.id)),
+          jobContext
+        );
+        aiFields = aiFields.filter(field => !(field.id in adaptedAnswers));
+
+        Object.entries(adaptedAnswers).forEach(([fieldId, value]) => {
+          knownMethods[fieldId] = "answer_bank_adapted";
+          if (fillEarly) {
+            smartFiller.fillProgressively(
+              responseProcessor.mapFieldValue(fieldId, value, pageData, knownMethods[fieldId])
+            );
+          }
+        });
+      } catch (error) {
+        console.warn("⚠️ Could not adapt saved answers:", error.message);
       }
     }
 
-    if (!aiResponse || Object.keys(aiResponse).length === 0) {
-      console.log("AI did not generate any field values, trying legacy fallback...");
-      
+    // Step 4b: AI analysis of the remaining fields
+    let aiResponse = {};
+    let aiError = null;
+    if (useAI && aiFields.length > 0) {
+      const aiPageData = {
+        ...pageData,
+        fields: aiFields,
+        totalFields: aiFields.length,
+      };
+
+      let receivedCount = 0;
+      const onFieldValue = (fieldId, value) => {
+        fillProgress.update({ received: ++receivedCount });
+        if (!fillEarly) return;
+
+        const mappings = responseProcessor.mapFieldValue(fieldId, value, pageData);
+        smartFiller
+          .fillProgressively(mappings)
+          .then(() => fillProgress.update({ filled: smartFiller.getFilledFields().length }));
+      };
+
+      if (streaming) {
+        fillProgress.show(new Set(aiPageData.fields.map(field => field.id)).size);
+      }
+
       try {
-        const legacyResult = await legacyAutoFillForm();
-        return {
-          success: true,
-          message: `Legacy auto-fill completed: ${legacyResult.mappedCount} fields filled`,
-          mappedCount: legacyResult.mappedCount,
-          isLegacy: true
-        };
-      } catch (legacyError) {
-        return { success: false, message: "Both AI and legacy systems failed" };
+        console.log(
+          `🤖 Sending ${aiPageData.totalFields} remaining fields to AI for analysis...`
+        );
+        aiResponse = await aiService.analyzeFormAndGenerateValues(aiPageData, cvData, {
+          standardAnswers,
+          jobContext,
+          parallel: settings.parallelAIRequests,
+          stream: streaming,
+          onFieldValue,
+        });
+        console.log("🤖 AI service returned:", aiResponse);
+      } catch (error) {
+        aiError = error;
+        fillProgress.finish(`AI failed: ${error.message}`, 5000);
+        console.error("❌ AI analysis failed:", error.message);
+        console.error("❌ AI analysis error details:", error);
       }
     }
 
+    // Remembered, rule and saved answers stand on their own when AI is off or fails
+    const fieldValues = { ...aiResponse, ...adaptedAnswers, ...knownValues };
+    if (Object.keys(fieldValues).length === 0) {
+      if (fillEarly) {
+        await smartFiller.stopProgressiveFill();
+      }
+      fillProgress.hide();
+      const message = aiError
+        ? `AI failed: ${aiError.message}`
+        : "No field values could be generated";
+      console.log(message);
+      return { success: false, message };
+    }
+
     console.log(
-      `✅ AI generated values for ${Object.keys(aiResponse).length} fields`
+      `✅ Values for ${Object.keys(fieldValues).length} fields (${
+        memoryResult.matches.length
+      } remembered, ${ruleResult.matches.length} by rule, ${
+        bankResult.matches.length + Object.keys(adaptedAnswers).length
+      } saved answers, ${Object.keys(aiResponse).length} by AI)`
     );
 
-    // Step 4: Process AI response
-    console.log("⚙️ Processing AI response...");
+    // Step 5: Process the values into field mappings
+    console.log("⚙️ Processing field values...");
     const processedResponse = responseProcessor.processResponse(
-      aiResponse,
-      pageData
+      fieldValues,
+      pageData,
+      knownMethods
     );
 
     if (!processedResponse.success) {
+      if (fillEarly) {
+        await smartFiller.stopProgressiveFill();
+      }
+      fillProgress.hide();
       console.log("Response processing failed");
       return { success: false, message: "Response processing failed" };
     }
 
-    const mappedFields = responseProcessor.getMappedFields();
+    let mappedFields = responseProcessor.getMappedFields();
     console.log(`✅ Mapped ${mappedFields.length} fields for filling`);
 
-    // Step 5: Fill form fields
+    // Step 5b: Let the user review proposed values before anything is written
+    if (settings.previewBeforeFill) {
+      fillProgress.hide();
+      console.log("👀 Waiting for user review of proposed values...");
+      mappedFields = await fillPreview.review(mappedFields);
+
+      if (mappedFields.length === 0) {
+        console.log("No values accepted in review - nothing to fill");
+        return { success: false, message: "No values accepted in review" };
+      }
+      console.log(`✅ User accepted ${mappedFields.length} fields`);
+    }
+
+    // Step 6: Fill form fields (those filled early are skipped)
     console.log("📝 Filling form fields...");
-    const fillResult = await smartFiller.fillForm(mappedFields);
+    const fillResult = await smartFiller.fillForm(mappedFields, fillOptions);
+    fillProgress.finish(
+      `Filled ${fillResult.filled}/${fillResult.totalAttempted} fields`
+    );
 
     console.log(
-      `✅ AI auto-fill completed: ${fillResult.filled}/${fillResult.totalAttempted} fields filled (${fillResult.successRate}%)`
+      `✅ Auto-fill completed: ${fillResult.filled}/${fillResult.totalAttempted} fields filled (${fillResult.successRate}%)`
     );
 
+    // Step 7: Add the step to the application session, and record the
+    // application in history with the answers of every step so far (without
+    // a session, a follow-up would replace the fill's values with only its own)
+    if (fillResult.filled > 0) {
+      const updatedSession = await applicationSession.recordFill(fillResult, {
+        profileId: profile?.id || "",
+        jobContext,
+      });
+      if (updatedSession || !followUp) {
+        await recordApplication(fillResult, profile, updatedSession);
+      }
+    }
+
+    // Step 8: Fill fields that appear later (conditional questions, next
+    // steps of the form) as they show up
+    if (settings.watchDynamicFields && !followUp) {
+      formWatcher.start(fullPageData.fields, newElements =>
+        aiAutoFillForm(true, { newElements })
+      );
+    }
+
     return {
       success: true,
-      message: `AI auto-fill completed: ${fillResult.filled} fields filled`,
+      message: aiError
+        ? `Filled ${fillResult.filled} fields without AI (AI failed: ${aiError.message})`
+        : `Auto-fill completed: ${fillResult.filled} fields filled`,
       ...fillResult,
+      memoryFieldsMatched: memoryResult.matches.length,
+      ruleFieldsMatched: ruleResult.matches.length,
+      savedAnswersMatched: bankResult.matches.length,
+      savedAnswersAdapted: Object.keys(adaptedAnswers).length,
       aiFieldsGenerated: Object.keys(aiResponse).length,
       pageFieldsDetected: pageData.totalFields,
     };
@@ -224,107 +440,106 @@ async function aiAutoFillForm(forceRun = false) {
   }
 }
 
-// Legacy auto-fill function (fallback)
-async function legacyAutoFillForm() {
-  try {
-    console.log("🔄 Using legacy auto-fill system...");
-
-    // Load CV data and settings
-    const cvData = await storageManager.loadCVData();
-    const settings = await storageManager.loadSettings();
-
-    // Check if auto-fill is enabled
-    if (!settings.autoFillEnabled) {
-      console.log("Auto-fill is disabled");
-      return { success: false, message: "Auto-fill is disabled" };
+// Resolve once the page shows a visible form field (ATS pages render their
+// forms after load), or with false after a while. A form embedded in a
+// cross-origin frame (Greenhouse, Lever) is only seen through its frame's
+// content script, which is asked less often since that is a broadcast
+async function waitForFormFields(timeout = 10000, interval = 500, frameInterval = 2000) {
+  const hasFields = () =>
+    pageAnalyzer.findFieldElements().some(({ element }) => pageAnalyzer.isVisible(element));
+  const hasFrameFields = async () =>
+    (await pageAnalyzer.frameBridge.collectRemoteFields()).length > 0;
+
+  for (let waited = 0; waited < timeout; waited += interval) {
+    await new Promise(resolve => setTimeout(resolve, interval));
+    const askFrames = (waited + interval) % frameInterval === 0;
+    if (hasFields() || (askFrames && (await hasFrameFields()))) {
+      // Let the rest of the form render
+      await new Promise(resolve => setTimeout(resolve, interval));
+      return true;
     }
+  }
+  return false;
+}
 
-    // Check if we have valid CV data
-    if (!window.CVDataStructure.validateCVData(cvData)) {
-      console.log("Invalid CV data");
-      return { success: false, message: "Invalid CV data" };
-    }
-
-    // Detect form fields
-    const detectedFields = fieldDetector.detectFormFields();
-    console.log("Legacy: Detected fields:", detectedFields.length);
-
-    // Map CV data to detected fields
-    const mappedFields = fieldMapper.mapFields(detectedFields, cvData);
-    console.log(
-      "Legacy: Mapped fields:",
-      mappedFields.filter(f => f.mapped).length
-    );
-
-    // Apply mapped values to form fields
-    fieldMapper.applyMappedValues(mappedFields);
-
-    // Log results
-    const mappedCount = mappedFields.filter(f => f.mapped).length;
-    const unmappedFields = fieldMapper.getUnmappedFields(mappedFields);
-
-    console.log(`Legacy auto-fill completed: ${mappedCount} fields filled`);
-
-    if (unmappedFields.length > 0) {
-      console.log(
-        "Legacy unmapped fields:",
-        unmappedFields.map(f => f.label)
-      );
-    }
+// Page data narrowed to the fields whose element is in a set
+function filterPageData(pageData, elements) {
+  const fields = pageData.fields.filter(field =>
+    elements.has(elementRegistry.resolve(field.id).element)
+  );
+  return {
+    ...pageData,
+    fields,
+    totalFields: fields.length,
+    fieldTypes: pageAnalyzer.calculateFieldTypeStats(fields),
+  };
+}
 
-    return {
-      success: true,
-      message: `Legacy auto-fill completed: ${mappedCount} fields filled`,
-      mappedCount: mappedCount,
-      isLegacy: true,
-    };
+// Save an application history entry for the current posting; a multi-page
+// application keeps one entry, under its first page's URL
+async function recordApplication(fillResult, profile, session = null) {
+  try {
+    const companyInfo = companyExtractor.extractCompanyInfo();
+    const aiConfig = aiService.getConfig();
+    const fieldValues = session?.answers.length ? session.answers : fillResult.filledFields;
+
+    await storageManager.recordApplication({
+      url: session?.startUrl || window.location.href,
+      companyName: session?.jobContext?.companyName || companyInfo.companyName,
+      jobTitle: session?.jobContext?.jobTitle || companyInfo.jobTitle,
+      date: new Date().toISOString(),
+      aiProvider: aiConfig.provider,
+      aiModel: aiConfig.model,
+      profileId: profile?.id || "",
+      fillSummary: {
+        totalAttempted: fillResult.totalAttempted,
+        filled: fillResult.filled,
+        failed: fillResult.failed,
+        skipped: fillResult.skipped,
+        successRate: fillResult.successRate,
+      },
+      fieldValues: fieldValues.map(field => ({
+        id: field.id,
+        label: field.label,
+        value: field.value,
+      })),
+    });
   } catch (error) {
-    console.error("Error during legacy auto-fill:", error);
-    return { success: false, error: error.message };
+    // History is best-effort - never fail the fill because of it
+    console.warn("⚠️ Could not record application history:", error);
   }
 }
 
 // Insert cover letter into form fields
 async function insertCoverLetter(coverLetter) {
   try {
-    // Detect form fields
-    const detectedFields = fieldDetector.detectFormFields();
-
-    // Look for cover letter/summary fields
-    const coverLetterFields = detectedFields.filter(
-      field =>
-        field.type === "summary" ||
-        field.label.includes("cover") ||
-        field.label.includes("summary") ||
-        field.label.includes("letter") ||
-        field.element.tagName === "TEXTAREA"
-    );
+    const fields = pageAnalyzer
+      .extractPageData()
+      .fields.filter(field => field.type === "textarea");
 
-    if (coverLetterFields.length === 0) {
-      // If no specific cover letter field found, try any large text area
-      const textAreas = detectedFields.filter(
-        field => field.element.tagName === "TEXTAREA" && field.element.rows > 5
-      );
-      coverLetterFields.push(...textAreas);
-    }
+    // Prefer a field that asks for a cover letter, else the first textarea
+    const coverLetterField =
+      fields.find(field => /cover|letter|summary|motivation/i.test(field.label)) ||
+      fields[0];
 
-    // Insert cover letter into the first matching field
-    if (coverLetterFields.length > 0) {
-      const field = coverLetterFields[0].element;
-      field.value = coverLetter;
-      fieldMapper.triggerInputEvents(field);
-      console.log(
-        "Cover letter inserted into field:",
-        coverLetterFields[0].label
-      );
-      return { success: true, message: "Cover letter inserted" };
-    } else {
+    if (!coverLetterField) {
       console.log("No suitable field found for cover letter");
       return {
         success: false,
         message: "No suitable field found for cover letter",
       };
     }
+
+    const element = smartFiller.findElement({
+      fieldId: coverLetterField.id,
+      fieldLabel: coverLetterField.label,
+    });
+    if (!element || !smartFiller.fillTextarea(element, coverLetter)) {
+      return { success: false, message: "Could not fill the cover letter field" };
+    }
+
+    console.log("Cover letter inserted into field:", coverLetterField.label);
+    return { success: true, message: "Cover letter inserted" };
   } catch (error) {
     console.error("Error inserting cover letter:", error);
     return { success: false, error: error.message };
@@ -420,43 +635,45 @@ window.debugAIAutoFill = function () {
   return aiAutoFillForm();
 };
 
-window.checkAPIKey = function () {
+window.checkAPIKey = async function () {
   console.log("🔑 Checking AI Configuration...");
 
-  chrome.storage.local.get(
-    ["openaiApiKey", "useLocalLLM", "localURL", "localModel"],
-    function (result) {
-      const useLocal = result.useLocalLLM || false;
+  // Keys stay in the background script; it only reports whether one is set
+  const status = await chrome.runtime.sendMessage({ action: "aiStatus" });
+  if (!status?.success) {
+    console.log("❌ Could not read AI configuration:", status?.error);
+    return;
+  }
 
-      if (useLocal) {
-        console.log("🏠 Using Local LLM Configuration:");
-        console.log(
-          "- Local URL:",
-          result.localURL || "http://localhost:11434/api/chat"
-        );
-        console.log("- Local Model:", result.localModel || "llama3.1:8b");
-        console.log("💰 Cost: FREE (no API charges)");
-      } else {
-        console.log("🌐 Using OpenAI Configuration:");
-        if (result.openaiApiKey) {
-          console.log("✅ OpenAI API key is configured");
-          console.log("Key length:", result.openaiApiKey.length);
-          console.log(
-            "Key preview:",
-            result.openaiApiKey.substring(0, 10) + "..."
-          );
-        } else {
-          console.log("❌ OpenAI API key is NOT configured");
-          console.log("🔧 Please add your API key in the extension popup");
-        }
-      }
-    }
-  );
+  if (status.local) {
+    console.log(`🏠 Using ${status.label} Configuration:`);
+    console.log("- Local URL:", status.url);
+    console.log("- Local Model:", status.model);
+    console.log("💰 Cost: FREE (no API charges)");
+    return;
+  }
+
+  console.log(`🌐 Using ${status.provider.toUpperCase()} Configuration:`);
+  console.log("- Model:", status.model);
+  if (status.hasApiKey) {
+    console.log("✅ API key is configured");
+  } else {
+    console.log("❌ API key is NOT configured");
+    console.log("🔧 Please add your API key in the extension popup");
+  }
 };
 
-window.testLegacyFallback = function () {
-  console.log("🔄 Testing Legacy Fallback...");
-  return autoFillForm();
+window.testRuleMapper = async function () {
+  console.log("📏 Testing rule-based field matching...");
+  const cvData = await storageManager.loadCVData();
+  const standardAnswers = await storageManager.loadStandardAnswers();
+  const result = ruleMapper.mapFields(
+    pageAnalyzer.extractPageData().fields,
+    cvData,
+    standardAnswers
+  );
+  console.table(result.matches);
+  return result;
 };
 
 window.debugAvailableFunctions = function () {
@@ -531,9 +748,9 @@ window.testDeepSeekAPI = async () => {
     ];
     
     console.log("Sending test request...");
-    const response = await testAI.sendAIRequest(testMessages);
-    console.log("✅ DeepSeek API test successful! Response:", response);
-    return response;
+    const { content } = await testAI.sendAIRequest(testMessages);
+    console.log("✅ DeepSeek API test successful! Response:", content);
+    return content;
   } catch (error) {
     console.error("❌ DeepSeek API test failed:", error);
     throw error;
@@ -546,7 +763,7 @@ console.log("- debugPageAnalysis() - Test page field detection");
 console.log("- debugAIAutoFill() - Test full AI workflow");
 console.log("- checkAPIKey() - Check if OpenAI API key is configured");
 console.log("- testDeepSeekAPI() - Test DeepSeek API connection");
-console.log("- testLegacyFallback() - Test legacy auto-fill system");
+console.log("- testRuleMapper() - See which fields the rules fill without AI");
 console.log(
   "- debugAvailableFunctions() - See what's actually available on the page"
 );
@@ -1,16 +1,15 @@
-// Cover Letter Generator - Generate cover letters using OpenAI
+// Cover Letter Generator - Generate cover letters with the configured AI provider
 class CoverLetterGenerator {
   constructor() {
-    this.apiEndpoint = "https://api.openai.com/v1/chat/completions";
-    this.defaultModel = "gpt-3.5-turbo";
     this.defaultTemperature = 0.7;
   }
 
-  // Generate cover letter using OpenAI API
-  async generateCoverLetter(cvData, companyInfo, apiKey, template = null) {
+  // Generate cover letter through the background script's AI provider layer,
+  // which uses the aiProvider setting and holds the API keys
+  async generateCoverLetter(cvData, companyInfo, template = null) {
     try {
       // Validate inputs
-      if (!cvData || !companyInfo || !apiKey) {
+      if (!cvData || !companyInfo) {
         throw new Error(
           "Missing required parameters for cover letter generation"
         );
@@ -19,9 +18,8 @@ class CoverLetterGenerator {
       // Prepare the prompt
       const prompt = this.createPrompt(cvData, companyInfo, template);
 
-      // Prepare the API request
-      const requestBody = {
-        model: this.defaultModel,
+      const response = await chrome.runtime.sendMessage({
+        action: "aiChat",
         messages: [
           {
             role: "system",
@@ -34,43 +32,19 @@ class CoverLetterGenerator {
           },
         ],
         temperature: this.defaultTemperature,
-        max_tokens: 1000,
-      };
-
-      // Make API request
-      const response = await fetch(this.apiEndpoint, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify(requestBody),
+        maxTokens: 1000,
       });
 
-      // Check for API errors
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          `OpenAI API error: ${response.status} ${response.statusText} - ${
-            errorData.error?.message || "Unknown error"
-          }`
-        );
-      }
-
-      // Parse response
-      const data = await response.json();
-      const coverLetter = data.choices?.[0]?.message?.content?.trim();
-
-      if (!coverLetter) {
-        throw new Error(
-          "Failed to generate cover letter: Empty response from API"
-        );
+      if (!response?.success) {
+        throw new Error(response?.error || "No response from background script");
       }
 
       return {
         success: true,
-        coverLetter: coverLetter,
-        usage: data.usage,
+        coverLetter: response.content,
+        usage: response.usage,
+        provider: response.provider,
+        model: response.model,
       };
     } catch (error) {
       console.error("Error generating cover letter:", error);
@@ -81,7 +55,7 @@ class CoverLetterGenerator {
     }
   }
 
-  // Create prompt for OpenAI
+  // Create prompt for the AI provider
   createPrompt(cvData, companyInfo, template = null) {
     // Use provided template or default
     const promptTemplate = template || this.getDefaultTemplate();
@@ -175,28 +149,6 @@ Sincerely,
     return `Education:\n${eduItems.join("\n")}`;
   }
 
-  // Validate API key
-  async validateApiKey(apiKey) {
-    try {
-      const response = await fetch(this.apiEndpoint, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: "gpt-3.5-turbo",
-          messages: [{ role: "user", content: "Hello" }],
-          max_tokens: 1,
-        }),
-      });
-
-      return response.ok;
-    } catch (error) {
-      return false;
-    }
-  }
-
   // Estimate cost based on token usage
   estimateCost(usage) {
     // GPT-3.5-turbo pricing: ~$0.002 / 1K tokens
@@ -0,0 +1,147 @@
+// cryptoUtils.js - Passphrase-based encryption (PBKDF2 + AES-GCM) via Web Crypto
+
+class CryptoUtils {
+  constructor() {
+    this.ITERATIONS = 250000;
+  }
+
+  /**
+   * Encrypt a string with a passphrase
+   * @param {string} plaintext - Text to encrypt
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<Object>} Encrypted payload (base64 salt, iv and data)
+   */
+  async encrypt(plaintext, passphrase) {
+    if (!passphrase) {
+      throw new Error("A passphrase is required to encrypt");
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+
+    return {
+      ...(await this.encryptWith(key, plaintext)),
+      kdf: "PBKDF2-SHA256",
+      iterations: this.ITERATIONS,
+      salt: this.toBase64(salt),
+    };
+  }
+
+  /**
+   * Decrypt a payload produced by encrypt()
+   * @param {Object} payload - Encrypted payload
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<string>} Decrypted text
+   */
+  async decrypt(payload, passphrase) {
+    if (!payload || payload.algorithm !== "AES-GCM") {
+      throw new Error("Unsupported encrypted payload");
+    }
+
+    const key = await this.deriveKey(
+      passphrase,
+      this.fromBase64(payload.salt),
+      payload.iterations || this.ITERATIONS
+    );
+    return this.decryptWith(key, payload);
+  }
+
+  /**
+   * Generate random bytes for a data key
+   * @returns {Uint8Array} 256-bit key
+   */
+  generateKeyBytes() {
+    return crypto.getRandomValues(new Uint8Array(32));
+  }
+
+  /**
+   * Encrypt a string with a raw 256-bit key (no passphrase derivation)
+   * @param {string} plaintext - Text to encrypt
+   * @param {Uint8Array} keyBytes - Key from generateKeyBytes()
+   * @returns {Promise<Object>} Encrypted payload
+   */
+  async encryptWithKey(plaintext, keyBytes) {
+    return this.encryptWith(await this.importKey(keyBytes), plaintext);
+  }
+
+  /**
+   * Decrypt a payload produced by encryptWithKey()
+   * @param {Object} payload - Encrypted payload
+   * @param {Uint8Array} keyBytes - Key used to encrypt
+   * @returns {Promise<string>} Decrypted text
+   */
+  async decryptWithKey(payload, keyBytes) {
+    return this.decryptWith(await this.importKey(keyBytes), payload);
+  }
+
+  async encryptWith(key, plaintext) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(plaintext)
+    );
+    return {
+      algorithm: "AES-GCM",
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(data)),
+    };
+  }
+
+  async decryptWith(key, payload) {
+    try {
+      const data = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: this.fromBase64(payload.iv) },
+        key,
+        this.fromBase64(payload.data)
+      );
+      return new TextDecoder().decode(data);
+    } catch (error) {
+      // AES-GCM fails authentication for a wrong passphrase
+      throw new Error("Wrong passphrase or corrupted data");
+    }
+  }
+
+  importKey(keyBytes) {
+    return crypto.subtle.importKey("raw", keyBytes, "AES-GCM", false, [
+      "encrypt",
+      "decrypt",
+    ]);
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  toBase64(bytes) {
+    let binary = "";
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CryptoUtils;
+} else {
+  self.CryptoUtils = CryptoUtils;
+}
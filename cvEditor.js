@@ -0,0 +1,354 @@
+// cvEditor.js - Structured CV editor generated from CVDataSchema
+
+class CVEditor {
+  /**
+   * @param {HTMLElement} container - Element the editor renders into
+   * @param {Object} schema - CVDataSchema from dataStructure.js
+   */
+  constructor(container, schema = window.CVDataStructure.CVDataSchema) {
+    this.container = container;
+    this.schema = schema;
+    this.originalData = null;
+  }
+
+  /**
+   * Render the editor for the given CV data
+   * @param {Object} cvData - CV data to edit
+   */
+  render(cvData) {
+    this.originalData = JSON.parse(
+      JSON.stringify(cvData || window.CVDataStructure.getDefaultCVData())
+    );
+    this.container.textContent = "";
+
+    this.container.appendChild(
+      this.renderGroup("Personal", "personal", this.schema.personal)
+    );
+    this.container.appendChild(
+      this.renderGroup("Professional", "professional", this.schema.professional)
+    );
+  }
+
+  /**
+   * Render one top-level schema group (personal/professional)
+   */
+  renderGroup(title, groupKey, groupSchema) {
+    const fieldset = document.createElement("fieldset");
+    const legend = document.createElement("legend");
+    legend.textContent = title;
+    fieldset.appendChild(legend);
+
+    const values = this.originalData[groupKey] || {};
+    Object.entries(groupSchema).forEach(([key, rules]) => {
+      fieldset.appendChild(
+        this.renderField(`${groupKey}.${key}`, rules, values[key], values)
+      );
+    });
+
+    return fieldset;
+  }
+
+  /**
+   * Render a field according to its schema rules
+   * @param {string} path - Dot path of the value (e.g. "personal.email")
+   * @param {Object} rules - Schema rules for the field
+   * @param {*} value - Current value
+   * @param {Object} parentValues - Sibling values (needed for skills)
+   * @returns {HTMLElement} Field element
+   */
+  renderField(path, rules, value, parentValues = {}) {
+    if (rules.items) {
+      return this.renderRepeatable(path, rules, Array.isArray(value) ? value : []);
+    }
+
+    switch (rules.editor) {
+      case "keyValue":
+        return this.renderKeyValue(path, rules, value || {});
+      case "keyList":
+        return this.renderKeyValue(path, rules, value || {}, true);
+      case "list":
+        return this.renderInput(
+          path,
+          rules,
+          this.getUncategorizedSkills(value, parentValues.skillsCategories).join(", ")
+        );
+      case "lines":
+        return this.renderInput(
+          path,
+          { ...rules, multiline: true },
+          (Array.isArray(value) ? value : []).join("\n")
+        );
+      default:
+        return this.renderInput(path, rules, value || "");
+    }
+  }
+
+  /**
+   * Render a labelled text input or textarea
+   */
+  renderInput(path, rules, value) {
+    const wrapper = document.createElement("label");
+    wrapper.className = "editor-field";
+
+    const caption = document.createElement("span");
+    caption.textContent = `${rules.label || path}${rules.required ? " *" : ""}`;
+
+    const input = rules.multiline
+      ? document.createElement("textarea")
+      : document.createElement("input");
+    input.value = value;
+    input.dataset.path = path;
+    if (rules.format === "email") input.type = "email";
+    if (rules.format === "phone") input.type = "tel";
+    if (rules.format === "url") input.type = "url";
+
+    const error = document.createElement("small");
+    error.className = "editor-error";
+
+    wrapper.append(caption, input, error);
+    return wrapper;
+  }
+
+  /**
+   * Render a repeatable list of entries (experience, education, projects)
+   */
+  renderRepeatable(path, rules, entries) {
+    const section = document.createElement("div");
+    section.className = "editor-repeatable";
+    section.dataset.path = path;
+
+    const heading = document.createElement("h4");
+    heading.textContent = rules.label || path;
+    section.appendChild(heading);
+
+    const list = document.createElement("div");
+    list.className = "editor-entries";
+    section.appendChild(list);
+
+    const addEntry = entry => {
+      const item = document.createElement("div");
+      item.className = "editor-entry";
+
+      Object.entries(rules.items).forEach(([key, itemRules]) => {
+        item.appendChild(this.renderField(key, itemRules, entry[key]));
+      });
+
+      const remove = this.createButton("Remove", () => {
+        item.remove();
+        this.reindexEntries(list, path);
+      });
+      item.appendChild(remove);
+      list.appendChild(item);
+      this.reindexEntries(list, path);
+    };
+
+    entries.forEach(entry => addEntry(entry || {}));
+    section.appendChild(
+      this.createButton(`Add ${(rules.label || "entry").toLowerCase()}`, () =>
+        addEntry({})
+      )
+    );
+
+    return section;
+  }
+
+  /**
+   * Give entry inputs full paths (e.g. "professional.experience.2.title")
+   */
+  reindexEntries(list, path) {
+    Array.from(list.children).forEach((item, index) => {
+      item.dataset.index = index;
+      item.querySelectorAll("[data-key]").forEach(input => {
+        input.dataset.path = `${path}.${index}.${input.dataset.key}`;
+      });
+      item.querySelectorAll("[data-path]:not([data-key])").forEach(input => {
+        input.dataset.key = input.dataset.path;
+        input.dataset.path = `${path}.${index}.${input.dataset.key}`;
+      });
+    });
+  }
+
+  /**
+   * Render an editable map (questions, or skill categories with list values)
+   */
+  renderKeyValue(path, rules, map, valueIsList = false) {
+    const section = document.createElement("div");
+    section.className = "editor-keyvalue";
+    section.dataset.path = path;
+    section.dataset.valueIsList = valueIsList ? "true" : "false";
+
+    const heading = document.createElement("h4");
+    heading.textContent = rules.label || path;
+    section.appendChild(heading);
+
+    const list = document.createElement("div");
+    section.appendChild(list);
+
+    const addRow = (key, value) => {
+      const row = document.createElement("div");
+      row.className = "editor-pair";
+
+      const keyInput = valueIsList
+        ? document.createElement("input")
+        : document.createElement("textarea");
+      keyInput.className = "pair-key";
+      keyInput.placeholder = valueIsList ? "Category" : "Question";
+      keyInput.value = key;
+
+      const valueInput = document.createElement("textarea");
+      valueInput.className = "pair-value";
+      valueInput.placeholder = valueIsList
+        ? "Skills, comma-separated"
+        : "Answer";
+      valueInput.value = valueIsList
+        ? (Array.isArray(value) ? value : []).join(", ")
+        : value || "";
+
+      row.append(
+        keyInput,
+        valueInput,
+        this.createButton("Remove", () => row.remove())
+      );
+      list.appendChild(row);
+    };
+
+    Object.entries(map).forEach(([key, value]) => addRow(key, value));
+    section.appendChild(
+      this.createButton(valueIsList ? "Add category" : "Add question", () =>
+        addRow("", valueIsList ? [] : "")
+      )
+    );
+
+    return section;
+  }
+
+  /**
+   * Read the editor back into a CV data object
+   * @returns {Object} CV data (unknown keys from the original are preserved)
+   */
+  getData() {
+    const data = JSON.parse(JSON.stringify(this.originalData));
+
+    // Repeatable entries are rebuilt from scratch so removals stick
+    this.container.querySelectorAll(".editor-repeatable").forEach(section => {
+      this.setPath(data, section.dataset.path, []);
+    });
+
+    this.container
+      .querySelectorAll("input[data-path], textarea[data-path]")
+      .forEach(input => {
+        const rules = this.getRulesForPath(input.dataset.path);
+        let value = input.value.trim();
+
+        if (rules?.editor === "lines") {
+          value = value
+            .split("\n")
+            .map(line => line.trim())
+            .filter(Boolean);
+        } else if (rules?.editor === "list") {
+          value = this.splitList(value);
+        }
+
+        this.setPath(data, input.dataset.path, value);
+      });
+
+    this.container.querySelectorAll(".editor-keyvalue").forEach(section => {
+      const valueIsList = section.dataset.valueIsList === "true";
+      const map = {};
+      section.querySelectorAll(".editor-pair").forEach(row => {
+        const key = row.querySelector(".pair-key").value.trim();
+        const value = row.querySelector(".pair-value").value.trim();
+        if (!key) return;
+        map[key] = valueIsList ? this.splitList(value) : value;
+      });
+      this.setPath(data, section.dataset.path, map);
+    });
+
+    // Flat skills list = categorized skills plus any extra ones
+    const categorized = Object.values(data.professional.skillsCategories || {}).flat();
+    data.professional.skills = [
+      ...new Set([...categorized, ...(data.professional.skills || [])]),
+    ];
+
+    return data;
+  }
+
+  /**
+   * Show validation errors next to their inputs
+   * @param {Array} errors - [{ path, message }] from validateCVDataDetailed
+   */
+  showErrors(errors) {
+    this.container.querySelectorAll(".editor-error").forEach(el => {
+      el.textContent = "";
+    });
+    this.container.querySelectorAll(".invalid").forEach(el => {
+      el.classList.remove("invalid");
+    });
+
+    errors.forEach(({ path, message }) => {
+      const input = this.container.querySelector(`[data-path="${path}"]`);
+      if (!input) return;
+      input.classList.add("invalid");
+      const errorElement = input.parentElement.querySelector(".editor-error");
+      if (errorElement) errorElement.textContent = message;
+    });
+  }
+
+  /**
+   * Find schema rules for a dot path, skipping array indexes
+   */
+  getRulesForPath(path) {
+    const parts = path.split(".").filter(part => !/^\d+$/.test(part));
+    let rules = this.schema[parts[0]];
+    for (const part of parts.slice(1)) {
+      if (!rules) return null;
+      rules = rules[part] || rules.items?.[part] || null;
+      if (rules?.items && part !== parts[parts.length - 1]) {
+        rules = rules.items;
+      }
+    }
+    return rules;
+  }
+
+  setPath(target, path, value) {
+    const parts = path.split(".");
+    let current = target;
+    parts.slice(0, -1).forEach((part, index) => {
+      if (current[part] === undefined || current[part] === null) {
+        current[part] = /^\d+$/.test(parts[index + 1]) ? [] : {};
+      }
+      current = current[part];
+    });
+    current[parts[parts.length - 1]] = value;
+  }
+
+  getUncategorizedSkills(skills, categories) {
+    const categorized = new Set(Object.values(categories || {}).flat());
+    return (Array.isArray(skills) ? skills : []).filter(
+      skill => !categorized.has(skill)
+    );
+  }
+
+  splitList(text) {
+    return text
+      .split(",")
+      .map(item => item.trim())
+      .filter(Boolean);
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "editor-button";
+    button.textContent = text;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CVEditor;
+} else {
+  window.CVEditor = CVEditor;
+}
@@ -0,0 +1,992 @@
+// cvImporter.js - Imports CV data from PDF, DOCX, JSON Resume and LinkedIn exports
+
+class CVImporter {
+  constructor() {
+    this.months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+    // Headings used to split plain-text CVs (PDF/DOCX) into sections
+    this.sectionHeadings = {
+      summary: /^(summary|profile|professional summary|about( me)?|objective)$/i,
+      experience: /^(experience|work experience|professional experience|employment( history)?|work history)$/i,
+      education: /^(education|academic background|qualifications)$/i,
+      skills: /^(skills|technical skills|core competencies|key skills|technologies)$/i,
+      projects: /^(projects|personal projects|selected projects)$/i,
+    };
+
+    // WinAnsiEncoding punctuation in the 0x80-0x9F range (PDF simple fonts)
+    this.winAnsiCharacters = {
+      0x85: "…", 0x91: "‘", 0x92: "’", 0x93: "“", 0x94: "”",
+      0x95: "•", 0x96: "–", 0x97: "—", 0x99: "™",
+    };
+  }
+
+  /**
+   * Import one or more files and produce CV data
+   * @param {File[]|FileList} files - Selected files (a single CV, a LinkedIn ZIP, or LinkedIn CSVs)
+   * @returns {Promise<Object>} { format, cvData, recognized: [{ path, label, value }] }
+   */
+  async importFiles(files) {
+    const list = Array.from(files);
+    if (list.length === 0) {
+      throw new Error("No file selected");
+    }
+
+    let result;
+    if (list.every(file => this.getExtension(file) === "csv")) {
+      const csvFiles = {};
+      for (const file of list) {
+        csvFiles[file.name] = await file.text();
+      }
+      result = { format: "LinkedIn export", cvData: this.parseLinkedInExport(csvFiles) };
+    } else if (list.length > 1) {
+      throw new Error("Select a single CV file (multiple files are only supported for LinkedIn CSVs)");
+    } else {
+      result = await this.importFile(list[0]);
+    }
+
+    return { ...result, recognized: this.getRecognizedFields(result.cvData) };
+  }
+
+  /**
+   * Import a single file, picking the parser from its extension
+   * @param {File} file - Selected file
+   * @returns {Promise<Object>} { format, cvData }
+   */
+  async importFile(file) {
+    const buffer = new Uint8Array(await file.arrayBuffer());
+
+    switch (this.getExtension(file)) {
+      case "pdf":
+        return { format: "PDF", cvData: this.parsePlainText(await this.extractPDFText(buffer)) };
+      case "docx":
+        return { format: "DOCX", cvData: this.parsePlainText(await this.extractDOCXText(buffer)) };
+      case "json":
+        return this.parseJSON(new TextDecoder().decode(buffer));
+      case "zip": {
+        const entries = await this.readZip(buffer);
+        const csvFiles = {};
+        for (const [name, data] of Object.entries(entries)) {
+          if (name.toLowerCase().endsWith(".csv")) {
+            csvFiles[name.split("/").pop()] = new TextDecoder().decode(data);
+          }
+        }
+        if (!csvFiles["Profile.csv"] && !csvFiles["Positions.csv"]) {
+          throw new Error("ZIP file does not look like a LinkedIn data export");
+        }
+        return { format: "LinkedIn export", cvData: this.parseLinkedInExport(csvFiles) };
+      }
+      default:
+        throw new Error(`Unsupported file type: ${file.name}`);
+    }
+  }
+
+  getExtension(file) {
+    return (file.name.split(".").pop() || "").toLowerCase();
+  }
+
+  // ===== JSON Resume =====
+
+  /**
+   * Parse a JSON Resume document (or a previously exported CV data file)
+   * @param {string} text - JSON text
+   * @returns {Object} { format, cvData }
+   */
+  parseJSON(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    // Already in our own shape
+    if (json.personal && json.professional) {
+      return {
+        format: "Job Assistant CV data",
+        cvData: this.mergeWithDefaults(json),
+      };
+    }
+
+    if (!json.basics && !json.work) {
+      throw new Error("JSON file is not a JSON Resume document");
+    }
+    return { format: "JSON Resume", cvData: this.parseJSONResume(json) };
+  }
+
+  /**
+   * Map the JSON Resume schema (jsonresume.org) to CV data
+   * @param {Object} resume - JSON Resume document
+   * @returns {Object} CV data
+   */
+  parseJSONResume(resume) {
+    const cvData = window.CVDataStructure.getDefaultCVData();
+    const basics = resume.basics || {};
+    const location = basics.location || {};
+
+    cvData.personal.name = basics.name || "";
+    cvData.personal.email = basics.email || "";
+    cvData.personal.phone = basics.phone || "";
+    cvData.personal.location = [location.city, location.region, location.countryCode]
+      .filter(Boolean)
+      .join(", ");
+    const linkedin = (basics.profiles || []).find(profile =>
+      /linkedin/i.test(`${profile.network} ${profile.url}`)
+    );
+    cvData.personal.linkedin = linkedin?.url || "";
+
+    cvData.professional.title = basics.label || "";
+    cvData.professional.summary = basics.summary || "";
+
+    (resume.skills || []).forEach(skill => {
+      const keywords = skill.keywords || [];
+      if (keywords.length > 0) {
+        cvData.professional.skillsCategories[skill.name || "Skills"] = keywords;
+      } else if (skill.name) {
+        cvData.professional.skills.push(skill.name);
+      }
+    });
+    cvData.professional.skills = [
+      ...new Set([...Object.values(cvData.professional.skillsCategories).flat(), ...cvData.professional.skills]),
+    ];
+
+    cvData.professional.experience = (resume.work || []).map(job => ({
+      title: job.position || "",
+      company: job.name || job.company || "",
+      dateRange: this.formatDateRange(job.startDate, job.endDate),
+      location: job.location || "",
+      achievements: job.highlights?.length ? job.highlights : this.splitLines(job.summary),
+    }));
+
+    cvData.professional.education = (resume.education || []).map(school => ({
+      degree: [school.studyType, school.area].filter(Boolean).join(" in "),
+      institution: school.institution || "",
+      dateRange: this.formatDateRange(school.startDate, school.endDate),
+    }));
+
+    cvData.professional.projects = (resume.projects || []).map(project => ({
+      title: project.name || "",
+      technologies: (project.keywords || []).join(", "),
+      description: project.description || (project.highlights || []).join(" "),
+    }));
+
+    return cvData;
+  }
+
+  // ===== LinkedIn data export =====
+
+  /**
+   * Map LinkedIn data-export CSV files to CV data
+   * @param {Object} csvFiles - File name → CSV text (Profile.csv, Positions.csv, ...)
+   * @returns {Object} CV data
+   */
+  parseLinkedInExport(csvFiles) {
+    const cvData = window.CVDataStructure.getDefaultCVData();
+    const table = name => (csvFiles[name] ? this.parseCSV(csvFiles[name]) : []);
+
+    const profile = table("Profile.csv")[0] || {};
+    cvData.personal.name = [profile["First Name"], profile["Last Name"]].filter(Boolean).join(" ");
+    cvData.personal.location = profile["Geo Location"] || profile["Address"] || "";
+    cvData.professional.title = profile["Headline"] || "";
+    cvData.professional.summary = profile["Summary"] || "";
+
+    const emails = table("Email Addresses.csv");
+    const email = emails.find(row => row["Primary"] === "Yes") || emails[0];
+    cvData.personal.email = email?.["Email Address"] || "";
+
+    const phone = table("PhoneNumbers.csv")[0];
+    cvData.personal.phone = phone?.["Number"] || "";
+
+    const websites = profile["Websites"] || "";
+    const linkedin = websites.match(/https?:\/\/[^\s,\]]*linkedin\.com[^\s,\]]*/i);
+    cvData.personal.linkedin = linkedin ? linkedin[0] : "";
+
+    cvData.professional.skills = table("Skills.csv")
+      .map(row => row["Name"])
+      .filter(Boolean);
+
+    cvData.professional.experience = table("Positions.csv").map(row => ({
+      title: row["Title"] || "",
+      company: row["Company Name"] || "",
+      dateRange: this.formatDateRange(row["Started On"], row["Finished On"]),
+      location: row["Location"] || "",
+      achievements: this.splitLines(row["Description"]),
+    }));
+
+    cvData.professional.education = table("Education.csv").map(row => ({
+      degree: row["Degree Name"] || "",
+      institution: row["School Name"] || "",
+      dateRange: this.formatDateRange(row["Start Date"], row["End Date"]),
+    }));
+
+    cvData.professional.projects = table("Projects.csv").map(row => ({
+      title: row["Title"] || "",
+      technologies: "",
+      description: row["Description"] || "",
+    }));
+
+    return cvData;
+  }
+
+  /**
+   * Parse CSV text into row objects keyed by the header line
+   * Handles quoted fields with commas, escaped quotes and line breaks
+   */
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // LinkedIn sometimes prepends notes before the header; the header is the first multi-column row
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim()));
+    if (nonEmpty.length === 0) return [];
+    const headerIndex = Math.max(0, nonEmpty.findIndex(cells => cells.length > 1));
+    const header = nonEmpty[headerIndex].map(cell => cell.replace(/^﻿/, "").trim());
+
+    return nonEmpty.slice(headerIndex + 1).map(cells => {
+      const record = {};
+      header.forEach((name, index) => {
+        record[name] = (cells[index] || "").trim();
+      });
+      return record;
+    });
+  }
+
+  // ===== DOCX =====
+
+  /**
+   * Extract paragraph text from a DOCX file
+   * @param {Uint8Array} buffer - File contents
+   * @returns {Promise<string>} Text with one paragraph per line
+   */
+  async extractDOCXText(buffer) {
+    const entries = await this.readZip(buffer);
+    const documentXML = entries["word/document.xml"];
+    if (!documentXML) {
+      throw new Error("DOCX file has no word/document.xml");
+    }
+
+    const doc = new DOMParser().parseFromString(
+      new TextDecoder().decode(documentXML),
+      "application/xml"
+    );
+    const lines = [];
+    Array.from(doc.getElementsByTagName("w:p")).forEach(paragraph => {
+      let text = "";
+      Array.from(paragraph.getElementsByTagName("*")).forEach(node => {
+        if (node.tagName === "w:t") text += node.textContent;
+        else if (node.tagName === "w:tab") text += "\t";
+        else if (node.tagName === "w:br") text += "\n";
+      });
+      // Bulleted paragraphs carry numbering properties instead of a bullet character
+      const isListItem = paragraph.getElementsByTagName("w:numPr").length > 0;
+      lines.push(isListItem && text.trim() ? `• ${text}` : text);
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Minimal ZIP reader (stored and deflated entries) using the central directory
+   * @param {Uint8Array} buffer - ZIP file contents
+   * @returns {Promise<Object>} Entry name → Uint8Array
+   */
+  async readZip(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+    // End of central directory record is in the last 64KB + 22 bytes
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) {
+      throw new Error("Not a valid ZIP file");
+    }
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const entries = {};
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = new TextDecoder().decode(buffer.subarray(offset + 46, offset + 46 + nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith("/")) continue;
+
+      const dataStart =
+        localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        entries[name] = data;
+      } else if (method === 8) {
+        entries[name] = await this.inflate(data, "deflate-raw");
+      } else {
+        console.warn(`CVImporter: Skipping ${name} (unsupported compression ${method})`);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Decompress bytes with the browser's DecompressionStream
+   * @param {Uint8Array} data - Compressed bytes
+   * @param {string} format - "deflate" (zlib, used by PDF) or "deflate-raw" (ZIP)
+   */
+  async inflate(data, format) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // ===== PDF =====
+
+  /**
+   * Extract text from a PDF by decoding its content streams
+   * Strings are decoded through each font's ToUnicode CMap where it has one
+   * (Identity-H fonts from Google Docs and Word need it); scanned PDFs have no text
+   * @param {Uint8Array} buffer - File contents
+   * @returns {Promise<string>} Extracted text, one text line per line
+   */
+  async extractPDFText(buffer) {
+    // latin1 keeps a 1:1 byte mapping so stream offsets stay valid
+    const raw = new TextDecoder("latin1").decode(buffer);
+    if (!raw.startsWith("%PDF")) {
+      throw new Error("Not a valid PDF file");
+    }
+
+    const objects = await this.readPDFObjects(raw, buffer);
+    const fontsByStream = await this.mapPDFFonts(objects);
+    const chunks = [];
+
+    for (const [number, object] of objects) {
+      // Skip images, fonts and other binary streams
+      if (
+        !object.stream ||
+        /\/Subtype\s*\/Image|\/Length1|\/Type\s*\/(XRef|XObject|Metadata|ObjStm)/.test(
+          object.dictionary
+        )
+      ) {
+        continue;
+      }
+
+      const content = await this.decodePDFStream(object);
+      if (content && /\bBT\b/.test(content)) {
+        chunks.push(this.extractTextOperators(content, fontsByStream.get(number)));
+      }
+    }
+
+    const text = chunks.join("\n").replace(/[ \t]+\n/g, "\n").trim();
+    if (!text) {
+      throw new Error("No text found in PDF (it may be a scanned image)");
+    }
+    if (this.isUnreadableText(text)) {
+      throw new Error(
+        "The text in this PDF could not be read (its fonts use a custom encoding). " +
+          "Export the CV as DOCX or plain text and import that instead."
+      );
+    }
+    return text;
+  }
+
+  /**
+   * Index a PDF's objects by number, including those packed in object streams
+   * @param {string} raw - File contents as latin1
+   * @param {Uint8Array} buffer - File contents
+   * @returns {Promise<Map>} Object number → { dictionary, stream } in file order;
+   *   dictionary is the object's text before any stream, stream its raw bytes
+   */
+  async readPDFObjects(raw, buffer) {
+    const objects = new Map();
+    const header = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+
+    while ((match = header.exec(raw)) !== null) {
+      const bodyStart = header.lastIndex;
+      let end = raw.indexOf("endobj", bodyStart);
+      if (end < 0) break;
+
+      let dictionary = raw.slice(bodyStart, end);
+      let stream = null;
+      const streamKeyword = dictionary.match(/>>\s*stream\r?\n/);
+      if (streamKeyword) {
+        const start = bodyStart + streamKeyword.index + streamKeyword[0].length;
+        const streamEnd = raw.indexOf("endstream", start);
+        if (streamEnd < 0) break;
+        dictionary = dictionary.slice(0, streamKeyword.index + 2);
+        stream = buffer.subarray(start, streamEnd);
+        end = Math.max(raw.indexOf("endobj", streamEnd), streamEnd);
+      }
+
+      objects.set(Number(match[1]), { dictionary: dictionary.trim(), stream });
+      header.lastIndex = end;
+    }
+
+    // Newer PDFs pack the dictionaries of pages and fonts into object streams
+    for (const object of [...objects.values()]) {
+      if (!/\/Type\s*\/ObjStm/.test(object.dictionary)) continue;
+      const content = await this.decodePDFStream(object);
+      const first = Number(object.dictionary.match(/\/First\s+(\d+)/)?.[1]);
+      if (!content || !first) continue;
+
+      const offsets = content.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i < offsets.length; i += 2) {
+        const next = i + 3 < offsets.length ? offsets[i + 3] : content.length - first;
+        if (!objects.has(offsets[i])) {
+          const dictionary = content.slice(first + offsets[i + 1], first + next).trim();
+          objects.set(offsets[i], { dictionary, stream: null });
+        }
+      }
+    }
+    return objects;
+  }
+
+  /**
+   * Decode a stream's bytes (uncompressed or FlateDecode)
+   * @param {Object} object - From readPDFObjects()
+   * @returns {Promise<string|null>} Stream as latin1, or null for other filters
+   */
+  async decodePDFStream({ dictionary, stream }) {
+    let bytes = stream;
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        bytes = await this.inflate(bytes, "deflate");
+      } catch (error) {
+        return null;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      return null;
+    }
+    return new TextDecoder("latin1").decode(bytes);
+  }
+
+  /**
+   * The fonts each content stream can use, as ToUnicode CMaps by resource name
+   * @param {Map} objects - From readPDFObjects()
+   * @returns {Promise<Map>} Content stream object number → { F1: cmap, ... }
+   */
+  async mapPDFFonts(objects) {
+    const fontsByStream = new Map();
+    const cmaps = new Map();
+    const references = text => [...String(text || "").matchAll(/(\d+)\s+\d+\s+R\b/g)];
+
+    for (const page of objects.values()) {
+      if (!/\/Type\s*\/Page(?![A-Za-z])/.test(page.dictionary)) continue;
+
+      // Resources may be inherited from the page tree
+      let resources = null;
+      for (let node = page, depth = 0; node && !resources && depth < 10; depth++) {
+        resources = this.getPDFValue(node.dictionary, "Resources", objects);
+        node = objects.get(Number(this.getPDFValue(node.dictionary, "Parent")?.match(/\d+/)));
+      }
+
+      const fonts = {};
+      const fontDictionary = this.getPDFValue(resources || "", "Font", objects) || "";
+      const fontReferences = /\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R\b/g;
+      for (const [, name, number] of fontDictionary.matchAll(fontReferences)) {
+        if (!cmaps.has(number)) {
+          cmaps.set(number, await this.readFontCMap(objects.get(Number(number)), objects));
+        }
+        fonts[name] = cmaps.get(number);
+      }
+
+      // Contents is one stream or an array of them (possibly in its own object)
+      const contents = references(this.getPDFValue(page.dictionary, "Contents")).flatMap(
+        ([, number]) => {
+          const object = objects.get(Number(number));
+          return object?.stream ? [number] : references(object?.dictionary).map(([, inner]) => inner);
+        }
+      );
+      contents.forEach(number => fontsByStream.set(Number(number), fonts));
+    }
+    return fontsByStream;
+  }
+
+  /**
+   * A font's ToUnicode CMap; two-byte Identity fonts without one can't be
+   * read, so they get an empty map and decode to replacement characters
+   * @param {Object} font - Font object from readPDFObjects()
+   * @param {Map} objects - From readPDFObjects()
+   * @returns {Promise<Object|null>} { codeLength, map } or null for simple fonts
+   */
+  async readFontCMap(font, objects) {
+    if (!font) return null;
+    const number = font.dictionary.match(/\/ToUnicode\s+(\d+)\s+\d+\s+R\b/)?.[1];
+    const stream = number && objects.get(Number(number));
+    const cmap = stream?.stream ? await this.decodePDFStream(stream) : null;
+    if (cmap) return this.parseToUnicodeCMap(cmap);
+
+    return /\/Identity-[HV]/.test(font.dictionary) ? { codeLength: 2, map: new Map() } : null;
+  }
+
+  /**
+   * Parse the bfchar and bfrange mappings of a ToUnicode CMap
+   * @param {string} text - CMap stream
+   * @returns {Object} { codeLength, map: character code → text }
+   */
+  parseToUnicodeCMap(text) {
+    const map = new Map();
+    const unicode = hex => {
+      const units = hex.length <= 2 ? [hex] : hex.match(/[0-9A-Fa-f]{4}/g) || [];
+      return String.fromCharCode(...units.map(unit => parseInt(unit, 16)));
+    };
+
+    for (const [, block] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const [, code, target] of block.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+        map.set(parseInt(code, 16), unicode(target));
+      }
+    }
+
+    const range = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(<[0-9A-Fa-f]*>|\[[^\]]*\])/g;
+    for (const [, block] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      for (const [, low, high, target] of block.matchAll(range)) {
+        const first = parseInt(low, 16);
+        const last = Math.min(parseInt(high, 16), first + 0xffff);
+        if (target.startsWith("[")) {
+          // One target per code
+          [...target.matchAll(/<([0-9A-Fa-f]*)>/g)].forEach(([, hex], offset) => {
+            if (first + offset <= last) map.set(first + offset, unicode(hex));
+          });
+        } else {
+          // Consecutive codes map to consecutive characters (the last unit counts up)
+          const base = unicode(target.slice(1, -1));
+          for (let code = first; code <= last; code++) {
+            const lastUnit = base.charCodeAt(base.length - 1) + code - first;
+            map.set(code, base.slice(0, -1) + String.fromCharCode(lastUnit));
+          }
+        }
+      }
+    }
+
+    const codespace = text.match(/begincodespacerange\s*<([0-9A-Fa-f]+)>/)?.[1];
+    const sample = text.match(/begin(?:bfchar|bfrange)\s*<([0-9A-Fa-f]+)>/)?.[1];
+    return { codeLength: Math.max(1, (codespace || sample || "00").length / 2), map };
+  }
+
+  /**
+   * Find a key's value in a PDF dictionary, following an indirect reference
+   * @param {string} dictionary - Dictionary text
+   * @param {string} key - Key without the slash
+   * @param {Map} objects - From readPDFObjects(), to follow references (optional)
+   * @returns {string|null} The value's text (a nested dictionary, array, reference or token)
+   */
+  getPDFValue(dictionary, key, objects = null) {
+    const at = dictionary.search(new RegExp(`/${key}(?![A-Za-z])`));
+    if (at < 0) return null;
+    const rest = dictionary.slice(at + key.length + 1).trimStart();
+
+    const reference = rest.match(/^(\d+)\s+\d+\s+R\b/);
+    if (reference) {
+      return objects ? objects.get(Number(reference[1]))?.dictionary ?? null : reference[0];
+    }
+    if (rest.startsWith("[")) {
+      return rest.slice(0, rest.indexOf("]") + 1);
+    }
+    if (rest.startsWith("<<")) {
+      // Up to the matching ">>"; single "<" starts a hex string
+      let depth = 0;
+      for (let i = 0; i < rest.length; i++) {
+        if (rest.startsWith("<<", i)) {
+          depth++;
+          i++;
+        } else if (rest.startsWith(">>", i)) {
+          depth--;
+          i++;
+          if (depth === 0) return rest.slice(0, i + 1);
+        } else if (rest[i] === "<") {
+          i = rest.indexOf(">", i);
+        }
+      }
+      return rest;
+    }
+    return rest.match(/^[^\s/<>[\]()]+|^\/[^\s/<>[\]()]+/)?.[0] || null;
+  }
+
+  /**
+   * Whether extracted text is mostly glyph ids rather than characters
+   * (control, replacement and private-use characters)
+   */
+  isUnreadableText(text) {
+    const characters = text.replace(/\s/g, "");
+    const unreadable = characters.match(/[\x00-\x1f\x7f-\x9f\ufffd\ue000-\uf8ff]/g) || [];
+    return characters.length > 0 && unreadable.length / characters.length > 0.3;
+  }
+
+  /**
+   * Pull text out of a content stream's text operators (Tj, TJ, ', ")
+   * Text positioning operators that move to a new line become line breaks
+   * @param {string} content - Decoded content stream
+   * @param {Object} fonts - Resource name → ToUnicode CMap of the page's fonts
+   */
+  extractTextOperators(content, fonts = {}) {
+    let text = "";
+    let cmap = null;
+    const tokens = /\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[(?:\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>|[^\]])*\]|-?\d*\.?\d+|\/[^\s/<>[\]()]+|[A-Za-z'"*]+/g;
+    const operands = [];
+    let token;
+
+    while ((token = tokens.exec(content)) !== null) {
+      const value = token[0];
+
+      switch (value) {
+        case "Tj":
+        case "'":
+        case '"':
+          if (value !== "Tj") text += "\n";
+          text += this.decodePDFString(operands[operands.length - 1] || "", cmap);
+          break;
+        case "TJ": {
+          const array = operands[operands.length - 1] || "";
+          const parts = array.match(/\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>|-?\d*\.?\d+/g) || [];
+          parts.forEach(part => {
+            // Large negative kerning is a word gap
+            if (/^-?\d/.test(part)) {
+              if (Number(part) < -200) text += " ";
+            } else {
+              text += this.decodePDFString(part, cmap);
+            }
+          });
+          break;
+        }
+        case "Tf":
+          // "/F1 12 Tf" selects the font the following strings are encoded in
+          cmap = fonts[String(operands[operands.length - 2] || "").slice(1)] || null;
+          break;
+        case "Td":
+        case "TD":
+          // Only vertical moves start a new line
+          if (Number(operands[operands.length - 1]) !== 0) text += "\n";
+          else text += " ";
+          break;
+        case "T*":
+        case "Tm":
+        case "ET":
+          text += "\n";
+          break;
+        default:
+          if (/^[A-Za-z'"*]+$/.test(value)) {
+            operands.length = 0;
+          } else {
+            operands.push(value);
+          }
+          continue;
+      }
+      operands.length = 0;
+    }
+
+    return text
+      .split("\n")
+      .map(line => line.replace(/\s+/g, " ").trim())
+      .filter((line, index, lines) => line || lines[index - 1])
+      .join("\n");
+  }
+
+  /**
+   * Decode a PDF literal "(...)" or hex "<...>" string
+   * @param {string} token - String token from a content stream
+   * @param {Object|null} cmap - The current font's ToUnicode CMap, if any
+   */
+  decodePDFString(token, cmap = null) {
+    const bytes = this.readPDFStringBytes(token);
+    if (cmap) {
+      let result = "";
+      for (let i = 0; i + cmap.codeLength <= bytes.length; i += cmap.codeLength) {
+        let code = 0;
+        for (let j = 0; j < cmap.codeLength; j++) code = code * 256 + bytes.charCodeAt(i + j);
+        result += cmap.map.get(code) ?? "\ufffd";
+      }
+      return result;
+    }
+
+    if (token.startsWith("<")) {
+      // Two-byte hex strings are usually UTF-16BE/Identity-H glyph ids
+      return bytes.length % 2 === 0 && /^(\0[\s\S])+$/.test(bytes) ? bytes.replace(/\0/g, "") : bytes;
+    }
+    return bytes.replace(/[\x80-\x9f]/g, char => this.winAnsiCharacters[char.charCodeAt(0)] || "");
+  }
+
+  /**
+   * The bytes of a PDF string token, one character per byte
+   */
+  readPDFStringBytes(token) {
+    if (token.startsWith("<")) {
+      const hex = token.slice(1, -1).replace(/\s/g, "");
+      let result = "";
+      for (let i = 0; i < hex.length; i += 2) {
+        result += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, "0"), 16));
+      }
+      return result;
+    }
+
+    const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", "(": "(", ")": ")", "\\": "\\" };
+    return token.slice(1, -1).replace(/\\(\d{1,3}|.|\n)/g, (_, escape) => {
+      if (/^\d+$/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+      if (escape === "\n") return "";
+      return escapes[escape] ?? escape;
+    });
+  }
+
+  // ===== Plain text (PDF/DOCX) =====
+
+  /**
+   * Best-effort parse of CV text into sections
+   * @param {string} text - CV text, one line per paragraph
+   * @returns {Object} CV data
+   */
+  parsePlainText(text) {
+    const cvData = window.CVDataStructure.getDefaultCVData();
+    const lines = text
+      .split("\n")
+      .map(line => line.replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+
+    // Contact details can appear anywhere in the header
+    const email = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
+    if (email) cvData.personal.email = email[0];
+    const phone = text.match(/(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/);
+    if (phone) cvData.personal.phone = phone[0].trim();
+    const linkedin = text.match(/(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[\w-]+\/?/i);
+    if (linkedin) {
+      cvData.personal.linkedin = linkedin[0].startsWith("http") ? linkedin[0] : `https://${linkedin[0]}`;
+    }
+
+    // Split lines into the header and named sections
+    const sections = { header: [] };
+    let current = "header";
+    lines.forEach(line => {
+      const heading = line.replace(/[:\s]+$/, "");
+      const section = Object.keys(this.sectionHeadings).find(key =>
+        this.sectionHeadings[key].test(heading)
+      );
+      if (section) {
+        current = section;
+        sections[current] = sections[current] || [];
+      } else {
+        sections[current].push(line);
+      }
+    });
+
+    // Header: name first, then title and location lines without contact details
+    const headerLines = sections.header.filter(
+      line => !line.includes("@") && !/linkedin\.com|^\+?[\d\s().-]{7,}$/.test(line)
+    );
+    cvData.personal.name = headerLines[0] || "";
+    const titleLine = headerLines.slice(1).find(line => !this.looksLikeLocation(line) && !line.includes("|"));
+    cvData.professional.title = titleLine || "";
+    const location = sections.header
+      .flatMap(line => line.split(/\s*[|•·]\s*/))
+      .find(part => this.looksLikeLocation(part));
+    cvData.personal.location = location || "";
+
+    cvData.professional.summary = (sections.summary || []).join(" ");
+
+    if (sections.skills) {
+      sections.skills.forEach(line => {
+        const [category, list] = line.includes(":") ? line.split(/:(.*)/) : [null, line];
+        const skills = list
+          .split(/[,;•|]/)
+          .map(skill => skill.trim())
+          .filter(Boolean);
+        if (category && skills.length > 0) {
+          cvData.professional.skillsCategories[category.trim()] = skills;
+        }
+        cvData.professional.skills.push(...skills);
+      });
+      cvData.professional.skills = [...new Set(cvData.professional.skills)];
+    }
+
+    cvData.professional.experience = this.parseEntries(sections.experience || []).map(entry => ({
+      title: entry.heading[0] || "",
+      company: entry.heading[1] || "",
+      dateRange: entry.dateRange,
+      location: this.looksLikeLocation(entry.heading.slice(2).join(", "))
+        ? entry.heading.slice(2).join(", ")
+        : "",
+      achievements: entry.bullets.length ? entry.bullets : entry.body,
+    }));
+
+    cvData.professional.education = this.parseEntries(sections.education || []).map(entry => ({
+      degree: entry.heading[0] || "",
+      institution: entry.heading[1] || entry.body[0] || "",
+      dateRange: entry.dateRange,
+    }));
+
+    cvData.professional.projects = this.parseEntries(sections.projects || []).map(entry => ({
+      title: entry.heading[0] || "",
+      technologies: entry.heading.slice(1).join(", "),
+      description: [...entry.body, ...entry.bullets].join(" "),
+    }));
+
+    return cvData;
+  }
+
+  /**
+   * Group section lines into entries - a new entry starts at each non-bullet
+   * line after bullets, and heading parts are split on "|", "–", "," or " at "
+   */
+  parseEntries(lines) {
+    const entries = [];
+    const datePattern = new RegExp(
+      `((?:${this.months.join("|")})[a-z]*\\.?\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})\\s*(?:–|—|-|to)\\s*((?:${this.months.join("|")})[a-z]*\\.?\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4}|present|current|now)`,
+      "i"
+    );
+    let entry = null;
+
+    lines.forEach(line => {
+      const bullet = line.match(/^[•●▪◦*·-]\s*(.+)$/);
+      if (bullet) {
+        if (!entry) entry = { heading: [], dateRange: "", body: [], bullets: [] };
+        entry.bullets.push(bullet[1]);
+        return;
+      }
+
+      if (!entry || entry.bullets.length > 0) {
+        entry = { heading: [], dateRange: "", body: [], bullets: [] };
+        entries.push(entry);
+      }
+
+      const date = line.match(datePattern);
+      const rest = date ? line.replace(date[0], "") : line;
+      if (date && !entry.dateRange) {
+        entry.dateRange = `${date[1]} – ${date[2].replace(/^\w/, c => c.toUpperCase())}`;
+      }
+
+      const parts = rest
+        .split(/\s+[|–—]\s+|\s+at\s+|,\s+(?=[A-Z])|\s{2,}|\t/)
+        .map(part => part.replace(/^[\s,|–—-]+|[\s,|–—-]+$/g, ""))
+        .filter(Boolean);
+
+      if (entry.heading.length === 0 || (entry.body.length === 0 && entry.heading.length < 2)) {
+        entry.heading.push(...parts);
+      } else if (parts.length > 0) {
+        entry.body.push(parts.join(", "));
+      }
+    });
+
+    return entries.filter(item => item.heading.length > 0);
+  }
+
+  looksLikeLocation(text) {
+    return /^[A-Z][A-Za-z .'-]+,\s*[A-Z][A-Za-z .'-]+$/.test(text.trim()) || /\bremote\b/i.test(text);
+  }
+
+  // ===== Helpers =====
+
+  /**
+   * Format start/end dates ("2020-06-01", "Jun 2020", "2020") as "Jun 2020 – Present"
+   */
+  formatDateRange(start, end) {
+    const startText = this.formatDate(start);
+    if (!startText) return "";
+    return `${startText} – ${this.formatDate(end) || "Present"}`;
+  }
+
+  formatDate(value) {
+    const text = String(value || "").trim();
+    const iso = text.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?$/);
+    if (iso) return `${this.months[Number(iso[2]) - 1]} ${iso[1]}`;
+    return text;
+  }
+
+  splitLines(text) {
+    return String(text || "")
+      .split(/\n+/)
+      .map(line => line.replace(/^[•●▪◦*·-]\s*/, "").trim())
+      .filter(Boolean);
+  }
+
+  mergeWithDefaults(cvData) {
+    const defaults = window.CVDataStructure.getDefaultCVData();
+    return {
+      ...cvData,
+      personal: { ...defaults.personal, ...cvData.personal },
+      professional: { ...defaults.professional, ...cvData.professional },
+    };
+  }
+
+  /**
+   * List the fields that received a value, for the import preview
+   * @param {Object} cvData - Imported CV data
+   * @returns {Array} [{ path, label, value }]
+   */
+  getRecognizedFields(cvData) {
+    const schema = window.CVDataStructure.CVDataSchema;
+    const recognized = [];
+
+    ["personal", "professional"].forEach(group => {
+      Object.entries(schema[group]).forEach(([key, rules]) => {
+        const value = cvData[group]?.[key];
+        let summary = "";
+
+        if (Array.isArray(value)) {
+          if (value.length === 0) return;
+          summary = rules.items
+            ? value.map(item => Object.values(item).find(v => typeof v === "string" && v) || "").join("; ")
+            : value.join(", ");
+          summary = `${value.length} item${value.length === 1 ? "" : "s"}: ${summary}`;
+        } else if (value && typeof value === "object") {
+          const keys = Object.keys(value);
+          if (keys.length === 0) return;
+          summary = keys.join(", ");
+        } else if (value && !(group === "personal" && key === "workAuthorization")) {
+          summary = String(value);
+        } else {
+          return;
+        }
+
+        recognized.push({ path: `${group}.${key}`, label: rules.label || key, value: summary });
+      });
+    });
+
+    return recognized;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CVImporter;
+} else {
+  window.CVImporter = CVImporter;
+}
@@ -1,23 +1,63 @@
 // CV Data Structure Schema
+// `label`, `format`, `multiline`, `items` and `editor` drive the CV editor UI
 const CVDataSchema = {
   personal: {
-    name: { type: "string", required: true },
-    email: { type: "string", required: true },
-    phone: { type: "string", required: false },
-    linkedin: { type: "string", required: false },
-    location: { type: "string", required: false },
-    workAuthorization: { type: "string", required: false },
+    name: { type: "string", required: true, label: "Full name" },
+    email: { type: "string", required: true, label: "Email", format: "email" },
+    phone: { type: "string", required: false, label: "Phone", format: "phone" },
+    linkedin: { type: "string", required: false, label: "LinkedIn URL", format: "url" },
+    location: { type: "string", required: false, label: "Location" },
+    workAuthorization: { type: "string", required: false, label: "Work authorization" },
   },
   professional: {
-    title: { type: "string", required: false },
-    summary: { type: "string", required: false },
-    skills: { type: "array", required: false },
-    skillsCategories: { type: "object", required: false },
-    experience: { type: "array", required: false },
-    education: { type: "array", required: false },
-    projects: { type: "array", required: false },
-    roleInterest: { type: "string", required: false },
-    questions: { type: "object", required: false },
+    title: { type: "string", required: false, label: "Professional title" },
+    summary: { type: "string", required: false, label: "Summary", multiline: true },
+    skills: { type: "array", required: false, label: "Other skills", editor: "list" },
+    skillsCategories: {
+      type: "object",
+      required: false,
+      label: "Skills by category",
+      editor: "keyList",
+    },
+    experience: {
+      type: "array",
+      required: false,
+      label: "Experience",
+      items: {
+        title: { type: "string", required: true, label: "Job title" },
+        company: { type: "string", required: true, label: "Company" },
+        dateRange: { type: "string", label: "Dates", format: "dateRange" },
+        location: { type: "string", label: "Location" },
+        achievements: { type: "array", label: "Achievements (one per line)", editor: "lines" },
+      },
+    },
+    education: {
+      type: "array",
+      required: false,
+      label: "Education",
+      items: {
+        degree: { type: "string", required: true, label: "Degree" },
+        institution: { type: "string", label: "Institution" },
+        dateRange: { type: "string", label: "Dates", format: "dateRange" },
+      },
+    },
+    projects: {
+      type: "array",
+      required: false,
+      label: "Projects",
+      items: {
+        title: { type: "string", required: true, label: "Title" },
+        technologies: { type: "string", label: "Technologies" },
+        description: { type: "string", label: "Description", multiline: true },
+      },
+    },
+    roleInterest: { type: "string", required: false, label: "Role interest" },
+    questions: {
+      type: "object",
+      required: false,
+      label: "Questions & answers",
+      editor: "keyValue",
+    },
   },
 };
 
@@ -25,19 +65,146 @@ const SettingsSchema = {
   openaiApiKey: { type: "string", required: false },
   autoFillEnabled: { type: "boolean", default: true },
   coverLetterEnabled: { type: "boolean", default: false },
-  useLocalLLM: { type: "boolean", default: false },
-  localURL: { type: "string", default: "http://localhost:11434/api/chat" },
-  localModel: { type: "string", default: "deepseek-r1:latest" },
+  previewBeforeFill: { type: "boolean", default: false },
+  fillStrategy: { type: "string", default: "rulesThenAI" },
+  parallelAIRequests: { type: "boolean", default: false },
+  streamAIResponses: { type: "boolean", default: true },
+  fieldMemoryEnabled: { type: "boolean", default: true },
+  adaptSavedAnswers: { type: "boolean", default: true },
+  watchDynamicFields: { type: "boolean", default: true },
+  vaultEnabled: { type: "boolean", default: false },
   aiProvider: { type: "string", default: "deepseek" },
   deepseekApiKey: { type: "string", required: false },
-  deepseekModel: { type: "string", default: "deepseek-chat" },
-  deepseekURL: { type: "string", default: "https://api.deepseek.com/v1/chat/completions" },
+  // Per-provider url/model/... keyed by provider id (see aiProviders.js);
+  // API keys stay in top-level <provider>ApiKey settings
+  providerConfigs: { type: "object", default: {} },
 };
 
 const TemplatesSchema = {
   coverLetterTemplates: { type: "array", default: [] },
 };
 
+// Empty standard answers skeleton (real values are seeded from standard-answers.json)
+const getDefaultStandardAnswers = () => ({
+  personal: {
+    middleName: "",
+    dateOfBirth: "", // YYYY-MM-DD, only filled into fields marked autocomplete="bday"
+    gender: "",
+    race: "",
+    address: { street: "", city: "", state: "", zipCode: "", country: "" },
+  },
+  workAuthorization: {
+    authorized: true,
+    statement: "",
+    needsSponsorship: false,
+    citizenshipStatus: "",
+  },
+  background: {
+    hasDisability: false,
+    disabilityStatement: "",
+    isVeteran: false,
+    veteranStatus: "",
+    hasCriminalRecord: false,
+  },
+  preferences: {
+    startDate: "",
+    salaryExpectation: "",
+    relocate: false,
+    workRemote: true,
+    travelWillingness: "",
+  },
+  commonAnswers: {},
+});
+
+// Today's date in the shapes forms ask for - computed at fill time, never stored
+const getCurrentDateInfo = (date = new Date()) => {
+  const pad = value => String(value).padStart(2, "0");
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+  return {
+    year,
+    month,
+    day,
+    formatted: `${pad(month)}/${pad(day)}/${year}`,
+    iso: `${year}-${pad(month)}-${pad(day)}`,
+  };
+};
+
+// Default CV profile - null data means "inherit the base CV / standard answers"
+const getDefaultProfile = () => ({
+  id: "default",
+  name: "Default",
+  cvData: null,
+  standardAnswers: null,
+  coverLetterTemplateId: "professional",
+  rules: {
+    urlPatterns: [], // e.g. "*.greenhouse.io/*frontend*"
+    titleKeywords: [], // e.g. "frontend", "react"
+  },
+});
+
+// Default profiles container
+const getDefaultProfiles = () => ({
+  activeProfileId: "default",
+  profiles: [getDefaultProfile()],
+});
+
+// Application history tracking
+const ApplicationStatuses = ["applied", "interviewing", "rejected", "offer"];
+
+// Default application history entry
+const getDefaultHistoryEntry = () => ({
+  id: "",
+  url: "",
+  companyName: "",
+  jobTitle: "",
+  date: "",
+  aiProvider: "",
+  aiModel: "",
+  profileId: "",
+  fillSummary: {},
+  fieldValues: [],
+  status: "applied",
+  notes: "",
+});
+
+// Remembered answer for one form field (see fieldMemory.js)
+const getDefaultFieldMemoryEntry = () => ({
+  id: "",
+  fingerprint: "", // Hash of label + name + type + option set
+  labelKey: "", // Type + label, for the same question on a similar form
+  domain: "",
+  ats: "",
+  label: "",
+  name: "",
+  type: "",
+  options: [],
+  value: "",
+  uses: 0,
+  createdAt: "",
+  updatedAt: "",
+});
+
+// One application spread over several pages in a tab (see applicationSession.js)
+const getDefaultApplicationSession = () => ({
+  id: "",
+  tabId: null,
+  jobKey: "", // "<ats>:<job id>" once a page's URL has the job id
+  ats: "",
+  host: "",
+  startUrl: "", // First page of the application, also its history entry's URL
+  startedAt: "",
+  updatedAt: "",
+  profileId: "",
+  jobContext: null, // Job posting summary from the first page that had one
+  coverLetter: "",
+  answers: [], // { label, value } filled on any step, latest value per label
+  steps: [], // { key, url, title, current, total, filled, date } per step visited
+  currentStep: 0,
+  totalSteps: 0, // 0 when the pages don't say
+});
+
 // Default empty CV data structure
 const getDefaultCVData = () => ({
   personal: {
@@ -64,26 +231,24 @@ const getDefaultCVData = () => ({
 // Default settings
 const getDefaultSettings = () => ({
   // AI Provider settings
-  aiProvider: "deepseek", // "openai", "deepseek", or "local"
-  
-  // OpenAI settings
+  aiProvider: "deepseek", // Provider id from aiProviders.js
+  providerConfigs: {}, // { [providerId]: { url, model, ... } } - unset values use the provider's defaults
+
+  // API keys (moved into the vault when it is enabled)
   openaiApiKey: "",
-  
-  // DeepSeek settings
   deepseekApiKey: "",
-  deepseekURL: "https://api.deepseek.com/v1/chat/completions",
-  deepseekModel: "deepseek-chat",
-  
-  // Local LLM settings
-  localURL: "http://localhost:11434/api/chat",
-  localModel: "llama3.1:8b",
   
   // General settings
   autoFillEnabled: true,
   coverLetterEnabled: false,
-  
-  // Legacy compatibility
-  useLocalLLM: false,
+  previewBeforeFill: false, // Review proposed values in-page before filling
+  fillStrategy: "rulesThenAI", // "rulesThenAI" or "rulesOnly" (ruleMapper.js, no AI)
+  parallelAIRequests: false, // Send the batches of a large form concurrently
+  streamAIResponses: true, // Fill fields as the AI response streams in
+  fieldMemoryEnabled: true, // Remember the user's corrections per site and reuse them
+  adaptSavedAnswers: true, // Let AI tailor saved answers that only loosely match a question
+  watchDynamicFields: true, // Fill fields that appear after a fill (formWatcher.js)
+  vaultEnabled: false, // API keys encrypted in keyVault.js instead of stored here
 });
 
 // Default templates
@@ -99,25 +264,212 @@ const validateCVData = data => {
   return true;
 };
 
+// Parse one end of a date range ("Jan 2020", "03/2021", "2019", "Present")
+const parseCVDate = text => {
+  const value = String(text || "").trim();
+  if (!value) return null;
+  if (/^(present|current|now|today)$/i.test(value)) return new Date();
+
+  const months = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+  let match = value.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i);
+  if (match) {
+    const month = months.indexOf(match[1].toLowerCase());
+    return month >= 0 ? new Date(Number(match[2]), month, 1) : null;
+  }
+  match = value.match(/^(\d{1,2})[/.](\d{4})$/);
+  if (match) return new Date(Number(match[2]), Number(match[1]) - 1, 1);
+  match = value.match(/^(\d{4})-(\d{1,2})$/);
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, 1);
+  match = value.match(/^(\d{4})$/);
+  if (match) return new Date(Number(match[1]), 0, 1);
+  return null;
+};
+
+// Check a single value against its schema format
+const validateFieldFormat = (value, format) => {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  switch (format) {
+    case "email":
+      return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text) ? null : "Invalid email address";
+    case "phone": {
+      const digits = text.replace(/\D/g, "");
+      if (!/^[+\d\s().-]+$/.test(text) || digits.length < 7 || digits.length > 15) {
+        return "Invalid phone number";
+      }
+      return null;
+    }
+    case "url":
+      return /^https?:\/\/\S+\.\S+/.test(text) ? null : "URL must start with http:// or https://";
+    case "dateRange": {
+      // Hyphens only separate when spaced ("2020-05" is a date), except "2019-2021"
+      const parts = /^\d{4}-\d{4}$/.test(text)
+        ? text.split("-")
+        : text.split(/\s*(?:–|—|\bto\b)\s*|\s+-\s+/i).filter(Boolean);
+      const start = parseCVDate(parts[0]);
+      const end = parts.length > 1 ? parseCVDate(parts[parts.length - 1]) : start;
+      if (!start || !end) return 'Unrecognized dates (use e.g. "Jan 2020 - Present")';
+      if (start > end) return "Start date is after end date";
+      if (start > new Date()) return "Start date is in the future";
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Detailed validation against CVDataSchema - returns [{ path, message }]
+const validateCVDataDetailed = data => {
+  const errors = [];
+  if (!data || typeof data !== "object") {
+    return [{ path: "", message: "CV data is missing" }];
+  }
+
+  const checkFields = (schema, values, basePath) => {
+    Object.entries(schema).forEach(([key, rules]) => {
+      const path = `${basePath}.${key}`;
+      const value = values ? values[key] : undefined;
+
+      if (rules.required && (value === undefined || value === null || value === "")) {
+        errors.push({ path, message: `${rules.label || key} is required` });
+        return;
+      }
+      if (rules.type === "array" && value !== undefined && !Array.isArray(value)) {
+        errors.push({ path, message: `${rules.label || key} must be a list` });
+        return;
+      }
+      if (rules.items && Array.isArray(value)) {
+        value.forEach((item, index) => checkFields(rules.items, item, `${path}.${index}`));
+        return;
+      }
+
+      const formatError = rules.format ? validateFieldFormat(value, rules.format) : null;
+      if (formatError) errors.push({ path, message: formatError });
+    });
+  };
+
+  checkFields(CVDataSchema.personal, data.personal, "personal");
+  checkFields(CVDataSchema.professional, data.professional, "professional");
+  return errors;
+};
+
+// Normalize a job posting URL so the apply page and the posting match
+const normalizeJobURL = url => {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname
+      .replace(/\/+$/, "")
+      .replace(/\/(apply|application|applications)(\/.*)?$/i, "");
+    return `${parsed.hostname.replace(/^www\./, "")}${path}`.toLowerCase();
+  } catch (error) {
+    return String(url || "").toLowerCase();
+  }
+};
+
+// Applicant tracking systems, recognised by the host of the application page;
+// jobId finds the job id in the URL's path and query where the ATS puts one
+const KNOWN_ATS = [
+  { id: "greenhouse", name: "Greenhouse", hosts: ["greenhouse.io"], jobId: /(?:\/jobs\/|[?&]gh_jid=)(\d+)/ },
+  { id: "lever", name: "Lever", hosts: ["lever.co"], jobId: /\/([0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12})/i },
+  {
+    id: "workday",
+    name: "Workday",
+    hosts: ["myworkdayjobs.com", "myworkday.com"],
+    // ".../job/Berlin/Senior-Engineer_R12345/apply/applyManually"
+    jobId: /\/job\/(?:[^/?]+\/)*[^/?]*?_([A-Za-z0-9-]+)(?=[/?]|$)/,
+  },
+  { id: "ashby", name: "Ashby", hosts: ["ashbyhq.com"], jobId: /\/([0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12})/i },
+  { id: "workable", name: "Workable", hosts: ["workable.com"], jobId: /\/j\/([A-Z0-9]+)/i },
+  { id: "smartrecruiters", name: "SmartRecruiters", hosts: ["smartrecruiters.com"], jobId: /\/(\d{9,})(?=[-/?]|$)/ },
+  { id: "icims", name: "iCIMS", hosts: ["icims.com"], jobId: /\/jobs\/(\d+)/ },
+  { id: "jobvite", name: "Jobvite", hosts: ["jobvite.com"], jobId: /\/job\/([A-Za-z0-9]+)/ },
+  { id: "bamboohr", name: "BambooHR", hosts: ["bamboohr.com"], jobId: /\/careers\/(\d+)/ },
+  { id: "taleo", name: "Taleo", hosts: ["taleo.net"], jobId: /[?&](?:job|requisitionno)=([^&#]+)/i },
+  {
+    id: "successfactors",
+    name: "SuccessFactors",
+    hosts: ["successfactors.com", "successfactors.eu"],
+    jobId: /[?&](?:jobId|career_job_req_id)=(\d+)/i,
+  },
+  { id: "recruitee", name: "Recruitee", hosts: ["recruitee.com"] },
+  { id: "breezy", name: "Breezy HR", hosts: ["breezy.hr"] },
+  { id: "teamtailor", name: "Teamtailor", hosts: ["teamtailor.com"] },
+  { id: "personio", name: "Personio", hosts: ["personio.de", "personio.com"] },
+];
+
+// ATS id for a URL ("greenhouse"), or "" for company-hosted forms
+const detectATS = url => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return "";
+  }
+  const ats = KNOWN_ATS.find(({ hosts }) =>
+    hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+  );
+  return ats ? ats.id : "";
+};
+
+// "<ats>:<job id>" for an ATS page whose URL names the job, else ""
+// (Taleo's later steps and company-hosted forms don't)
+const getATSJobKey = url => {
+  const atsId = detectATS(url);
+  const pattern = KNOWN_ATS.find(ats => ats.id === atsId)?.jobId;
+  if (!pattern) return "";
+
+  const parsed = new URL(url);
+  const match = `${parsed.pathname}${parsed.search}`.match(pattern);
+  return match ? `${atsId}:${match[1].toLowerCase()}` : "";
+};
+
 // Export for use in other scripts
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     CVDataSchema,
     SettingsSchema,
     TemplatesSchema,
+    ApplicationStatuses,
     getDefaultCVData,
     getDefaultSettings,
     getDefaultTemplates,
+    getDefaultHistoryEntry,
+    getDefaultFieldMemoryEntry,
+    getDefaultApplicationSession,
+    getDefaultProfile,
+    getDefaultProfiles,
+    getDefaultStandardAnswers,
+    getCurrentDateInfo,
     validateCVData,
+    validateCVDataDetailed,
+    normalizeJobURL,
+    KNOWN_ATS,
+    detectATS,
+    getATSJobKey,
   };
 } else {
-  window.CVDataStructure = {
+  // `self` is the window in pages and the global scope in the service worker
+  self.CVDataStructure = {
     CVDataSchema,
     SettingsSchema,
     TemplatesSchema,
+    ApplicationStatuses,
     getDefaultCVData,
     getDefaultSettings,
     getDefaultTemplates,
+    getDefaultHistoryEntry,
+    getDefaultFieldMemoryEntry,
+    getDefaultApplicationSession,
+    getDefaultProfile,
+    getDefaultProfiles,
+    getDefaultStandardAnswers,
+    getCurrentDateInfo,
     validateCVData,
+    validateCVDataDetailed,
+    normalizeJobURL,
+    KNOWN_ATS,
+    detectATS,
+    getATSJobKey,
   };
 }
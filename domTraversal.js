@@ -0,0 +1,172 @@
+// domTraversal.js - Walk open shadow roots and same-origin iframes, and address the elements inside them by path
+
+class DOMTraversal {
+  constructor() {
+    // Field ids inside a shadow root or frame read "<path>::<id>", with the
+    // path made of segments like "frame[apply-iframe]/shadow[job-form:0]"
+    this.ID_SEPARATOR = "::";
+    this.PATH_SEPARATOR = "/";
+    this.MAX_DEPTH = 10;
+    // The extension's own overlays (fillPreview.js, fillProgress.js) hold inputs too
+    this.OWN_HOST_PREFIX = "job-helper-";
+  }
+
+  /**
+   * Every document and open shadow root reachable from a root, outermost first
+   * Closed shadow roots and cross-origin frames can't be entered (frameBridge.js
+   * reaches the latter through their own content script).
+   * @param {Document|ShadowRoot} root - Where to start
+   * @returns {Array} [{ root, path }], path "" for the starting root
+   */
+  getRoots(root = document) {
+    const roots = [];
+    const visit = (current, path, depth) => {
+      roots.push({ root: current, path });
+      if (depth >= this.MAX_DEPTH) return;
+      this.getChildRoots(current).forEach(child =>
+        visit(child.root, this.joinPath(path, child.segment), depth + 1)
+      );
+    };
+    visit(root, "", 0);
+    return roots;
+  }
+
+  /**
+   * Shadow roots and frame documents directly inside a root
+   * Hosts and frames are keyed by their id, else by tag and position, so the
+   * same segment is found again when a fill resolves a path. The extension's
+   * own overlays are left out.
+   * @param {Document|ShadowRoot} root - Root to look in
+   * @returns {Array} [{ root, segment }]
+   */
+  getChildRoots(root) {
+    const children = [];
+    const hostCounts = new Map();
+    let frameCount = 0;
+
+    root.querySelectorAll("*").forEach(element => {
+      if (element.shadowRoot && !element.id.startsWith(this.OWN_HOST_PREFIX)) {
+        const tag = element.localName;
+        const index = hostCounts.get(tag) || 0;
+        hostCounts.set(tag, index + 1);
+        children.push({
+          root: element.shadowRoot,
+          segment: `shadow[${this.segmentKey(element, `${tag}:${index}`)}]`,
+        });
+      }
+
+      if (element.localName === "iframe" || element.localName === "frame") {
+        const index = frameCount++;
+        const frameDocument = this.getFrameDocument(element);
+        if (frameDocument) {
+          children.push({
+            root: frameDocument,
+            segment: `frame[${this.segmentKey(element, index)}]`,
+          });
+        }
+      }
+    });
+    return children;
+  }
+
+  // A frame's document, or null if it is cross-origin or not loaded
+  getFrameDocument(frame) {
+    try {
+      return frame.contentDocument || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Ids may hold characters that mean something in a path
+  segmentKey(element, fallback) {
+    return element.id ? element.id.replace(/[[\]/:]/g, "_") : String(fallback);
+  }
+
+  /**
+   * The document or shadow root a path leads to
+   * @param {string} path - Path from getRoots()
+   * @returns {Document|ShadowRoot|null} Root, or null if it no longer exists
+   */
+  resolvePath(path) {
+    let root = document;
+    for (const segment of this.splitPath(path)) {
+      const child = this.getChildRoots(root).find(child => child.segment === segment);
+      if (!child) return null;
+      root = child.root;
+    }
+    return root;
+  }
+
+  /**
+   * Path of the document or shadow root a node lives in
+   * @param {Node} node - Node on the page, in a shadow root or in a frame
+   * @returns {string} Path ("" for the page itself)
+   */
+  pathOf(node) {
+    const segments = [];
+    let root = node.getRootNode();
+
+    for (let depth = 0; depth < this.MAX_DEPTH && root !== document; depth++) {
+      // Shadow roots and frame documents come from other realms in frames,
+      // so they are told apart by node type rather than instanceof
+      const container =
+        root.nodeType === Node.DOCUMENT_FRAGMENT_NODE
+          ? root.host
+          : root.defaultView?.frameElement;
+      if (!container) break;
+
+      const parentRoot = container.getRootNode();
+      const child = this.getChildRoots(parentRoot).find(child => child.root === root);
+      if (!child) break;
+
+      segments.unshift(child.segment);
+      root = parentRoot;
+    }
+    return segments.join(this.PATH_SEPARATOR);
+  }
+
+  /**
+   * Field id qualified with the path of the root it was found in
+   * Fields on the page itself keep their plain id.
+   * @param {string} path - Root path
+   * @param {string} id - Id within that root
+   * @returns {string} Qualified id
+   */
+  qualifyId(path, id) {
+    return path ? `${path}${this.ID_SEPARATOR}${id}` : id;
+  }
+
+  /**
+   * Split a qualified field id
+   * @param {string} fieldId - Id from qualifyId()
+   * @returns {Object} { path, localId }
+   */
+  splitId(fieldId) {
+    const id = String(fieldId);
+    const index = id.indexOf(this.ID_SEPARATOR);
+    if (index === -1) return { path: "", localId: id };
+    return { path: id.slice(0, index), localId: id.slice(index + this.ID_SEPARATOR.length) };
+  }
+
+  /**
+   * The root a field id points into, and the id within it
+   * Ids whose path no longer resolves (or that merely contain "::") are
+   * looked up on the page as they are.
+   * @param {string} fieldId - Field id
+   * @returns {Object} { root, localId }
+   */
+  resolveId(fieldId) {
+    const { path, localId } = this.splitId(fieldId);
+    const root = path ? this.resolvePath(path) : null;
+    return root ? { root, localId } : { root: document, localId: String(fieldId) };
+  }
+
+  joinPath(...paths) {
+    return paths.filter(Boolean).join(this.PATH_SEPARATOR);
+  }
+
+  splitPath(path) {
+    return String(path || "").split(this.PATH_SEPARATOR).filter(Boolean);
+  }
+}
@@ -0,0 +1,196 @@
+// elementRegistry.js - Keep a handle on every analysed form element so fills reach the same element
+
+class ElementRegistry {
+  /**
+   * @param {DOMTraversal} traversal - Resolves the shadow root/frame a locator is in
+   */
+  constructor(traversal = new DOMTraversal()) {
+    this.traversal = traversal;
+    this.handles = new Map(); // fieldId -> { ref, locator, status }
+    // Handles live as long as the page: a preview or fill may still hold ids
+    // from an earlier analysis, so the page is analysed again around them
+    this.elementIds = new WeakMap(); // element -> fieldId
+  }
+
+  /**
+   * Remember the element behind a field id
+   * The element is held weakly; the locator finds it again if the page
+   * re-renders it. Registering an id again replaces its handle (and so
+   * refreshes its locator). For ids shared by a radio group, the caller
+   * registers the first button.
+   * @param {string} fieldId - Field id from pageAnalyzer
+   * @param {HTMLElement} element - The element
+   * @param {string} path - Shadow root/frame path of the element ("" for the page)
+   */
+  register(fieldId, element, path = "") {
+    this.elementIds.set(element, fieldId);
+    const root = element.getRootNode();
+    this.handles.set(fieldId, {
+      ref: new WeakRef(element),
+      locator: {
+        path,
+        tagName: element.tagName,
+        type: element.getAttribute("type") || "",
+        name: element.getAttribute("name") || "",
+        htmlId: element.id || "",
+        css: this.cssPath(element, root),
+        xpath: root.nodeType === Node.DOCUMENT_NODE ? this.xPath(element) : "",
+      },
+      status: "live",
+    });
+  }
+
+  /**
+   * The field id an element was registered under
+   * @param {HTMLElement} element - Element
+   * @returns {string|null} Field id, or null for an element not registered
+   *   (or whose id now belongs to another element)
+   */
+  idOf(element) {
+    const fieldId = this.elementIds.get(element);
+    return fieldId && this.handles.get(fieldId)?.ref.deref() === element ? fieldId : null;
+  }
+
+  /**
+   * The element behind a field id
+   * @param {string} fieldId - Field id
+   * @returns {Object} { element, status }: "live" (the registered element),
+   *   "relocated" (re-rendered and found again), "detached" (re-rendered and
+   *   gone) or "unknown" (never registered); element is null unless found
+   */
+  resolve(fieldId) {
+    const handle = this.handles.get(fieldId);
+    if (!handle) return { element: null, status: "unknown" };
+
+    const element = handle.ref.deref();
+    if (element?.isConnected) {
+      handle.status = "live";
+      return { element, status: handle.status };
+    }
+
+    const relocated = this.locate(handle.locator);
+    if (relocated) {
+      handle.ref = new WeakRef(relocated);
+      handle.status = "relocated";
+      console.log(`ElementRegistry: Found ${fieldId} again after a re-render`);
+    } else {
+      handle.status = "detached";
+    }
+    return { element: relocated, status: handle.status };
+  }
+
+  /**
+   * Status of the last resolve() for a field id
+   * @returns {string} "live", "relocated", "detached" or "unknown"
+   */
+  getStatus(fieldId) {
+    return this.handles.get(fieldId)?.status || "unknown";
+  }
+
+  /**
+   * Find a re-rendered element by its locator: id, CSS path, XPath, then a
+   * name only one element has. Candidates must still be the same kind of
+   * element with the same name, so a shifted layout can't match a neighbour.
+   * @param {Object} locator - Locator from register()
+   * @returns {HTMLElement|null} Element
+   */
+  locate(locator) {
+    const root = locator.path ? this.traversal.resolvePath(locator.path) : document;
+    if (!root) return null;
+
+    const candidates = [
+      () => (locator.htmlId ? root.getElementById(locator.htmlId) : null),
+      // Unanchored in shadow roots, so only a match with the same path counts
+      () => {
+        const element = root.querySelector(locator.css);
+        return element && this.cssPath(element, root) === locator.css ? element : null;
+      },
+      () =>
+        locator.xpath
+          ? root.evaluate(locator.xpath, root, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null)
+              .singleNodeValue
+          : null,
+      () => {
+        if (!locator.name) return null;
+        const named = root.querySelectorAll(
+          `${locator.tagName.toLowerCase()}[name="${this.escapeAttribute(locator.name)}"]`
+        );
+        return named.length === 1 ? named[0] : null;
+      },
+    ];
+
+    for (const candidate of candidates) {
+      let element = null;
+      try {
+        element = candidate();
+      } catch (error) {
+        continue; // Invalid selector or XPath
+      }
+      if (element && this.matchesLocator(element, locator)) return element;
+    }
+    return null;
+  }
+
+  matchesLocator(element, locator) {
+    return (
+      element.tagName === locator.tagName &&
+      (element.getAttribute("type") || "") === locator.type &&
+      (element.getAttribute("name") || "") === locator.name
+    );
+  }
+
+  /**
+   * CSS path from the element's root:
+   * 'form[id="application"] > div:nth-of-type(2) > input:nth-of-type(1)'
+   * Stops at the nearest ancestor with an id unique in the root.
+   * @param {HTMLElement} element - Element
+   * @param {Document|ShadowRoot} root - Its root node
+   * @returns {string} Selector
+   */
+  cssPath(element, root) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current.id) {
+        const idSelector = `[id="${this.escapeAttribute(current.id)}"]`;
+        if (root.querySelectorAll(idSelector).length === 1) {
+          parts.unshift(`${current.localName}${idSelector}`);
+          break;
+        }
+      }
+
+      parts.unshift(`${current.localName}:nth-of-type(${this.typeIndex(current)})`);
+      current = current.parentElement;
+    }
+    return parts.join(" > ");
+  }
+
+  /**
+   * Positional XPath from the document: "/html[1]/body[1]/form[1]/input[3]"
+   * @param {HTMLElement} element - Element in a document (not a shadow root)
+   * @returns {string} XPath
+   */
+  xPath(element) {
+    const parts = [];
+    let current = element;
+    for (; current?.nodeType === Node.ELEMENT_NODE; current = current.parentNode) {
+      parts.unshift(`${current.localName}[${this.typeIndex(current)}]`);
+    }
+    return `/${parts.join("/")}`;
+  }
+
+  // 1-based position among siblings with the same tag
+  typeIndex(element) {
+    let index = 1;
+    let sibling = element.previousElementSibling;
+    for (; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.localName === element.localName) index++;
+    }
+    return index;
+  }
+
+  escapeAttribute(value) {
+    return String(value).replace(/["\\]/g, "\\$&");
+  }
+}
@@ -0,0 +1,333 @@
+// fieldMemory.js - Learn the answers the user types on each site and reuse them on later fills
+
+class FieldMemory {
+  /**
+   * @param {StorageManager} storageManager - Where remembered answers are kept
+   */
+  constructor(storageManager) {
+    this.storage = storageManager;
+    this.fieldsByHtmlId = new Map();
+    this.fieldsByName = new Map();
+    this.pending = new Map(); // fingerprint -> entry waiting to be saved
+    this.saveTimer = null;
+    this.saveQueue = Promise.resolve();
+    this.SAVE_DELAY = 500;
+    this.MAX_VALUE_LENGTH = 500;
+    // Longer text answers are written for one company and stay on its site
+    this.SHORT_TEXT_LENGTH = 100;
+    // Never remembered: secrets, uploads and payment details
+    this.SKIPPED_TYPES = ["password", "file", "hidden"];
+    this.SKIPPED_AUTOCOMPLETE = /^(cc-|current-password|new-password|one-time-code)/;
+    this.CHOICE_TYPES = ["select", "select-one", "radio"];
+    this.traversal = new DOMTraversal();
+    this.watchedRoots = [];
+    this.onChange = this.onChange.bind(this);
+  }
+
+  /**
+   * Where the current page's answers belong
+   * @param {string} url - Page URL
+   * @returns {Object} { domain, ats }
+   */
+  getScope(url = window.location.href) {
+    let domain = "";
+    try {
+      domain = new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+    } catch (error) {
+      console.warn("FieldMemory: Could not parse page URL:", url);
+    }
+    return { domain, ats: window.CVDataStructure.detectATS(url) };
+  }
+
+  /**
+   * Stable identity of a field across visits: normalized label + name + type
+   * + option set. Numbers are dropped from names, since ATS forms number
+   * their questions ("answers[3][text_value]") differently per posting.
+   * @param {Object} field - Field data from pageAnalyzer
+   * @returns {string} Fingerprint, or "" if the field has nothing to identify it by
+   */
+  fingerprint(field) {
+    const label = this.getLabel(field);
+    const name = this.normalize(field.name).replace(/\b\d+\b/g, "").replace(/\s+/g, " ").trim();
+    if (!label && !name) return "";
+
+    const options = this.getOptionTexts(field).sort().join(",");
+    return this.hash([field.type, label, name, options].join("|"));
+  }
+
+  /**
+   * Looser identity for the same question on a similar form (type + label)
+   * @returns {string} Key, or "" for unlabelled fields
+   */
+  labelKey(field) {
+    const label = this.getLabel(field);
+    return label ? `${field.type}|${label}` : "";
+  }
+
+  /**
+   * Find remembered answers for the page's fields
+   * The exact field on this site wins, then the same field on another site
+   * using the same ATS, then a field with the same label on this site or ATS.
+   * Free-text answers from other sites on the ATS are left to the answer bank and AI.
+   * @param {Array} fields - Fields from pageAnalyzer
+   * @returns {Promise<Object>} { values: {fieldId: value}, methods: {fieldId: "memory"},
+   *   matches: [{ fieldId, entryId, value }], remainingFields }
+   */
+  async lookup(fields) {
+    const entries = await this.storage.loadFieldMemory();
+    const values = {};
+    const methods = {};
+    const matches = [];
+    const radioGroups = new Set();
+
+    if (entries.length > 0) {
+      const scope = this.getScope();
+
+      fields.forEach(field => {
+        if (field.id in values || !this.canRemember(field)) return;
+        // Radio buttons with their own ids are separate fields of one group
+        if (field.type === "radio" && radioGroups.has(field.name)) return;
+
+        const entry = this.findEntry(field, entries, scope);
+        if (!entry) return;
+
+        values[field.id] = entry.value;
+        methods[field.id] = "memory";
+        matches.push({ fieldId: field.id, entryId: entry.id, value: entry.value });
+        if (field.type === "radio" && field.name) radioGroups.add(field.name);
+      });
+
+      if (matches.length > 0) {
+        this.storage
+          .markFieldMemoryUsed(matches.map(match => match.entryId))
+          .catch(error => console.warn("FieldMemory: Could not count uses:", error));
+      }
+    }
+
+    const remainingFields = fields.filter(
+      field =>
+        !(field.id in values) && !(field.type === "radio" && radioGroups.has(field.name))
+    );
+    console.log(`FieldMemory: ${matches.length} remembered answer(s) for this page`);
+    return { values, methods, matches, remainingFields };
+  }
+
+  /**
+   * Best remembered entry for a field
+   * @param {Object} field - Field data
+   * @param {Array} entries - Remembered entries (newest first)
+   * @param {Object} scope - { domain, ats } of the current page
+   * @returns {Object|null} Entry
+   */
+  findEntry(field, entries, scope) {
+    const fingerprint = this.fingerprint(field);
+    const labelKey = this.labelKey(field);
+    const inDomain = entry => entry.domain === scope.domain;
+    const inATS = entry =>
+      !!scope.ats &&
+      entry.ats === scope.ats &&
+      (inDomain(entry) || !this.isFreeText(field, entry.value));
+
+    const candidates = [
+      entry => entry.fingerprint === fingerprint && inDomain(entry),
+      entry => entry.fingerprint === fingerprint && inATS(entry),
+      entry => entry.labelKey === labelKey && inDomain(entry),
+      entry => entry.labelKey === labelKey && inATS(entry),
+    ];
+
+    for (const matches of candidates) {
+      const entry = entries.find(
+        entry => (fingerprint || labelKey) && matches(entry) && this.fitsField(field, entry.value)
+      );
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Whether an answer is free text (a textarea or a long text input) rather
+   * than a choice, checkbox or short fact about the applicant
+   */
+  isFreeText(field, value) {
+    if (this.CHOICE_TYPES.includes(field.type) || field.type === "checkbox") return false;
+    return field.type === "textarea" || String(value).length > this.SHORT_TEXT_LENGTH;
+  }
+
+  /**
+   * Whether a remembered value can go into the field (a choice must still
+   * be one of its options)
+   */
+  fitsField(field, value) {
+    if (field.type === "checkbox") return typeof value === "boolean";
+    if (!this.CHOICE_TYPES.includes(field.type)) return typeof value === "string";
+
+    const target = this.normalize(value);
+    return (field.options || []).some(
+      option => this.normalize(option.text) === target || this.normalize(option.value) === target
+    );
+  }
+
+  /**
+   * Start watching the page's fields for the user's own edits
+   * Values written by smartFiller come with untrusted events and are ignored.
+   * Fields in cross-origin frames can't be watched from here.
+   * Replaces the fields watched by an earlier fill.
+   * @param {Array} fields - Fields from pageAnalyzer
+   */
+  watch(fields) {
+    this.stopWatching();
+    const roots = this.traversal.getRoots();
+    const paths = new Set(roots.map(({ path }) => path));
+    const watched = fields.filter(field => this.canRemember(field) && paths.has(field.path || ""));
+    watched.forEach(field => {
+      const path = field.path || "";
+      if (field.htmlId) this.fieldsByHtmlId.set(this.watchKey(path, field.htmlId), field);
+      const nameKey = this.watchKey(path, field.name);
+      if (field.name && !this.fieldsByName.has(nameKey)) this.fieldsByName.set(nameKey, field);
+    });
+
+    // Delegated, so fields the page re-renders are still covered; change
+    // events don't leave shadow roots or frames, so each gets a listener
+    this.watchedRoots = roots.map(({ root }) => root);
+    this.watchedRoots.forEach(root => root.addEventListener("change", this.onChange, true));
+    console.log(`FieldMemory: Watching ${watched.length} field(s) for edits`);
+  }
+
+  stopWatching() {
+    this.watchedRoots.forEach(root => root.removeEventListener("change", this.onChange, true));
+    this.watchedRoots = [];
+    this.fieldsByHtmlId.clear();
+    this.fieldsByName.clear();
+  }
+
+  watchKey(path, value) {
+    return `${path}|${value}`;
+  }
+
+  onChange(event) {
+    if (!event.isTrusted) return;
+
+    const element = event.target;
+    const path = this.traversal.pathOf(element);
+    const field =
+      (element.id && this.fieldsByHtmlId.get(this.watchKey(path, element.id))) ||
+      (element.name && this.fieldsByName.get(this.watchKey(path, element.name)));
+    if (!field) return;
+
+    const value = this.readValue(element, field);
+    if (value === null) return;
+    this.remember(field, value);
+  }
+
+  /**
+   * Current value of an edited element, in the form fills use
+   * (option text for choices, boolean for checkboxes)
+   * @returns {*} Value, or null if there is nothing worth remembering
+   */
+  readValue(element, field) {
+    if (element.type === "checkbox") return element.checked;
+
+    if (element.type === "radio") {
+      if (!element.checked) return null;
+      const option = (field.options || []).find(option => option.value === element.value);
+      return option?.text || element.value || null;
+    }
+
+    if (element.tagName === "SELECT") {
+      const option = element.options[element.selectedIndex];
+      if (!option || option.value === "") return null;
+      return option.textContent.trim() || option.value;
+    }
+
+    const value = String(element.value ?? element.textContent ?? "").trim();
+    if (!value || value.length > this.MAX_VALUE_LENGTH) return null;
+    return value;
+  }
+
+  /**
+   * Queue an answer to be saved (edits are batched, typing fires many changes)
+   */
+  remember(field, value) {
+    const fingerprint = this.fingerprint(field);
+    if (!fingerprint) return;
+
+    const { domain, ats } = this.getScope();
+    this.pending.set(fingerprint, {
+      fingerprint,
+      labelKey: this.labelKey(field),
+      domain,
+      ats,
+      label:
+        (field.type === "radio" ? this.getQuestion(field) : field.label) || field.name,
+      name: field.name,
+      type: field.type,
+      options: (field.options || [])
+        .filter(option => option.value !== "")
+        .map(option => option.text || option.value),
+      value,
+    });
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.flush(), this.SAVE_DELAY);
+  }
+
+  /**
+   * Save queued answers
+   * @returns {Promise} Resolves once saved
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (this.pending.size === 0) return this.saveQueue;
+
+    const items = [...this.pending.values()];
+    this.pending.clear();
+    this.saveQueue = this.saveQueue
+      .then(() => this.storage.rememberFieldValues(items))
+      .catch(error => console.warn("FieldMemory: Could not save answers:", error));
+    return this.saveQueue;
+  }
+
+  canRemember(field) {
+    return (
+      !this.SKIPPED_TYPES.includes(field.type) &&
+      !this.SKIPPED_AUTOCOMPLETE.test(String(field.attributes?.autocomplete || "").split(/\s+/).pop())
+    );
+  }
+
+  // A radio button's own label is one option ("Yes"); the group's question is
+  // the label, or the section for pages where none was found
+  getLabel(field) {
+    return this.normalize(field.type === "radio" ? this.getQuestion(field) : field.label);
+  }
+
+  getQuestion(field) {
+    return field.question || field.section || "";
+  }
+
+  getOptionTexts(field) {
+    return (field.options || [])
+      .filter(option => option.value !== "")
+      .map(option => this.normalize(option.text || option.value))
+      .filter(Boolean);
+  }
+
+  // "First Name *" -> "first name"
+  normalize(text) {
+    return String(text || "")
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  // FNV-1a, to keep fingerprints of long option lists short
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+}
@@ -0,0 +1,341 @@
+// fillPreview.js - In-page review panel for proposed field values before filling
+
+class FillPreview {
+  constructor() {
+    this.host = null;
+    this.shadow = null;
+    this.rows = [];
+    this.pendingResolve = null;
+  }
+
+  /**
+   * Show the review panel and wait for the user's decision
+   * @param {Array} mappedFields - Mapped fields from responseProcessor
+   * @returns {Promise<Array>} Accepted field mappings (empty if cancelled)
+   */
+  review(mappedFields) {
+    // Only one review at a time - a new run cancels the previous panel
+    this.close([]);
+
+    return new Promise(resolve => {
+      this.pendingResolve = resolve;
+      this.rows = mappedFields.map(mapping => ({
+        mapping,
+        accepted: true,
+      }));
+      this.render();
+      console.log(
+        `FillPreview: Showing ${this.rows.length} proposed values for review`
+      );
+    });
+  }
+
+  /**
+   * Build the panel inside a shadow root so page styles don't leak in
+   */
+  render() {
+    this.host = document.createElement("div");
+    this.host.id = "job-helper-fill-preview";
+    this.host.style.cssText =
+      "position: fixed; top: 16px; right: 16px; z-index: 2147483647;";
+    this.shadow = this.host.attachShadow({ mode: "open" });
+
+    const style = document.createElement("style");
+    style.textContent = this.getStyles();
+    this.shadow.appendChild(style);
+
+    const panel = document.createElement("div");
+    panel.className = "panel";
+
+    const header = document.createElement("div");
+    header.className = "header";
+    const title = document.createElement("strong");
+    title.textContent = "Review auto-fill";
+    this.counter = document.createElement("span");
+    this.counter.className = "counter";
+    header.append(title, this.counter);
+
+    const bulk = document.createElement("div");
+    bulk.className = "bulk";
+    bulk.append(
+      this.createButton("Accept all", "link", () => this.setAll(true)),
+      this.createButton("Reject all", "link", () => this.setAll(false))
+    );
+
+    const list = document.createElement("div");
+    list.className = "list";
+    this.rows.forEach(row => list.appendChild(this.renderRow(row)));
+
+    const footer = document.createElement("div");
+    footer.className = "footer";
+    this.fillButton = this.createButton("Fill", "primary", () =>
+      this.close(this.getAcceptedMappings())
+    );
+    footer.append(
+      this.createButton("Cancel", "secondary", () => this.close([])),
+      this.fillButton
+    );
+
+    panel.append(header, bulk, list, footer);
+    this.shadow.appendChild(panel);
+    document.documentElement.appendChild(this.host);
+
+    this.updateCounter();
+  }
+
+  /**
+   * Render a single field row with accept toggle and inline editor
+   * @param {Object} row - Row state ({ mapping, accepted })
+   * @returns {HTMLElement} Row element
+   */
+  renderRow(row) {
+    const { mapping } = row;
+    const rowElement = document.createElement("div");
+    rowElement.className = "row";
+
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.checked = row.accepted;
+    toggle.title = "Accept this value";
+    toggle.addEventListener("change", () => {
+      row.accepted = toggle.checked;
+      this.syncRow(row);
+    });
+
+    const info = document.createElement("div");
+    info.className = "info";
+
+    const label = document.createElement("div");
+    label.className = "label";
+    label.textContent = mapping.fieldLabel || mapping.fieldId;
+    label.title = mapping.fieldId;
+
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    meta.textContent = [
+      mapping.fieldType,
+      mapping.matchMethod || "unknown",
+      mapping.required ? "required" : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    const editor = this.createEditor(mapping, value => {
+      mapping.processedValue = value;
+      // Editing a rejected value is a clear signal the user wants it
+      if (!row.accepted) {
+        row.accepted = true;
+        toggle.checked = true;
+      }
+      this.syncRow(row);
+    });
+
+    info.append(label, meta, editor);
+    rowElement.append(toggle, info);
+
+    row.element = rowElement;
+    this.syncRow(row);
+    return rowElement;
+  }
+
+  /**
+   * Create an editor matching the field type
+   * @param {Object} mapping - Field mapping
+   * @param {Function} onChange - Called with the new value
+   * @returns {HTMLElement} Editor element
+   */
+  createEditor(mapping, onChange) {
+    const value = mapping.processedValue;
+
+    if (mapping.fieldType === "checkbox" || typeof value === "boolean") {
+      const select = document.createElement("select");
+      [
+        ["true", "Checked"],
+        ["false", "Unchecked"],
+      ].forEach(([optionValue, text]) => {
+        const option = document.createElement("option");
+        option.value = optionValue;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      select.value = String(value === true || value === "true");
+      select.addEventListener("change", () => onChange(select.value === "true"));
+      return select;
+    }
+
+    if (Array.isArray(mapping.options) && mapping.options.length > 0) {
+      const select = document.createElement("select");
+      select.multiple = !!mapping.multiple;
+      mapping.options.forEach(opt => {
+        const option = document.createElement("option");
+        option.value = opt.value;
+        option.textContent = opt.text || opt.value;
+        select.appendChild(option);
+      });
+      if (select.multiple) {
+        const chosen = [].concat(value).map(String);
+        Array.from(select.options).forEach(option => {
+          option.selected = chosen.includes(option.value);
+        });
+      } else {
+        select.value = String(value);
+      }
+      select.addEventListener("change", () =>
+        onChange(
+          select.multiple
+            ? Array.from(select.selectedOptions, option => option.value)
+            : select.value
+        )
+      );
+      return select;
+    }
+
+    const input =
+      mapping.fieldType === "textarea"
+        ? document.createElement("textarea")
+        : document.createElement("input");
+    // Tag pickers without rendered options take a comma-separated list
+    input.value = value === null || value === undefined ? "" : [].concat(value).join(", ");
+    input.addEventListener("input", () => onChange(input.value));
+    return input;
+  }
+
+  /**
+   * Reflect a row's accepted state in the DOM and counter
+   */
+  syncRow(row) {
+    if (row.element) {
+      row.element.classList.toggle("rejected", !row.accepted);
+    }
+    this.updateCounter();
+  }
+
+  /**
+   * Accept or reject every row
+   * @param {boolean} accepted - New state for all rows
+   */
+  setAll(accepted) {
+    this.rows.forEach(row => {
+      row.accepted = accepted;
+      const toggle = row.element?.querySelector('input[type="checkbox"]');
+      if (toggle) toggle.checked = accepted;
+      this.syncRow(row);
+    });
+  }
+
+  updateCounter() {
+    const acceptedCount = this.getAcceptedMappings().length;
+    if (this.counter) {
+      this.counter.textContent = `${acceptedCount}/${this.rows.length} accepted`;
+    }
+    if (this.fillButton) {
+      this.fillButton.textContent = `Fill ${acceptedCount} field${
+        acceptedCount === 1 ? "" : "s"
+      }`;
+      this.fillButton.disabled = acceptedCount === 0;
+    }
+  }
+
+  /**
+   * Get the mappings the user accepted, with any inline edits applied
+   * @returns {Array} Accepted field mappings
+   */
+  getAcceptedMappings() {
+    return this.rows.filter(row => row.accepted).map(row => row.mapping);
+  }
+
+  /**
+   * Remove the panel and resolve the pending review
+   * @param {Array} acceptedMappings - Mappings to hand back to the caller
+   */
+  close(acceptedMappings) {
+    if (this.host) {
+      this.host.remove();
+    }
+    this.host = null;
+    this.shadow = null;
+    this.counter = null;
+    this.fillButton = null;
+
+    if (this.pendingResolve) {
+      const resolve = this.pendingResolve;
+      this.pendingResolve = null;
+      console.log(
+        `FillPreview: Review closed with ${acceptedMappings.length} accepted values`
+      );
+      resolve(acceptedMappings);
+    }
+    this.rows = [];
+  }
+
+  /**
+   * Check whether a review is currently waiting for the user
+   * @returns {boolean} True if the panel is open
+   */
+  isOpen() {
+    return this.pendingResolve !== null;
+  }
+
+  createButton(text, variant, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = variant;
+    button.textContent = text;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  getStyles() {
+    return `
+      .panel {
+        width: 380px;
+        max-height: 80vh;
+        display: flex;
+        flex-direction: column;
+        background: #fff;
+        color: #222;
+        border: 1px solid #ccc;
+        border-radius: 6px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+        font: 13px/1.4 sans-serif;
+      }
+      .header, .footer, .bulk {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 8px 12px;
+      }
+      .header { border-bottom: 1px solid #eee; }
+      .footer { border-top: 1px solid #eee; gap: 8px; }
+      .bulk { justify-content: flex-start; gap: 12px; padding-top: 4px; padding-bottom: 4px; }
+      .counter { color: #666; font-size: 12px; }
+      .list { overflow-y: auto; padding: 0 12px; }
+      .row {
+        display: flex;
+        gap: 8px;
+        align-items: flex-start;
+        padding: 8px 0;
+        border-bottom: 1px solid #f2f2f2;
+      }
+      .row.rejected .info { opacity: 0.45; }
+      .info { flex: 1; min-width: 0; }
+      .label { font-weight: bold; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .meta { color: #888; font-size: 11px; margin-bottom: 4px; }
+      input:not([type="checkbox"]), select, textarea {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 4px;
+        font: inherit;
+        border: 1px solid #ccc;
+        border-radius: 3px;
+      }
+      textarea { min-height: 60px; resize: vertical; }
+      button { font: inherit; cursor: pointer; border-radius: 3px; padding: 6px 10px; }
+      button.primary { flex: 1; background: #4CAF50; color: #fff; border: none; }
+      button.primary:disabled { background: #9e9e9e; cursor: default; }
+      button.secondary { background: #fff; border: 1px solid #ccc; }
+      button.link { background: none; border: none; color: #1a73e8; padding: 0; }
+    `;
+  }
+}
+
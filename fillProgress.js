@@ -0,0 +1,123 @@
+// fillProgress.js - In-page progress indicator while AI values stream in
+
+class FillProgress {
+  constructor() {
+    this.host = null;
+    this.hideTimer = null;
+    this.total = 0;
+    this.received = 0;
+    this.filled = 0;
+  }
+
+  /**
+   * Show the indicator for a new run
+   * @param {number} total - Number of values expected (unique field ids)
+   */
+  show(total) {
+    this.hide();
+    this.total = total;
+    this.received = 0;
+    this.filled = 0;
+    this.render();
+    this.setStatus("Waiting for AI response...");
+  }
+
+  /**
+   * Update the counts
+   * @param {Object} counts - { received, filled } (either may be omitted)
+   */
+  update({ received = this.received, filled = this.filled } = {}) {
+    this.received = received;
+    this.filled = filled;
+    if (!this.host) return;
+
+    const percent = this.total > 0 ? Math.min(100, (this.received / this.total) * 100) : 0;
+    this.bar.style.width = `${percent}%`;
+    this.setStatus(
+      `Received ${this.received}/${this.total} values` +
+        (this.filled > 0 ? ` · ${this.filled} filled` : "")
+    );
+  }
+
+  setStatus(text) {
+    if (this.statusText) {
+      this.statusText.textContent = text;
+    }
+  }
+
+  /**
+   * Show a final message, then remove the indicator
+   * @param {string} text - Message to show
+   * @param {number} delay - Milliseconds before the indicator disappears
+   */
+  finish(text, delay = 2500) {
+    if (!this.host) return;
+    this.bar.style.width = "100%";
+    this.setStatus(text);
+    this.hideTimer = setTimeout(() => this.hide(), delay);
+  }
+
+  hide() {
+    clearTimeout(this.hideTimer);
+    this.hideTimer = null;
+    if (this.host) {
+      this.host.remove();
+    }
+    this.host = null;
+    this.bar = null;
+    this.statusText = null;
+  }
+
+  /**
+   * Build the indicator inside a shadow root so page styles don't leak in
+   */
+  render() {
+    this.host = document.createElement("div");
+    this.host.id = "job-helper-fill-progress";
+    this.host.style.cssText =
+      "position: fixed; bottom: 16px; right: 16px; z-index: 2147483647;";
+    const shadow = this.host.attachShadow({ mode: "open" });
+
+    const style = document.createElement("style");
+    style.textContent = this.getStyles();
+
+    const panel = document.createElement("div");
+    panel.className = "panel";
+
+    const title = document.createElement("strong");
+    title.textContent = "Auto-fill";
+    this.statusText = document.createElement("span");
+    this.statusText.className = "status";
+
+    const track = document.createElement("div");
+    track.className = "track";
+    this.bar = document.createElement("div");
+    this.bar.className = "bar";
+    track.appendChild(this.bar);
+
+    panel.append(title, this.statusText, track);
+    shadow.append(style, panel);
+    document.documentElement.appendChild(this.host);
+  }
+
+  getStyles() {
+    return `
+      .panel {
+        width: 240px;
+        padding: 8px 12px;
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        background: #fff;
+        color: #222;
+        border: 1px solid #ccc;
+        border-radius: 6px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+        font: 13px/1.4 sans-serif;
+      }
+      .status { color: #666; font-size: 12px; }
+      .track { height: 4px; background: #eee; border-radius: 2px; overflow: hidden; }
+      .bar { height: 100%; width: 0; background: #4CAF50; transition: width 0.2s; }
+    `;
+  }
+}
@@ -0,0 +1,219 @@
+// formBatcher.js - Split large forms into token-budgeted AI requests
+
+class FormBatcher {
+  /**
+   * @param {ResponseSchema} responseSchema - Builds each batch's response schema
+   */
+  constructor(responseSchema = new ResponseSchema()) {
+    this.responseSchema = responseSchema;
+    // Budget for the field list of one request; the CV and standard answers
+    // are sent with every batch on top of this
+    this.fieldTokenBudget = 1500;
+    // Keeps each response well under the request's max_tokens
+    this.maxFieldsPerBatch = 40;
+    // Option lists longer than this are narrowed down against the CV
+    this.longOptionList = 25;
+    // The response schema lists every option of a choice field, not just those
+    // sent in the prompt; OpenAI's strict json_schema mode rejects schemas
+    // with more enum values (or enum text) than this
+    this.maxEnumValues = 500;
+    this.maxEnumChars = 7500;
+  }
+
+  /**
+   * Group fields into batches, keeping form sections together
+   * @param {Array} fields - Fields from pageAnalyzer
+   * @param {Array<string>} hints - Values from the CV and standard answers
+   * @returns {Array<Object>} Batches: { sections, fields, compactFields, tokens,
+   *   enumValues, enumChars }
+   */
+  createBatches(fields, hints = []) {
+    const batches = [];
+    let current = this.newBatch();
+
+    const flush = () => {
+      if (current.fields.length > 0) batches.push(current);
+      current = this.newBatch();
+    };
+
+    this.groupBySection(this.uniqueFields(fields)).forEach(group => {
+      const items = group.fields.map(field => {
+        const compact = this.compactField(field, hints);
+        const choices = this.responseSchema.getEnum(this.responseSchema.buildFieldSchema(field));
+        return {
+          field,
+          compact,
+          tokens: this.estimateTokens(JSON.stringify(compact)),
+          enumValues: choices.length,
+          enumChars: choices.reduce((sum, choice) => sum + choice.length, 0),
+        };
+      });
+      const groupSize = items.reduce(
+        (sum, item) => ({
+          fields: sum.fields + 1,
+          tokens: sum.tokens + item.tokens,
+          enumValues: sum.enumValues + item.enumValues,
+          enumChars: sum.enumChars + item.enumChars,
+        }),
+        { fields: 0, tokens: 0, enumValues: 0, enumChars: 0 }
+      );
+
+      // Start a new batch rather than split a section that fits in one
+      if (!this.fits(current, groupSize) && this.fits(this.newBatch(), groupSize)) {
+        flush();
+      }
+
+      items.forEach(item => {
+        if (current.fields.length > 0 && !this.fits(current, { ...item, fields: 1 })) {
+          flush();
+        }
+        if (!current.sections.includes(group.section)) {
+          current.sections.push(group.section);
+        }
+        current.fields.push(item.field);
+        current.compactFields.push(item.compact);
+        current.tokens += item.tokens;
+        current.enumValues += item.enumValues;
+        current.enumChars += item.enumChars;
+      });
+    });
+    flush();
+
+    console.log(
+      `FormBatcher: ${fields.length} fields in ${batches.length} batch(es):`,
+      batches.map(batch => `${batch.fields.length} fields/~${batch.tokens} tokens`).join(", ")
+    );
+    return batches;
+  }
+
+  newBatch() {
+    return { sections: [], fields: [], compactFields: [], tokens: 0, enumValues: 0, enumChars: 0 };
+  }
+
+  /**
+   * Whether fields can join a batch without going over its budgets
+   * @param {Object} batch - Batch from newBatch()
+   * @param {Object} size - { fields, tokens, enumValues, enumChars } to add
+   * @returns {boolean} True if they fit
+   */
+  fits(batch, size) {
+    return (
+      batch.fields.length + size.fields <= this.maxFieldsPerBatch &&
+      batch.tokens + size.tokens <= this.fieldTokenBudget &&
+      batch.enumValues + size.enumValues <= this.maxEnumValues &&
+      batch.enumChars + size.enumChars <= this.maxEnumChars
+    );
+  }
+
+  // Radio buttons sharing a name share an id; the AI only needs the group once
+  uniqueFields(fields) {
+    const seen = new Set();
+    return fields.filter(field => {
+      if (seen.has(field.id)) return false;
+      seen.add(field.id);
+      return true;
+    });
+  }
+
+  // Keep document order, but put fields of the same section next to each other
+  groupBySection(fields) {
+    const groups = new Map();
+    fields.forEach(field => {
+      const section = field.section || "";
+      if (!groups.has(section)) groups.set(section, { section, fields: [] });
+      groups.get(section).fields.push(field);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Field description sent to the AI
+   * @param {Object} field - Field data
+   * @param {Array<string>} hints - Values from the CV and standard answers
+   * @returns {Object} { id, type, label, req?, multiple?, opts? }
+   */
+  compactField(field, hints = []) {
+    const compact = {
+      id: field.id,
+      type: field.type,
+      label: field.label || field.placeholder || "unknown",
+    };
+    if (field.required) compact.req = true;
+    if (field.multiple) compact.multiple = true;
+
+    const options = (field.options || []).map(option => option.text || option.value).filter(Boolean);
+    if (options.length > 0) {
+      compact.opts = this.filterOptions(options, hints);
+    }
+    return compact;
+  }
+
+  /**
+   * Narrow a long option list (countries, states, universities) to the
+   * options that appear in the CV or standard answers. All options are
+   * kept when none match, so the AI never sees a silently truncated list.
+   * @param {Array<string>} options - Option texts
+   * @param {Array<string>} hints - Values from the CV and standard answers
+   * @returns {Array<string>} Options to send
+   */
+  filterOptions(options, hints) {
+    if (options.length <= this.longOptionList || hints.length === 0) {
+      return options;
+    }
+
+    const normalizedHints = hints.map(hint => this.normalize(hint));
+    const matches = options.filter(option => {
+      const normalized = this.normalize(option);
+      if (normalized.length < 2) return false;
+      return normalizedHints.some(
+        hint =>
+          hint === normalized ||
+          (normalized.length > 3 && this.containsWord(hint, normalized)) ||
+          (hint.length > 3 && this.containsWord(normalized, hint))
+      );
+    });
+
+    return matches.length > 0 ? matches : options;
+  }
+
+  /**
+   * Short text values from the CV and standard answers, used to match options
+   * @param {...Object} sources - CV data, standard answers
+   * @returns {Array<string>} Unique values
+   */
+  collectHints(...sources) {
+    const hints = new Set();
+    const visit = value => {
+      if (typeof value === "string") {
+        const text = value.trim();
+        if (text && text.length <= 80) hints.add(text);
+        // "Berlin, Germany" should also match "Germany"
+        if (text.includes(",") && text.length <= 80) {
+          text.split(",").forEach(part => part.trim() && hints.add(part.trim()));
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (value && typeof value === "object") {
+        Object.values(value).forEach(visit);
+      }
+    };
+    sources.forEach(visit);
+    return [...hints];
+  }
+
+  // Rough token count (~4 characters per token for English/JSON)
+  estimateTokens(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+
+  normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  containsWord(text, word) {
+    return ` ${text} `.includes(` ${word} `);
+  }
+}
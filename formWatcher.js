@@ -0,0 +1,151 @@
+// formWatcher.js - Fill fields that appear after a fill (multi-step flows, conditional questions)
+
+class FormWatcher {
+  /**
+   * @param {PageAnalyzer} pageAnalyzer - Finds the page's form controls
+   */
+  constructor(pageAnalyzer) {
+    this.pageAnalyzer = pageAnalyzer;
+    // Wait for the page to settle, but not forever on pages that never stop changing
+    this.DEBOUNCE_DELAY = 800;
+    this.MAX_WAIT = 3000;
+    // Follow-up fills per fill, so fields that keep spawning fields can't loop
+    this.MAX_ROUNDS = 5;
+    this.WATCHED_ATTRIBUTES = ["style", "class", "hidden", "aria-hidden", "open"];
+
+    this.observers = [];
+    this.knownElements = new WeakSet();
+    this.onNewFields = null;
+    this.rounds = 0;
+    this.running = false;
+    this.rescan = false;
+    this.timer = null;
+    this.firstMutationAt = 0;
+  }
+
+  /**
+   * Watch the form containers of a finished fill for fields that appear later
+   * Fields are new when their element was not among the visible fields of
+   * the fill (or of an earlier follow-up), so a hidden question that is
+   * shown later counts as new too.
+   * @param {Array} fields - Fields of the fill (pageData.fields)
+   * @param {Function} onNewFields - async (Set of new elements) => fill them;
+   *   awaited before the next round
+   */
+  start(fields, onNewFields) {
+    this.stop();
+    this.onNewFields = onNewFields;
+    this.rounds = 0;
+    this.knownElements = new WeakSet();
+
+    const elements = fields
+      .filter(field => field.visible)
+      .map(field => this.pageAnalyzer.elementRegistry.resolve(field.id).element)
+      .filter(Boolean);
+    elements.forEach(element => this.knownElements.add(element));
+
+    this.getContainers(elements).forEach(container => {
+      const observer = new MutationObserver(records => this.onMutations(records));
+      observer.observe(container, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: this.WATCHED_ATTRIBUTES,
+      });
+      this.observers.push(observer);
+    });
+    console.log(`FormWatcher: Watching ${this.observers.length} form container(s) for new fields`);
+
+    // Fields may already have appeared while the fill ran
+    this.timer = setTimeout(() => this.scan(), this.DEBOUNCE_DELAY);
+  }
+
+  stop() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.firstMutationAt = 0;
+  }
+
+  /**
+   * Where new fields show up: the parent of each field's form (multi-step
+   * flows swap the whole form), else the body or shadow root it is in
+   * @param {Array} elements - Field elements
+   * @returns {Array} Containers, none inside another
+   */
+  getContainers(elements) {
+    const containers = new Set();
+    elements.forEach(element => {
+      const root = element.getRootNode();
+      const rootContainer = root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+      const form = element.closest("form");
+      containers.add(form?.parentElement || rootContainer);
+    });
+
+    return [...containers].filter(
+      container =>
+        ![...containers].some(other => other !== container && other.contains(container))
+    );
+  }
+
+  onMutations(records) {
+    // Fills restyle the fields they write to; only changes around them matter
+    const relevant = records.some(
+      record => record.type === "childList" || !this.knownElements.has(record.target)
+    );
+    if (!relevant) return;
+
+    const now = Date.now();
+    if (!this.firstMutationAt) this.firstMutationAt = now;
+    clearTimeout(this.timer);
+    const wait = Math.min(this.DEBOUNCE_DELAY, this.firstMutationAt + this.MAX_WAIT - now);
+    this.timer = setTimeout(() => this.scan(), Math.max(0, wait));
+  }
+
+  /**
+   * Look for visible form controls that weren't there before and fill them
+   */
+  async scan() {
+    this.timer = null;
+    this.firstMutationAt = 0;
+    if (this.running) {
+      // Changes made during a round are looked at once it is done
+      this.rescan = true;
+      return;
+    }
+
+    const newElements = this.pageAnalyzer
+      .findFieldElements()
+      .map(({ element }) => element)
+      .filter(element => !this.knownElements.has(element) && this.pageAnalyzer.isVisible(element));
+    if (newElements.length === 0) return;
+
+    if (this.rounds >= this.MAX_ROUNDS) {
+      console.log(`FormWatcher: Stopped after ${this.MAX_ROUNDS} follow-up fills`);
+      this.stop();
+      return;
+    }
+
+    this.rounds++;
+    // Known from now on, whether or not the round fills them
+    newElements.forEach(element => this.knownElements.add(element));
+    console.log(
+      `FormWatcher: ${newElements.length} new field(s), follow-up fill ${this.rounds}/${this.MAX_ROUNDS}`
+    );
+
+    this.running = true;
+    try {
+      await this.onNewFields(new Set(newElements));
+    } catch (error) {
+      console.warn("FormWatcher: Follow-up fill failed:", error);
+    } finally {
+      this.running = false;
+    }
+
+    if (this.rescan) {
+      this.rescan = false;
+      this.scan();
+    }
+  }
+}
@@ -0,0 +1,123 @@
+// frameBridge.js - Coordinate one fill across cross-origin frames, each running its own content script
+
+class FrameBridge {
+  /**
+   * @param {DOMTraversal} traversal - Builds the path-qualified ids
+   */
+  constructor(traversal = new DOMTraversal()) {
+    this.traversal = traversal;
+    // Paths of fields in a cross-origin frame start with "remote[<frameId>]"
+    this.REMOTE_SEGMENT = /^remote\[(\d+)\]$/;
+  }
+
+  /**
+   * Only the top frame runs the fill; the others take part through it
+   */
+  isTopFrame() {
+    return window === window.top;
+  }
+
+  /**
+   * Whether this frame reports its own fields to the top frame
+   * The top frame walks every same-origin frame below it itself (domTraversal.js),
+   * so only frames whose parent is cross-origin answer - with their own
+   * same-origin frames and shadow roots included.
+   */
+  servesOwnFields() {
+    if (this.isTopFrame()) return false;
+    try {
+      return !window.parent.document;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Fields in the tab's cross-origin frames, with ids qualified by frame
+   * (top frame; the background script asks each frame)
+   * @returns {Promise<Array>} Field data like pageAnalyzer's; [] if there are no such frames
+   */
+  async collectRemoteFields() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: "framesCollectFields" });
+      if (!response?.success) {
+        throw new Error(response?.error || "No response from background script");
+      }
+
+      return response.frames.flatMap(({ frameId, fields }) =>
+        fields.map(field => {
+          const path = this.traversal.joinPath(`remote[${frameId}]`, field.path);
+          const localId = field.path
+            ? field.id.slice(field.path.length + this.traversal.ID_SEPARATOR.length)
+            : field.id;
+          return { ...field, id: this.traversal.qualifyId(path, localId), path };
+        })
+      );
+    } catch (error) {
+      console.warn("FrameBridge: Could not collect fields from frames:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Where a field lives, if it is in a cross-origin frame
+   * @param {string} fieldId - Field id
+   * @returns {Object|null} { frameId, fieldId } with the id as that frame knows it
+   */
+  parseRemoteId(fieldId) {
+    const { path, localId } = this.traversal.splitId(fieldId);
+    const [first, ...rest] = this.traversal.splitPath(path);
+    const match = first?.match(this.REMOTE_SEGMENT);
+    if (!match) return null;
+
+    return {
+      frameId: Number(match[1]),
+      fieldId: this.traversal.qualifyId(this.traversal.joinPath(...rest), localId),
+    };
+  }
+
+  /**
+   * Have the frame a field lives in fill it
+   * @param {Object} fieldMapping - Mapping from responseProcessor
+   * @param {string} fillId - Fill run, so the frame keeps one undo snapshot per run
+   * @returns {Promise<Object>} { status: "filled"|"failed"|"skipped", error, reason }
+   */
+  async fillRemoteField(fieldMapping, fillId) {
+    const remote = this.parseRemoteId(fieldMapping.fieldId);
+    const response = await chrome.runtime.sendMessage({
+      action: "framesFillField",
+      frameId: remote.frameId,
+      mapping: { ...fieldMapping, fieldId: remote.fieldId },
+      fillId,
+    });
+    if (!response?.success) {
+      return { status: "failed", error: response?.error || "Frame did not respond" };
+    }
+    return response;
+  }
+
+  /**
+   * Answer the top frame's requests in this frame (every frame but the top one)
+   * Reverts are broadcast to all frames, so each frame undoes its own part.
+   * @param {PageAnalyzer} pageAnalyzer - Reads this frame's fields
+   * @param {SmartFiller} smartFiller - Fills them
+   */
+  serveFrame(pageAnalyzer, smartFiller) {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (request.action === "collectFrameFields") {
+        // Frames the top frame reaches itself stay silent
+        if (!this.servesOwnFields()) return;
+        sendResponse({ fields: pageAnalyzer.extractFormFields() });
+      } else if (request.action === "fillFrameField") {
+        smartFiller
+          .fillForFrame(request.mapping, request.fillId)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (request.action === "revertLastFill") {
+        // The top frame answers; this frame only reverts
+        smartFiller.revertLastFill();
+      }
+    });
+  }
+}
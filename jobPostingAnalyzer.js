@@ -0,0 +1,273 @@
+// jobPostingAnalyzer.js - Find the job posting behind an application form and summarise what the role asks for
+
+// Headings that introduce a list of what the role asks for, checked in this
+// order ("Preferred qualifications" is a nice-to-have, not a requirement)
+const JOB_POSTING_SECTIONS = [
+  ["niceToHave", /nice to have|bonus|preferred|desirable|a plus|extra credit/i],
+  [
+    "requirements",
+    /requirement|qualification|what you('|’)?ll (need|bring)|who you are|looking for|you (have|bring)|must have|skills|experience/i,
+  ],
+  [
+    "responsibilities",
+    /responsibilit|what you('|’)?ll (do|work on)|your role|the role|day to day|you will|duties|impact/i,
+  ],
+];
+
+// Links and tabs that lead from an application form back to its posting
+const JOB_POSTING_LINK_TEXT =
+  /job description|job details|view (the )?job|see (the )?job|back to (the )?job|job posting|view posting|overview/i;
+
+class JobPostingAnalyzer {
+  /**
+   * @param {CompanyExtractor} companyExtractor - Reads company, title and description from a document
+   */
+  constructor(companyExtractor) {
+    this.companyExtractor = companyExtractor;
+    // Shorter than this and the page only has a teaser (or the form's own intro)
+    this.MIN_DESCRIPTION_LENGTH = 200;
+    this.MAX_DESCRIPTION_LENGTH = 2000;
+    this.MAX_LINKED_PAGES = 2;
+    this.FETCH_TIMEOUT = 8000;
+    this.MAX_ITEMS = 8;
+    this.MAX_ITEM_LENGTH = 200;
+    this.postings = new Map(); // page URL -> posting found for it
+  }
+
+  /**
+   * The posting for the current page, summarised for the fill
+   * The page itself is read first; apply forms that only link to their
+   * posting (a "Job description" tab or link, or the URL without /apply)
+   * have it fetched from the same site.
+   * @param {Object} cvData - CV data, for the skills the posting asks for
+   * @param {Object} options - followLinks: false to never fetch another page
+   * @returns {Promise<Object>} From summarize(); never rejects
+   */
+  async analyze(cvData, options = {}) {
+    const url = window.location.href;
+    let posting = this.postings.get(url);
+
+    if (!posting) {
+      posting = this.readPosting(document, "page", url);
+      if (!this.isComplete(posting)) {
+        const found =
+          this.readTabPanel() ||
+          (options.followLinks !== false && (await this.fetchLinkedPosting()));
+        if (found) posting = found;
+      }
+      // Only a full posting is worth keeping; the page may still be loading
+      if (this.isComplete(posting)) this.postings.set(url, posting);
+    }
+
+    const summary = this.summarize(posting, cvData);
+    console.log(
+      `JobPostingAnalyzer: ${summary.jobTitle} at ${summary.companyName} (${summary.source}),`,
+      `${summary.requirements.length} requirement(s), ${summary.matchingSkills.length} matching skill(s)`
+    );
+    return summary;
+  }
+
+  /**
+   * Read a posting from a document (the page or a fetched one) or an element
+   * (a tab panel); structured JobPosting data wins over scraped text
+   * @param {Document|Element} root - Where to look
+   * @param {string} source - "page", "tab" or "link"
+   * @param {string} url - Where the posting came from
+   * @returns {Object} { source, url, companyName, jobTitle, location, element, text }
+   */
+  readPosting(root, source, url) {
+    const extractor = this.companyExtractor;
+    const structured = extractor.extractStructuredPosting(root);
+    const isDocument = root.nodeType === Node.DOCUMENT_NODE;
+    const page = isDocument ? root : document;
+
+    let element = null;
+    if (structured?.descriptionHTML) {
+      element = new DOMParser().parseFromString(structured.descriptionHTML, "text/html").body;
+    } else {
+      element = extractor.findDescriptionElement(root) || (isDocument ? null : root);
+    }
+
+    return {
+      source,
+      url,
+      companyName: structured?.companyName || extractor.extractCompanyName(page),
+      jobTitle: structured?.title || extractor.extractJobTitle(page),
+      location: structured?.location || extractor.extractLocation(page),
+      element,
+      text: element ? extractor.getText(element) : "",
+    };
+  }
+
+  isComplete(posting) {
+    return posting.text.length >= this.MIN_DESCRIPTION_LENGTH;
+  }
+
+  /**
+   * A "Job description" tab on the form's page whose panel is already in
+   * the DOM (hidden panels are read, never clicked open)
+   * @returns {Object|null} Posting
+   */
+  readTabPanel() {
+    for (const tab of document.querySelectorAll('[role="tab"][aria-controls]')) {
+      if (!JOB_POSTING_LINK_TEXT.test(tab.textContent)) continue;
+
+      const panel = document.getElementById(tab.getAttribute("aria-controls"));
+      if (!panel) continue;
+
+      const posting = this.readPosting(panel, "tab", window.location.href);
+      if (this.isComplete(posting)) return posting;
+    }
+    return null;
+  }
+
+  /**
+   * Fetch the posting from the pages the form links back to
+   * @returns {Promise<Object|null>} Posting, or null if none of them has one
+   */
+  async fetchLinkedPosting() {
+    for (const url of this.getPostingUrls().slice(0, this.MAX_LINKED_PAGES)) {
+      try {
+        const doc = await this.fetchDocument(url);
+        const posting = this.readPosting(doc, "link", url);
+        if (this.isComplete(posting)) return posting;
+      } catch (error) {
+        console.warn(`JobPostingAnalyzer: Could not load ${url}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Same-site pages likely to hold the posting, best first: links labelled
+   * like one, then the form's URL without its /apply or /application suffix
+   * (Lever, Ashby, Workday, SmartRecruiters...)
+   * @returns {Array} URLs
+   */
+  getPostingUrls() {
+    const current = new URL(window.location.href);
+    current.hash = "";
+    const urls = [];
+    const add = href => {
+      try {
+        const url = new URL(href, current);
+        url.hash = "";
+        const isNew = url.href !== current.href && !urls.includes(url.href);
+        if (url.origin === current.origin && isNew) urls.push(url.href);
+      } catch (error) {
+        // Not a URL
+      }
+    };
+
+    document.querySelectorAll("a[href]").forEach(link => {
+      if (JOB_POSTING_LINK_TEXT.test(link.textContent)) add(link.getAttribute("href"));
+    });
+
+    const postingPath = current.pathname.replace(/\/(apply|application)(\/.*)?$/i, "");
+    if (postingPath !== current.pathname) {
+      add(`${current.origin}${postingPath || "/"}${current.search}`);
+    }
+    return urls;
+  }
+
+  /**
+   * Fetch and parse a same-site page (with the user's cookies, like the page would)
+   * @param {string} url - Page URL
+   * @returns {Promise<Document>} Parsed page
+   */
+  async fetchDocument(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.FETCH_TIMEOUT);
+    try {
+      const response = await fetch(url, {
+        credentials: "same-origin",
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return new DOMParser().parseFromString(await response.text(), "text/html");
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * What the fill needs to know about the job
+   * @param {Object} posting - From readPosting()
+   * @param {Object} cvData - CV data
+   * @returns {Object} { companyName, jobTitle, location, url, source, jobDescription,
+   *   requirements, responsibilities, niceToHave, matchingSkills }
+   */
+  summarize(posting, cvData) {
+    const sections = this.extractSections(posting.element);
+    const hasDescription = posting.text.length > 0;
+    return {
+      companyName: posting.companyName,
+      jobTitle: posting.jobTitle,
+      location: posting.location,
+      url: posting.url,
+      source: hasDescription ? posting.source : "none",
+      jobDescription: posting.text.slice(0, this.MAX_DESCRIPTION_LENGTH),
+      ...sections,
+      matchingSkills: this.findMatchingSkills(cvData, posting.text),
+    };
+  }
+
+  /**
+   * List items grouped by the heading above them
+   * "Requirements: <ul><li>5+ years of Python</li>..." -> { requirements: ["5+ years of Python"] }
+   * @param {Element|null} element - Posting description
+   * @returns {Object} { requirements, responsibilities, niceToHave }
+   */
+  extractSections(element) {
+    const sections = { requirements: [], responsibilities: [], niceToHave: [] };
+    if (!element) return sections;
+
+    let current = null;
+    element.querySelectorAll("h1, h2, h3, h4, h5, h6, p, strong, b, li").forEach(node => {
+      const text = this.companyExtractor.getText(node);
+      if (node.tagName === "LI") {
+        if (current && text && sections[current].length < this.MAX_ITEMS) {
+          sections[current].push(text.slice(0, this.MAX_ITEM_LENGTH));
+        }
+        return;
+      }
+
+      // Emphasis inside a list item is part of the item, and long
+      // paragraphs are prose rather than headings
+      if (node.closest("li") || !text || text.length > 80) return;
+
+      const section = JOB_POSTING_SECTIONS.find(([, pattern]) => pattern.test(text));
+      if (section) {
+        current = section[0];
+      } else if (/^H\d$/.test(node.tagName)) {
+        // A heading about something else ("Benefits") ends the section
+        current = null;
+      }
+    });
+    return sections;
+  }
+
+  /**
+   * CV skills the posting mentions, in the CV's order
+   * @param {Object} cvData - CV data
+   * @param {string} text - Posting text
+   * @returns {Array} Skills
+   */
+  findMatchingSkills(cvData, text) {
+    const professional = cvData?.professional || {};
+    const skills = [
+      ...(professional.skills || []),
+      ...Object.values(professional.skillsCategories || {}).flat(),
+    ].filter(skill => typeof skill === "string" && skill.trim());
+
+    const haystack = ` ${text.toLowerCase()} `;
+    const matching = skills.filter(skill => {
+      const escaped = skill.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      // "C" must not match every "c", but "C++" and "Node.js" still match
+      return new RegExp(`[^a-z0-9+#]${escaped}(?![a-z0-9+#])`).test(haystack);
+    });
+    return [...new Set(matching)];
+  }
+}
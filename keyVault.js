@@ -0,0 +1,174 @@
+// keyVault.js - Passphrase-protected API key vault (background service worker only)
+
+class KeyVault {
+  /**
+   * @param {StorageManager} storage - Used to read/write settings
+   * @param {CryptoUtils} cryptoUtils - Encryption helpers
+   */
+  constructor(storage = new StorageManager(), cryptoUtils = new CryptoUtils()) {
+    this.storage = storage;
+    this.cryptoUtils = cryptoUtils;
+    this.VAULT_KEY = "jobHelperVault";
+    // chrome.storage.session is memory-only and cleared when the browser closes
+    this.SESSION_KEY = "jobHelperVaultSession";
+  }
+
+  /**
+   * @returns {Promise<Object>} { enabled, unlocked }
+   */
+  async getStatus() {
+    const vault = await this.loadVault();
+    const session = await this.loadSession();
+    return { enabled: !!vault, unlocked: !!vault && !!session };
+  }
+
+  /**
+   * Move the plain-text API keys from settings into an encrypted vault
+   * @param {string} passphrase - User passphrase
+   */
+  async enable(passphrase) {
+    if (await this.loadVault()) {
+      throw new Error("The vault is already enabled");
+    }
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error("Use a passphrase of at least 8 characters");
+    }
+
+    const settings = await this.storage.loadSettings();
+    const secrets = {};
+    this.getSecretKeys(settings).forEach(key => {
+      if (settings[key]) secrets[key] = settings[key];
+      settings[key] = "";
+    });
+
+    // Secrets are encrypted with a random data key; the passphrase only wraps
+    // that key, so saving a new API key while unlocked needs no passphrase
+    const dataKey = this.cryptoUtils.generateKeyBytes();
+    await chrome.storage.local.set({
+      [this.VAULT_KEY]: {
+        version: 1,
+        wrappedKey: await this.cryptoUtils.encrypt(
+          this.cryptoUtils.toBase64(dataKey),
+          passphrase
+        ),
+        secrets: await this.cryptoUtils.encryptWithKey(JSON.stringify(secrets), dataKey),
+      },
+    });
+    await this.storage.saveSettings({ ...settings, vaultEnabled: true });
+    await this.saveSession(dataKey, secrets);
+
+    console.log("KeyVault: Enabled with", Object.keys(secrets).length, "key(s)");
+    return this.getStatus();
+  }
+
+  /**
+   * Decrypt the vault into session storage for the rest of the browser session
+   * @param {string} passphrase - User passphrase
+   */
+  async unlock(passphrase) {
+    const vault = await this.requireVault();
+    const dataKey = this.cryptoUtils.fromBase64(
+      await this.cryptoUtils.decrypt(vault.wrappedKey, passphrase)
+    );
+    const secrets = JSON.parse(
+      await this.cryptoUtils.decryptWithKey(vault.secrets, dataKey)
+    );
+    await this.saveSession(dataKey, secrets);
+
+    console.log("KeyVault: Unlocked");
+    return this.getStatus();
+  }
+
+  async lock() {
+    await chrome.storage.session.remove(this.SESSION_KEY);
+    console.log("KeyVault: Locked");
+    return this.getStatus();
+  }
+
+  /**
+   * Turn the vault off and put the API keys back into settings
+   * @param {string} passphrase - User passphrase
+   */
+  async disable(passphrase) {
+    await this.unlock(passphrase);
+    const { secrets } = await this.loadSession();
+
+    const settings = await this.storage.loadSettings();
+    await this.storage.saveSettings({ ...settings, ...secrets, vaultEnabled: false });
+    await chrome.storage.local.remove(this.VAULT_KEY);
+    await this.lock();
+
+    console.log("KeyVault: Disabled");
+    return this.getStatus();
+  }
+
+  /**
+   * Store or replace an API key (vault must be unlocked)
+   * @param {string} name - Setting name (e.g. "deepseekApiKey")
+   * @param {string} value - API key
+   */
+  async setSecret(name, value) {
+    const vault = await this.requireVault();
+    const session = await this.loadSession();
+    if (!session) {
+      throw new Error("Unlock the vault before saving API keys");
+    }
+
+    const dataKey = this.cryptoUtils.fromBase64(session.dataKey);
+    const secrets = { ...session.secrets, [name]: value };
+    await chrome.storage.local.set({
+      [this.VAULT_KEY]: {
+        ...vault,
+        secrets: await this.cryptoUtils.encryptWithKey(JSON.stringify(secrets), dataKey),
+      },
+    });
+    await this.saveSession(dataKey, secrets);
+    return true;
+  }
+
+  /**
+   * Get a decrypted API key
+   * @param {string} name - Setting name
+   * @returns {Promise<string|null>} Key, or null when locked or not set
+   */
+  async getSecret(name) {
+    const session = await this.loadSession();
+    return session?.secrets?.[name] || null;
+  }
+
+  async requireVault() {
+    const vault = await this.loadVault();
+    if (!vault) {
+      throw new Error("The API key vault is not enabled");
+    }
+    return vault;
+  }
+
+  async loadVault() {
+    const result = await chrome.storage.local.get([this.VAULT_KEY]);
+    return result[this.VAULT_KEY] || null;
+  }
+
+  async loadSession() {
+    const result = await chrome.storage.session.get([this.SESSION_KEY]);
+    return result[this.SESSION_KEY] || null;
+  }
+
+  async saveSession(dataKey, secrets) {
+    await chrome.storage.session.set({
+      [this.SESSION_KEY]: { dataKey: this.cryptoUtils.toBase64(dataKey), secrets },
+    });
+  }
+
+  // Setting names holding API keys (openaiApiKey, deepseekApiKey, ...)
+  getSecretKeys(settings) {
+    return Object.keys(settings || {}).filter(key => /apikey$/i.test(key));
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KeyVault;
+} else {
+  self.KeyVault = KeyVault;
+}
@@ -0,0 +1,425 @@
+// Job Helper Extension - Options Page
+let storage, cvEditor, standardAnswersEditor, cvImporter, backupManager;
+let pendingImport = null;
+let pendingBackup = null;
+
+// Initialize components
+document.addEventListener("DOMContentLoaded", async () => {
+  storage = new StorageManager();
+  cvEditor = new CVEditor(document.getElementById("cvEditor"));
+  cvImporter = new CVImporter();
+  backupManager = new BackupManager(storage);
+  standardAnswersEditor = new StandardAnswersEditor(
+    document.getElementById("standardAnswersEditor")
+  );
+
+  await initializeCVEditor();
+  await loadStandardAnswersEditor();
+  await renderVaultSection();
+  setupEventListeners();
+});
+
+// Setup all event listeners
+function setupEventListeners() {
+  document
+    .getElementById("editorProfile")
+    .addEventListener("change", async () => {
+      await loadEditorCV();
+      await loadStandardAnswersEditor();
+    });
+  document.getElementById("saveCV").addEventListener("click", saveEditorCV);
+  document.getElementById("resetCV").addEventListener("click", loadEditorCV);
+
+  // CV import
+  document.getElementById("importFile").addEventListener("change", previewImport);
+  document.getElementById("applyImport").addEventListener("click", applyImport);
+  document.getElementById("cancelImport").addEventListener("click", () => {
+    clearImport();
+    document.getElementById("importFile").value = "";
+  });
+
+  // API key vault
+  document.getElementById("enableVault").addEventListener("click", enableVault);
+  document.getElementById("disableVault").addEventListener("click", disableVault);
+
+  // Backup & restore
+  document.querySelectorAll('input[name="backupApiKeys"]').forEach(radio => {
+    radio.addEventListener("change", () => {
+      document.getElementById("backupPassphrase").hidden =
+        getCheckedValue("backupApiKeys") !== "encrypt";
+    });
+  });
+  document.getElementById("exportBackup").addEventListener("click", exportBackup);
+  document.getElementById("restoreFile").addEventListener("change", previewRestore);
+  document.getElementById("restoreBackup").addEventListener("click", restoreBackup);
+
+  // Standard answers
+  document
+    .getElementById("saveStandardAnswers")
+    .addEventListener("click", saveStandardAnswers);
+  document
+    .getElementById("resetStandardAnswers")
+    .addEventListener("click", loadStandardAnswersEditor);
+  document
+    .getElementById("profileOwnAnswers")
+    .addEventListener("change", toggleProfileAnswers);
+}
+
+// Fill the profile selector and load the active profile's CV
+async function initializeCVEditor() {
+  try {
+    const { activeProfileId, profiles } = await storage.loadProfiles();
+    const select = document.getElementById("editorProfile");
+
+    select.textContent = "";
+    profiles.forEach(profile => {
+      const option = document.createElement("option");
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+    select.value = activeProfileId;
+
+    await loadEditorCV();
+  } catch (error) {
+    console.error("Error initializing CV editor:", error);
+    updateStatus("cvEditorStatus", `Error: ${error.message}`, "error");
+  }
+}
+
+// Load the selected profile's CV into the editor
+async function loadEditorCV() {
+  const profileId = document.getElementById("editorProfile").value;
+  const cvData = await storage.loadCVData(profileId);
+  cvEditor.render(cvData);
+  updateStatus("cvEditorStatus", "", "");
+}
+
+// Validate and save the edited CV
+async function saveEditorCV() {
+  try {
+    const cvData = cvEditor.getData();
+    const errors = window.CVDataStructure.validateCVDataDetailed(cvData);
+    cvEditor.showErrors(errors);
+
+    if (errors.length > 0) {
+      updateStatus(
+        "cvEditorStatus",
+        `Please fix ${errors.length} error${errors.length === 1 ? "" : "s"}`,
+        "error"
+      );
+      return;
+    }
+
+    const profileId = document.getElementById("editorProfile").value;
+    await storage.saveCVData(cvData, profileId);
+    await storage.setInitialized(true);
+    cvEditor.render(cvData);
+    updateStatus("cvEditorStatus", "CV saved successfully!", "success");
+  } catch (error) {
+    console.error("Error saving CV:", error);
+    updateStatus("cvEditorStatus", `Error: ${error.message}`, "error");
+  }
+}
+
+// Parse the selected file(s) and show which fields were recognised
+async function previewImport(event) {
+  clearImport();
+  if (event.target.files.length === 0) return;
+
+  try {
+    updateStatus("importStatus", "Reading file...", "info");
+    pendingImport = await cvImporter.importFiles(event.target.files);
+
+    const table = document.getElementById("importRecognized");
+    table.textContent = "";
+    pendingImport.recognized.forEach(({ label, value }) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = label;
+      row.insertCell().textContent =
+        value.length > 160 ? `${value.slice(0, 160)}...` : value;
+    });
+
+    const schema = window.CVDataStructure.CVDataSchema;
+    const recognizedPaths = pendingImport.recognized.map(field => field.path);
+    const missing = ["personal", "professional"]
+      .flatMap(group =>
+        Object.entries(schema[group]).map(([key, rules]) => ({
+          path: `${group}.${key}`,
+          label: rules.label || key,
+        }))
+      )
+      .filter(field => !recognizedPaths.includes(field.path))
+      .map(field => field.label);
+
+    document.getElementById("importFormat").textContent =
+      `${pendingImport.format}: ${pendingImport.recognized.length} fields recognised`;
+    document.getElementById("importMissing").textContent = missing.length
+      ? `Not found: ${missing.join(", ")}`
+      : "";
+    document.getElementById("importPreview").hidden = false;
+    updateStatus("importStatus", "", "");
+  } catch (error) {
+    console.error("Error importing CV:", error);
+    pendingImport = null;
+    updateStatus("importStatus", `Import failed: ${error.message}`, "error");
+  }
+}
+
+// Load the previewed import into the editor - nothing is saved until "Save CV"
+function applyImport() {
+  if (!pendingImport) return;
+
+  const imported = pendingImport.cvData;
+  const fillEmptyOnly = document.getElementById("importFillEmptyOnly").checked;
+  const cvData = fillEmptyOnly
+    ? mergeIntoEmptyFields(cvEditor.getData(), imported)
+    : imported;
+
+  cvEditor.render(cvData);
+  clearImport();
+  document.getElementById("importFile").value = "";
+  updateStatus(
+    "importStatus",
+    "Imported values loaded into the editor. Review them and click Save CV to keep them.",
+    "success"
+  );
+}
+
+// Copy imported values only where the current CV has nothing
+function mergeIntoEmptyFields(current, imported) {
+  const isEmpty = value =>
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 0);
+
+  const merged = JSON.parse(JSON.stringify(current));
+  ["personal", "professional"].forEach(group => {
+    merged[group] = merged[group] || {};
+    Object.entries(imported[group] || {}).forEach(([key, value]) => {
+      if (isEmpty(merged[group][key]) && !isEmpty(value)) {
+        merged[group][key] = value;
+      }
+    });
+  });
+  return merged;
+}
+
+function clearImport() {
+  pendingImport = null;
+  document.getElementById("importPreview").hidden = true;
+  document.getElementById("importRecognized").textContent = "";
+  updateStatus("importStatus", "", "");
+}
+
+// Show the enable or disable form depending on the vault state
+async function renderVaultSection(message = "", type = "info") {
+  const status = await chrome.runtime.sendMessage({ action: "vaultStatus" });
+  document.getElementById("vaultEnableForm").hidden = !!status?.enabled;
+  document.getElementById("vaultDisableForm").hidden = !status?.enabled;
+
+  const state = status?.enabled
+    ? `Vault enabled, ${status.unlocked ? "unlocked" : "locked"}`
+    : "Vault disabled - API keys are stored in plain text";
+  updateStatus("vaultStatus", message || state, type);
+}
+
+async function enableVault() {
+  const passphrase = document.getElementById("vaultNewPassphrase").value;
+  const confirmation = document.getElementById("vaultConfirmPassphrase").value;
+  if (passphrase !== confirmation) {
+    updateStatus("vaultStatus", "Passphrases do not match", "error");
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({ action: "vaultEnable", passphrase });
+  document.getElementById("vaultNewPassphrase").value = "";
+  document.getElementById("vaultConfirmPassphrase").value = "";
+
+  if (response?.success) {
+    await renderVaultSection("Vault enabled - API keys are now encrypted", "success");
+  } else {
+    updateStatus("vaultStatus", `Error: ${response?.error}`, "error");
+  }
+}
+
+async function disableVault() {
+  const input = document.getElementById("vaultDisablePassphrase");
+  const response = await chrome.runtime.sendMessage({
+    action: "vaultDisable",
+    passphrase: input.value,
+  });
+  input.value = "";
+
+  if (response?.success) {
+    await renderVaultSection("Vault disabled - API keys moved back to settings", "success");
+  } else {
+    updateStatus("vaultStatus", `Error: ${response?.error}`, "error");
+  }
+}
+
+// Download all extension data as a JSON backup
+async function exportBackup() {
+  try {
+    const apiKeys = getCheckedValue("backupApiKeys");
+    const passphrase = document.getElementById("backupPassphrase").value;
+    if (apiKeys === "encrypt" && !passphrase) {
+      updateStatus("backupStatus", "Enter a passphrase to encrypt API keys", "error");
+      return;
+    }
+
+    const backup = await backupManager.createBackup({ apiKeys, passphrase });
+    const blob = new Blob([JSON.stringify(backup, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `job-assistant-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    updateStatus("backupStatus", "Backup exported", "success");
+  } catch (error) {
+    console.error("Error exporting backup:", error);
+    updateStatus("backupStatus", `Export failed: ${error.message}`, "error");
+  }
+}
+
+// Read and validate a backup file, then show what it contains
+async function previewRestore(event) {
+  pendingBackup = null;
+  document.getElementById("restorePreview").hidden = true;
+  const file = event.target.files[0];
+  if (!file) return;
+
+  try {
+    pendingBackup = backupManager.parseBackup(await file.text());
+
+    const list = document.getElementById("restoreSummary");
+    list.textContent = "";
+    backupManager.summarizeBackup(pendingBackup).forEach(line => {
+      const item = document.createElement("li");
+      item.textContent = line;
+      list.appendChild(item);
+    });
+
+    document.getElementById("restorePassphrase").hidden =
+      pendingBackup.apiKeys !== "encrypted";
+    document.getElementById("restorePreview").hidden = false;
+    updateStatus(
+      "backupStatus",
+      pendingBackup.exportedAt
+        ? `Backup from ${new Date(pendingBackup.exportedAt).toLocaleString()}`
+        : "Backup from an older version",
+      "info"
+    );
+  } catch (error) {
+    console.error("Error reading backup:", error);
+    updateStatus("backupStatus", error.message, "error");
+  }
+}
+
+// Restore the previewed backup
+async function restoreBackup() {
+  if (!pendingBackup) return;
+
+  const mode = getCheckedValue("restoreMode");
+  if (
+    mode === "replace" &&
+    !confirm("Replace your current data with this backup? This cannot be undone.")
+  ) {
+    return;
+  }
+
+  try {
+    await backupManager.restoreBackup(pendingBackup, {
+      mode,
+      passphrase: document.getElementById("restorePassphrase").value,
+    });
+
+    pendingBackup = null;
+    document.getElementById("restorePreview").hidden = true;
+    document.getElementById("restoreFile").value = "";
+    await initializeCVEditor();
+    await loadStandardAnswersEditor();
+    updateStatus("backupStatus", "Backup restored successfully!", "success");
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    updateStatus("backupStatus", `Restore failed: ${error.message}`, "error");
+  }
+}
+
+// Load the selected profile's standard answers into the editor
+async function loadStandardAnswersEditor() {
+  try {
+    const profileId = document.getElementById("editorProfile").value;
+    const profile = await storage.getProfile(profileId);
+
+    // The default profile always edits the shared answers
+    document.getElementById("profileOwnAnswersLabel").style.display =
+      profileId === "default" ? "none" : "";
+    document.getElementById("profileOwnAnswers").checked =
+      !!profile?.standardAnswers;
+
+    const answers = await storage.loadStandardAnswers(profileId);
+    standardAnswersEditor.render(answers);
+    updateStatus(
+      "standardAnswersStatus",
+      profile?.standardAnswers
+        ? `Editing answers for "${profile.name}" only`
+        : "Editing shared answers (used by all profiles without their own)",
+      "info"
+    );
+  } catch (error) {
+    console.error("Error loading standard answers:", error);
+    updateStatus("standardAnswersStatus", `Error: ${error.message}`, "error");
+  }
+}
+
+// Save the edited standard answers
+async function saveStandardAnswers() {
+  try {
+    const profileId = document.getElementById("editorProfile").value;
+    await storage.saveStandardAnswers(standardAnswersEditor.getData(), profileId);
+    updateStatus(
+      "standardAnswersStatus",
+      "Standard answers saved successfully!",
+      "success"
+    );
+  } catch (error) {
+    console.error("Error saving standard answers:", error);
+    updateStatus("standardAnswersStatus", `Error: ${error.message}`, "error");
+  }
+}
+
+// Give the profile its own copy of the answers, or go back to shared ones
+async function toggleProfileAnswers() {
+  try {
+    const profileId = document.getElementById("editorProfile").value;
+    const profile = await storage.getProfile(profileId);
+    const useOwn = document.getElementById("profileOwnAnswers").checked;
+
+    await storage.saveProfile({
+      ...profile,
+      standardAnswers: useOwn ? standardAnswersEditor.getData() : null,
+    });
+    await loadStandardAnswersEditor();
+  } catch (error) {
+    console.error("Error updating profile answers:", error);
+    updateStatus("standardAnswersStatus", `Error: ${error.message}`, "error");
+  }
+}
+
+// Helper functions
+function getCheckedValue(name) {
+  return document.querySelector(`input[name="${name}"]:checked`)?.value;
+}
+
+function updateStatus(elementId, message, type) {
+  const element = document.getElementById(elementId);
+  element.textContent = message;
+  element.className = `status ${type}`;
+}
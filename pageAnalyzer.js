@@ -1,8 +1,20 @@
 // pageAnalyzer.js - Extract comprehensive form data from any page
 
 class PageAnalyzer {
-  constructor() {
+  /**
+   * @param {ElementRegistry} elementRegistry - Where each field's element is
+   *   registered for smartFiller (shared with it)
+   * @param {ComboboxDriver} comboboxDriver - Tells tag pickers from single-value comboboxes
+   */
+  constructor(elementRegistry = new ElementRegistry(), comboboxDriver = new ComboboxDriver()) {
     this.formFields = [];
+    this.traversal = new DOMTraversal();
+    this.frameBridge = new FrameBridge(this.traversal);
+    this.elementRegistry = elementRegistry;
+    this.comboboxDriver = comboboxDriver;
+    // Custom dropdowns: ARIA comboboxes, listbox buttons and Workday prompts
+    this.COMBOBOX_SELECTOR =
+      '[role="combobox"], [aria-haspopup="listbox"], [data-uxi-widget-type="selectinput"]';
   }
 
   /**
@@ -30,45 +42,117 @@ class PageAnalyzer {
   }
 
   /**
-   * Extract all form fields with comprehensive data
+   * extractPageData() plus the fields of cross-origin frames, which are read
+   * by the content script running in each frame (frameBridge.js)
+   * @returns {Promise<Object>} Structured page data with all form fields
+   */
+  async extractPageDataWithFrames() {
+    const pageData = this.extractPageData();
+    const remoteFields = await this.frameBridge.collectRemoteFields();
+    if (remoteFields.length === 0) return pageData;
+
+    pageData.fields.push(...remoteFields);
+    pageData.totalFields = pageData.fields.length;
+    pageData.fieldTypes = this.calculateFieldTypeStats(pageData.fields);
+    console.log(`PageAnalyzer: Added ${remoteFields.length} fields from cross-origin frames`);
+    return pageData;
+  }
+
+  /**
+   * Extract all form fields with comprehensive data, including those in open
+   * shadow roots and same-origin frames
+   * Each field's element is registered under its id; ids are unique except
+   * across the buttons of one radio group. Elements registered by an earlier
+   * call keep their ids, so ids held by an open preview or a running fill
+   * still point at the same elements when fields were added around them.
    * @returns {Array} Array of field objects with detailed properties
    */
   extractFormFields() {
     const fields = [];
+    const elements = this.findFieldElements();
+
+    // Ids of elements seen before are theirs; new elements get the others
+    const usedIds = new Map(); // id -> radio group sharing it (null if none)
+    const knownIds = new Map(); // element -> id
+    elements.forEach(({ element, path }) => {
+      const fieldId = this.elementRegistry.idOf(element);
+      if (!fieldId) return;
+      knownIds.set(element, fieldId);
+      usedIds.set(fieldId, this.getRadioGroup(element, path));
+    });
+
+    const registered = new Set();
+    elements.forEach(({ element, path }, fieldIndex) => {
+      const fieldData = this.extractFieldData(element, fieldIndex, path);
+      if (!fieldData) return;
+
+      const group = this.getRadioGroup(element, path);
+      if (knownIds.has(element)) {
+        fieldData.id = knownIds.get(element);
+      } else if (usedIds.has(fieldData.id) && (!group || usedIds.get(fieldData.id) !== group)) {
+        // Repeated names ("answer", "skills[]") would send values to the wrong element
+        const baseId = fieldData.id;
+        let suffix = fieldIndex;
+        while (usedIds.has(`${baseId}_${suffix}`)) suffix++;
+        fieldData.id = `${baseId}_${suffix}`;
+      }
+      usedIds.set(fieldData.id, group);
+
+      // The first button of a radio group stands for the group
+      if (!registered.has(fieldData.id)) {
+        this.elementRegistry.register(fieldData.id, element, path);
+        registered.add(fieldData.id);
+      }
+      fields.push(fieldData);
+    });
+
+    return fields;
+  }
 
-    // Get all potential form elements
+  // Radio buttons sharing a name (in one root) share a field id
+  getRadioGroup(element, path) {
+    return element.type === "radio" && element.name ? `${path}|${element.name}` : null;
+  }
+
+  /**
+   * Every potential form element, in open shadow roots and same-origin
+   * frames too (cheap: nothing is read from them yet)
+   * @returns {Array} [{ element, path }] in document order, outermost root first
+   */
+  findFieldElements() {
     const selectors = [
       'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"])',
       "select",
       "textarea",
       '[role="combobox"]',
+      'button[aria-haspopup="listbox"]',
+      '[data-uxi-widget-type="selectinput"]',
       '[role="textbox"]',
       '[contenteditable="true"]',
     ];
 
-    const elements = document.querySelectorAll(selectors.join(", "));
-
-    elements.forEach((element, index) => {
-      const fieldData = this.extractFieldData(element, index);
-      if (fieldData) {
-        fields.push(fieldData);
-      }
-    });
-
-    return fields;
+    return this.traversal
+      .getRoots()
+      .flatMap(({ root, path }) =>
+        Array.from(root.querySelectorAll(selectors.join(", ")), element => ({ element, path }))
+      )
+      // Inputs inside a combobox are filled through it
+      .filter(({ element }) => !element.parentElement?.closest(this.COMBOBOX_SELECTOR));
   }
 
   /**
    * Extract detailed data for a single form field
    * @param {HTMLElement} element - The form element
    * @param {number} index - Element index for unique ID generation
+   * @param {string} path - Shadow root/frame the element is in ("" for the page)
    * @returns {Object|null} Field data object or null if invalid
    */
-  extractFieldData(element, index) {
+  extractFieldData(element, index, path = "") {
     try {
       const fieldData = {
-        // Basic identification
-        id: this.generateFieldId(element, index),
+        // Basic identification (qualified with the path outside the page itself)
+        id: this.traversal.qualifyId(path, this.generateFieldId(element, index)),
+        path,
         element: element.tagName.toLowerCase(),
         type: this.getFieldType(element),
 
@@ -77,8 +161,9 @@ class PageAnalyzer {
         htmlId: element.id || "",
         className: element.className || "",
 
-        // Labels and text
+        // Labels and text (a radio button's label is its answer; question is the group's)
         label: this.extractLabel(element),
+        question: element.type === "radio" ? this.extractGroupQuestion(element) : "",
         placeholder: element.placeholder || "",
         value: this.getCurrentValue(element),
 
@@ -89,9 +174,12 @@ class PageAnalyzer {
 
         // Options for select/radio/checkbox
         options: this.extractOptions(element),
+        // Multi-selects and tag pickers take a list of values
+        multiple: this.isMultiple(element),
 
         // Context and surrounding text
         context: this.extractContext(element),
+        section: this.extractSection(element),
 
         // Position and visibility
         position: this.getElementPosition(element),
@@ -119,12 +207,27 @@ class PageAnalyzer {
     return `field_${index}`;
   }
 
+  /**
+   * Whether the field takes several values (multi-select or tag picker)
+   */
+  isMultiple(element) {
+    if (element.tagName === "SELECT") return element.multiple;
+    return (
+      this.getFieldType(element) === "combobox" && this.comboboxDriver.isTagPicker(element)
+    );
+  }
+
   /**
    * Determine the field type
    */
   getFieldType(element) {
     const tagName = element.tagName.toLowerCase();
 
+    // Custom dropdowns, whatever element they are built on
+    if (tagName !== "select" && element.matches(this.COMBOBOX_SELECTOR)) {
+      return "combobox";
+    }
+
     if (tagName === "input") {
       return element.type || "text";
     }
@@ -137,10 +240,6 @@ class PageAnalyzer {
       return "textarea";
     }
 
-    if (element.getAttribute("role") === "combobox") {
-      return "combobox";
-    }
-
     if (
       element.getAttribute("role") === "textbox" ||
       element.contentEditable === "true"
@@ -157,9 +256,12 @@ class PageAnalyzer {
   extractLabel(element) {
     const labels = [];
 
+    // Labels are looked up in the element's own shadow root or frame
+    const root = element.getRootNode();
+
     // 1. Associated label element
     if (element.id) {
-      const label = document.querySelector(`label[for="${element.id}"]`);
+      const label = root.querySelector(`label[for="${element.id}"]`);
       if (label) labels.push(this.cleanText(label.textContent));
     }
 
@@ -176,7 +278,7 @@ class PageAnalyzer {
 
     // 4. aria-labelledby
     if (element.getAttribute("aria-labelledby")) {
-      const labelElement = document.getElementById(
+      const labelElement = root.getElementById(
         element.getAttribute("aria-labelledby")
       );
       if (labelElement) labels.push(this.cleanText(labelElement.textContent));
@@ -191,6 +293,67 @@ class PageAnalyzer {
     return uniqueLabels.length > 0 ? uniqueLabels.join(" | ") : "";
   }
 
+  /**
+   * Find the question a radio group asks: the radiogroup's label, the legend
+   * of a fieldset holding only this group, else the text before the first
+   * button in the smallest container holding only this group
+   * @param {HTMLInputElement} element - One of the group's radio buttons
+   * @returns {string} Question text, or "" if none was found
+   */
+  extractGroupQuestion(element) {
+    const root = element.getRootNode();
+
+    const group = element.closest('[role="radiogroup"]');
+    if (group) {
+      const ids = (group.getAttribute("aria-labelledby") || "").split(/\s+/).filter(Boolean);
+      const text = ids.map(id => root.getElementById(id)?.textContent || "").join(" ");
+      const label = this.cleanText(text) || this.cleanText(group.getAttribute("aria-label"));
+      if (label) return label;
+    }
+
+    const name = element.name && this.elementRegistry.escapeAttribute(element.name);
+    const radios = name
+      ? Array.from(root.querySelectorAll(`input[type="radio"][name="${name}"]`))
+      : [element];
+    const holdsGroup = container => radios.every(radio => container.contains(radio));
+    const holdsOnlyGroup = container =>
+      holdsGroup(container) &&
+      Array.from(container.querySelectorAll('input[type="radio"]')).every(radio =>
+        radios.includes(radio)
+      );
+
+    const fieldset = element.closest("fieldset");
+    const legend = fieldset?.querySelector("legend");
+    if (legend && holdsOnlyGroup(fieldset)) return this.cleanText(legend.textContent);
+
+    let container = element.parentElement;
+    while (container && !holdsGroup(container)) container = container.parentElement;
+    for (let depth = 0; container && depth < 4 && holdsOnlyGroup(container); depth++) {
+      const text = this.findTextBefore(container, radios[0]);
+      if (text) return text;
+      container = container.parentElement;
+    }
+    return "";
+  }
+
+  /**
+   * Text in a container that comes before an element, leaving out the text
+   * of labels wrapping a radio button or checkbox (answers, not questions)
+   */
+  findTextBefore(container, element) {
+    const walker = container.ownerDocument.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const parts = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (!(node.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)) break;
+      const optionLabel = node.parentElement?.closest("label");
+      if (optionLabel?.querySelector('input[type="radio"], input[type="checkbox"]')) continue;
+      if (node.parentElement?.closest("script, style")) continue;
+      parts.push(node.textContent);
+    }
+    return this.cleanText(parts.join(" "));
+  }
+
   /**
    * Find text that appears before the element (potential label)
    */
@@ -260,11 +423,26 @@ class PageAnalyzer {
       });
     }
 
+    // Comboboxes whose listbox is already rendered (most only render it when opened)
+    if (this.getFieldType(element) === "combobox") {
+      const root = element.getRootNode();
+      const listboxIds = (element.getAttribute("aria-controls") || "").split(/\s+/);
+      listboxIds.filter(Boolean).forEach(id => {
+        root.getElementById?.(id)?.querySelectorAll('[role="option"]').forEach(option => {
+          const text = this.cleanText(option.textContent);
+          if (text) {
+            const selected = option.getAttribute("aria-selected") === "true";
+            options.push({ value: text, text, selected });
+          }
+        });
+      });
+    }
+
     // For radio buttons and checkboxes, find related elements by name
     if (element.type === "radio" || element.type === "checkbox") {
       if (element.name) {
-        const relatedElements = document.querySelectorAll(
-          `input[name="${element.name}"]`
+        const relatedElements = element.getRootNode().querySelectorAll(
+          `input[name="${this.elementRegistry.escapeAttribute(element.name)}"]`
         );
         relatedElements.forEach(related => {
           const label = this.extractLabel(related);
@@ -280,6 +458,40 @@ class PageAnalyzer {
     return options;
   }
 
+  /**
+   * Find the form section a field belongs to (fieldset legend, labelled
+   * group, or the nearest heading before it)
+   */
+  extractSection(element) {
+    const fieldset = element.closest("fieldset");
+    const legend = fieldset?.querySelector("legend");
+    if (legend) return this.cleanText(legend.textContent);
+
+    const group = element.closest(
+      '[role="group"][aria-label], [role="region"][aria-label], section[aria-label]'
+    );
+    if (group) return this.cleanText(group.getAttribute("aria-label"));
+
+    // Walk up a few levels looking for a heading among earlier siblings
+    const headingSelector = "h1, h2, h3, h4, h5, h6, legend";
+    let current = element;
+    for (let depth = 0; current && depth < 6; depth++) {
+      let sibling = current.previousElementSibling;
+      for (let steps = 0; sibling && steps < 15; steps++) {
+        if (sibling.matches(headingSelector)) {
+          return this.cleanText(sibling.textContent);
+        }
+        const headings = sibling.querySelectorAll(headingSelector);
+        if (headings.length > 0) {
+          return this.cleanText(headings[headings.length - 1].textContent);
+        }
+        sibling = sibling.previousElementSibling;
+      }
+      current = current.parentElement;
+    }
+    return "";
+  }
+
   /**
    * Extract surrounding context text
    */
@@ -319,7 +531,7 @@ class PageAnalyzer {
    */
   findNearbyElements(element, maxDistance) {
     const rect = element.getBoundingClientRect();
-    const allElements = document.querySelectorAll(
+    const allElements = element.getRootNode().querySelectorAll(
       "p, span, div, label, h1, h2, h3, h4, h5, h6"
     );
     const nearby = [];
@@ -359,7 +571,8 @@ class PageAnalyzer {
    * Check if element is visible
    */
   isVisible(element) {
-    const style = window.getComputedStyle(element);
+    // Elements in frames are styled by the frame's window
+    const style = (element.ownerDocument.defaultView || window).getComputedStyle(element);
     return (
       style.display !== "none" &&
       style.visibility !== "hidden" &&
@@ -1,5 +1,5 @@
 // Job Helper Extension - Popup Interface
-let storage, cvParser, companyExtractor, coverLetterGenerator, templates;
+let storage, cvParser, companyExtractor, coverLetterGenerator, templates, aiProviders;
 
 // Initialize components
 document.addEventListener("DOMContentLoaded", async () => {
@@ -8,6 +8,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   companyExtractor = new CompanyExtractor();
   coverLetterGenerator = new CoverLetterGenerator();
   templates = new Templates();
+  aiProviders = new AIProviderRegistry();
 
   await initializeUI();
   setupEventListeners();
@@ -25,35 +26,37 @@ async function initializeUI() {
     // Load settings
     document.getElementById("autoFillEnabled").checked =
       settings.autoFillEnabled;
+    document.getElementById("previewBeforeFill").checked =
+      !!settings.previewBeforeFill;
+    document.getElementById("fillStrategy").value =
+      settings.fillStrategy || "rulesThenAI";
+    document.getElementById("parallelAIRequests").checked =
+      !!settings.parallelAIRequests;
+    document.getElementById("streamAIResponses").checked =
+      !!settings.streamAIResponses;
+    document.getElementById("fieldMemoryEnabled").checked =
+      settings.fieldMemoryEnabled !== false;
+    document.getElementById("adaptSavedAnswers").checked =
+      settings.adaptSavedAnswers !== false;
+    document.getElementById("watchDynamicFields").checked =
+      settings.watchDynamicFields !== false;
 
     // Load AI provider settings
-    const aiProvider = settings.aiProvider || "deepseek";
-    const modeRadio = document.getElementById(aiProvider + "Mode");
-    if (modeRadio) {
-      modeRadio.checked = true;
-    }
-    handleAIModeChange(); // Show appropriate config section
-
-    // Load DeepSeek settings
-    if (settings.deepseekApiKey) {
-      document.getElementById("deepseekApiKey").value = settings.deepseekApiKey;
-    }
-    if (settings.deepseekModel) {
-      document.getElementById("deepseekModel").value = settings.deepseekModel;
-    }
-
-    // Load local LLM settings
-    if (settings.localURL) {
-      document.getElementById("localURL").value = settings.localURL;
-    }
-    if (settings.localModel) {
-      document.getElementById("localModel").value = settings.localModel;
-    }
+    renderProviderOptions(settings.aiProvider || "deepseek");
+    await renderProviderConfig();
 
     if (initialized) {
       const cvData = await storage.loadCVData();
       displayCVInfo(cvData);
     }
+
+    await renderVaultStatus();
+    await renderProfiles();
+    await showProfileMatch();
+    await renderHistory();
+    await renderFieldMemory();
+    await checkAlreadyApplied();
+    await renderApplicationSession();
   } catch (error) {
     console.error("Error initializing UI:", error);
     updateStatus("cvStatus", "Error initializing extension", "error");
@@ -67,31 +70,77 @@ function setupEventListeners() {
     .getElementById("initializeCV")
     .addEventListener("click", initializeCV);
   document.getElementById("showCV").addEventListener("click", showCVData);
+  document
+    .getElementById("editCV")
+    .addEventListener("click", () => chrome.runtime.openOptionsPage());
+
+  // CV Profiles
+  document
+    .getElementById("profileSelect")
+    .addEventListener("change", handleProfileChange);
+  document
+    .getElementById("saveProfile")
+    .addEventListener("click", saveProfileSettings);
+  document.getElementById("newProfile").addEventListener("click", createProfile);
+  document
+    .getElementById("deleteProfile")
+    .addEventListener("click", deleteCurrentProfile);
 
   // Settings
   document
     .getElementById("autoFillEnabled")
     .addEventListener("change", saveSettings);
-  document.getElementById("saveApiKey").addEventListener("click", saveApiKey);
-  document.getElementById("saveDeepSeekConfig").addEventListener("click", saveDeepSeekConfig);
-  document.getElementById("testDeepSeekAPI").addEventListener("click", testDeepSeekAPI);
+  document
+    .getElementById("previewBeforeFill")
+    .addEventListener("change", saveSettings);
+  document
+    .getElementById("fillStrategy")
+    .addEventListener("change", saveSettings);
+  document
+    .getElementById("parallelAIRequests")
+    .addEventListener("change", saveSettings);
+  document
+    .getElementById("streamAIResponses")
+    .addEventListener("change", saveSettings);
   document.getElementById("showAILog").addEventListener("click", showAILog);
+  document
+    .getElementById("historySearch")
+    .addEventListener("input", () => renderHistory());
+  document
+    .getElementById("fieldMemoryEnabled")
+    .addEventListener("change", saveSettings);
+  document
+    .getElementById("adaptSavedAnswers")
+    .addEventListener("change", saveSettings);
+  document
+    .getElementById("watchDynamicFields")
+    .addEventListener("change", saveSettings);
+  document
+    .getElementById("fieldMemorySearch")
+    .addEventListener("input", () => renderFieldMemory());
+
+  // API key vault
+  document.getElementById("unlockVault").addEventListener("click", unlockVault);
+  document.getElementById("lockVault").addEventListener("click", lockVault);
 
   // AI Mode Configuration
-  document.querySelectorAll('input[name="aiMode"]').forEach(radio => {
-    radio.addEventListener("change", handleAIModeChange);
-  });
   document
-    .getElementById("saveLocalConfig")
-    .addEventListener("click", saveLocalConfig);
+    .getElementById("aiModeSelector")
+    .addEventListener("change", handleAIModeChange);
+  document
+    .getElementById("saveProviderConfig")
+    .addEventListener("click", saveProviderConfig);
   document
-    .getElementById("testLocalConnection")
-    .addEventListener("click", testLocalConnection);
+    .getElementById("testProviderConnection")
+    .addEventListener("click", testProviderConnection);
 
   // Actions
   document
     .getElementById("triggerAutoFill")
     .addEventListener("click", triggerAutoFill);
+  document
+    .getElementById("revertLastFill")
+    .addEventListener("click", revertLastFill);
   document
     .getElementById("debugContentScript")
     .addEventListener("click", debugContentScript);
@@ -146,6 +195,13 @@ async function saveSettings() {
     const settings = {
       ...currentSettings, // Preserve existing settings
       autoFillEnabled: document.getElementById("autoFillEnabled").checked,
+      previewBeforeFill: document.getElementById("previewBeforeFill").checked,
+      fillStrategy: document.getElementById("fillStrategy").value,
+      parallelAIRequests: document.getElementById("parallelAIRequests").checked,
+      streamAIResponses: document.getElementById("streamAIResponses").checked,
+      fieldMemoryEnabled: document.getElementById("fieldMemoryEnabled").checked,
+      adaptSavedAnswers: document.getElementById("adaptSavedAnswers").checked,
+      watchDynamicFields: document.getElementById("watchDynamicFields").checked,
       coverLetterEnabled: false,
     };
 
@@ -156,48 +212,67 @@ async function saveSettings() {
   }
 }
 
-// Save API key
-async function saveApiKey() {
-  try {
-    const apiKey = document.getElementById("apiKey").value.trim();
-    if (!apiKey) {
-      updateStatus("apiStatus", "Please enter an API key", "error");
-      return;
+// Save an API key to settings, or to the vault when it is enabled
+async function saveSecret(name, value) {
+  const settings = await storage.loadSettings();
+  if (settings.vaultEnabled) {
+    const response = await chrome.runtime.sendMessage({
+      action: "vaultSetSecret",
+      name,
+      value,
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || "Could not save key to the vault");
     }
+    return;
+  }
 
-    const settings = await storage.loadSettings();
-    settings.openaiApiKey = apiKey;
-    await storage.saveSettings(settings);
+  settings[name] = value;
+  await storage.saveSettings(settings);
+}
 
-    document.getElementById("apiKey").value = "";
-    updateStatus("apiStatus", "OpenAI API key saved successfully!", "success");
-  } catch (error) {
-    console.error("Error saving API key:", error);
-    updateStatus("apiStatus", "Error saving API key", "error");
+// Show lock state when API keys are kept in the vault
+async function renderVaultStatus() {
+  const status = await chrome.runtime.sendMessage({ action: "vaultStatus" });
+  const controls = document.getElementById("vaultControls");
+
+  if (!status?.enabled) {
+    controls.style.display = "none";
+    return;
   }
-}
 
-async function saveDeepSeekConfig() {
-  try {
-    const apiKey = document.getElementById("deepseekApiKey").value.trim();
-    const model = document.getElementById("deepseekModel").value.trim();
-    
-    if (!apiKey) {
-      updateStatus("apiStatus", "Please enter a DeepSeek API key", "error");
-      return;
-    }
+  controls.style.display = "block";
+  document.getElementById("vaultState").textContent = status.unlocked
+    ? "🔓 API keys unlocked for this browser session"
+    : "🔒 API keys are locked";
+  document.getElementById("vaultUnlockForm").style.display = status.unlocked
+    ? "none"
+    : "block";
+  document.getElementById("lockVault").style.display = status.unlocked
+    ? "inline-block"
+    : "none";
+}
 
-    const settings = await storage.loadSettings();
-    settings.deepseekApiKey = apiKey;
-    settings.deepseekModel = model || "deepseek-chat";
-    await storage.saveSettings(settings);
+async function unlockVault() {
+  const input = document.getElementById("vaultPassphrase");
+  const response = await chrome.runtime.sendMessage({
+    action: "vaultUnlock",
+    passphrase: input.value,
+  });
+  input.value = "";
 
-    document.getElementById("deepseekApiKey").value = "";
-    updateStatus("apiStatus", "DeepSeek configuration saved successfully!", "success");
-  } catch (error) {
-    console.error("Error saving DeepSeek config:", error);
-    updateStatus("apiStatus", "Error saving DeepSeek config", "error");
+  if (response?.success) {
+    updateStatus("apiStatus", "API keys unlocked", "success");
+  } else {
+    updateStatus("apiStatus", `Unlock failed: ${response?.error}`, "error");
   }
+  await renderVaultStatus();
+}
+
+async function lockVault() {
+  await chrome.runtime.sendMessage({ action: "vaultLock" });
+  updateStatus("apiStatus", "API keys locked", "info");
+  await renderVaultStatus();
 }
 
 // Trigger auto-fill
@@ -239,11 +314,27 @@ async function triggerAutoFill() {
           files: [
             "dataStructure.js",
             "storage.js", 
+            "domTraversal.js",
+            "frameBridge.js",
+            "elementRegistry.js",
             "companyExtractor.js",
             "pageAnalyzer.js",
+            "autocompleteMapper.js",
+            "ruleMapper.js",
+            "fieldMemory.js",
+            "answerBank.js",
+            "jobPostingAnalyzer.js",
+            "applicationSession.js",
+            "formBatcher.js",
+            "responseSchema.js",
+            "streamingJSONParser.js",
             "aiService.js",
             "responseProcessor.js",
+            "comboboxDriver.js",
             "smartFiller.js",
+            "fillPreview.js",
+            "fillProgress.js",
+            "formWatcher.js",
             "content.js"
           ]
         });
@@ -261,11 +352,27 @@ async function triggerAutoFill() {
           files: [
             "dataStructure.js",
             "storage.js", 
+            "domTraversal.js",
+            "frameBridge.js",
+            "elementRegistry.js",
             "companyExtractor.js",
             "pageAnalyzer.js",
+            "autocompleteMapper.js",
+            "ruleMapper.js",
+            "fieldMemory.js",
+            "answerBank.js",
+            "jobPostingAnalyzer.js",
+            "applicationSession.js",
+            "formBatcher.js",
+            "responseSchema.js",
+            "streamingJSONParser.js",
             "aiService.js",
             "responseProcessor.js",
+            "comboboxDriver.js",
             "smartFiller.js",
+            "fillPreview.js",
+            "fillProgress.js",
+            "formWatcher.js",
             "content.js"
           ]
         });
@@ -295,6 +402,9 @@ async function triggerAutoFill() {
         } else if (response && response.success) {
           console.log("Auto-fill triggered:", response);
           updateStatus("cvStatus", response.message, "success");
+          renderHistory();
+          checkAlreadyApplied();
+          renderApplicationSession();
         } else {
           updateStatus("cvStatus", "Auto-fill completed", "success");
         }
@@ -311,6 +421,38 @@ async function triggerAutoFill() {
   }
 }
 
+// Revert the last auto-fill on the current page
+async function revertLastFill() {
+  try {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+
+    chrome.tabs.sendMessage(
+      tab.id,
+      { action: "revertLastFill" },
+      response => {
+        if (chrome.runtime.lastError) {
+          console.error("Error reverting fill:", chrome.runtime.lastError);
+          updateStatus("cvStatus", "Error reverting last fill", "error");
+        } else if (response && response.success) {
+          updateStatus("cvStatus", response.message, "success");
+        } else {
+          updateStatus(
+            "cvStatus",
+            response?.message || "Nothing to revert",
+            "info"
+          );
+        }
+      }
+    );
+  } catch (error) {
+    console.error("Error reverting fill:", error);
+    updateStatus("cvStatus", `Error: ${error.message}`, "error");
+  }
+}
+
 // Generate cover letter
 async function generateCoverLetter() {
   try {
@@ -320,19 +462,15 @@ async function generateCoverLetter() {
     button.textContent = "Generating...";
     button.disabled = true;
 
-    const settings = await storage.loadSettings();
-    if (!settings.openaiApiKey) {
-      updateStatus("apiStatus", "OpenAI API key required", "error");
-      // Restore button state
-      button.textContent = originalText;
-      button.disabled = false;
-      return;
-    }
-
-    // Load CV data
-    const cvData = await storage.loadCVData();
-    if (!window.CVDataStructure.validateCVData(cvData)) {
-      updateStatus("cvStatus", "Invalid CV data", "error");
+    const aiStatus = await chrome.runtime.sendMessage({ action: "aiStatus" });
+    if (!aiStatus?.success || !aiStatus.hasApiKey) {
+      updateStatus(
+        "apiStatus",
+        aiStatus?.success
+          ? aiStatus.keyError
+          : aiStatus?.error || "AI provider not configured",
+        "error"
+      );
       // Restore button state
       button.textContent = originalText;
       button.disabled = false;
@@ -365,11 +503,35 @@ async function generateCoverLetter() {
       console.log("Could not extract company info from page, using defaults");
     }
 
-    // Generate cover letter using OpenAI
+    // Later pages of a multi-page application no longer show the posting
+    const session = await storage.loadApplicationSession(tab.id);
+    if (session?.jobContext) {
+      const { companyName, jobTitle, jobDescription, location } = session.jobContext;
+      companyInfo = { ...companyInfo, companyName, jobTitle, jobDescription, location };
+    }
+
+    // Load CV data and cover letter template from the profile the application
+    // uses, else the one matching this page
+    const profile =
+      (session?.profileId && (await storage.getProfile(session.profileId))) ||
+      (await storage.matchProfile(tab.url, companyInfo.jobTitle));
+    const cvData = await storage.loadCVData(profile?.id);
+    if (!window.CVDataStructure.validateCVData(cvData)) {
+      updateStatus("cvStatus", "Invalid CV data", "error");
+      // Restore button state
+      button.textContent = originalText;
+      button.disabled = false;
+      return;
+    }
+    const template = profile?.coverLetterTemplateId
+      ? templates.getTemplateById(profile.coverLetterTemplateId).template
+      : null;
+
+    // Generate cover letter with the selected AI provider
     const result = await coverLetterGenerator.generateCoverLetter(
       cvData,
       companyInfo,
-      settings.openaiApiKey
+      template
     );
 
     // Restore button state
@@ -378,6 +540,10 @@ async function generateCoverLetter() {
 
     if (result.success) {
       document.getElementById("coverLetterOutput").value = result.coverLetter;
+      // Kept for the application's later pages (content.js fills it in)
+      if (session) {
+        await storage.updateApplicationSession(tab.id, { coverLetter: result.coverLetter });
+      }
       updateStatus(
         "cvStatus",
         "Cover letter generated successfully!",
@@ -487,133 +653,174 @@ function updateStatus(elementId, message, type) {
 }
 
 // AI Mode Configuration Functions
-function handleAIModeChange() {
-  const selectedMode = document.querySelector('input[name="aiMode"]:checked').value;
-  
-  // Hide all config sections
-  document.getElementById("openaiConfig").style.display = "none";
-  document.getElementById("deepseekConfig").style.display = "none";
-  document.getElementById("localConfig").style.display = "none";
-  
-  // Show the relevant config section
-  if (selectedMode === "openai") {
-    document.getElementById("openaiConfig").style.display = "block";
-  } else if (selectedMode === "deepseek") {
-    document.getElementById("deepseekConfig").style.display = "block";
-  } else if (selectedMode === "local") {
-    document.getElementById("localConfig").style.display = "block";
+
+// Build the provider radio group from the registry
+function renderProviderOptions(selected) {
+  const selector = document.getElementById("aiModeSelector");
+  selector.textContent = "";
+
+  aiProviders.list().forEach(provider => {
+    const label = document.createElement("label");
+    const radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = "aiMode";
+    radio.value = provider.id;
+    radio.id = `${provider.id}Mode`;
+    radio.checked = provider.id === selected;
+    label.append(radio, ` ${provider.label}`);
+    selector.appendChild(label);
+  });
+
+  if (!selector.querySelector("input:checked")) {
+    selector.querySelector("input").checked = true;
   }
+}
+
+function getSelectedProvider() {
+  return aiProviders.get(
+    document.querySelector('input[name="aiMode"]:checked').value
+  );
+}
+
+// Show the key and config inputs for the selected provider
+async function renderProviderConfig() {
+  const provider = getSelectedProvider();
+  const settings = await storage.loadSettings();
+  const stored = settings.providerConfigs?.[provider.id] || {};
+
+  const keyInput = document.getElementById("providerApiKey");
+  keyInput.value = "";
+  keyInput.style.display = provider.secretName ? "" : "none";
+  if (provider.secretName) {
+    const status = await chrome.runtime.sendMessage({
+      action: "aiStatus",
+      provider: provider.id,
+    });
+    const optional = provider.keyOptional ? " (optional)" : "";
+    keyInput.placeholder =
+      status?.success && status.hasApiKey && !provider.keyOptional
+        ? `${provider.label} API key saved - enter a new one to replace it`
+        : `${provider.label} API Key${optional}`;
+  }
+
+  const fields = document.getElementById("providerFields");
+  fields.textContent = "";
+  provider.fields.forEach(field => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.dataset.key = field.key;
+    input.title = field.label;
+    input.placeholder = provider.defaults[field.key]
+      ? `${field.label} (default: ${provider.defaults[field.key]})`
+      : field.label;
+    input.value = stored[field.key] || "";
+    if (field.key === "model") {
+      input.setAttribute("list", "providerModels");
+    }
+    fields.appendChild(input);
+  });
+
+  const models = document.getElementById("providerModels");
+  models.textContent = "";
+  provider.models.forEach(model => {
+    const option = document.createElement("option");
+    option.value = model;
+    models.appendChild(option);
+  });
+
+  document.getElementById("providerHint").textContent = provider.hint || "";
+  document.getElementById("providerTestResult").style.display = "none";
+}
+
+// Read the config inputs, leaving out empty ones so defaults apply
+function getProviderFieldValues() {
+  const values = {};
+  document.querySelectorAll("#providerFields input").forEach(input => {
+    const value = input.value.trim();
+    if (value) values[input.dataset.key] = value;
+  });
+  return values;
+}
+
+async function handleAIModeChange() {
+  await renderProviderConfig();
 
   // Save the mode immediately
-  saveAIMode();
+  await saveAIMode();
 }
 
 async function saveAIMode() {
   try {
-    const selectedMode = document.querySelector('input[name="aiMode"]:checked').value;
+    const provider = getSelectedProvider();
     const settings = await storage.loadSettings();
-    settings.aiProvider = selectedMode;
-    
-    // For backward compatibility, also set useLocalLLM
-    settings.useLocalLLM = selectedMode === "local";
-    
+    settings.aiProvider = provider.id;
     await storage.saveSettings(settings);
 
-    updateStatus(
-      "apiStatus",
-      `Switched to ${selectedMode.toUpperCase()} mode`,
-      "info"
-    );
+    updateStatus("apiStatus", `Switched to ${provider.label}`, "info");
   } catch (error) {
     console.error("Error saving AI mode:", error);
     updateStatus("apiStatus", "Error saving AI mode", "error");
   }
 }
 
-async function saveLocalConfig() {
+async function saveProviderConfig() {
   try {
-    const localURL = document.getElementById("localURL").value.trim();
-    const localModel = document.getElementById("localModel").value.trim();
+    const provider = getSelectedProvider();
+    const apiKey = document.getElementById("providerApiKey").value.trim();
 
-    if (!localURL || !localModel) {
-      updateStatus(
-        "apiStatus",
-        "Please enter both URL and model name",
-        "error"
-      );
-      return;
+    if (apiKey && provider.secretName) {
+      await saveSecret(provider.secretName, apiKey);
     }
 
     const settings = await storage.loadSettings();
-    settings.localURL = localURL;
-    settings.localModel = localModel;
-    settings.useLocalLLM = true;
+    settings.providerConfigs = {
+      ...(settings.providerConfigs || {}),
+      [provider.id]: getProviderFieldValues(),
+    };
     await storage.saveSettings(settings);
 
-    updateStatus("apiStatus", "Local LLM configuration saved!", "success");
+    await renderProviderConfig();
+    updateStatus("apiStatus", `${provider.label} configuration saved!`, "success");
   } catch (error) {
-    console.error("Error saving local config:", error);
-    updateStatus("apiStatus", "Error saving local configuration", "error");
+    console.error("Error saving provider config:", error);
+    updateStatus("apiStatus", `Error saving configuration: ${error.message}`, "error");
   }
 }
 
-async function testLocalConnection() {
-  try {
-    updateStatus("apiStatus", "Testing connection...", "info");
-
-    const localURL = document.getElementById("localURL").value.trim();
-    const localModel = document.getElementById("localModel").value.trim();
-
-    if (!localURL || !localModel) {
-      updateStatus(
-        "apiStatus",
-        "Please enter both URL and model name",
-        "error"
-      );
-      return;
-    }
+// Test the provider with the (possibly unsaved) config inputs
+async function testProviderConnection() {
+  const button = document.getElementById("testProviderConnection");
+  const provider = getSelectedProvider();
 
-    // Test connection to Ollama
-    const testURL = localURL.replace("/api/chat", "/api/tags");
-    const response = await fetch(testURL, {
-      method: "GET",
-      headers: { "Content-Type": "application/json" },
+  try {
+    button.disabled = true;
+    updateStatus("apiStatus", `Testing ${provider.label}...`, "info");
+    document.getElementById("providerTestResult").style.display = "none";
+
+    // The background script adds the saved (or vault) API key
+    const response = await chrome.runtime.sendMessage({
+      action: "aiTestConnection",
+      provider: provider.id,
+      overrides: getProviderFieldValues(),
     });
-
-    if (!response.ok) {
-      throw new Error(`Connection failed (${response.status})`);
-    }
-
-    const data = await response.json();
-    const models = data.models || [];
-    const modelExists = models.some(m => m.name === localModel);
-
-    if (!modelExists) {
-      const availableModels = models.map(m => m.name).join(", ");
-      updateStatus(
-        "apiStatus",
-        `Model '${localModel}' not found. Available: ${availableModels}`,
-        "error"
-      );
-      return;
+    if (!response?.success) {
+      throw new Error(response?.error || "No response from background script");
     }
 
+    document.getElementById("providerResponse").textContent = response.models
+      ? `Available models: ${response.models.join(", ")}`
+      : response.content;
+    document.getElementById("providerTestResult").style.display = "block";
     updateStatus(
       "apiStatus",
-      `✅ Connection successful! Model '${localModel}' is ready.`,
+      `✅ Connection successful! Model '${response.model}' is ready.`,
       "success"
     );
   } catch (error) {
     console.error("Error testing connection:", error);
-    let errorMsg = "Connection failed. ";
-
-    if (error.message.includes("fetch")) {
-      errorMsg += "Make sure Ollama is running: 'ollama serve'";
-    } else {
-      errorMsg += error.message;
-    }
-
-    updateStatus("apiStatus", errorMsg, "error");
+    updateStatus("apiStatus", `Connection failed. ${error.message}`, "error");
+  } finally {
+    button.disabled = false;
   }
 }
 
@@ -628,94 +835,6 @@ async function showAILog() {
   }
 }
 
-// Test DeepSeek API with hardcoded request
-async function testDeepSeekAPI() {
-  const button = document.getElementById("testDeepSeekAPI");
-  const originalText = button.textContent;
-  
-  try {
-    button.textContent = "Testing...";
-    button.disabled = true;
-    updateStatus("apiStatus", "Sending test request to DeepSeek...", "info");
-    
-    // Clear previous response
-    document.getElementById("deepseekTestResult").style.display = "none";
-    document.getElementById("deepseekResponse").textContent = "";
-    
-    console.log('🧪 Starting DeepSeek API test...');
-    
-    // Get saved DeepSeek settings
-    const settings = await storage.loadSettings();
-    const apiKey = settings.deepseekApiKey;
-    const model = settings.deepseekModel || "deepseek-chat";
-    
-    if (!apiKey) {
-      throw new Error("DeepSeek API key not found. Please save your API key first.");
-    }
-    
-    // Generate random prompt to get different jokes each time
-    const animals = ['cat', 'dog', 'elephant', 'penguin', 'giraffe', 'monkey', 'lion', 'bear', 'rabbit', 'duck'];
-    const randomAnimal = animals[Math.floor(Math.random() * animals.length)];
-    const randomNumber = Math.floor(Math.random() * 1000) + 1;
-    
-    const requestBody = {
-      model: model,
-      messages: [
-        {
-          role: 'user',
-          content: `hi this is test request #${randomNumber}, can you tell me a different joke about ${randomAnimal}?`
-        }
-      ],
-      temperature: 0.9,
-      max_tokens: 1000
-    };
-    
-    console.log('📤 Sending test request to DeepSeek:', requestBody);
-    
-    // Make direct API call (Note: Close DevTools if you get fetch errors)
-    const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    console.log('📡 Response status:', response.status);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ DeepSeek API Error:', errorText);
-      throw new Error(`API Error ${response.status}: ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
-    console.log('✅ DeepSeek API Response:', data);
-    console.log('🤖 AI Response Content:', data.choices?.[0]?.message?.content);
-    
-    // Log the joke separately for easy reading
-    const joke = data.choices?.[0]?.message?.content;
-    if (joke) {
-      console.log('🎭 Joke from DeepSeek:', joke);
-      
-      // Display the response in the popup
-      document.getElementById("deepseekResponse").textContent = joke;
-      document.getElementById("deepseekTestResult").style.display = "block";
-    }
-    
-    updateStatus("apiStatus", "Test successful! See response below.", "success");
-    
-  } catch (error) {
-    console.error('❌ DeepSeek test failed:', error);
-    updateStatus("apiStatus", `Test failed: ${error.message}`, "error");
-  } finally {
-    button.textContent = originalText;
-    button.disabled = false;
-  }
-}
-
 // Debug content script function
 async function debugContentScript() {
   try {
@@ -772,3 +891,416 @@ async function debugContentScript() {
     updateStatus("cvStatus", "Debug failed: " + error.message, "error");
   }
 }
+
+// Render application history with search, status and notes
+async function renderHistory() {
+  const list = document.getElementById("historyList");
+  const query = document
+    .getElementById("historySearch")
+    .value.trim()
+    .toLowerCase();
+
+  try {
+    const history = await storage.loadHistory();
+    const filtered = history.filter(entry =>
+      [entry.companyName, entry.jobTitle, entry.url, entry.notes, entry.status]
+        .join(" ")
+        .toLowerCase()
+        .includes(query)
+    );
+
+    list.textContent = "";
+
+    if (filtered.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "history-empty";
+      empty.textContent = history.length
+        ? "No applications match your search"
+        : "No applications recorded yet";
+      list.appendChild(empty);
+      return;
+    }
+
+    filtered.forEach(entry => list.appendChild(createHistoryItem(entry)));
+  } catch (error) {
+    console.error("Error rendering history:", error);
+    list.textContent = "Error loading history";
+  }
+}
+
+// Build a single history list item
+function createHistoryItem(entry) {
+  const item = document.createElement("div");
+  item.className = "history-item";
+
+  const link = document.createElement("a");
+  link.href = entry.url;
+  link.target = "_blank";
+  link.textContent = `${entry.companyName || "Unknown company"} — ${
+    entry.jobTitle || "Unknown position"
+  }`;
+
+  const meta = document.createElement("div");
+  meta.className = "history-meta";
+  const summary = entry.fillSummary || {};
+  meta.textContent = [
+    new Date(entry.date).toLocaleDateString(),
+    entry.aiProvider && `${entry.aiProvider}/${entry.aiModel}`,
+    summary.filled !== undefined &&
+      `${summary.filled}/${summary.totalAttempted} fields`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const status = document.createElement("select");
+  window.CVDataStructure.ApplicationStatuses.forEach(value => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+    status.appendChild(option);
+  });
+  status.value = entry.status;
+  status.addEventListener("change", () =>
+    storage.updateHistoryEntry(entry.id, { status: status.value })
+  );
+
+  const notes = document.createElement("textarea");
+  notes.placeholder = "Notes...";
+  notes.value = entry.notes || "";
+  notes.addEventListener("change", () =>
+    storage.updateHistoryEntry(entry.id, { notes: notes.value })
+  );
+
+  const remove = document.createElement("button");
+  remove.textContent = "Delete";
+  remove.addEventListener("click", async () => {
+    await storage.deleteHistoryEntry(entry.id);
+    await renderHistory();
+    await checkAlreadyApplied();
+  });
+
+  item.append(link, meta, status, notes, remove);
+  return item;
+}
+
+// Render remembered field answers with search, edit and delete
+async function renderFieldMemory() {
+  const list = document.getElementById("fieldMemoryList");
+  const query = document
+    .getElementById("fieldMemorySearch")
+    .value.trim()
+    .toLowerCase();
+
+  try {
+    const entries = await storage.loadFieldMemory();
+    const filtered = entries.filter(entry =>
+      [entry.label, entry.name, entry.domain, entry.ats, String(entry.value)]
+        .join(" ")
+        .toLowerCase()
+        .includes(query)
+    );
+
+    list.textContent = "";
+
+    if (filtered.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "history-empty";
+      empty.textContent = entries.length
+        ? "No remembered answers match your search"
+        : "No answers remembered yet - edit a filled field and it will be reused next time";
+      list.appendChild(empty);
+      return;
+    }
+
+    filtered.forEach(entry => list.appendChild(createFieldMemoryItem(entry)));
+  } catch (error) {
+    console.error("Error rendering remembered answers:", error);
+    list.textContent = "Error loading remembered answers";
+  }
+}
+
+// Build a single remembered answer item
+function createFieldMemoryItem(entry) {
+  const item = document.createElement("div");
+  item.className = "history-item";
+
+  const label = document.createElement("strong");
+  label.textContent = entry.label || entry.name || "Unlabelled field";
+
+  const meta = document.createElement("div");
+  meta.className = "history-meta";
+  meta.textContent = [
+    entry.domain,
+    entry.ats,
+    entry.type,
+    entry.uses > 0 && `used ${entry.uses}×`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  // Checkboxes remember true/false, everything else the text or option chosen
+  let editor;
+  if (typeof entry.value === "boolean") {
+    editor = document.createElement("select");
+    [
+      ["true", "Checked"],
+      ["false", "Unchecked"],
+    ].forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      editor.appendChild(option);
+    });
+    editor.value = String(entry.value);
+  } else if (entry.options?.length) {
+    editor = document.createElement("select");
+    const choices = entry.options.includes(entry.value)
+      ? entry.options
+      : [entry.value, ...entry.options];
+    choices.forEach(text => {
+      const option = document.createElement("option");
+      option.value = text;
+      option.textContent = text;
+      editor.appendChild(option);
+    });
+    editor.value = entry.value;
+  } else {
+    editor = document.createElement("input");
+    editor.type = "text";
+    editor.value = entry.value;
+  }
+  editor.className = "memory-value";
+  editor.addEventListener("change", () =>
+    storage.updateFieldMemoryEntry(entry.id, {
+      value: typeof entry.value === "boolean" ? editor.value === "true" : editor.value,
+    })
+  );
+
+  const remove = document.createElement("button");
+  remove.textContent = "Forget";
+  remove.addEventListener("click", async () => {
+    await storage.deleteFieldMemoryEntry(entry.id);
+    await renderFieldMemory();
+  });
+
+  item.append(label, meta, editor, remove);
+  return item;
+}
+
+// Warn when the current tab is a posting we already applied to
+async function checkAlreadyApplied() {
+  const banner = document.getElementById("historyWarning");
+  banner.style.display = "none";
+
+  try {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    if (!tab?.url) return;
+
+    const matches = await storage.findApplicationsByURL(tab.url);
+    if (matches.length === 0) return;
+
+    // Recorded by the application still in progress in this tab
+    const latest = matches[0];
+    const session = await storage.loadApplicationSession(tab.id);
+    if (session && new Date(latest.date) >= new Date(session.startedAt)) return;
+
+    banner.textContent = `You already applied here on ${new Date(
+      latest.date
+    ).toLocaleDateString()} (${latest.status}).`;
+    banner.style.display = "block";
+  } catch (error) {
+    console.error("Error checking application history:", error);
+  }
+}
+
+// Show where the current tab is in a multi-page application, and bring back
+// the cover letter generated on an earlier page
+async function renderApplicationSession() {
+  const banner = document.getElementById("applicationSession");
+  banner.style.display = "none";
+
+  try {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    if (!tab?.id) return;
+
+    const session = await storage.loadApplicationSession(tab.id);
+    if (!session) return;
+
+    const step = session.totalSteps
+      ? `step ${session.currentStep} of ${session.totalSteps}`
+      : `step ${session.currentStep}`;
+    const job = session.jobContext
+      ? ` - ${session.jobContext.jobTitle} at ${session.jobContext.companyName}`
+      : "";
+    const filled = session.steps.filter(item => item.filled > 0).length;
+    banner.textContent = `Application in progress: ${step}${job} (${filled} step${
+      filled === 1 ? "" : "s"
+    } filled, ${session.answers.length} answers)`;
+    banner.style.display = "block";
+
+    const output = document.getElementById("coverLetterOutput");
+    if (session.coverLetter && !output.value) {
+      output.value = session.coverLetter;
+      addInsertButton(session.coverLetter);
+    }
+  } catch (error) {
+    console.error("Error loading application session:", error);
+  }
+}
+
+// Render the profile switcher and the selected profile's settings
+async function renderProfiles() {
+  const { activeProfileId, profiles } = await storage.loadProfiles();
+  const select = document.getElementById("profileSelect");
+
+  select.textContent = "";
+  profiles.forEach(profile => {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+  select.value = activeProfileId;
+
+  const templateSelect = document.getElementById("profileTemplate");
+  if (templateSelect.options.length === 0) {
+    templates.getTemplateNames().forEach(template => {
+      const option = document.createElement("option");
+      option.value = template.id;
+      option.textContent = `Cover letter: ${template.name}`;
+      templateSelect.appendChild(option);
+    });
+  }
+
+  const active =
+    profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+  document.getElementById("profileName").value = active.name;
+  document.getElementById("profileUrlPatterns").value = (
+    active.rules?.urlPatterns || []
+  ).join(", ");
+  document.getElementById("profileTitleKeywords").value = (
+    active.rules?.titleKeywords || []
+  ).join(", ");
+  templateSelect.value = active.coverLetterTemplateId || "professional";
+  document.getElementById("deleteProfile").disabled = active.id === "default";
+}
+
+// Switch the active profile
+async function handleProfileChange() {
+  try {
+    const profileId = document.getElementById("profileSelect").value;
+    await storage.setActiveProfile(profileId);
+    await renderProfiles();
+
+    const cvData = await storage.loadCVData();
+    displayCVInfo(cvData);
+    updateStatus("profileStatus", "Profile switched", "info");
+  } catch (error) {
+    console.error("Error switching profile:", error);
+    updateStatus("profileStatus", `Error: ${error.message}`, "error");
+  }
+}
+
+// Save name, auto-select rules and template of the active profile
+async function saveProfileSettings() {
+  try {
+    const profile = await storage.getActiveProfile();
+    const splitList = id =>
+      document
+        .getElementById(id)
+        .value.split(",")
+        .map(item => item.trim())
+        .filter(Boolean);
+
+    await storage.saveProfile({
+      ...profile,
+      name: document.getElementById("profileName").value.trim() || profile.name,
+      coverLetterTemplateId: document.getElementById("profileTemplate").value,
+      rules: {
+        urlPatterns: splitList("profileUrlPatterns"),
+        titleKeywords: splitList("profileTitleKeywords"),
+      },
+    });
+
+    await renderProfiles();
+    updateStatus("profileStatus", "Profile saved", "success");
+  } catch (error) {
+    console.error("Error saving profile:", error);
+    updateStatus("profileStatus", `Error: ${error.message}`, "error");
+  }
+}
+
+// Create a new profile seeded with a copy of the current CV
+async function createProfile() {
+  try {
+    const { profiles } = await storage.loadProfiles();
+    const cvData = await storage.loadCVData();
+    const profile = await storage.saveProfile({
+      id: `profile_${Date.now()}`,
+      name: `Profile ${profiles.length + 1}`,
+      cvData: JSON.parse(JSON.stringify(cvData)),
+    });
+
+    await storage.setActiveProfile(profile.id);
+    await renderProfiles();
+    updateStatus(
+      "profileStatus",
+      `Created "${profile.name}" - rename it and add rules`,
+      "success"
+    );
+  } catch (error) {
+    console.error("Error creating profile:", error);
+    updateStatus("profileStatus", `Error: ${error.message}`, "error");
+  }
+}
+
+// Delete the active profile
+async function deleteCurrentProfile() {
+  try {
+    const profile = await storage.getActiveProfile();
+    await storage.deleteProfile(profile.id);
+    await renderProfiles();
+    displayCVInfo(await storage.loadCVData());
+    updateStatus("profileStatus", `Deleted "${profile.name}"`, "info");
+  } catch (error) {
+    console.error("Error deleting profile:", error);
+    updateStatus("profileStatus", `Error: ${error.message}`, "error");
+  }
+}
+
+// Show which profile the current page would auto-select
+async function showProfileMatch() {
+  const hint = document.getElementById("profileMatchHint");
+  hint.textContent = "";
+
+  try {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    if (!tab?.url) return;
+
+    let jobTitle = "";
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        action: "extractCompanyInfo",
+      });
+      jobTitle = response?.companyInfo?.jobTitle || "";
+    } catch (error) {
+      // Content script not available on this page - match by URL only
+    }
+
+    const profile = await storage.matchProfile(tab.url, jobTitle);
+    if (profile) {
+      hint.textContent = `This page will use the "${profile.name}" profile`;
+    }
+  } catch (error) {
+    console.error("Error matching profile:", error);
+  }
+}
@@ -11,9 +11,11 @@ class ResponseProcessor {
    * Main method to process AI response and create field mappings
    * @param {Object} aiResponse - AI generated field values
    * @param {Object} pageData - Original page data from pageAnalyzer
+   * @param {Object} matchMethods - How values not found by AI were matched,
+   *   {fieldId: "autocomplete"|"rule"} from ruleMapper
    * @returns {Object} Processed response with field mappings
    */
-  processResponse(aiResponse, pageData) {
+  processResponse(aiResponse, pageData, matchMethods = {}) {
     try {
       console.log(
         `ResponseProcessor: Processing AI response for ${
@@ -25,7 +27,7 @@ class ResponseProcessor {
       this.reset();
 
       // Create field mappings
-      this.fieldMappings = this.createFieldMappings(aiResponse, pageData);
+      this.fieldMappings = this.createFieldMappings(aiResponse, pageData, matchMethods);
 
       // Validate mappings
       const validationResult = this.validateMappings();
@@ -37,6 +39,7 @@ class ResponseProcessor {
         aiValues: Object.keys(aiResponse).length,
         mappedFields: this.fieldMappings.filter(m => m.mapped).length,
         unmappedFields: this.fieldMappings.filter(m => !m.mapped).length,
+        matchMethods: this.countMatchMethods(),
         fieldMappings: this.fieldMappings,
         errors: this.errors,
         validation: validationResult,
@@ -52,13 +55,30 @@ class ResponseProcessor {
     }
   }
 
+  /**
+   * Map one streamed value to its page field(s) - a radio group has one per option
+   * @param {string} fieldId - Field id from the AI response
+   * @param {*} value - AI value
+   * @param {Object} pageData - Page data
+   * @param {string} matchMethod - "autocomplete" or "rule" for values not from AI
+   * @returns {Array} Mapped field mappings (empty if no field has this id)
+   */
+  mapFieldValue(fieldId, value, pageData, matchMethod = null) {
+    const fields = pageData.fields.filter(field => field.id === fieldId);
+    const matchMethods = matchMethod ? { [fieldId]: matchMethod } : {};
+    return this.createFieldMappings({ [fieldId]: value }, { fields }, matchMethods).filter(
+      mapping => mapping.mapped
+    );
+  }
+
   /**
    * Create field mappings between AI response and page fields
    * @param {Object} aiResponse - AI response values
    * @param {Object} pageData - Page data
+   * @param {Object} matchMethods - {fieldId: method} for values not from AI
    * @returns {Array} Array of field mapping objects
    */
-  createFieldMappings(aiResponse, pageData) {
+  createFieldMappings(aiResponse, pageData, matchMethods = {}) {
     const mappings = [];
 
     pageData.fields.forEach(field => {
@@ -68,6 +88,8 @@ class ResponseProcessor {
         fieldLabel: field.label,
         element: field.element,
         required: field.required,
+        options: field.options,
+        multiple: !!field.multiple,
         originalValue: field.value,
         aiValue: null,
         processedValue: null,
@@ -84,7 +106,8 @@ class ResponseProcessor {
         mapping.aiValue = aiValue;
         mapping.processedValue = this.processValueForField(aiValue, field);
         mapping.mapped = true;
-        mapping.matchMethod = this.getMatchMethod(field, aiResponse);
+        mapping.matchMethod =
+          matchMethods[field.id] || this.getMatchMethod(field, aiResponse);
       } else {
         mapping.skipped = true;
         mapping.error = "No AI value found for field";
@@ -193,6 +216,11 @@ class ResponseProcessor {
         return "";
       }
 
+      // Multi-selects and tag pickers get a list of options
+      if (field.multiple) {
+        return this.processMultiSelectValue(value, field);
+      }
+
       // Convert to string for processing
       let processedValue = String(value);
 
@@ -281,6 +309,30 @@ class ResponseProcessor {
     return fuzzyMatch ? fuzzyMatch.value : value;
   }
 
+  /**
+   * Process multi-select values: each item becomes its option's value; items
+   * matching no known option are kept for the filler to match (a combobox
+   * mostly renders its options only when opened)
+   * @returns {Array<string>} Values, without duplicates
+   */
+  processMultiSelectValue(value, field) {
+    const items = (Array.isArray(value) ? value : String(value).split(/[,;\n]/))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+
+    const values = items.map(item => {
+      const normalizedItem = this.normalizeString(item);
+      const option = (field.options || []).find(
+        opt =>
+          opt.value === item ||
+          opt.text === item ||
+          this.normalizeString(opt.text) === normalizedItem
+      );
+      return option ? option.value : item;
+    });
+    return [...new Set(values)];
+  }
+
   /**
    * Process select/dropdown values
    */
@@ -343,6 +395,20 @@ class ResponseProcessor {
     return "unknown";
   }
 
+  /**
+   * Count mapped fields per match method
+   * @returns {Object} e.g. { autocomplete: 4, rule: 3, direct_id: 12 }
+   */
+  countMatchMethods() {
+    const counts = {};
+    this.fieldMappings
+      .filter(mapping => mapping.mapped)
+      .forEach(mapping => {
+        counts[mapping.matchMethod] = (counts[mapping.matchMethod] || 0) + 1;
+      });
+    return counts;
+  }
+
   /**
    * Validate the created mappings
    * @returns {Object} Validation result
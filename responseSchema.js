@@ -0,0 +1,160 @@
+// responseSchema.js - JSON schema for form-analysis responses, built from page fields
+
+class ResponseSchema {
+  constructor() {
+    this.CHOICE_TYPES = ["select", "select-one", "select-multiple", "radio", "combobox"];
+    this.NUMBER_TYPES = ["number", "range"];
+  }
+
+  /**
+   * Build the schema the AI response must follow
+   * Field ids are the keys; dropdowns and radio groups only allow their
+   * option texts, multi-selects a list of them, checkboxes are booleans,
+   * number inputs are numbers.
+   * @param {Array} fields - Fields from pageAnalyzer
+   * @returns {Object} JSON schema (object with one property per field id)
+   */
+  build(fields) {
+    const properties = {};
+
+    fields.forEach(field => {
+      // Radio buttons sharing a name share an id; the first one describes the group
+      if (!field.id || properties[field.id]) return;
+      properties[field.id] = this.buildFieldSchema(field);
+    });
+
+    return {
+      type: "object",
+      properties,
+      required: Object.keys(properties),
+      additionalProperties: false,
+    };
+  }
+
+  /**
+   * Schema for a single field value
+   * @param {Object} field - Field data
+   * @returns {Object} JSON schema
+   */
+  buildFieldSchema(field) {
+    if (field.type === "checkbox") {
+      return { type: "boolean" };
+    }
+    if (this.NUMBER_TYPES.includes(field.type)) {
+      return { type: "number" };
+    }
+
+    const choices = this.getChoices(field);
+    const choice =
+      this.CHOICE_TYPES.includes(field.type) && choices.length > 0
+        ? { type: "string", enum: choices }
+        : { type: "string" };
+    return field.multiple ? { type: "array", items: choice } : choice;
+  }
+
+  /**
+   * Option texts a field's schema allows, for a single value or a list
+   * @param {Object} fieldSchema - From buildFieldSchema()
+   * @returns {Array<string>} Options ([] for free values)
+   */
+  getEnum(fieldSchema) {
+    return fieldSchema.enum || fieldSchema.items?.enum || [];
+  }
+
+  /**
+   * Option texts a choice field accepts (placeholders like "Select..." excluded)
+   */
+  getChoices(field) {
+    const choices = (field.options || [])
+      .filter(option => field.type !== "select" || option.value !== "")
+      .map(option => option.text || option.value)
+      .filter(Boolean);
+    return [...new Set(choices)];
+  }
+
+  /**
+   * Check an AI response against the schema
+   * Values that are close enough ("true" for a boolean, "5" for a number, a
+   * differently cased option) are converted; anything else is dropped.
+   * @param {Object} response - Parsed AI response
+   * @param {Object} schema - Schema from build()
+   * @returns {Object} { values, errors, missing }
+   */
+  validate(response, schema) {
+    const values = {};
+    const errors = [];
+
+    if (!response || typeof response !== "object" || Array.isArray(response)) {
+      return { values, errors: ["Response is not a JSON object"], missing: schema.required };
+    }
+
+    Object.entries(response).forEach(([key, value]) => {
+      const fieldSchema = schema.properties[key];
+      if (!fieldSchema) {
+        errors.push(`${key}: not a field on this page`);
+        return;
+      }
+      if (value === null || value === undefined || value === "") {
+        return;
+      }
+      if (Array.isArray(value) && value.length === 0) {
+        return;
+      }
+
+      const result = this.coerce(value, fieldSchema);
+      if (result.error) {
+        errors.push(`${key}: ${result.error}`);
+      } else {
+        values[key] = result.value;
+      }
+    });
+
+    const missing = schema.required.filter(key => !(key in values));
+    return { values, errors, missing };
+  }
+
+  /**
+   * Convert a value to the schema type
+   * @returns {Object} { value } or { error }
+   */
+  coerce(value, fieldSchema) {
+    // A list keeps the items that fit; a comma-separated string is split
+    if (fieldSchema.type === "array") {
+      const items = Array.isArray(value) ? value : String(value).split(/[,;\n]/);
+      const results = items
+        .filter(item => String(item ?? "").trim() !== "")
+        .map(item => this.coerce(item, fieldSchema.items));
+      const values = results.filter(result => !result.error).map(result => result.value);
+      if (values.length === 0) {
+        return { error: results[0]?.error || "expected a list of values" };
+      }
+      return { value: [...new Set(values)] };
+    }
+
+    if (fieldSchema.type === "boolean") {
+      if (typeof value === "boolean") return { value };
+      const text = String(value).trim().toLowerCase();
+      if (["true", "yes", "1", "checked"].includes(text)) return { value: true };
+      if (["false", "no", "0", "unchecked"].includes(text)) return { value: false };
+      return { error: `expected true/false, got "${value}"` };
+    }
+
+    if (fieldSchema.type === "number") {
+      const number = typeof value === "number" ? value : parseFloat(String(value).replace(/,/g, ""));
+      return isNaN(number) ? { error: `expected a number, got "${value}"` } : { value: number };
+    }
+
+    if (typeof value === "object") {
+      return { error: "expected text, got an object or list" };
+    }
+
+    const text = String(value).trim();
+    if (!fieldSchema.enum) return { value: text };
+
+    const normalize = option => option.toLowerCase().replace(/\s+/g, " ").trim();
+    const match =
+      fieldSchema.enum.find(option => option === text) ||
+      fieldSchema.enum.find(option => normalize(option) === normalize(text));
+    return match ? { value: match } : { error: `"${text}" is not one of the options` };
+  }
+}
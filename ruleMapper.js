@@ -0,0 +1,382 @@
+// ruleMapper.js - Deterministic field matching for common application questions (no AI)
+
+// Two-letter US state codes, for state dropdowns listing full names
+const US_STATE_NAMES = {
+  AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas", CA: "California",
+  CO: "Colorado", CT: "Connecticut", DE: "Delaware", DC: "District of Columbia",
+  FL: "Florida", GA: "Georgia", HI: "Hawaii", ID: "Idaho", IL: "Illinois",
+  IN: "Indiana", IA: "Iowa", KS: "Kansas", KY: "Kentucky", LA: "Louisiana",
+  ME: "Maine", MD: "Maryland", MA: "Massachusetts", MI: "Michigan", MN: "Minnesota",
+  MS: "Mississippi", MO: "Missouri", MT: "Montana", NE: "Nebraska", NV: "Nevada",
+  NH: "New Hampshire", NJ: "New Jersey", NM: "New Mexico", NY: "New York",
+  NC: "North Carolina", ND: "North Dakota", OH: "Ohio", OK: "Oklahoma", OR: "Oregon",
+  PA: "Pennsylvania", RI: "Rhode Island", SC: "South Carolina", SD: "South Dakota",
+  TN: "Tennessee", TX: "Texas", UT: "Utah", VT: "Vermont", VA: "Virginia",
+  WA: "Washington", WV: "West Virginia", WI: "Wisconsin", WY: "Wyoming",
+};
+
+// Fields about someone other than the applicant ("Reference first name",
+// "Referrer email"); no rule fills these, whatever their type
+const OTHER_PERSON_PATTERN =
+  /\b(references?|referees?|referr\w*|emergency|manager|supervisor|recruiter)\b/;
+
+// Checked in order after the field's autocomplete attribute (see
+// autocompleteMapper.js); the first rule that matches a field decides it.
+//   types        - Input types that identify the field on their own
+//   pattern      - Tested against the field's name, id, label and placeholder
+//   exclude      - Skip the rule when this matches (e.g. "company name");
+//                  OTHER_PERSON_PATTERN is excluded for every rule
+//   values(data) - Candidate values from { cv, answers, name }, best first;
+//                  the first one that fits the field type (or one of its options) is used
+const FIELD_RULES = [
+  {
+    key: "firstName",
+    pattern: /\b(first|given|fore) ?name\b|\bfname\b/,
+    values: ({ name }) => [name.first],
+  },
+  {
+    key: "middleName",
+    pattern: /\bmiddle ?name\b/,
+    values: ({ answers }) => [answers.personal?.middleName],
+  },
+  {
+    key: "lastName",
+    pattern: /\b(last|family|sur) ?name\b|\blname\b/,
+    values: ({ name }) => [name.last],
+  },
+  {
+    key: "fullName",
+    pattern: /^(full |your |legal )?name\b|\bfull name\b/,
+    exclude: /company|employer|school|university|user ?name|file/,
+    values: ({ cv }) => [cv.personal?.name],
+  },
+  {
+    key: "email",
+    types: ["email"],
+    pattern: /\be ?mail\b/,
+    values: ({ cv }) => [cv.personal?.email],
+  },
+  {
+    key: "phone",
+    types: ["tel"],
+    pattern: /\b(phone|mobile|cell|telephone)\b/,
+    exclude: /\b(type|ext|extension|country code|device)\b/,
+    values: ({ cv }) => [cv.personal?.phone],
+  },
+  {
+    key: "linkedin",
+    pattern: /linked ?in/,
+    values: ({ cv }) => [cv.personal?.linkedin],
+  },
+  {
+    key: "street",
+    pattern: /\bstreet\b|\baddress( line)?( 1)?$|^address\b/,
+    exclude: /e ?mail|web|url|\bip\b|line 2|address 2/,
+    values: ({ answers }) => [answers.personal?.address?.street],
+  },
+  {
+    key: "city",
+    pattern: /\b(city|town)\b/,
+    values: ({ answers }) => [answers.personal?.address?.city],
+  },
+  {
+    key: "state",
+    // A noun phrase or a bare label; "Please state your salary" uses the verb
+    pattern:
+      /^(state|province)( \w+)?$|\bprovince\b|\bstate (or |and )?(province|region)\b|\bstate of residence\b|\b(address|home|current|residential|which|what) state\b/,
+    exclude: /statement|united states/,
+    values: ({ answers }) => {
+      const state = answers.personal?.address?.state;
+      return [state, US_STATE_NAMES[String(state || "").toUpperCase()]];
+    },
+  },
+  {
+    key: "zipCode",
+    pattern: /\b(zip|postal|post ?code)\b/,
+    values: ({ answers }) => [answers.personal?.address?.zipCode],
+  },
+  {
+    key: "country",
+    pattern: /\bcountry\b/,
+    exclude: /\bcode\b|phone|citizenship/,
+    values: ({ answers }) => [answers.personal?.address?.country],
+  },
+  {
+    key: "location",
+    pattern: /\b(current )?location\b|where are you (based|located)/,
+    exclude: /relocat|preferred|desired/,
+    values: ({ cv }) => [cv.personal?.location],
+  },
+  {
+    key: "sponsorship",
+    pattern: /sponsor/,
+    values: ({ answers }) => [answers.workAuthorization?.needsSponsorship],
+  },
+  {
+    key: "workAuthorization",
+    pattern: /(authori[sz]ed|eligible|permitted|legally able|right) to work|work (authori[sz]ation|permit)/,
+    values: ({ cv, answers }) => [
+      answers.workAuthorization?.authorized,
+      answers.workAuthorization?.statement,
+      cv.personal?.workAuthorization,
+    ],
+  },
+  {
+    key: "gender",
+    pattern: /\bgender\b|\bsex\b/,
+    exclude: /orientation|identity as/,
+    values: ({ answers }) => [answers.personal?.gender],
+  },
+  {
+    key: "race",
+    pattern: /\brace\b|ethnicity/,
+    values: ({ answers }) => [answers.personal?.race],
+  },
+  {
+    key: "veteran",
+    pattern: /veteran/,
+    values: ({ answers }) => [answers.background?.veteranStatus, answers.background?.isVeteran],
+  },
+  {
+    key: "disability",
+    pattern: /disabilit/,
+    values: ({ answers }) => [
+      answers.background?.disabilityStatement,
+      answers.background?.hasDisability,
+    ],
+  },
+];
+
+class RuleMapper {
+  constructor(rules = FIELD_RULES) {
+    this.rules = rules;
+    this.OTHER_PERSON_PATTERN = OTHER_PERSON_PATTERN;
+    this.TEXT_TYPES = ["text", "email", "tel", "url", "search"];
+    this.CHOICE_TYPES = ["select", "select-one", "radio", "combobox"];
+    // Textareas and the like hold free-form questions ("Why this location?")
+    this.RULE_TYPES = [...this.TEXT_TYPES, ...this.CHOICE_TYPES, "checkbox"];
+    // An autocomplete token names the field outright, whatever its type
+    this.AUTOCOMPLETE_TYPES = [...this.RULE_TYPES, "textarea", "date", "number"];
+    this.autocompleteMapper = new AutocompleteMapper();
+  }
+
+  /**
+   * Find values for the fields the rules recognise
+   * A field's autocomplete attribute wins over the rules; a field whose
+   * token has no value in the CV is left for AI rather than guessed at.
+   * @param {Array} fields - Fields from pageAnalyzer
+   * @param {Object} cvData - CV data
+   * @param {Object} standardAnswers - Standard answers
+   * @returns {Object} { values: {fieldId: value}, methods: {fieldId: "autocomplete"|"rule"},
+   *   matches: [{ fieldId, rule, method, value }], remainingFields }
+   */
+  mapFields(fields, cvData, standardAnswers = {}) {
+    const data = {
+      cv: cvData || {},
+      answers: standardAnswers || {},
+      name: this.splitName(cvData?.personal?.name),
+    };
+    const values = {};
+    const methods = {};
+    const matches = [];
+    const record = (field, rule, method, value) => {
+      values[field.id] = value;
+      methods[field.id] = method;
+      matches.push({ fieldId: field.id, rule, method, value });
+    };
+
+    fields.forEach(field => {
+      // Radio buttons sharing a name share an id; the first one decides the group
+      if (field.id in values) return;
+
+      if (this.AUTOCOMPLETE_TYPES.includes(field.type)) {
+        const resolved = this.autocompleteMapper.resolve(field, data);
+        if (resolved) {
+          const value = this.pickValue(field, resolved.candidates);
+          if (value !== null) record(field, resolved.fieldName, "autocomplete", value);
+          return;
+        }
+      }
+
+      const rule = this.findRule(field);
+      if (!rule) return;
+
+      const value = this.pickValue(field, rule.values(data));
+      if (value === null) return;
+
+      record(field, rule.key, "rule", value);
+    });
+
+    const remainingFields = fields.filter(field => !(field.id in values));
+    console.log(
+      `RuleMapper: Matched ${matches.length} field(s), ${remainingFields.length} left`,
+      matches.map(match => `${match.fieldId} → ${match.rule} (${match.method})`)
+    );
+    return { values, methods, matches, remainingFields };
+  }
+
+  /**
+   * First rule that recognises the field
+   * @param {Object} field - Field data
+   * @returns {Object|null} Rule
+   */
+  findRule(field) {
+    if (!this.RULE_TYPES.includes(field.type)) return null;
+
+    const texts = this.describeField(field);
+    const matches = pattern => texts.some(text => pattern.test(text));
+    if (matches(this.OTHER_PERSON_PATTERN)) return null;
+
+    return (
+      this.rules.find(
+        rule =>
+          (rule.types?.includes(field.type) || matches(rule.pattern)) &&
+          !(rule.exclude && matches(rule.exclude))
+      ) || null
+    );
+  }
+
+  /**
+   * Texts the rule patterns are tested against (each on its own)
+   * A radio button's own label is just one option ("Yes"), so radio groups
+   * are described by their name and section (usually the fieldset legend).
+   * @returns {Array<string>} Normalized texts
+   */
+  describeField(field) {
+    const parts =
+      field.type === "radio"
+        ? [field.name, field.section]
+        : [field.name, field.htmlId, field.label, field.placeholder];
+    return parts
+      .filter(Boolean)
+      .flatMap(part => String(part).split(" | ")) // pageAnalyzer joins multiple labels
+      .map(part => this.normalize(part))
+      .filter(Boolean);
+  }
+
+  /**
+   * Pick the first candidate value that fits the field
+   * @param {Object} field - Field data
+   * @param {Array} candidates - Values from the rule, best first
+   * @returns {*} Value for the field, or null if none fits
+   */
+  pickValue(field, candidates) {
+    // Comboboxes mostly render their options when opened; comboboxDriver.js
+    // matches the value against them then
+    const type = field.type === "combobox" && !field.options?.length ? "text" : field.type;
+
+    for (const candidate of candidates) {
+      if (candidate === undefined || candidate === null || candidate === "") continue;
+
+      if (field.type === "checkbox") {
+        if (typeof candidate === "boolean") return candidate;
+        continue;
+      }
+
+      if (this.CHOICE_TYPES.includes(type)) {
+        const option = this.matchOption(field.options || [], candidate);
+        if (option) return option.text || option.value;
+        continue;
+      }
+
+      if (typeof candidate === "boolean") {
+        if (this.TEXT_TYPES.includes(type)) return candidate ? "Yes" : "No";
+        continue;
+      }
+      return String(candidate);
+    }
+    return null;
+  }
+
+  /**
+   * Find the option matching a value: same text, a yes/no answer for a
+   * boolean, an option containing the value as whole words, or the option
+   * sharing most words with it ("Not a veteran" -> "I am not a protected veteran")
+   * @param {Array} options - Field options
+   * @param {*} value - Candidate value
+   * @returns {Object|null} Option
+   */
+  matchOption(options, value) {
+    const choices = options.filter(option => option.value !== "" || option.text);
+
+    if (typeof value === "boolean") {
+      const answer = value ? "yes" : "no";
+      return (
+        choices.find(option => {
+          const text = this.normalize(option.text || option.value);
+          return text === answer || text.startsWith(`${answer} `);
+        }) || null
+      );
+    }
+
+    const target = this.normalize(value);
+    if (!target) return null;
+
+    return (
+      choices.find(option => this.normalize(option.text) === target) ||
+      choices.find(option => this.normalize(option.value) === target) ||
+      (target.length > 3 &&
+        choices.find(option =>
+          ` ${this.normalize(option.text)} `.includes(` ${target} `)
+        )) ||
+      this.closestOption(choices, value)
+    );
+  }
+
+  /**
+   * Option sharing at least half the words of the value
+   * Both must agree on negation, so "I do not have a disability" never
+   * picks "Yes, I have a disability".
+   * @returns {Object|null} Option
+   */
+  closestOption(options, value) {
+    const valueWords = this.significantWords(value);
+    if (valueWords.length === 0) return null;
+    const negated = this.isNegated(valueWords);
+
+    let best = null;
+    let bestScore = 0;
+    options.forEach(option => {
+      const optionWords = this.significantWords(option.text || option.value);
+      if (this.isNegated(optionWords) !== negated) return;
+
+      const shared = valueWords.filter(word => optionWords.includes(word)).length;
+      const score = shared / valueWords.length;
+      if (score >= 0.5 && score > bestScore) {
+        best = option;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  // Words that carry meaning ("don't" becomes "do not")
+  significantWords(text) {
+    const stopWords = ["i", "a", "an", "the", "am", "to", "of", "my", "be"];
+    return this.normalize(String(text).replace(/n['’]t\b/gi, " not"))
+      .split(" ")
+      .filter(word => word && !stopWords.includes(word));
+  }
+
+  isNegated(words) {
+    return words.some(word => ["not", "no", "never", "without"].includes(word));
+  }
+
+  // "Jane Q. Doe" -> { first: "Jane", last: "Doe" }
+  splitName(fullName) {
+    const parts = String(fullName || "").trim().split(/\s+/).filter(Boolean);
+    return {
+      first: parts[0] || "",
+      last: parts.length > 1 ? parts[parts.length - 1] : "",
+    };
+  }
+
+  // "firstName", "first_name", "First Name*" -> "first name"
+  normalize(text) {
+    return String(text)
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+}
@@ -1,28 +1,61 @@
 // smartFiller.js - Apply AI responses to form fields intelligently
 
 class SmartFiller {
-  constructor() {
+  /**
+   * @param {ElementRegistry} elementRegistry - Elements registered by pageAnalyzer (shared with it)
+   */
+  constructor(elementRegistry = new ElementRegistry()) {
+    this.elementRegistry = elementRegistry;
     this.filledFields = [];
     this.failedFields = [];
     this.skippedFields = [];
+    this.lastFillSnapshot = [];
+    // Set while fields are filled as streamed values arrive: fieldId -> value
+    this.progressiveValues = null;
+    this.progressiveQueue = Promise.resolve();
+    // Fields may sit in shadow roots and frames (domTraversal.js); those in
+    // cross-origin frames are filled by the frame's own content script
+    this.traversal = new DOMTraversal();
+    this.frameBridge = new FrameBridge(this.traversal);
+    this.fillId = null; // Current fill run, shared with cross-origin frames
+    this.frameFillId = null; // Run this frame last filled for (in a cross-origin frame)
+    // Custom dropdowns are filled by opening them and clicking an option
+    this.comboboxDriver = new ComboboxDriver();
   }
 
   /**
    * Main method to fill form fields with processed AI responses
    * @param {Array} mappedFields - Processed field mappings from responseProcessor
+   * @param {Object} options - extendLastFill: add to the last fill's undo
+   *   snapshot instead of starting a new one (fields that appeared after it)
    * @returns {Object} Fill results summary
    */
-  async fillForm(mappedFields) {
+  async fillForm(mappedFields, options = {}) {
     try {
       console.log(
         `SmartFiller: Starting to fill ${mappedFields.length} fields`
       );
 
-      // Reset state
-      this.reset();
+      // Continue a progressive fill, or reset state and start a fresh undo
+      // snapshot for this run
+      const progressiveValues = this.progressiveValues;
+      if (progressiveValues) {
+        await this.progressiveQueue;
+        this.progressiveValues = null;
+      } else {
+        this.startRun(options);
+      }
 
       // Process each mapped field
       for (const fieldMapping of mappedFields) {
+        // Already filled with the same value while the response streamed in
+        if (
+          progressiveValues?.has(fieldMapping.fieldId) &&
+          progressiveValues.get(fieldMapping.fieldId) === fieldMapping.processedValue
+        ) {
+          continue;
+        }
+
         await this.fillSingleField(fieldMapping);
 
         // Small delay between fields to avoid overwhelming the page
@@ -42,6 +75,74 @@ class SmartFiller {
     }
   }
 
+  /**
+   * Start filling fields as their values arrive (streamed AI responses)
+   * Finish with fillForm(), which skips fields already filled with the same value.
+   * @param {Object} options - extendLastFill, as for fillForm()
+   */
+  startProgressiveFill(options = {}) {
+    this.startRun(options);
+    this.progressiveValues = new Map();
+    this.progressiveQueue = Promise.resolve();
+  }
+
+  /**
+   * Queue the mappings for one field (several for a radio group)
+   * @param {Array} fieldMappings - Mapped fields from responseProcessor.mapFieldValue()
+   * @returns {Promise} Resolves once these mappings are filled
+   */
+  fillProgressively(fieldMappings) {
+    if (!this.progressiveValues) {
+      return Promise.resolve();
+    }
+    fieldMappings.forEach(mapping =>
+      this.progressiveValues.set(mapping.fieldId, mapping.processedValue)
+    );
+
+    this.progressiveQueue = this.progressiveQueue.then(async () => {
+      for (const fieldMapping of fieldMappings) {
+        await this.fillSingleField(fieldMapping);
+        await this.sleep(50);
+      }
+    });
+    return this.progressiveQueue;
+  }
+
+  /**
+   * Drop a progressive fill that won't be finished (the AI request failed);
+   * fields already filled stay filled and can still be reverted
+   */
+  async stopProgressiveFill() {
+    await this.progressiveQueue;
+    this.progressiveValues = null;
+  }
+
+  /**
+   * Fill one field for the top frame's fill (in a cross-origin frame)
+   * @param {Object} fieldMapping - Field mapping, with the id as this frame knows it
+   * @param {string} fillId - Fill run it belongs to; a new run starts a new undo snapshot
+   * @returns {Object} { status: "filled"|"failed"|"skipped", error, reason }
+   */
+  async fillForFrame(fieldMapping, fillId) {
+    if (fillId !== this.frameFillId) {
+      this.reset();
+      this.lastFillSnapshot = [];
+      this.frameFillId = fillId;
+    }
+
+    const failedCount = this.failedFields.length;
+    const skippedCount = this.skippedFields.length;
+    await this.fillSingleField(fieldMapping);
+
+    if (this.failedFields.length > failedCount) {
+      return { status: "failed", error: this.failedFields[failedCount].error };
+    }
+    if (this.skippedFields.length > skippedCount) {
+      return { status: "skipped", reason: this.skippedFields[skippedCount].reason };
+    }
+    return { status: "filled" };
+  }
+
   /**
    * Fill a single form field
    * @param {Object} fieldMapping - Field mapping from responseProcessor
@@ -57,12 +158,20 @@ class SmartFiller {
         return;
       }
 
+      if (this.frameBridge.parseRemoteId(fieldMapping.fieldId)) {
+        await this.fillRemoteField(fieldMapping);
+        return;
+      }
+
       // Find the actual DOM element
       const element = this.findElement(fieldMapping);
       if (!element) {
+        const detached = this.elementRegistry.getStatus(fieldMapping.fieldId) === "detached";
         this.failedFields.push({
           ...fieldMapping,
-          error: "Element not found in DOM",
+          error: detached
+            ? "Element detached: the page re-rendered the field and it could not be found again"
+            : "Element not found in DOM",
         });
         return;
       }
@@ -76,6 +185,9 @@ class SmartFiller {
         return;
       }
 
+      // Remember the prior state so this fill can be reverted
+      this.captureSnapshot(element, fieldMapping.fieldType);
+
       // Fill based on field type
       const success = await this.fillByFieldType(element, fieldMapping);
 
@@ -120,29 +232,203 @@ class SmartFiller {
     }
   }
 
+  /**
+   * Have a cross-origin frame fill one of its fields and record the outcome
+   * @param {Object} fieldMapping - Field mapping with a "remote[...]" path
+   */
+  async fillRemoteField(fieldMapping) {
+    const result = await this.frameBridge.fillRemoteField(fieldMapping, this.fillId);
+    if (result.status === "filled") {
+      this.filledFields.push({ ...fieldMapping });
+      console.log(`SmartFiller: ✅ Filled field ${fieldMapping.fieldId} in its frame`);
+    } else if (result.status === "skipped") {
+      this.skippedFields.push({ ...fieldMapping, reason: result.reason });
+    } else {
+      this.failedFields.push({ ...fieldMapping, error: result.error });
+    }
+  }
+
+  // Reset the results, and the undo snapshot unless the run extends the last one
+  startRun(options = {}) {
+    this.reset();
+    if (options.extendLastFill && this.fillId) return;
+
+    this.lastFillSnapshot = [];
+    this.fillId = this.createFillId();
+  }
+
+  createFillId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Record the current state of an element (and its radio group) before filling
+   * @param {HTMLElement} element - Element about to be filled
+   * @param {string} fieldType - Field type from the mapping
+   */
+  captureSnapshot(element, fieldType) {
+    // Custom dropdowns keep their choice in the page's own state, not in a value
+    if (fieldType === "combobox") {
+      if (this.lastFillSnapshot.some(entry => entry.element === element)) return;
+      this.lastFillSnapshot.push({
+        element,
+        combobox: this.comboboxDriver.readSelection(element),
+      });
+      return;
+    }
+
+    const elements =
+      element.type === "radio" && element.name
+        ? Array.from(
+            element.getRootNode().querySelectorAll(
+              `input[type="radio"][name="${this.elementRegistry.escapeAttribute(element.name)}"]`
+            )
+          )
+        : [element];
+
+    elements.forEach(el => {
+      if (this.lastFillSnapshot.some(entry => entry.element === el)) return;
+
+      this.lastFillSnapshot.push({
+        element: el,
+        value: el.value,
+        checked: el.checked,
+        selectedOptions:
+          el.tagName === "SELECT"
+            ? Array.from(el.options).map(option => option.selected)
+            : null,
+      });
+    });
+  }
+
+  /**
+   * Restore every element touched by the last fill to its prior state
+   * @returns {Promise<Object>} Revert results summary
+   */
+  async revertLastFill() {
+    if (this.lastFillSnapshot.length === 0) {
+      console.log("SmartFiller: Nothing to revert");
+      return {
+        success: false,
+        restored: 0,
+        failed: 0,
+        message: "Nothing to revert",
+      };
+    }
+
+    let restored = 0;
+    let failed = 0;
+
+    // Restore in reverse order so the earliest captured state wins
+    for (const entry of [...this.lastFillSnapshot].reverse()) {
+      try {
+        if (await this.restoreElementState(entry)) restored++;
+      } catch (error) {
+        console.warn("SmartFiller: Failed to restore element:", error);
+        failed++;
+      }
+    }
+
+    this.lastFillSnapshot = [];
+    console.log(`SmartFiller: Reverted ${restored} fields (${failed} failed)`);
+
+    return {
+      success: true,
+      restored,
+      failed,
+      message:
+        `Reverted ${restored} field${restored === 1 ? "" : "s"}` +
+        (failed > 0 ? ` (${failed} could not be reverted)` : ""),
+    };
+  }
+
+  /**
+   * Restore a single snapshot entry, firing events only if the state changed
+   * @param {Object} entry - Snapshot entry from captureSnapshot
+   * @returns {Promise<boolean>} True if the element was changed back
+   */
+  async restoreElementState(entry) {
+    const { element } = entry;
+    if (!element.isConnected) {
+      throw new Error("Element no longer in DOM");
+    }
+
+    if (entry.combobox) {
+      return this.comboboxDriver.restore(element, entry.combobox);
+    }
+
+    if (element.type === "checkbox" || element.type === "radio") {
+      if (element.checked === entry.checked) return false;
+
+      const nativeCheckedSetter = Object.getOwnPropertyDescriptor(
+        window.HTMLInputElement.prototype,
+        "checked"
+      )?.set;
+      if (nativeCheckedSetter) {
+        nativeCheckedSetter.call(element, entry.checked);
+      } else {
+        element.checked = entry.checked;
+      }
+    } else if (entry.selectedOptions) {
+      const unchanged = Array.from(element.options).every(
+        (option, index) => option.selected === entry.selectedOptions[index]
+      );
+      if (unchanged) return false;
+
+      Array.from(element.options).forEach((option, index) => {
+        option.selected = !!entry.selectedOptions[index];
+      });
+    } else {
+      if (element.value === entry.value) return false;
+      element.value = entry.value;
+    }
+
+    this.triggerInputEvents(element);
+    return true;
+  }
+
+  /**
+   * Check whether there is a fill that can be reverted
+   * @returns {boolean} True if a snapshot is available
+   */
+  canRevert() {
+    return this.lastFillSnapshot.length > 0;
+  }
+
   /**
    * Find DOM element for field mapping
+   * Fields registered by pageAnalyzer resolve to their own element (or, if
+   * the page re-rendered it, to the element its locator finds); only fields
+   * it never registered are searched for by id, name, class and label.
+   * Path-qualified ids ("frame[apply]/shadow[job-form:0]::email") are looked
+   * up in the shadow root or frame the path leads to.
    * @param {Object} fieldMapping - Field mapping object
    * @returns {HTMLElement|null} Found element or null
    */
   findElement(fieldMapping) {
+    const handle = this.elementRegistry.resolve(fieldMapping.fieldId);
+    if (handle.status !== "unknown") return handle.element;
+
     // Try by ID first
     if (fieldMapping.fieldId) {
-      let element = document.getElementById(fieldMapping.fieldId);
+      const { root, localId } = this.traversal.resolveId(fieldMapping.fieldId);
+      let element = root.getElementById(localId);
       if (element) return element;
 
       // Try as name attribute
-      element = document.querySelector(`[name="${fieldMapping.fieldId}"]`);
+      element = root.querySelector(`[name="${this.elementRegistry.escapeAttribute(localId)}"]`);
       if (element) return element;
 
       // Try as class
-      element = document.querySelector(`.${fieldMapping.fieldId}`);
+      element = root.querySelector(`.${localId}`);
       if (element) return element;
     }
 
     // Fallback: find by label text (for dynamic forms)
     if (fieldMapping.fieldLabel) {
-      const inputs = document.querySelectorAll("input, select, textarea");
+      const inputs = this.traversal
+        .getRoots()
+        .flatMap(({ root }) => Array.from(root.querySelectorAll("input, select, textarea")));
       for (const input of inputs) {
         const label = this.findLabelForElement(input);
         if (
@@ -165,7 +451,7 @@ class SmartFiller {
   findLabelForElement(element) {
     // Check for associated label
     if (element.id) {
-      const label = document.querySelector(`label[for="${element.id}"]`);
+      const label = element.getRootNode().querySelector(`label[for="${element.id}"]`);
       if (label) return label.textContent.trim();
     }
 
@@ -187,8 +473,10 @@ class SmartFiller {
    * @returns {boolean} True if fillable
    */
   isElementFillable(element) {
+    // Select-only comboboxes are read-only inputs that open a listbox when clicked
+    const readOnly = element.readOnly && element.getAttribute("role") !== "combobox";
     return (
-      !element.disabled && !element.readOnly && element.offsetParent !== null
+      !element.disabled && !readOnly && element.offsetParent !== null
     ); // Check if visible
   }
 
@@ -221,9 +509,14 @@ class SmartFiller {
 
         case "select":
         case "select-one":
-        case "combobox":
           return this.fillSelect(element, value);
 
+        case "select-multiple":
+          return this.fillMultiSelect(element, value);
+
+        case "combobox":
+          return await this.comboboxDriver.fill(element, value);
+
         case "checkbox":
           return this.fillCheckbox(element, value);
 
@@ -375,6 +668,34 @@ class SmartFiller {
     return false;
   }
 
+  /**
+   * Fill a multi-select: select exactly the options named (by value or text)
+   * @param {HTMLSelectElement} element - Select with the multiple attribute
+   * @param {string|Array} value - Options; a string may be comma-separated
+   * @returns {boolean} True if at least one option was selected
+   */
+  fillMultiSelect(element, value) {
+    const wanted = this.comboboxDriver.splitValues(value).map(item => item.toLowerCase());
+    let selected = 0;
+
+    for (const option of element.options) {
+      option.selected = wanted.some(
+        item =>
+          option.value.toLowerCase() === item ||
+          option.textContent.trim().toLowerCase() === item
+      );
+      if (option.selected) selected++;
+    }
+
+    if (selected < wanted.length) {
+      console.warn(
+        `SmartFiller: Matched ${selected} of ${wanted.length} values for multi-select field`
+      );
+    }
+    this.triggerChangeEvent(element);
+    return selected > 0;
+  }
+
   /**
    * Fill checkbox fields
    */
@@ -400,8 +721,8 @@ class SmartFiller {
     }
 
     // Radio group - find the matching option
-    const radioButtons = document.querySelectorAll(
-      `input[type="radio"][name="${name}"]`
+    const radioButtons = element.getRootNode().querySelectorAll(
+      `input[type="radio"][name="${this.elementRegistry.escapeAttribute(name)}"]`
     );
 
     for (const radio of radioButtons) {
@@ -478,10 +799,20 @@ class SmartFiller {
         window.HTMLTextAreaElement.prototype, 
         'value'
       )?.set;
+
+      const nativeSelectValueSetter = Object.getOwnPropertyDescriptor(
+        window.HTMLSelectElement.prototype,
+        'value'
+      )?.set;
       
       // Apply the appropriate setter
       if (element.tagName === 'TEXTAREA' && nativeTextAreaValueSetter) {
         nativeTextAreaValueSetter.call(element, element.value);
+      } else if (element.tagName === 'SELECT') {
+        // Selects keep their selection as-is; the setter would collapse multi-selects
+        if (!element.multiple && nativeSelectValueSetter) {
+          nativeSelectValueSetter.call(element, element.value);
+        }
       } else if (nativeInputValueSetter) {
         nativeInputValueSetter.call(element, element.value);
       }
@@ -492,9 +823,11 @@ class SmartFiller {
       eventNames.forEach(eventName => {
         try {
           // Use the most basic Event constructor for compatibility
+          // (composed, so listeners outside a shadow root hear it)
           const event = new Event(eventName, {
             bubbles: true,
-            cancelable: true
+            cancelable: true,
+            composed: true
           });
           
           element.dispatchEvent(event);
@@ -513,7 +846,7 @@ class SmartFiller {
       // Additional React-specific event triggering with delay
       setTimeout(() => {
         try {
-          const changeEvent = new Event("change", { bubbles: true, cancelable: true });
+          const changeEvent = new Event("change", { bubbles: true, cancelable: true, composed: true });
           element.dispatchEvent(changeEvent);
         } catch (error) {
           // Silent fallback
@@ -533,6 +866,7 @@ class SmartFiller {
     const event = new Event("change", {
       bubbles: true,
       cancelable: true,
+      composed: true,
     });
     element.dispatchEvent(event);
   }
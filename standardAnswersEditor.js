@@ -0,0 +1,201 @@
+// standardAnswersEditor.js - Editor for stored standard answers
+
+class StandardAnswersEditor {
+  /**
+   * @param {HTMLElement} container - Element the editor renders into
+   */
+  constructor(container) {
+    this.container = container;
+    this.sectionLabels = {
+      personal: "Demographics & address",
+      workAuthorization: "Work authorization",
+      background: "Background",
+      preferences: "Preferences",
+      commonAnswers: "Common answers",
+    };
+  }
+
+  /**
+   * Render the editor for the given standard answers
+   * @param {Object} answers - Standard answers data
+   */
+  render(answers) {
+    const data = {
+      ...window.CVDataStructure.getDefaultStandardAnswers(),
+      ...(answers || {}),
+    };
+    delete data.currentDate;
+
+    this.container.textContent = "";
+    Object.entries(data).forEach(([key, value]) => {
+      const fieldset = document.createElement("fieldset");
+      const legend = document.createElement("legend");
+      legend.textContent = this.sectionLabels[key] || this.humanize(key);
+      fieldset.appendChild(legend);
+
+      if (key === "commonAnswers") {
+        fieldset.appendChild(this.renderCommonAnswers(value || {}));
+      } else if (value && typeof value === "object") {
+        this.renderObject(fieldset, value, [key]);
+      } else {
+        fieldset.appendChild(this.renderValue(key, value, [key]));
+      }
+
+      this.container.appendChild(fieldset);
+    });
+  }
+
+  /**
+   * Render nested object values as inputs, recursing into sub-objects
+   */
+  renderObject(parent, object, path) {
+    Object.entries(object).forEach(([key, value]) => {
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        const heading = document.createElement("h4");
+        heading.textContent = this.humanize(key);
+        parent.appendChild(heading);
+        this.renderObject(parent, value, [...path, key]);
+      } else {
+        parent.appendChild(this.renderValue(key, value, [...path, key]));
+      }
+    });
+  }
+
+  /**
+   * Render a single editable value, keeping its type (boolean/number/string)
+   */
+  renderValue(key, value, path) {
+    const wrapper = document.createElement("label");
+    wrapper.className = "editor-field";
+
+    const caption = document.createElement("span");
+    caption.textContent = this.humanize(key);
+
+    const input = document.createElement("input");
+    input.dataset.path = path.join(".");
+
+    if (typeof value === "boolean") {
+      input.type = "checkbox";
+      input.checked = value;
+      input.dataset.valueType = "boolean";
+      wrapper.classList.add("editor-checkbox");
+      wrapper.append(input, caption);
+      return wrapper;
+    }
+
+    if (typeof value === "number") {
+      input.type = "number";
+      input.dataset.valueType = "number";
+    }
+    input.value = value === null || value === undefined ? "" : String(value);
+    wrapper.append(caption, input);
+    return wrapper;
+  }
+
+  /**
+   * Render free-form common answers as editable key/answer pairs
+   */
+  renderCommonAnswers(answers) {
+    const section = document.createElement("div");
+    section.className = "editor-keyvalue common-answers";
+
+    const list = document.createElement("div");
+    section.appendChild(list);
+
+    const addRow = (key, value) => {
+      const row = document.createElement("div");
+      row.className = "editor-pair";
+
+      const keyInput = document.createElement("input");
+      keyInput.className = "pair-key";
+      keyInput.placeholder = "Key (e.g. whyInterested)";
+      keyInput.value = key;
+
+      const valueInput = document.createElement("textarea");
+      valueInput.className = "pair-value";
+      valueInput.placeholder = "Answer";
+      valueInput.value = value || "";
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "editor-button";
+      remove.textContent = "Remove";
+      remove.addEventListener("click", () => row.remove());
+
+      row.append(keyInput, valueInput, remove);
+      list.appendChild(row);
+    };
+
+    Object.entries(answers).forEach(([key, value]) => addRow(key, value));
+
+    const add = document.createElement("button");
+    add.type = "button";
+    add.className = "editor-button";
+    add.textContent = "Add answer";
+    add.addEventListener("click", () => addRow("", ""));
+    section.appendChild(add);
+
+    return section;
+  }
+
+  /**
+   * Read the editor back into a standard answers object
+   * @returns {Object} Standard answers
+   */
+  getData() {
+    const data = {};
+
+    this.container.querySelectorAll("input[data-path]").forEach(input => {
+      let value;
+      if (input.dataset.valueType === "boolean") {
+        value = input.checked;
+      } else if (input.dataset.valueType === "number") {
+        value = input.value === "" ? null : Number(input.value);
+      } else {
+        value = input.value.trim();
+      }
+      this.setPath(data, input.dataset.path.split("."), value);
+    });
+
+    data.commonAnswers = {};
+    this.container
+      .querySelectorAll(".common-answers .editor-pair")
+      .forEach(row => {
+        const key = row.querySelector(".pair-key").value.trim();
+        if (key) {
+          data.commonAnswers[key] = row
+            .querySelector(".pair-value")
+            .value.trim();
+        }
+      });
+
+    return data;
+  }
+
+  setPath(target, parts, value) {
+    let current = target;
+    parts.slice(0, -1).forEach(part => {
+      current[part] = current[part] || {};
+      current = current[part];
+    });
+    current[parts[parts.length - 1]] = value;
+  }
+
+  /**
+   * Turn "needsSponsorship" into "Needs sponsorship"
+   */
+  humanize(key) {
+    const words = key
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .replace(/_/g, " ")
+      .toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = StandardAnswersEditor;
+} else {
+  window.StandardAnswersEditor = StandardAnswersEditor;
+}
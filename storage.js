@@ -5,14 +5,217 @@ class StorageManager {
       CV_DATA: 'jobHelperCVData',
       SETTINGS: 'jobHelperSettings',
       TEMPLATES: 'jobHelperTemplates',
-      INITIALIZED: 'jobHelperInitialized'
+      HISTORY: 'jobHelperHistory',
+      PROFILES: 'jobHelperProfiles',
+      STANDARD_ANSWERS: 'jobHelperStandardAnswers',
+      FIELD_MEMORY: 'jobHelperFieldMemory',
+      APPLICATION_SESSIONS: 'jobHelperApplicationSessions',
+      INITIALIZED: 'jobHelperInitialized',
+      SCHEMA_VERSION: 'jobHelperSchemaVersion'
+    };
+    this.MAX_HISTORY_ENTRIES = 500;
+    this.STANDARD_ANSWERS_VERSION = 1;
+    this.MAX_FIELD_MEMORY_ENTRIES = 1000;
+    this.FIELD_MEMORY_VERSION = 1;
+    // A tab left alone this long starts a new application session
+    this.SESSION_IDLE_TIMEOUT = 60 * 60 * 1000;
+    this.MAX_SESSION_ANSWERS = 300;
+    this.sessionQueue = Promise.resolve();
+
+    // Stored data schema - add a migration and bump SCHEMA_VERSION when it changes
+    this.SCHEMA_VERSION = 6;
+    this.MIGRATIONS = [
+      {
+        version: 1,
+        description: 'Fill missing defaults and replace useLocalLLM with aiProvider',
+        migrate: data => ({
+          ...data,
+          settings: this.migrateSettings(data.settings),
+          cvData: this.migrateCVData(data.cvData),
+          profiles: this.migrateProfiles(data.profiles)
+        })
+      },
+      {
+        version: 2,
+        description: 'Move provider URLs and models into providerConfigs',
+        migrate: data => ({
+          ...data,
+          settings: this.migrateSettings(data.settings)
+        })
+      },
+      {
+        version: 3,
+        description: 'Turn on streamed AI responses (streamAIResponses default)',
+        migrate: data => ({
+          ...data,
+          settings: this.migrateSettings(data.settings)
+        })
+      },
+      {
+        version: 4,
+        description: 'Turn on learned field memory (fieldMemoryEnabled default)',
+        migrate: data => ({
+          ...data,
+          settings: this.migrateSettings(data.settings)
+        })
+      },
+      {
+        version: 5,
+        description: 'Adapt loosely matching saved answers (adaptSavedAnswers default)',
+        migrate: data => ({
+          ...data,
+          settings: this.migrateSettings(data.settings)
+        })
+      },
+      {
+        version: 6,
+        description: 'Fill fields that appear after a fill (watchDynamicFields default)',
+        migrate: data => ({
+          ...data,
+          settings: this.migrateSettings(data.settings)
+        })
+      }
+    ];
+
+    // Settings older versions stored at the top level of chrome.storage
+    this.LEGACY_SETTING_KEYS = ['openaiApiKey', 'useLocalLLM', 'localURL', 'localModel'];
+
+    // Provider settings kept at the top of the settings object before providerConfigs
+    this.LEGACY_PROVIDER_SETTINGS = {
+      deepseekURL: ['deepseek', 'url'],
+      deepseekModel: ['deepseek', 'model'],
+      localURL: ['local', 'url'],
+      localModel: ['local', 'model']
     };
   }
 
-  // Save CV data to local storage
-  async saveCVData(cvData) {
+  // Run pending schema migrations on stored data (called on extension update)
+  async runMigrations() {
     try {
-      await chrome.storage.local.set({ [this.STORAGE_KEYS.CV_DATA]: cvData });
+      const keys = [
+        this.STORAGE_KEYS.SETTINGS,
+        this.STORAGE_KEYS.CV_DATA,
+        this.STORAGE_KEYS.PROFILES,
+        this.STORAGE_KEYS.SCHEMA_VERSION,
+        ...this.LEGACY_SETTING_KEYS
+      ];
+      const stored = await chrome.storage.local.get(keys);
+      const fromVersion = stored[this.STORAGE_KEYS.SCHEMA_VERSION] || 0;
+
+      if (fromVersion >= this.SCHEMA_VERSION) {
+        console.log(`Storage schema is up to date (v${fromVersion})`);
+        return { from: fromVersion, to: fromVersion, migrated: false };
+      }
+
+      // Fold legacy top-level keys into the settings object
+      const settings = { ...(stored[this.STORAGE_KEYS.SETTINGS] || {}) };
+      this.LEGACY_SETTING_KEYS.forEach(key => {
+        if (stored[key] !== undefined && (settings[key] === undefined || settings[key] === '')) {
+          settings[key] = stored[key];
+        }
+      });
+
+      let data = {
+        settings,
+        cvData: stored[this.STORAGE_KEYS.CV_DATA] || null,
+        profiles: stored[this.STORAGE_KEYS.PROFILES] || null
+      };
+      this.MIGRATIONS.filter(migration => migration.version > fromVersion).forEach(migration => {
+        console.log(`Migrating storage to v${migration.version}: ${migration.description}`);
+        data = migration.migrate(data);
+      });
+
+      const updates = {
+        [this.STORAGE_KEYS.SETTINGS]: data.settings,
+        [this.STORAGE_KEYS.SCHEMA_VERSION]: this.SCHEMA_VERSION
+      };
+      if (data.cvData) updates[this.STORAGE_KEYS.CV_DATA] = data.cvData;
+      if (data.profiles) updates[this.STORAGE_KEYS.PROFILES] = data.profiles;
+
+      await chrome.storage.local.set(updates);
+      await chrome.storage.local.remove(this.LEGACY_SETTING_KEYS);
+      console.log(`Storage migrated from v${fromVersion} to v${this.SCHEMA_VERSION}`);
+      return { from: fromVersion, to: this.SCHEMA_VERSION, migrated: true };
+    } catch (error) {
+      console.error('Error migrating storage:', error);
+      throw error;
+    }
+  }
+
+  // Bring a settings object up to date: map legacy fields, fill missing defaults
+  migrateSettings(settings) {
+    const migrated = { ...(settings || {}) };
+
+    // Before aiProvider existed the choice was local (useLocalLLM) or OpenAI
+    if (!migrated.aiProvider && migrated.useLocalLLM) {
+      migrated.aiProvider = 'local';
+    } else if (!migrated.aiProvider && migrated.openaiApiKey) {
+      migrated.aiProvider = 'openai';
+    }
+    delete migrated.useLocalLLM;
+
+    // Provider URLs and models now live in providerConfigs[providerId]
+    const providerConfigs = { ...(migrated.providerConfigs || {}) };
+    Object.entries(this.LEGACY_PROVIDER_SETTINGS).forEach(([key, [provider, field]]) => {
+      if (migrated[key] && !providerConfigs[provider]?.[field]) {
+        providerConfigs[provider] = { ...providerConfigs[provider], [field]: migrated[key] };
+      }
+      delete migrated[key];
+    });
+    migrated.providerConfigs = providerConfigs;
+
+    Object.entries(self.CVDataStructure.getDefaultSettings()).forEach(([key, value]) => {
+      if (migrated[key] === undefined || migrated[key] === null) {
+        migrated[key] = value;
+      }
+    });
+    return migrated;
+  }
+
+  // Fill missing CV sections and fix list fields that aren't lists
+  migrateCVData(cvData) {
+    if (!cvData) return cvData;
+
+    const defaults = self.CVDataStructure.getDefaultCVData();
+    const migrated = {
+      ...cvData,
+      personal: { ...defaults.personal, ...(cvData.personal || {}) },
+      professional: { ...defaults.professional, ...(cvData.professional || {}) }
+    };
+    ['skills', 'experience', 'education', 'projects'].forEach(key => {
+      if (!Array.isArray(migrated.professional[key])) {
+        migrated.professional[key] = defaults.professional[key];
+      }
+    });
+    return migrated;
+  }
+
+  // Migrate the CVs stored inside profiles
+  migrateProfiles(profilesData) {
+    if (!profilesData || !Array.isArray(profilesData.profiles)) return profilesData;
+
+    return {
+      ...profilesData,
+      profiles: profilesData.profiles.map(profile => ({
+        ...self.CVDataStructure.getDefaultProfile(),
+        ...profile,
+        cvData: this.migrateCVData(profile.cvData)
+      }))
+    };
+  }
+
+  // Save CV data to local storage (into the profile if it has its own CV)
+  async saveCVData(cvData, profileId = null) {
+    try {
+      const profile = profileId
+        ? await this.getProfile(profileId)
+        : await this.getActiveProfile();
+
+      if (profile && profile.cvData) {
+        await this.saveProfile({ ...profile, cvData });
+      } else {
+        await chrome.storage.local.set({ [this.STORAGE_KEYS.CV_DATA]: cvData });
+      }
       console.log('CV data saved successfully');
       return true;
     } catch (error) {
@@ -21,17 +224,209 @@ class StorageManager {
     }
   }
 
-  // Load CV data from local storage
-  async loadCVData() {
+  // Load CV data from local storage (profile CV if set, else the base CV)
+  async loadCVData(profileId = null) {
     try {
+      const profile = profileId
+        ? await this.getProfile(profileId)
+        : await this.getActiveProfile();
+      if (profile && profile.cvData) {
+        return profile.cvData;
+      }
+
       const result = await chrome.storage.local.get([this.STORAGE_KEYS.CV_DATA]);
-      return result[this.STORAGE_KEYS.CV_DATA] || window.CVDataStructure.getDefaultCVData();
+      return result[this.STORAGE_KEYS.CV_DATA] || self.CVDataStructure.getDefaultCVData();
     } catch (error) {
       console.error('Error loading CV data:', error);
-      return window.CVDataStructure.getDefaultCVData();
+      return self.CVDataStructure.getDefaultCVData();
     }
   }
 
+  // Load standard answers (profile answers if set, else the shared answers)
+  async loadStandardAnswers(profileId = null) {
+    try {
+      const profile = profileId
+        ? await this.getProfile(profileId)
+        : await this.getActiveProfile();
+      if (profile && profile.standardAnswers) {
+        return profile.standardAnswers;
+      }
+
+      const result = await chrome.storage.local.get([this.STORAGE_KEYS.STANDARD_ANSWERS]);
+      const stored = result[this.STORAGE_KEYS.STANDARD_ANSWERS];
+      if (stored && stored.answers) {
+        return stored.answers;
+      }
+
+      return await this.seedStandardAnswers();
+    } catch (error) {
+      console.error('Error loading standard answers:', error);
+      return self.CVDataStructure.getDefaultStandardAnswers();
+    }
+  }
+
+  // Save standard answers (into the profile if it has its own answers)
+  async saveStandardAnswers(answers, profileId = null) {
+    try {
+      const profile = profileId
+        ? await this.getProfile(profileId)
+        : await this.getActiveProfile();
+      // The date is always computed at fill time
+      const { currentDate, ...cleanAnswers } = answers;
+
+      if (profile && profile.standardAnswers) {
+        await this.saveProfile({ ...profile, standardAnswers: cleanAnswers });
+      } else {
+        await chrome.storage.local.set({
+          [this.STORAGE_KEYS.STANDARD_ANSWERS]: {
+            version: this.STANDARD_ANSWERS_VERSION,
+            answers: cleanAnswers
+          }
+        });
+      }
+      console.log('Standard answers saved successfully');
+      return true;
+    } catch (error) {
+      console.error('Error saving standard answers:', error);
+      throw error;
+    }
+  }
+
+  // Seed shared standard answers once from the bundled standard-answers.json
+  async seedStandardAnswers() {
+    let answers;
+    try {
+      const response = await fetch(chrome.runtime.getURL('standard-answers.json'));
+      const bundled = await response.json();
+      answers = { ...self.CVDataStructure.getDefaultStandardAnswers(), ...bundled };
+    } catch (error) {
+      console.warn('Could not load bundled standard answers:', error);
+      answers = self.CVDataStructure.getDefaultStandardAnswers();
+    }
+
+    delete answers.currentDate;
+    await chrome.storage.local.set({
+      [this.STORAGE_KEYS.STANDARD_ANSWERS]: {
+        version: this.STANDARD_ANSWERS_VERSION,
+        answers
+      }
+    });
+    console.log('Standard answers seeded from bundled defaults');
+    return answers;
+  }
+
+  // Load all CV profiles
+  async loadProfiles() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEYS.PROFILES]);
+      return result[this.STORAGE_KEYS.PROFILES] || self.CVDataStructure.getDefaultProfiles();
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+      return self.CVDataStructure.getDefaultProfiles();
+    }
+  }
+
+  // Save all CV profiles
+  async saveProfiles(profilesData) {
+    try {
+      await chrome.storage.local.set({ [this.STORAGE_KEYS.PROFILES]: profilesData });
+      return true;
+    } catch (error) {
+      console.error('Error saving profiles:', error);
+      throw error;
+    }
+  }
+
+  // Get a profile by ID
+  async getProfile(id) {
+    const { profiles } = await this.loadProfiles();
+    return profiles.find(profile => profile.id === id) || null;
+  }
+
+  // Get the currently selected profile
+  async getActiveProfile() {
+    const { activeProfileId, profiles } = await this.loadProfiles();
+    return profiles.find(profile => profile.id === activeProfileId) || profiles[0] || null;
+  }
+
+  // Select the active profile
+  async setActiveProfile(id) {
+    const profilesData = await this.loadProfiles();
+    if (!profilesData.profiles.some(profile => profile.id === id)) {
+      throw new Error(`Profile not found: ${id}`);
+    }
+    profilesData.activeProfileId = id;
+    await this.saveProfiles(profilesData);
+    console.log('Active profile set to:', id);
+    return true;
+  }
+
+  // Create or update a profile
+  async saveProfile(profile) {
+    const profilesData = await this.loadProfiles();
+    const saved = {
+      ...self.CVDataStructure.getDefaultProfile(),
+      ...profile,
+      id: profile.id || `profile_${Date.now()}`
+    };
+
+    const index = profilesData.profiles.findIndex(item => item.id === saved.id);
+    if (index >= 0) {
+      profilesData.profiles[index] = saved;
+    } else {
+      profilesData.profiles.push(saved);
+    }
+
+    await this.saveProfiles(profilesData);
+    return saved;
+  }
+
+  // Delete a profile (the default profile cannot be deleted)
+  async deleteProfile(id) {
+    if (id === 'default') {
+      throw new Error('The default profile cannot be deleted');
+    }
+
+    const profilesData = await this.loadProfiles();
+    profilesData.profiles = profilesData.profiles.filter(profile => profile.id !== id);
+    if (profilesData.activeProfileId === id) {
+      profilesData.activeProfileId = 'default';
+    }
+    await this.saveProfiles(profilesData);
+    return true;
+  }
+
+  // Pick the profile whose rules match the page, falling back to the active one
+  async matchProfile(url, jobTitle = '') {
+    const { profiles } = await this.loadProfiles();
+    const title = String(jobTitle || '').toLowerCase();
+
+    const urlMatch = profiles.find(profile =>
+      (profile.rules?.urlPatterns || []).some(pattern => this.matchesURLPattern(url, pattern))
+    );
+    if (urlMatch) return urlMatch;
+
+    const keywordMatch = profiles.find(profile =>
+      (profile.rules?.titleKeywords || []).some(
+        keyword => keyword && title.includes(keyword.toLowerCase())
+      )
+    );
+    if (keywordMatch) return keywordMatch;
+
+    return this.getActiveProfile();
+  }
+
+  // Match a URL against a simple "*" wildcard pattern
+  matchesURLPattern(url, pattern) {
+    if (!pattern || !url) return false;
+    const escaped = pattern
+      .trim()
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    // Patterns are unanchored, so "greenhouse.io" matches any Greenhouse URL
+    return new RegExp(escaped, 'i').test(url);
+  }
+
   // Save settings to local storage
   async saveSettings(settings) {
     try {
@@ -48,10 +443,10 @@ class StorageManager {
   async loadSettings() {
     try {
       const result = await chrome.storage.local.get([this.STORAGE_KEYS.SETTINGS]);
-      return result[this.STORAGE_KEYS.SETTINGS] || window.CVDataStructure.getDefaultSettings();
+      return result[this.STORAGE_KEYS.SETTINGS] || self.CVDataStructure.getDefaultSettings();
     } catch (error) {
       console.error('Error loading settings:', error);
-      return window.CVDataStructure.getDefaultSettings();
+      return self.CVDataStructure.getDefaultSettings();
     }
   }
 
@@ -71,10 +466,370 @@ class StorageManager {
   async loadTemplates() {
     try {
       const result = await chrome.storage.local.get([this.STORAGE_KEYS.TEMPLATES]);
-      return result[this.STORAGE_KEYS.TEMPLATES] || window.CVDataStructure.getDefaultTemplates();
+      return result[this.STORAGE_KEYS.TEMPLATES] || self.CVDataStructure.getDefaultTemplates();
     } catch (error) {
       console.error('Error loading templates:', error);
-      return window.CVDataStructure.getDefaultTemplates();
+      return self.CVDataStructure.getDefaultTemplates();
+    }
+  }
+
+  // Load application history (newest first)
+  async loadHistory() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEYS.HISTORY]);
+      return result[this.STORAGE_KEYS.HISTORY] || [];
+    } catch (error) {
+      console.error('Error loading application history:', error);
+      return [];
+    }
+  }
+
+  // Save application history
+  async saveHistory(history) {
+    try {
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.HISTORY]: history.slice(0, this.MAX_HISTORY_ENTRIES)
+      });
+      return true;
+    } catch (error) {
+      console.error('Error saving application history:', error);
+      throw error;
+    }
+  }
+
+  // Record an application, updating the existing entry for the same posting
+  async recordApplication(entry) {
+    try {
+      const history = await this.loadHistory();
+      const normalizedURL = self.CVDataStructure.normalizeJobURL(entry.url);
+      const existingIndex = history.findIndex(
+        item => self.CVDataStructure.normalizeJobURL(item.url) === normalizedURL
+      );
+
+      let saved;
+      if (existingIndex >= 0) {
+        // Keep the user's status and notes, refresh everything else
+        const existing = history[existingIndex];
+        saved = {
+          ...existing,
+          ...entry,
+          id: existing.id,
+          status: existing.status,
+          notes: existing.notes
+        };
+        history.splice(existingIndex, 1);
+      } else {
+        saved = {
+          ...self.CVDataStructure.getDefaultHistoryEntry(),
+          ...entry,
+          id: `app_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+        };
+      }
+
+      history.unshift(saved);
+      await this.saveHistory(history);
+      console.log('Application recorded:', saved.companyName, saved.jobTitle);
+      return saved;
+    } catch (error) {
+      console.error('Error recording application:', error);
+      throw error;
+    }
+  }
+
+  // Update fields (status, notes, ...) of a history entry
+  async updateHistoryEntry(id, updates) {
+    try {
+      const history = await this.loadHistory();
+      const index = history.findIndex(item => item.id === id);
+      if (index < 0) return null;
+
+      history[index] = { ...history[index], ...updates, id };
+      await this.saveHistory(history);
+      return history[index];
+    } catch (error) {
+      console.error('Error updating application history:', error);
+      throw error;
+    }
+  }
+
+  // Delete a history entry
+  async deleteHistoryEntry(id) {
+    try {
+      const history = await this.loadHistory();
+      const filtered = history.filter(item => item.id !== id);
+      await this.saveHistory(filtered);
+      return filtered.length !== history.length;
+    } catch (error) {
+      console.error('Error deleting application history entry:', error);
+      throw error;
+    }
+  }
+
+  // Find applications recorded for a job posting URL
+  async findApplicationsByURL(url) {
+    const history = await this.loadHistory();
+    const normalizedURL = self.CVDataStructure.normalizeJobURL(url);
+    return history.filter(
+      item => self.CVDataStructure.normalizeJobURL(item.url) === normalizedURL
+    );
+  }
+
+  // Load the application sessions of all tabs (tab id -> session). They live
+  // in chrome.storage.session, which content scripts can't reach, so those
+  // go through the background script
+  async loadApplicationSessions() {
+    try {
+      const result = await chrome.storage.session.get([this.STORAGE_KEYS.APPLICATION_SESSIONS]);
+      return result[this.STORAGE_KEYS.APPLICATION_SESSIONS] || {};
+    } catch (error) {
+      console.error('Error loading application sessions:', error);
+      return {};
+    }
+  }
+
+  // Load the application session of a tab, or null
+  async loadApplicationSession(tabId) {
+    const sessions = await this.loadApplicationSessions();
+    return sessions[tabId] || null;
+  }
+
+  // Continue the tab's session on a page of the same application (see
+  // isSameApplication). A page of another application ends the session; the
+  // next fill starts a new one. Returns { session, step } with the step this
+  // page is, both null without a session
+  async visitApplicationSession(tabId, page) {
+    return this.changeApplicationSessions(sessions => {
+      const now = new Date();
+      const session = sessions[tabId];
+      if (!session) return { session: null, step: null };
+      if (!this.isSameApplication(session, page, now)) {
+        delete sessions[tabId];
+        return { session: null, step: null };
+      }
+
+      session.jobKey = session.jobKey || self.CVDataStructure.getATSJobKey(page.url);
+      const step = this.mergeSessionStep(session, page, now);
+      return { session, step };
+    });
+  }
+
+  // Add what a step used and filled to the tab's session (profile, job
+  // posting, cover letter, answers). With start, a fill of a page that isn't
+  // part of the session starts a new one. Returns { session, step }, or null
+  // without a session
+  async updateApplicationSession(tabId, updates, { start = false } = {}) {
+    return this.changeApplicationSessions(sessions => {
+      const { page, filled, answers, ...fields } = updates;
+      const now = new Date();
+      let session = sessions[tabId];
+      if (start && page && (!session || !this.isSameApplication(session, page, now))) {
+        session = this.newApplicationSession(tabId, page, now);
+        sessions[tabId] = session;
+      }
+      if (!session) return null;
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) session[key] = value;
+      });
+
+      const step = page ? this.mergeSessionStep(session, page, now) : null;
+      if (step && filled) step.filled += filled;
+
+      // The latest value per question; unlabelled fields only within a step
+      (answers || []).forEach(answer => {
+        const key = item => item.label || `${item.step}|${item.id}`;
+        const entry = { ...answer, step: step?.key || '' };
+        session.answers = session.answers.filter(item => key(item) !== key(entry));
+        session.answers.push(entry);
+      });
+      session.answers = session.answers.slice(-this.MAX_SESSION_ANSWERS);
+      session.updatedAt = now.toISOString();
+      return { session, step };
+    });
+  }
+
+  // A page belongs to the session's application when it isn't idle and either
+  // has the same ATS job id or stays under the path of the application's
+  // first page (another posting on the same careers site is another job)
+  isSameApplication(session, page, now) {
+    if (now - new Date(session.updatedAt) >= this.SESSION_IDLE_TIMEOUT) return false;
+
+    const jobKey = self.CVDataStructure.getATSJobKey(page.url);
+    if (jobKey && session.jobKey) return jobKey === session.jobKey;
+
+    try {
+      const url = new URL(page.url);
+      const start = new URL(session.startUrl);
+      const startPath = start.pathname.replace(/\/+$/, '');
+      return (
+        url.origin === start.origin &&
+        (url.pathname.replace(/\/+$/, '') === startPath ||
+          url.pathname.startsWith(`${startPath}/`))
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  newApplicationSession(tabId, page, now) {
+    return {
+      ...self.CVDataStructure.getDefaultApplicationSession(),
+      id: `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      tabId,
+      jobKey: self.CVDataStructure.getATSJobKey(page.url),
+      ats: self.CVDataStructure.detectATS(page.url),
+      host: new URL(page.url).hostname,
+      startUrl: page.url,
+      startedAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+  }
+
+  // Forget a tab's session (tab closed)
+  async deleteApplicationSession(tabId) {
+    return this.changeApplicationSessions(sessions => {
+      const existed = tabId in sessions;
+      delete sessions[tabId];
+      return existed;
+    });
+  }
+
+  // Read, change and save the sessions one change at a time, so a visit and
+  // an update from the same tab can't overwrite each other
+  changeApplicationSessions(change) {
+    const run = this.sessionQueue.then(async () => {
+      const sessions = await this.loadApplicationSessions();
+      const result = change(sessions);
+      await chrome.storage.session.set({ [this.STORAGE_KEYS.APPLICATION_SESSIONS]: sessions });
+      return result;
+    });
+    this.sessionQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Find or add the session's step for a page: by its number when the page
+  // shows one ("Step 2 of 6"), else by URL and the form on it (wizards that
+  // keep their URL show a different form per step)
+  mergeSessionStep(session, page, now) {
+    const key = page.current ? `step-${page.current}` : `${page.url}|${page.form || ''}`;
+    let step = session.steps.find(item => item.key === key);
+    if (!step) {
+      step = { key, current: page.current || 0, filled: 0, date: now.toISOString() };
+      session.steps.push(step);
+    }
+    Object.assign(step, { url: page.url, title: page.title || '', total: page.total || 0 });
+
+    session.currentStep = page.current || session.steps.indexOf(step) + 1;
+    session.totalSteps = page.total || session.totalSteps;
+    session.updatedAt = now.toISOString();
+    return step;
+  }
+
+  // Load remembered field answers (newest first)
+  async loadFieldMemory() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEYS.FIELD_MEMORY]);
+      return result[this.STORAGE_KEYS.FIELD_MEMORY]?.entries || [];
+    } catch (error) {
+      console.error('Error loading field memory:', error);
+      return [];
+    }
+  }
+
+  // Save remembered field answers
+  async saveFieldMemory(entries) {
+    try {
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.FIELD_MEMORY]: {
+          version: this.FIELD_MEMORY_VERSION,
+          entries: entries.slice(0, this.MAX_FIELD_MEMORY_ENTRIES)
+        }
+      });
+      return true;
+    } catch (error) {
+      console.error('Error saving field memory:', error);
+      throw error;
+    }
+  }
+
+  // Remember answers typed by the user, replacing the answer stored for the
+  // same field (fingerprint) on the same site
+  async rememberFieldValues(items) {
+    try {
+      const entries = await this.loadFieldMemory();
+      const now = new Date().toISOString();
+
+      items.forEach(item => {
+        const index = entries.findIndex(
+          entry => entry.fingerprint === item.fingerprint && entry.domain === item.domain
+        );
+        const existing = index >= 0 ? entries.splice(index, 1)[0] : null;
+        entries.unshift({
+          ...self.CVDataStructure.getDefaultFieldMemoryEntry(),
+          ...existing,
+          ...item,
+          id: existing?.id || `mem_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+          uses: existing?.uses || 0,
+          createdAt: existing?.createdAt || now,
+          updatedAt: now
+        });
+      });
+
+      await this.saveFieldMemory(entries);
+      console.log(`Remembered ${items.length} field answer(s)`);
+      return true;
+    } catch (error) {
+      console.error('Error remembering field values:', error);
+      throw error;
+    }
+  }
+
+  // Count a fill that used remembered answers
+  async markFieldMemoryUsed(ids) {
+    try {
+      const entries = await this.loadFieldMemory();
+      entries.forEach(entry => {
+        if (ids.includes(entry.id)) entry.uses = (entry.uses || 0) + 1;
+      });
+      await this.saveFieldMemory(entries);
+      return true;
+    } catch (error) {
+      console.error('Error updating field memory:', error);
+      throw error;
+    }
+  }
+
+  // Update a remembered answer (value edited in the popup)
+  async updateFieldMemoryEntry(id, updates) {
+    try {
+      const entries = await this.loadFieldMemory();
+      const index = entries.findIndex(entry => entry.id === id);
+      if (index < 0) return null;
+
+      entries[index] = {
+        ...entries[index],
+        ...updates,
+        id,
+        updatedAt: new Date().toISOString()
+      };
+      await this.saveFieldMemory(entries);
+      return entries[index];
+    } catch (error) {
+      console.error('Error updating field memory:', error);
+      throw error;
+    }
+  }
+
+  // Forget a remembered answer
+  async deleteFieldMemoryEntry(id) {
+    try {
+      const entries = await this.loadFieldMemory();
+      const filtered = entries.filter(entry => entry.id !== id);
+      await this.saveFieldMemory(filtered);
+      return filtered.length !== entries.length;
+    } catch (error) {
+      console.error('Error deleting field memory entry:', error);
+      throw error;
     }
   }
 
@@ -111,9 +866,10 @@ class StorageManager {
       }
 
       // Initialize with defaults
-      await this.saveCVData(window.CVDataStructure.getDefaultCVData());
-      await this.saveSettings(window.CVDataStructure.getDefaultSettings());
-      await this.saveTemplates(window.CVDataStructure.getDefaultTemplates());
+      await this.saveCVData(self.CVDataStructure.getDefaultCVData());
+      await this.saveSettings(self.CVDataStructure.getDefaultSettings());
+      await this.saveTemplates(self.CVDataStructure.getDefaultTemplates());
+      await chrome.storage.local.set({ [this.STORAGE_KEYS.SCHEMA_VERSION]: this.SCHEMA_VERSION });
       await this.setInitialized(true);
 
       console.log('Storage initialized successfully');
@@ -142,12 +898,20 @@ class StorageManager {
       const cvData = await this.loadCVData();
       const settings = await this.loadSettings();
       const templates = await this.loadTemplates();
+      const history = await this.loadHistory();
+      const profiles = await this.loadProfiles();
+      const standardAnswers = await this.loadStandardAnswers('default');
+      const fieldMemory = await this.loadFieldMemory();
       const initialized = await this.isInitialized();
 
       return {
         cvData,
         settings,
         templates,
+        history,
+        profiles,
+        standardAnswers,
+        fieldMemory,
         initialized
       };
     } catch (error) {
@@ -161,5 +925,5 @@ class StorageManager {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = StorageManager;
 } else {
-  window.StorageManager = StorageManager;
+  self.StorageManager = StorageManager;
 }
\ No newline at end of file
@@ -0,0 +1,133 @@
+// streamingJSONParser.js - Pull complete field/value pairs out of a JSON object as it streams in
+
+class StreamingJSONParser {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.text = "";
+    this.pos = 0;
+    this.started = false; // Seen the opening "{"
+    this.done = false; // Seen the matching "}"
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.keyStart = -1;
+    this.key = null;
+    this.valueStart = -1;
+  }
+
+  /**
+   * Add a chunk of the response
+   * Text before the object (markdown fences, <think> blocks from reasoning
+   * models) is skipped. A value is only returned once it is complete, so a
+   * half-received string is never filled into a field.
+   * @param {string} chunk - Next piece of the response
+   * @returns {Array<Array>} Newly completed [key, value] pairs of the top-level object
+   */
+  push(chunk) {
+    this.text += chunk;
+    const pairs = [];
+
+    while (this.pos < this.text.length && !this.done) {
+      if (!this.started) {
+        if (!this.skipPreamble()) break;
+        continue;
+      }
+
+      const char = this.text[this.pos];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === "\\") {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          if (this.keyStart !== -1) {
+            this.key = this.parse(this.text.slice(this.keyStart, this.pos + 1));
+            this.keyStart = -1;
+          }
+        }
+        this.pos++;
+        continue;
+      }
+
+      const expectingValue = this.depth === 1 && this.key !== null && this.valueStart === -1;
+
+      if (char === '"') {
+        this.inString = true;
+        if (this.depth === 1 && this.key === null) {
+          this.keyStart = this.pos;
+        } else if (expectingValue) {
+          this.valueStart = this.pos;
+        }
+      } else if (char === "{" || char === "[") {
+        if (expectingValue) this.valueStart = this.pos;
+        this.depth++;
+      } else if (char === "}" || char === "]") {
+        this.depth--;
+        if (this.depth === 0) {
+          this.completeValue(pairs);
+          this.done = true;
+        }
+      } else if (char === "," && this.depth === 1) {
+        this.completeValue(pairs);
+      } else if (expectingValue && char !== ":" && !/\s/.test(char)) {
+        // Numbers, true, false, null
+        this.valueStart = this.pos;
+      }
+
+      this.pos++;
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Move past everything before the opening brace
+   * @returns {boolean} False when more text is needed to decide
+   */
+  skipPreamble() {
+    const rest = this.text.slice(this.pos);
+
+    if (rest.startsWith("<think>")) {
+      const end = this.text.indexOf("</think>", this.pos);
+      if (end === -1) return false;
+      this.pos = end + "</think>".length;
+      return true;
+    }
+    // Could be the start of "<think>" split across chunks
+    if ("<think>".startsWith(rest)) return false;
+
+    if (this.text[this.pos] === "{") {
+      this.started = true;
+      this.depth = 1;
+    }
+    this.pos++;
+    return true;
+  }
+
+  // Emit the pending key/value pair, if any (called at "," or the closing "}")
+  completeValue(pairs) {
+    if (this.key !== null && this.valueStart !== -1) {
+      const raw = this.text.slice(this.valueStart, this.pos).trim();
+      const value = this.parse(raw);
+      if (value !== undefined) {
+        pairs.push([this.key, value]);
+      }
+    }
+    this.key = null;
+    this.valueStart = -1;
+  }
+
+  parse(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn("StreamingJSONParser: Skipping malformed value:", raw);
+      return undefined;
+    }
+  }
+}